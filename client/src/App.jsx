@@ -13,6 +13,7 @@ import ScheduleEdit from './pages/ScheduleEdit';
 import MySchedule from './pages/MySchedule';
 import Requests from './pages/Requests';
 import MyRequests from './pages/MyRequests';
+import ShiftSwaps from './pages/ShiftSwaps';
 import Profile from './pages/Profile';
 import AdminSettings from './pages/AdminSettings';
 import UserDashboard from './pages/UserDashboard';
@@ -189,6 +190,21 @@ function ManagerRoute({ children }) {
   return children;
 }
 
+// Team leads and delegates review requests without being managers
+function ReviewerRoute({ children }) {
+  const { user, isManager } = useAuth();
+
+  if (!user) {
+    return <Navigate to="/login" replace />;
+  }
+
+  if (!isManager && !user.reviewsRequests) {
+    return <Navigate to="/user-dashboard" replace />;
+  }
+
+  return children;
+}
+
 function Header() {
   const { user, logout, isManager, isAdmin, darkMode, toggleDarkMode } = useAuth();
   const location = useLocation();
@@ -205,6 +221,7 @@ function Header() {
   const getRoleText = () => {
     if (user?.isAdmin) return 'Admin';
     if (user?.isManager) return 'Manager';
+    if (user?.isTeamLead) return 'Team Lead';
     if (user?.inTraining) return 'In Training';
     if (user?.isFloater) return 'Floater';
     return 'User';
@@ -225,10 +242,16 @@ function Header() {
             <Link to="/requests" className={isActive('/requests')}>Requests</Link>
           </>
         ) : (
-          <Link to="/user-dashboard" className={isActive('/user-dashboard')}>Dashboard</Link>
+          <>
+            <Link to="/user-dashboard" className={isActive('/user-dashboard')}>Dashboard</Link>
+            {user?.reviewsRequests && (
+              <Link to="/requests" className={isActive('/requests')}>Requests</Link>
+            )}
+          </>
         )}
         <Link to="/my-schedule" className={isActive('/my-schedule')}>My Schedule</Link>
         <Link to="/my-requests" className={isActive('/my-requests')}>My Requests</Link>
+        <Link to="/swaps" className={isActive('/swaps')}>Shift Swaps</Link>
         <Link to="/profile" className={isActive('/profile')}>Profile</Link>
         {isAdmin && (
           <Link to="/admin" className={isActive('/admin')}>Admin</Link>
@@ -290,7 +313,7 @@ function AppRoutes() {
       <Route path="/schedules" element={<ManagerRoute><Schedules /></ManagerRoute>} />
       <Route path="/schedules/:id" element={<PrivateRoute><ScheduleView /></PrivateRoute>} />
       <Route path="/schedules/:id/edit" element={<ManagerRoute><ScheduleEdit /></ManagerRoute>} />
-      <Route path="/requests" element={<ManagerRoute><Requests /></ManagerRoute>} />
+      <Route path="/requests" element={<ReviewerRoute><Requests /></ReviewerRoute>} />
 
       {/* Admin routes */}
       <Route path="/admin" element={<AdminRoute><AdminSettings /></AdminRoute>} />
@@ -299,6 +322,7 @@ function AppRoutes() {
       <Route path="/user-dashboard" element={<PrivateRoute><UserDashboard /></PrivateRoute>} />
       <Route path="/my-schedule" element={<PrivateRoute><MySchedule /></PrivateRoute>} />
       <Route path="/my-requests" element={<PrivateRoute><MyRequests /></PrivateRoute>} />
+      <Route path="/swaps" element={<PrivateRoute><ShiftSwaps /></PrivateRoute>} />
       <Route path="/profile" element={<PrivateRoute><Profile /></PrivateRoute>} />
 
       {/* Fallback */}
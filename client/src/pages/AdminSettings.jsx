@@ -1,6 +1,36 @@
 import React, { useState, useEffect } from 'react';
 import api from '../services/api';
 
+const COVERAGE_SHIFTS = ['Early', 'Morning', 'Late', 'Night'];
+const COVERAGE_DAY_TYPES = [
+  { key: 'weekday', label: 'Weekday' },
+  { key: 'weekend', label: 'Weekend' },
+  { key: 'holiday', label: 'Public Holiday' }
+];
+const EMPTY_OVERRIDE = { date: '', shift: 'Late', min: 1, preferred: 1, max: '', note: '' };
+const EMPTY_SKILL_REQUIREMENT = { shift: 'Night', tier: '', skill: '', min: 1, dayTypes: [] };
+const HOLIDAY_ACTIONS = [
+  { key: 'add', label: 'Add' },
+  { key: 'suppress', label: 'Suppress' },
+  { key: 'rename', label: 'Rename' }
+];
+const EMPTY_HOLIDAY_OVERRIDE = {
+  action: 'add', date: '', name: '', nameEn: '', states: '', recurring: false, halfDay: false, note: ''
+};
+const EMPTY_LEAVE_CAP = { name: '', start: '', end: '', maxOff: 1, states: '' };
+const REQUEST_TYPE_LABELS = { time_off: 'Time Off', shift_change: 'Shift Change', preference_update: 'Preference Update' };
+const APPROVER_ROLE_LABELS = { team_lead: 'Team Lead', manager: 'Manager', admin: 'Admin' };
+const EMPTY_APPROVAL_CHAIN = { name: '', type: 'time_off', minDays: '', stages: 'team_lead, manager' };
+const EMPTY_SHIFT = {
+  name: '',
+  times: {
+    weekday: { start: '09:00', end: '17:00' },
+    weekend: { start: '09:00', end: '17:00' }
+  },
+  color: { bg: '#cccccc', text: '#000000' },
+  isNight: false
+};
+
 function AdminSettings() {
   const [version, setVersion] = useState(null);
   const [updateStatus, setUpdateStatus] = useState(null);
@@ -12,26 +42,76 @@ function AdminSettings() {
   const [success, setSuccess] = useState('');
   const [checking, setChecking] = useState(false);
   const [applying, setApplying] = useState(false);
+  const [coverage, setCoverage] = useState(null);
+  const [coverageIsCustom, setCoverageIsCustom] = useState(false);
+  const [newOverride, setNewOverride] = useState(EMPTY_OVERRIDE);
+  const [newSkillRequirement, setNewSkillRequirement] = useState(EMPTY_SKILL_REQUIREMENT);
+  const [savingCoverage, setSavingCoverage] = useState(false);
+  const [shiftCatalogue, setShiftCatalogue] = useState([]);
+  const [forbiddenTransitions, setForbiddenTransitions] = useState([]);
+  const [catalogueIsCustom, setCatalogueIsCustom] = useState(false);
+  const [newShift, setNewShift] = useState(EMPTY_SHIFT);
+  const [savingCatalogue, setSavingCatalogue] = useState(false);
+  const [holidayYear, setHolidayYear] = useState(new Date().getFullYear());
+  const [holidayOverrides, setHolidayOverrides] = useState([]);
+  const [yearHolidays, setYearHolidays] = useState([]);
+  const [newHolidayOverride, setNewHolidayOverride] = useState(EMPTY_HOLIDAY_OVERRIDE);
+  const [savingHolidays, setSavingHolidays] = useState(false);
+  const [germanStates, setGermanStates] = useState([]);
+  const [schoolHolidays, setSchoolHolidays] = useState([]);
+  const [importState, setImportState] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [leaveCaps, setLeaveCaps] = useState(null);
+  const [newLeaveCap, setNewLeaveCap] = useState(EMPTY_LEAVE_CAP);
+  const [savingLeaveCaps, setSavingLeaveCaps] = useState(false);
+  const [swapSettings, setSwapSettings] = useState(null);
+  const [leaveEntitlement, setLeaveEntitlement] = useState(null);
+  const [savingLeaveEntitlement, setSavingLeaveEntitlement] = useState(false);
+  const [approvalWorkflow, setApprovalWorkflow] = useState(null);
+  const [newApprovalChain, setNewApprovalChain] = useState(EMPTY_APPROVAL_CHAIN);
+  const [savingApprovalWorkflow, setSavingApprovalWorkflow] = useState(false);
 
   useEffect(() => {
     loadData();
   }, []);
 
+  useEffect(() => {
+    loadHolidays();
+  }, [holidayYear]);
+
   const loadData = async () => {
     try {
       setLoading(true);
-      const [versionData, updateData, usersData, engineersData, emailData] = await Promise.all([
+      const [
+        versionData, updateData, usersData, engineersData, emailData, coverageData, shiftData,
+        schoolHolidayData, leaveCapData, swapData, leaveEntitlementData, approvalWorkflowData
+      ] = await Promise.all([
         api.getFullVersion(),
         api.getUpdateStatus(),
         api.getUsers(),
         api.getEngineers(),
-        api.getEmailConfig()
+        api.getEmailConfig(),
+        api.getCoverageSettings(),
+        api.getShiftCatalogue(),
+        api.getSchoolHolidays(),
+        api.getLeaveCaps(),
+        api.getSwapSettings(),
+        api.getLeaveEntitlement(),
+        api.getApprovalWorkflow()
       ]);
       setVersion(versionData);
       setUpdateStatus(updateData);
       setUsers(usersData);
       setEngineers(engineersData);
       setEmailConfig(emailData);
+      setCoverage(coverageData.coverage);
+      setCoverageIsCustom(coverageData.isCustom);
+      applyShiftCatalogue(shiftData);
+      setSchoolHolidays(schoolHolidayData.schoolHolidays);
+      setLeaveCaps(leaveCapData);
+      setSwapSettings(swapData);
+      setLeaveEntitlement(leaveEntitlementData);
+      setApprovalWorkflow(approvalWorkflowData);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -39,6 +119,206 @@ function AdminSettings() {
     }
   };
 
+  const loadHolidays = async () => {
+    try {
+      const data = await api.getHolidayCalendar(holidayYear);
+      setHolidayOverrides(data.overrides);
+      setYearHolidays(data.holidays);
+      setGermanStates(data.states);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddHolidayOverride = () => {
+    const { action, date, name } = newHolidayOverride;
+    if (!date) {
+      setError('Please select a date for the holiday');
+      return;
+    }
+    if (action !== 'suppress' && !name.trim()) {
+      setError('Please enter a name for the holiday');
+      return;
+    }
+    const states = newHolidayOverride.states.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    setHolidayOverrides(prev => [
+      ...prev,
+      { ...newHolidayOverride, states: states.length > 0 ? states : null }
+    ].sort((a, b) => a.date.localeCompare(b.date)));
+    setNewHolidayOverride(EMPTY_HOLIDAY_OVERRIDE);
+  };
+
+  const handleRemoveHolidayOverride = (index) => {
+    setHolidayOverrides(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSaveHolidays = async () => {
+    setSavingHolidays(true);
+    setError('');
+    try {
+      await api.updateHolidayOverrides(holidayOverrides);
+      await loadHolidays();
+      setSuccess('Holiday calendar saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.data?.details ? err.data.details.join('; ') : err.message);
+    } finally {
+      setSavingHolidays(false);
+    }
+  };
+
+  const handleResetHolidays = async () => {
+    if (!confirm('Remove all holiday overrides? Only statutory holidays will remain.')) return;
+
+    try {
+      await api.resetHolidayOverrides();
+      await loadHolidays();
+      setSuccess('Holiday overrides removed');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImportSchoolHolidays = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!importState) {
+      setError('Please select the state of the school holiday calendar');
+      return;
+    }
+
+    setImporting(true);
+    setError('');
+    try {
+      const result = await api.importSchoolHolidays(importState, await file.text());
+      setSchoolHolidays(result.schoolHolidays);
+      setSuccess(result.skipped.length > 0 ? `${result.message} (${result.skipped.length} skipped)` : result.message);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleRemoveSchoolHolidays = async (state) => {
+    if (!confirm(`Remove all school holidays of ${state}?`)) return;
+
+    try {
+      const result = await api.removeSchoolHolidays(state);
+      setSchoolHolidays(result.schoolHolidays);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddLeaveCap = () => {
+    if (!newLeaveCap.name.trim() || !newLeaveCap.start || !newLeaveCap.end) {
+      setError('Please enter a name, start and end for the leave cap');
+      return;
+    }
+    const states = newLeaveCap.states.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    setLeaveCaps(prev => ({
+      ...prev,
+      periods: [
+        ...prev.periods,
+        { ...newLeaveCap, maxOff: Number(newLeaveCap.maxOff), states: states.length > 0 ? states : null }
+      ].sort((a, b) => a.start.localeCompare(b.start))
+    }));
+    setNewLeaveCap(EMPTY_LEAVE_CAP);
+  };
+
+  const handleRemoveLeaveCap = (index) => {
+    setLeaveCaps(prev => ({
+      ...prev,
+      periods: prev.periods.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSaveLeaveCaps = async () => {
+    setSavingLeaveCaps(true);
+    setError('');
+    try {
+      const result = await api.updateLeaveCaps(leaveCaps);
+      setLeaveCaps({ schoolHolidayMaxOff: result.schoolHolidayMaxOff, periods: result.periods });
+      setSuccess('Leave caps saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.data?.details ? err.data.details.join('; ') : err.message);
+    } finally {
+      setSavingLeaveCaps(false);
+    }
+  };
+
+  const handleToggleSwapApproval = async (requireApproval) => {
+    setError('');
+    try {
+      const result = await api.updateSwapSettings({ requireApproval });
+      setSwapSettings({ requireApproval: result.requireApproval });
+      setSuccess(requireApproval ? 'Shift swaps now need manager approval' : 'Shift swaps are applied without approval');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveLeaveEntitlement = async () => {
+    setSavingLeaveEntitlement(true);
+    setError('');
+    try {
+      const { message, ...result } = await api.updateLeaveEntitlement(leaveEntitlement);
+      setLeaveEntitlement(result);
+      setSuccess('Vacation entitlement saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.data?.details ? err.data.details.join('; ') : err.message);
+    } finally {
+      setSavingLeaveEntitlement(false);
+    }
+  };
+
+  const handleAddApprovalChain = () => {
+    if (!newApprovalChain.name.trim()) {
+      setError('Enter a name for the approval chain');
+      return;
+    }
+    setError('');
+    setApprovalWorkflow(prev => ({
+      ...prev,
+      chains: [...prev.chains, {
+        name: newApprovalChain.name.trim(),
+        type: newApprovalChain.type || null,
+        minDays: newApprovalChain.minDays === '' ? null : Number(newApprovalChain.minDays),
+        stages: newApprovalChain.stages.split(',').map(s => s.trim()).filter(Boolean)
+      }]
+    }));
+    setNewApprovalChain(EMPTY_APPROVAL_CHAIN);
+  };
+
+  const handleRemoveApprovalChain = (index) => {
+    setApprovalWorkflow(prev => ({
+      ...prev,
+      chains: prev.chains.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSaveApprovalWorkflow = async () => {
+    setSavingApprovalWorkflow(true);
+    setError('');
+    try {
+      const { message, ...result } = await api.updateApprovalWorkflow(approvalWorkflow);
+      setApprovalWorkflow(result);
+      setSuccess('Approval workflow saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.data?.details ? err.data.details.join('; ') : err.message);
+    } finally {
+      setSavingApprovalWorkflow(false);
+    }
+  };
+
   const handleCheckUpdate = async () => {
     setChecking(true);
     setError('');
@@ -115,6 +395,173 @@ function AdminSettings() {
     }
   };
 
+  const handleCoverageChange = (dayType, shift, field, value) => {
+    setCoverage(prev => ({
+      ...prev,
+      [dayType]: {
+        ...prev[dayType],
+        [shift]: { ...prev[dayType][shift], [field]: value === '' ? (field === 'max' ? null : 0) : Number(value) }
+      }
+    }));
+  };
+
+  const handleAddOverride = () => {
+    if (!newOverride.date) {
+      setError('Please select a date for the override');
+      return;
+    }
+    setCoverage(prev => ({
+      ...prev,
+      overrides: [
+        ...prev.overrides,
+        {
+          ...newOverride,
+          min: Number(newOverride.min),
+          preferred: Number(newOverride.preferred),
+          max: newOverride.max === '' ? null : Number(newOverride.max)
+        }
+      ].sort((a, b) => a.date.localeCompare(b.date))
+    }));
+    setNewOverride(EMPTY_OVERRIDE);
+  };
+
+  const handleRemoveOverride = (index) => {
+    setCoverage(prev => ({
+      ...prev,
+      overrides: prev.overrides.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleAddSkillRequirement = () => {
+    if (!newSkillRequirement.tier && !newSkillRequirement.skill.trim()) {
+      setError('Please choose a tier or enter a skill for the requirement');
+      return;
+    }
+    setCoverage(prev => ({
+      ...prev,
+      skillRequirements: [
+        ...(prev.skillRequirements || []),
+        {
+          shift: newSkillRequirement.shift,
+          dayTypes: newSkillRequirement.dayTypes,
+          tier: newSkillRequirement.tier || null,
+          skill: newSkillRequirement.skill.trim() || null,
+          min: Number(newSkillRequirement.min)
+        }
+      ]
+    }));
+    setNewSkillRequirement(EMPTY_SKILL_REQUIREMENT);
+  };
+
+  const handleRemoveSkillRequirement = (index) => {
+    setCoverage(prev => ({
+      ...prev,
+      skillRequirements: prev.skillRequirements.filter((_, i) => i !== index)
+    }));
+  };
+
+  const toggleSkillRequirementDayType = (dayType) => {
+    setNewSkillRequirement(prev => ({
+      ...prev,
+      dayTypes: prev.dayTypes.includes(dayType)
+        ? prev.dayTypes.filter(d => d !== dayType)
+        : [...prev.dayTypes, dayType]
+    }));
+  };
+
+  const handleSaveCoverage = async () => {
+    setSavingCoverage(true);
+    setError('');
+    try {
+      const result = await api.updateCoverageSettings(coverage);
+      setCoverage(result.coverage);
+      setCoverageIsCustom(true);
+      setSuccess('Coverage requirements saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.data?.details ? err.data.details.join('; ') : err.message);
+    } finally {
+      setSavingCoverage(false);
+    }
+  };
+
+  const handleResetCoverage = async () => {
+    if (!confirm('Reset coverage requirements to the built-in defaults? All overrides will be removed.')) return;
+
+    try {
+      const result = await api.resetCoverageSettings();
+      setCoverage(result.coverage);
+      setCoverageIsCustom(false);
+      setSuccess('Coverage requirements reset to defaults');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const applyShiftCatalogue = (data) => {
+    setShiftCatalogue(data.shifts);
+    setForbiddenTransitions(data.forbiddenTransitions);
+    setCatalogueIsCustom(data.isCustom);
+  };
+
+  const handleShiftTimeChange = (index, dayType, field, value) => {
+    setShiftCatalogue(prev => prev.map((shift, i) => {
+      if (i !== index) return shift;
+      const times = { ...shift.times[dayType], [field]: value };
+      // Let the server recalculate the duration when times change
+      if (field !== 'duration') delete times.duration;
+      return { ...shift, times: { ...shift.times, [dayType]: times } };
+    }));
+  };
+
+  const handleShiftFieldChange = (index, field, value) => {
+    setShiftCatalogue(prev => prev.map((shift, i) => (
+      i === index ? { ...shift, [field]: value } : shift
+    )));
+  };
+
+  const handleAddShift = () => {
+    if (!newShift.name.trim()) {
+      setError('Please enter a name for the new shift');
+      return;
+    }
+    setShiftCatalogue(prev => [...prev, { ...newShift, name: newShift.name.trim() }]);
+    setNewShift(EMPTY_SHIFT);
+  };
+
+  const handleRemoveShift = (index) => {
+    setShiftCatalogue(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSaveCatalogue = async () => {
+    setSavingCatalogue(true);
+    setError('');
+    try {
+      const result = await api.updateShiftCatalogue(shiftCatalogue);
+      applyShiftCatalogue(result);
+      setSuccess('Shift catalogue saved');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.data?.details ? err.data.details.join('; ') : err.message);
+    } finally {
+      setSavingCatalogue(false);
+    }
+  };
+
+  const handleResetCatalogue = async () => {
+    if (!confirm('Reset the shift catalogue to the built-in shifts? Custom shifts will be removed.')) return;
+
+    try {
+      const result = await api.resetShiftCatalogue();
+      applyShiftCatalogue(result);
+      setSuccess('Shift catalogue reset to defaults');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -249,6 +696,998 @@ function AdminSettings() {
         )}
       </div>
 
+      {/* Coverage Requirements */}
+      <div className="card" style={{ marginTop: 20 }}>
+        <div className="card-header">
+          <h2>Coverage Requirements</h2>
+          <span className={`request-card-badge badge-${coverageIsCustom ? 'approved' : 'pending'}`}>
+            {coverageIsCustom ? 'custom' : 'defaults'}
+          </span>
+        </div>
+        {coverage && (
+          <div>
+            <p style={{ color: '#666', marginBottom: 15 }}>
+              Core engineers required per shift. Used by schedule generation and validation.
+              Public holidays are federal holidays; leave Max empty for no upper limit.
+            </p>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Shift</th>
+                  {COVERAGE_DAY_TYPES.map(({ key, label }) => (
+                    <th key={key}>{label} (min / preferred / max)</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {COVERAGE_SHIFTS.map(shift => (
+                  <tr key={shift}>
+                    <td><span className={`shift-cell shift-${shift}`}>{shift}</span></td>
+                    {COVERAGE_DAY_TYPES.map(({ key }) => (
+                      <td key={key}>
+                        <div style={{ display: 'flex', gap: 5 }}>
+                          {['min', 'preferred', 'max'].map(field => (
+                            <input
+                              key={field}
+                              type="number"
+                              min="0"
+                              title={field}
+                              value={coverage[key][shift][field] ?? ''}
+                              onChange={e => handleCoverageChange(key, shift, field, e.target.value)}
+                              style={{ width: 55, padding: '4px 6px' }}
+                            />
+                          ))}
+                        </div>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h3 style={{ marginTop: 20, marginBottom: 10 }}>Date Overrides</h3>
+            <p style={{ color: '#666', marginBottom: 10 }}>
+              Override a single shift on a specific date, e.g. extra Late cover during a release week.
+            </p>
+            {coverage.overrides.length > 0 && (
+              <table className="data-table" style={{ marginBottom: 15 }}>
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Shift</th>
+                    <th>Min</th>
+                    <th>Preferred</th>
+                    <th>Max</th>
+                    <th>Note</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coverage.overrides.map((o, i) => (
+                    <tr key={`${o.date}-${o.shift}-${i}`}>
+                      <td>{o.date}</td>
+                      <td><span className={`shift-cell shift-${o.shift}`}>{o.shift}</span></td>
+                      <td>{o.min}</td>
+                      <td>{o.preferred}</td>
+                      <td>{o.max ?? '-'}</td>
+                      <td>{o.note || '-'}</td>
+                      <td>
+                        <button
+                          className="btn btn-danger"
+                          style={{ padding: '3px 8px' }}
+                          onClick={() => handleRemoveOverride(i)}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 20 }}>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Date</label>
+                <input
+                  type="date"
+                  value={newOverride.date}
+                  onChange={e => setNewOverride({ ...newOverride, date: e.target.value })}
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Shift</label>
+                <select
+                  value={newOverride.shift}
+                  onChange={e => setNewOverride({ ...newOverride, shift: e.target.value })}
+                >
+                  {COVERAGE_SHIFTS.map(shift => (
+                    <option key={shift} value={shift}>{shift}</option>
+                  ))}
+                </select>
+              </div>
+              {['min', 'preferred', 'max'].map(field => (
+                <div key={field} className="form-group" style={{ margin: 0 }}>
+                  <label style={{ textTransform: 'capitalize' }}>{field}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={newOverride[field]}
+                    onChange={e => setNewOverride({ ...newOverride, [field]: e.target.value })}
+                    style={{ width: 70 }}
+                  />
+                </div>
+              ))}
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Note</label>
+                <input
+                  type="text"
+                  value={newOverride.note}
+                  onChange={e => setNewOverride({ ...newOverride, note: e.target.value })}
+                  placeholder="e.g. Release week"
+                />
+              </div>
+              <button className="btn btn-outline" onClick={handleAddOverride}>
+                Add Override
+              </button>
+            </div>
+
+            <h3 style={{ marginTop: 20, marginBottom: 10 }}>Skill Requirements</h3>
+            <p style={{ color: '#666', marginBottom: 10 }}>
+              Engineers with a tier or skill every shift needs, e.g. each Night needs ≥1 T1.
+              The tier is a minimum (a T1 counts for T2); trainees never count. No day types means every day.
+            </p>
+            {coverage.skillRequirements?.length > 0 && (
+              <table className="data-table" style={{ marginBottom: 15 }}>
+                <thead>
+                  <tr>
+                    <th>Shift</th>
+                    <th>Days</th>
+                    <th>Tier</th>
+                    <th>Skill</th>
+                    <th>Min</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coverage.skillRequirements.map((r, i) => (
+                    <tr key={`${r.shift}-${r.tier}-${r.skill}-${i}`}>
+                      <td><span className={`shift-cell shift-${r.shift}`}>{r.shift}</span></td>
+                      <td>
+                        {r.dayTypes.length > 0
+                          ? r.dayTypes.map(d => COVERAGE_DAY_TYPES.find(t => t.key === d)?.label || d).join(', ')
+                          : 'All days'}
+                      </td>
+                      <td>{r.tier || '-'}</td>
+                      <td>{r.skill || '-'}</td>
+                      <td>{r.min}</td>
+                      <td>
+                        <button
+                          className="btn btn-danger"
+                          style={{ padding: '3px 8px' }}
+                          onClick={() => handleRemoveSkillRequirement(i)}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 20 }}>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Shift</label>
+                <select
+                  value={newSkillRequirement.shift}
+                  onChange={e => setNewSkillRequirement({ ...newSkillRequirement, shift: e.target.value })}
+                >
+                  {COVERAGE_SHIFTS.map(shift => (
+                    <option key={shift} value={shift}>{shift}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Tier (minimum)</label>
+                <select
+                  value={newSkillRequirement.tier}
+                  onChange={e => setNewSkillRequirement({ ...newSkillRequirement, tier: e.target.value })}
+                >
+                  <option value="">Any</option>
+                  {['T1', 'T2', 'T3'].map(tier => (
+                    <option key={tier} value={tier}>{tier}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Skill</label>
+                <input
+                  type="text"
+                  value={newSkillRequirement.skill}
+                  onChange={e => setNewSkillRequirement({ ...newSkillRequirement, skill: e.target.value })}
+                  placeholder="e.g. Network"
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Min</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={newSkillRequirement.min}
+                  onChange={e => setNewSkillRequirement({ ...newSkillRequirement, min: e.target.value })}
+                  style={{ width: 70 }}
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Days</label>
+                <div style={{ display: 'flex', gap: 10, padding: '6px 0' }}>
+                  {COVERAGE_DAY_TYPES.map(({ key, label }) => (
+                    <label key={key} style={{ display: 'flex', alignItems: 'center', gap: 4, fontWeight: 'normal' }}>
+                      <input
+                        type="checkbox"
+                        checked={newSkillRequirement.dayTypes.includes(key)}
+                        onChange={() => toggleSkillRequirementDayType(key)}
+                        style={{ width: 'auto' }}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <button className="btn btn-outline" onClick={handleAddSkillRequirement}>
+                Add Requirement
+              </button>
+            </div>
+
+            <div style={{ display: 'flex', gap: 10 }}>
+              <button
+                className="btn btn-primary"
+                onClick={handleSaveCoverage}
+                disabled={savingCoverage}
+              >
+                {savingCoverage ? 'Saving...' : 'Save Coverage'}
+              </button>
+              {coverageIsCustom && (
+                <button className="btn btn-outline" onClick={handleResetCoverage}>
+                  Reset to Defaults
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Shift Catalogue */}
+      <div className="card" style={{ marginTop: 20 }}>
+        <div className="card-header">
+          <h2>Shift Catalogue</h2>
+          <span className={`request-card-badge badge-${catalogueIsCustom ? 'approved' : 'pending'}`}>
+            {catalogueIsCustom ? 'custom' : 'defaults'}
+          </span>
+        </div>
+        <p style={{ color: '#666', marginBottom: 15 }}>
+          Shift types available for scheduling, requests and preferences. Built-in shifts cannot be
+          removed. Custom shifts are assigned manually in the schedule editor. Duration is calculated
+          from the times unless set explicitly (e.g. to exclude an unpaid break).
+        </p>
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Weekday (start / end / hours)</th>
+              <th>Weekend (start / end / hours)</th>
+              <th>Colour</th>
+              <th>Night Work</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {shiftCatalogue.map((shift, i) => (
+              <tr key={i}>
+                <td>
+                  <span
+                    className="shift-cell"
+                    style={{ background: shift.color?.bg, color: shift.color?.text }}
+                  >
+                    {shift.name}
+                  </span>
+                </td>
+                {['weekday', 'weekend'].map(dayType => (
+                  <td key={dayType}>
+                    <div style={{ display: 'flex', gap: 5 }}>
+                      <input
+                        type="time"
+                        value={shift.times[dayType]?.start || ''}
+                        onChange={e => handleShiftTimeChange(i, dayType, 'start', e.target.value)}
+                        style={{ padding: '4px 6px' }}
+                      />
+                      <input
+                        type="time"
+                        value={shift.times[dayType]?.end || ''}
+                        onChange={e => handleShiftTimeChange(i, dayType, 'end', e.target.value)}
+                        style={{ padding: '4px 6px' }}
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="24"
+                        step="0.25"
+                        value={shift.times[dayType]?.duration ?? ''}
+                        onChange={e => handleShiftTimeChange(i, dayType, 'duration', e.target.value)}
+                        style={{ width: 60, padding: '4px 6px' }}
+                      />
+                    </div>
+                  </td>
+                ))}
+                <td>
+                  <div style={{ display: 'flex', gap: 5 }}>
+                    <input
+                      type="color"
+                      title="Background"
+                      value={shift.color?.bg || '#cccccc'}
+                      onChange={e => handleShiftFieldChange(i, 'color', { ...shift.color, bg: e.target.value })}
+                    />
+                    <input
+                      type="color"
+                      title="Text"
+                      value={shift.color?.text || '#000000'}
+                      onChange={e => handleShiftFieldChange(i, 'color', { ...shift.color, text: e.target.value })}
+                    />
+                  </div>
+                </td>
+                <td>
+                  <input
+                    type="checkbox"
+                    checked={!!shift.isNight}
+                    disabled={shift.builtIn}
+                    onChange={e => handleShiftFieldChange(i, 'isNight', e.target.checked)}
+                  />
+                </td>
+                <td>
+                  {!shift.builtIn && (
+                    <button
+                      className="btn btn-danger"
+                      style={{ padding: '3px 8px' }}
+                      onClick={() => handleRemoveShift(i)}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap', margin: '15px 0 20px' }}>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label>New Shift</label>
+            <input
+              type="text"
+              value={newShift.name}
+              onChange={e => setNewShift({ ...newShift, name: e.target.value })}
+              placeholder="e.g. Standby"
+            />
+          </div>
+          {['start', 'end'].map(field => (
+            <div key={field} className="form-group" style={{ margin: 0 }}>
+              <label style={{ textTransform: 'capitalize' }}>{field}</label>
+              <input
+                type="time"
+                value={newShift.times.weekday[field]}
+                onChange={e => {
+                  const times = { ...newShift.times.weekday, [field]: e.target.value };
+                  setNewShift({ ...newShift, times: { weekday: times, weekend: times } });
+                }}
+              />
+            </div>
+          ))}
+          <div className="form-group" style={{ margin: 0 }}>
+            <label>
+              <input
+                type="checkbox"
+                checked={newShift.isNight}
+                onChange={e => setNewShift({ ...newShift, isNight: e.target.checked })}
+                style={{ marginRight: 5 }}
+              />
+              Night work
+            </label>
+          </div>
+          <button className="btn btn-outline" onClick={handleAddShift}>
+            Add Shift
+          </button>
+        </div>
+
+        {forbiddenTransitions.length > 0 && (
+          <div style={{ marginBottom: 20 }}>
+            <h3 style={{ marginBottom: 10 }}>Forbidden Transitions (less than 11 hours rest)</h3>
+            <ul style={{ margin: 0, paddingLeft: 20, color: '#666' }}>
+              {forbiddenTransitions.map(t => (
+                <li key={`${t.from}-${t.to}`}>
+                  <strong>{t.from} → {t.to}</strong>: {t.reason}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: 10 }}>
+          <button
+            className="btn btn-primary"
+            onClick={handleSaveCatalogue}
+            disabled={savingCatalogue}
+          >
+            {savingCatalogue ? 'Saving...' : 'Save Shift Catalogue'}
+          </button>
+          {catalogueIsCustom && (
+            <button className="btn btn-outline" onClick={handleResetCatalogue}>
+              Reset to Defaults
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Holiday Calendar */}
+      <div className="card" style={{ marginTop: 20 }}>
+        <div className="card-header">
+          <h2>Holiday Calendar</h2>
+          <span className={`request-card-badge badge-${holidayOverrides.length > 0 ? 'approved' : 'pending'}`}>
+            {holidayOverrides.length > 0 ? 'custom' : 'statutory'}
+          </span>
+        </div>
+        <p style={{ color: '#666', marginBottom: 15 }}>
+          Company days (closures, half-days, one-off regional holidays) and changes to the statutory holidays.
+          Leave States empty for company-wide days; these use the Public Holiday coverage.
+          Recurring entries apply every year on the same day.
+        </p>
+        {holidayOverrides.length > 0 && (
+          <table className="data-table" style={{ marginBottom: 15 }}>
+            <thead>
+              <tr>
+                <th>Action</th>
+                <th>Date</th>
+                <th>Name</th>
+                <th>States</th>
+                <th>Options</th>
+                <th>Note</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {holidayOverrides.map((o, i) => (
+                <tr key={`${o.action}-${o.date}-${i}`}>
+                  <td style={{ textTransform: 'capitalize' }}>{o.action}</td>
+                  <td>{o.recurring ? `every ${o.date.slice(5)}` : o.date}</td>
+                  <td>
+                    {o.action === 'suppress' ? '-' : o.nameEn || o.name}
+                    {o.action !== 'suppress' && o.nameEn && o.nameEn !== o.name && (
+                      <span style={{ fontSize: 12, color: '#666', marginLeft: 5 }}>({o.name})</span>
+                    )}
+                  </td>
+                  <td>{o.states?.join(', ') || 'Company-wide'}</td>
+                  <td>{[o.recurring && 'Recurring', o.halfDay && 'Half day'].filter(Boolean).join(', ') || '-'}</td>
+                  <td>{o.note || '-'}</td>
+                  <td>
+                    <button
+                      className="btn btn-danger"
+                      style={{ padding: '3px 8px' }}
+                      onClick={() => handleRemoveHolidayOverride(i)}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 20 }}>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label>Action</label>
+            <select
+              value={newHolidayOverride.action}
+              onChange={e => setNewHolidayOverride({ ...newHolidayOverride, action: e.target.value })}
+            >
+              {HOLIDAY_ACTIONS.map(({ key, label }) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label>Date</label>
+            <input
+              type="date"
+              value={newHolidayOverride.date}
+              onChange={e => setNewHolidayOverride({ ...newHolidayOverride, date: e.target.value })}
+            />
+          </div>
+          {newHolidayOverride.action !== 'suppress' && (
+            <>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Name</label>
+                <input
+                  type="text"
+                  value={newHolidayOverride.name}
+                  onChange={e => setNewHolidayOverride({ ...newHolidayOverride, name: e.target.value })}
+                  placeholder="e.g. Heiligabend"
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>English Name</label>
+                <input
+                  type="text"
+                  value={newHolidayOverride.nameEn}
+                  onChange={e => setNewHolidayOverride({ ...newHolidayOverride, nameEn: e.target.value })}
+                  placeholder="e.g. Christmas Eve"
+                />
+              </div>
+            </>
+          )}
+          <div className="form-group" style={{ margin: 0 }}>
+            <label>States</label>
+            <input
+              type="text"
+              value={newHolidayOverride.states}
+              onChange={e => setNewHolidayOverride({ ...newHolidayOverride, states: e.target.value })}
+              placeholder="Company-wide, or e.g. BE, BB"
+              style={{ width: 170 }}
+            />
+          </div>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label>Note</label>
+            <input
+              type="text"
+              value={newHolidayOverride.note}
+              onChange={e => setNewHolidayOverride({ ...newHolidayOverride, note: e.target.value })}
+              placeholder="e.g. Site closure"
+            />
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 5, marginBottom: 8 }}>
+            <input
+              type="checkbox"
+              checked={newHolidayOverride.recurring}
+              onChange={e => setNewHolidayOverride({ ...newHolidayOverride, recurring: e.target.checked })}
+            />
+            Every year
+          </label>
+          {newHolidayOverride.action === 'add' && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: 5, marginBottom: 8 }}>
+              <input
+                type="checkbox"
+                checked={newHolidayOverride.halfDay}
+                onChange={e => setNewHolidayOverride({ ...newHolidayOverride, halfDay: e.target.checked })}
+              />
+              Half day
+            </label>
+          )}
+          <button className="btn btn-outline" onClick={handleAddHolidayOverride}>
+            Add Entry
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: 10, marginBottom: 20 }}>
+          <button
+            className="btn btn-primary"
+            onClick={handleSaveHolidays}
+            disabled={savingHolidays}
+          >
+            {savingHolidays ? 'Saving...' : 'Save Holiday Calendar'}
+          </button>
+          {holidayOverrides.length > 0 && (
+            <button className="btn btn-outline" onClick={handleResetHolidays}>
+              Remove All Overrides
+            </button>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 10 }}>
+          <h3 style={{ margin: 0 }}>Holidays in</h3>
+          <input
+            type="number"
+            value={holidayYear}
+            onChange={e => e.target.value && setHolidayYear(Number(e.target.value))}
+            style={{ width: 80, padding: '4px 6px' }}
+          />
+          <span style={{ fontSize: 12, color: '#999' }}>(saved calendar)</span>
+        </div>
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Holiday</th>
+              <th>Applies To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {yearHolidays.map((h, i) => (
+              <tr key={`${h.date}-${i}`}>
+                <td>{h.date}</td>
+                <td>
+                  {h.nameEn}
+                  {h.halfDay && <span style={{ fontSize: 12, color: '#666', marginLeft: 5 }}>(half day)</span>}
+                  {h.custom && (
+                    <span className="request-card-badge badge-approved" style={{ marginLeft: 5 }}>custom</span>
+                  )}
+                </td>
+                <td>{h.type === 'federal' ? 'Everyone' : h.states.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* School Holidays & Leave Caps */}
+      <div className="card" style={{ marginTop: 20 }}>
+        <div className="card-header">
+          <h2>School Holidays &amp; Leave Caps</h2>
+        </div>
+        <p style={{ color: '#666', marginBottom: 15 }}>
+          Import the school holidays of a state from an ICS calendar (e.g. from the state ministry or schulferien.org).
+          Importing again replaces the periods of that state between the first and last imported dates.
+          Request review shows how many colleagues are already off; approving over a cap needs confirmation.
+        </p>
+        <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 15 }}>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label>State</label>
+            <select value={importState} onChange={e => setImportState(e.target.value)}>
+              <option value="">-- Select state --</option>
+              {germanStates.map(s => (
+                <option key={s.code} value={s.code}>{s.code} - {s.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group" style={{ margin: 0 }}>
+            <label>ICS File</label>
+            <input type="file" accept=".ics,text/calendar" onChange={handleImportSchoolHolidays} disabled={importing} />
+          </div>
+          {importing && <span style={{ color: '#666', marginBottom: 8 }}>Importing...</span>}
+        </div>
+        {schoolHolidays.length > 0 && (
+          <table className="data-table" style={{ marginBottom: 20 }}>
+            <thead>
+              <tr>
+                <th>State</th>
+                <th>Holidays</th>
+                <th>From</th>
+                <th>To</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {schoolHolidays.map((p, i) => (
+                <tr key={`${p.state}-${p.start}-${i}`}>
+                  <td>{p.state}</td>
+                  <td>{p.name}</td>
+                  <td>{p.start}</td>
+                  <td>{p.end}</td>
+                  <td>
+                    {(i === 0 || schoolHolidays[i - 1].state !== p.state) && (
+                      <button
+                        className="btn btn-danger"
+                        style={{ padding: '3px 8px' }}
+                        onClick={() => handleRemoveSchoolHolidays(p.state)}
+                      >
+                        Remove {p.state}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {leaveCaps && (
+          <div>
+            <h3 style={{ marginBottom: 10 }}>Leave Caps</h3>
+            <div className="form-group" style={{ maxWidth: 400 }}>
+              <label>Max engineers off during their state's school holidays</label>
+              <input
+                type="number"
+                min="0"
+                value={leaveCaps.schoolHolidayMaxOff ?? ''}
+                onChange={e => setLeaveCaps({
+                  ...leaveCaps,
+                  schoolHolidayMaxOff: e.target.value === '' ? null : Number(e.target.value)
+                })}
+                placeholder="No cap"
+                style={{ width: 100 }}
+              />
+            </div>
+            {leaveCaps.periods.length > 0 && (
+              <table className="data-table" style={{ marginBottom: 15 }}>
+                <thead>
+                  <tr>
+                    <th>Period</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Max Off</th>
+                    <th>States</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {leaveCaps.periods.map((p, i) => (
+                    <tr key={`${p.start}-${i}`}>
+                      <td>{p.name}</td>
+                      <td>{p.start}</td>
+                      <td>{p.end}</td>
+                      <td>{p.maxOff}</td>
+                      <td>{p.states?.join(', ') || 'Everyone'}</td>
+                      <td>
+                        <button
+                          className="btn btn-danger"
+                          style={{ padding: '3px 8px' }}
+                          onClick={() => handleRemoveLeaveCap(i)}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 20 }}>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Period</label>
+                <input
+                  type="text"
+                  value={newLeaveCap.name}
+                  onChange={e => setNewLeaveCap({ ...newLeaveCap, name: e.target.value })}
+                  placeholder="e.g. Summer holidays"
+                />
+              </div>
+              {['start', 'end'].map(field => (
+                <div key={field} className="form-group" style={{ margin: 0 }}>
+                  <label style={{ textTransform: 'capitalize' }}>{field}</label>
+                  <input
+                    type="date"
+                    value={newLeaveCap[field]}
+                    onChange={e => setNewLeaveCap({ ...newLeaveCap, [field]: e.target.value })}
+                  />
+                </div>
+              ))}
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Max Off</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={newLeaveCap.maxOff}
+                  onChange={e => setNewLeaveCap({ ...newLeaveCap, maxOff: e.target.value })}
+                  style={{ width: 70 }}
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>States</label>
+                <input
+                  type="text"
+                  value={newLeaveCap.states}
+                  onChange={e => setNewLeaveCap({ ...newLeaveCap, states: e.target.value })}
+                  placeholder="Everyone, or e.g. BE, BB"
+                  style={{ width: 170 }}
+                />
+              </div>
+              <button className="btn btn-outline" onClick={handleAddLeaveCap}>
+                Add Cap
+              </button>
+            </div>
+            <button
+              className="btn btn-primary"
+              onClick={handleSaveLeaveCaps}
+              disabled={savingLeaveCaps}
+            >
+              {savingLeaveCaps ? 'Saving...' : 'Save Leave Caps'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Vacation Entitlement */}
+      <div className="card" style={{ marginTop: 20 }}>
+        <div className="card-header">
+          <h2>Vacation Entitlement</h2>
+        </div>
+        <p style={{ color: '#666', marginBottom: 15 }}>
+          Default annual vacation days; users can have their own entitlement and an employment start in User Management.
+          Joiners get a twelfth per full month. Vacation days on weekends and public holidays are not deducted; sick and personal
+          days are tracked separately. Unused days carry over up to the limit and lapse after the deadline.
+        </p>
+        {leaveEntitlement && (
+          <div>
+            <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 15 }}>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Annual Days</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={leaveEntitlement.annualDays}
+                  onChange={e => setLeaveEntitlement({ ...leaveEntitlement, annualDays: e.target.value })}
+                  style={{ width: 90 }}
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Max Carry-Over Days</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={leaveEntitlement.carryOverMaxDays}
+                  onChange={e => setLeaveEntitlement({ ...leaveEntitlement, carryOverMaxDays: e.target.value })}
+                  style={{ width: 90 }}
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Carry-Over Until (MM-DD)</label>
+                <input
+                  type="text"
+                  value={leaveEntitlement.carryOverUntil}
+                  onChange={e => setLeaveEntitlement({ ...leaveEntitlement, carryOverUntil: e.target.value })}
+                  placeholder="03-31"
+                  style={{ width: 90 }}
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Requests Over Balance</label>
+                <select
+                  value={leaveEntitlement.overdraft}
+                  onChange={e => setLeaveEntitlement({ ...leaveEntitlement, overdraft: e.target.value })}
+                >
+                  <option value="warn">Submit with a warning</option>
+                  <option value="reject">Reject</option>
+                </select>
+              </div>
+            </div>
+            <button
+              className="btn btn-primary"
+              onClick={handleSaveLeaveEntitlement}
+              disabled={savingLeaveEntitlement}
+            >
+              {savingLeaveEntitlement ? 'Saving...' : 'Save Vacation Entitlement'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Approval Workflow */}
+      <div className="card" style={{ marginTop: 20 }}>
+        <div className="card-header">
+          <h2>Approval Workflow</h2>
+        </div>
+        <p style={{ color: '#666', marginBottom: 15 }}>
+          Requests go through the first chain matching their type and number of days, stage by stage; other requests
+          need one manager approval. Admins may approve any stage, and approvers can delegate to a colleague on their
+          Profile while away. A stage pending longer than the escalation deadline, or too close to
+          the 15-day planning window, escalates to the next role up (team lead → manager → admin).
+        </p>
+        {approvalWorkflow && (
+          <div>
+            <div className="form-group" style={{ maxWidth: 400 }}>
+              <label>Escalate after (hours)</label>
+              <input
+                type="number"
+                min="1"
+                value={approvalWorkflow.escalateAfterHours ?? ''}
+                onChange={e => setApprovalWorkflow({
+                  ...approvalWorkflow,
+                  escalateAfterHours: e.target.value === '' ? null : Number(e.target.value)
+                })}
+                placeholder="Only at the planning window"
+                style={{ width: 100 }}
+              />
+            </div>
+            {approvalWorkflow.chains.length > 0 && (
+              <table className="data-table" style={{ marginBottom: 15 }}>
+                <thead>
+                  <tr>
+                    <th>Chain</th>
+                    <th>Requests</th>
+                    <th>Min Days</th>
+                    <th>Stages</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {approvalWorkflow.chains.map((chain, i) => (
+                    <tr key={`${chain.name}-${i}`}>
+                      <td>{chain.name}</td>
+                      <td>{REQUEST_TYPE_LABELS[chain.type] || 'All'}</td>
+                      <td>{chain.minDays ?? '-'}</td>
+                      <td>{chain.stages.map(role => APPROVER_ROLE_LABELS[role] || role).join(' → ')}</td>
+                      <td>
+                        <button
+                          className="btn btn-danger"
+                          style={{ padding: '3px 8px' }}
+                          onClick={() => handleRemoveApprovalChain(i)}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: 20 }}>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Chain</label>
+                <input
+                  type="text"
+                  value={newApprovalChain.name}
+                  onChange={e => setNewApprovalChain({ ...newApprovalChain, name: e.target.value })}
+                  placeholder="e.g. Long leave"
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Requests</label>
+                <select
+                  value={newApprovalChain.type}
+                  onChange={e => setNewApprovalChain({ ...newApprovalChain, type: e.target.value })}
+                >
+                  <option value="">All</option>
+                  {Object.entries(REQUEST_TYPE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Min Days</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={newApprovalChain.minDays}
+                  onChange={e => setNewApprovalChain({ ...newApprovalChain, minDays: e.target.value })}
+                  placeholder="Any"
+                  style={{ width: 70 }}
+                />
+              </div>
+              <div className="form-group" style={{ margin: 0 }}>
+                <label>Stages</label>
+                <input
+                  type="text"
+                  value={newApprovalChain.stages}
+                  onChange={e => setNewApprovalChain({ ...newApprovalChain, stages: e.target.value })}
+                  placeholder="team_lead, manager, admin"
+                  style={{ width: 200 }}
+                />
+              </div>
+              <button className="btn btn-outline" onClick={handleAddApprovalChain}>
+                Add Chain
+              </button>
+            </div>
+            <button
+              className="btn btn-primary"
+              onClick={handleSaveApprovalWorkflow}
+              disabled={savingApprovalWorkflow}
+            >
+              {savingApprovalWorkflow ? 'Saving...' : 'Save Approval Workflow'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Shift Swaps */}
+      <div className="card" style={{ marginTop: 20 }}>
+        <div className="card-header">
+          <h2>Shift Swaps</h2>
+        </div>
+        <p style={{ color: '#666', marginBottom: 15 }}>
+          Engineers offer published shifts on the Shift Swaps page and colleagues accept them. Swaps that break
+          coverage, rest or consecutive-day rules are refused.
+        </p>
+        {swapSettings && (
+          <label>
+            <input
+              type="checkbox"
+              checked={swapSettings.requireApproval}
+              onChange={e => handleToggleSwapApproval(e.target.checked)}
+              style={{ marginRight: 5 }}
+            />
+            Require manager approval before an accepted swap changes the schedule
+          </label>
+        )}
+      </div>
+
       {/* User Management */}
       <div className="card" style={{ marginTop: 20 }}>
         <div className="card-header">
@@ -10,6 +10,8 @@ function Dashboard() {
   const [pendingRequests, setPendingRequests] = useState([]);
   const [latestSchedule, setLatestSchedule] = useState(null);
   const [lockedAccounts, setLockedAccounts] = useState([]);
+  const [fairness, setFairness] = useState(null);
+  const [compliance, setCompliance] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -24,7 +26,9 @@ function Dashboard() {
         api.getEngineers(true),
         api.getSchedules(),
         api.getPendingRequests(),
-        api.getLatestPublishedSchedule().catch(() => null)
+        api.getLatestPublishedSchedule().catch(() => null),
+        api.getFairnessReport().catch(() => null),
+        api.getComplianceReport().catch(() => null)
       ];
 
       if (isAdmin) {
@@ -32,8 +36,8 @@ function Dashboard() {
       }
 
       const results = await Promise.all(promises);
-      const [engineers, schedules, pending, latest] = results;
-      const locked = results[4] || [];
+      const [engineers, schedules, pending, latest, fairnessReport, complianceReport] = results;
+      const locked = results[6] || [];
 
       setStats({
         totalUsers: engineers.length,
@@ -45,6 +49,8 @@ function Dashboard() {
 
       setPendingRequests(pending.requests || []);
       setLatestSchedule(latest);
+      setFairness(fairnessReport);
+      setCompliance(complianceReport);
       setLockedAccounts(locked);
     } catch (err) {
       setError(err.message);
@@ -242,6 +248,119 @@ function Dashboard() {
         </div>
       )}
 
+      {/* Long-term fairness (rolling 12 months of published schedules) */}
+      {fairness && fairness.standings.length > 0 && (
+        <div className="card" style={{ marginTop: 20 }}>
+          <div className="card-header">
+            <h2>Fairness: {fairness.window.from} to {fairness.window.to}</h2>
+            <span style={{ fontSize: 13, color: '#666' }}>
+              {fairness.publishedMonths.length} published month(s), per month worked - used by generation to rotate unpopular shifts
+            </span>
+          </div>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>User</th>
+                <th>Nights</th>
+                <th>Weekend days</th>
+                <th>Holidays</th>
+                <th>Lates</th>
+                <th>Sundays</th>
+                <th title="Sum of the per-month rates">Load</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fairness.standings.map(s => (
+                <tr key={s.engineerId} style={s.isActive ? {} : { color: '#999' }}>
+                  <td>{s.rank}</td>
+                  <td>{s.name}</td>
+                  {fairness.categories.map(c => (
+                    <td
+                      key={c}
+                      title={`${s.totals[c]} in ${s.months} month(s), team average ${fairness.averages[c]}/month`}
+                      style={{ fontWeight: s.perMonth[c] > fairness.averages[c] ? 600 : 400 }}
+                    >
+                      {s.perMonth[c]}
+                    </td>
+                  ))}
+                  <td>{s.load}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Working time compliance over all published schedules (rule pack of each engineer) */}
+      {compliance && compliance.engineers.length > 0 && (
+        <div className="card" style={{ marginTop: 20 }}>
+          <div className="card-header">
+            <h2>Working Time Compliance as of {compliance.asOf}</h2>
+            <span style={{ fontSize: 13, color: '#666' }}>
+              {compliance.publishedMonths.length} published month(s) - {compliance.limits.law}: max {compliance.limits.maxAverageWeeklyHours}h/week
+              over {compliance.limits.averagingWeeks} weeks, {compliance.limits.minFreeSundays} free Sundays per year
+            </span>
+          </div>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Law</th>
+                <th title="Rolling average over the averaging period of the engineer's law">Avg hours/week</th>
+                <th>Peak average</th>
+                <th>Sundays worked / free</th>
+                <th title="Sunday and holiday work without a substitute rest day">Rest days owed</th>
+                <th>Violations</th>
+              </tr>
+            </thead>
+            <tbody>
+              {compliance.engineers.map(e => (
+                <tr key={e.engineerId} style={e.isActive ? {} : { color: '#999' }}>
+                  <td>{e.name}</td>
+                  <td title={`Max ${e.limits.maxAverageWeeklyHours}h/week over ${e.limits.averagingWeeks} weeks`}>
+                    {e.limits.law}
+                  </td>
+                  <td
+                    title={`${e.countedDays} day(s) on record`}
+                    style={{ fontWeight: e.averageWeeklyHours > e.limits.maxAverageWeeklyHours ? 600 : 400 }}
+                  >
+                    {e.averageWeeklyHours}
+                  </td>
+                  <td>{e.peakAverageWeeklyHours ?? '-'}</td>
+                  {e.limits.minFreeSundays !== null ? (
+                    <td
+                      title={`${e.sundays.year}: ${e.sundays.remaining} more Sunday(s) may be worked`}
+                      style={{ color: e.sundays.remaining < 0 ? '#c62828' : undefined }}
+                    >
+                      {e.sundays.worked} / {e.sundays.free}
+                    </td>
+                  ) : (
+                    <td style={{ color: '#999' }} title={`No free Sunday rule in ${e.limits.law}`}>-</td>
+                  )}
+                  {e.limits.sundaySubstituteRestWeeks !== null ? (
+                    <td title={e.substituteRest.pending.map(i => `${i.date} due by ${i.dueBy}`).join(', ')}>
+                      {e.substituteRest.owed.length}
+                      {e.substituteRest.pending.length > 0 && (
+                        <span style={{ color: '#666' }}> (+{e.substituteRest.pending.length} pending)</span>
+                      )}
+                    </td>
+                  ) : (
+                    <td style={{ color: '#999' }} title={`No substitute rest rule in ${e.limits.law}`}>-</td>
+                  )}
+                  <td
+                    title={e.violations.map(v => `${v.date}: ${v.message}`).join('\n')}
+                    style={{ color: e.violations.length > 0 ? '#c62828' : undefined }}
+                  >
+                    {e.violations.length}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       <div className="card" style={{ marginTop: 20 }}>
         <div className="card-header">
           <h2>Shift Legend</h2>
@@ -14,6 +14,9 @@ function EngineerUnavailability() {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [unavailableType, setUnavailableType] = useState('vacation');
+  const [affectedSchedules, setAffectedSchedules] = useState([]);
+  const [repair, setRepair] = useState(null);
+  const [repairing, setRepairing] = useState(false);
 
   useEffect(() => {
     loadData();
@@ -84,7 +87,9 @@ function EngineerUnavailability() {
         notes: ''
       }));
 
-      await api.addUserUnavailableDates(id, dates);
+      const result = await api.addUserUnavailableDates(id, dates);
+      setAffectedSchedules(result.affectedSchedules || []);
+      setRepair(null);
       setSuccess(`Added ${dates.length} unavailable date(s)`);
       setSelectedDates(new Set());
       await loadData();
@@ -96,6 +101,42 @@ function EngineerUnavailability() {
     }
   };
 
+  const handleProposeRepair = async (affected) => {
+    setRepairing(true);
+    setError('');
+    try {
+      const result = await api.proposeScheduleRepair(affected.scheduleId, id, affected.dates);
+      setRepair(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRepairing(false);
+    }
+  };
+
+  const handleApplyRepair = async () => {
+    if (!repair || repair.changes.length === 0) return;
+    if (!confirm(`Apply ${repair.changes.length} change(s) to the published ${repair.month} schedule? Affected users will be notified.`)) return;
+
+    setRepairing(true);
+    setError('');
+    try {
+      const result = await api.applyScheduleRepair(
+        repair.scheduleId,
+        repair.changes,
+        `Repair after unavailability of ${user.name}`
+      );
+      setSuccess(`Applied ${result.applied} change(s), notified ${result.notified.length} user(s)`);
+      setAffectedSchedules(prev => prev.filter(a => a.scheduleId !== repair.scheduleId));
+      setRepair(null);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRepairing(false);
+    }
+  };
+
   const handleRemoveDates = async (datesToRemove) => {
     if (!confirm(`Remove ${datesToRemove.length} unavailable date(s)?`)) return;
 
@@ -246,6 +287,82 @@ function EngineerUnavailability() {
       {error && <div className="alert alert-error">{error}</div>}
       {success && <div className="alert alert-success">{success}</div>}
 
+      {/* Published schedules affected by new unavailability */}
+      {affectedSchedules.length > 0 && (
+        <div className="card" style={{ background: '#fff3e0' }}>
+          <div className="card-header">
+            <h2>Published Schedule Affected</h2>
+          </div>
+          {affectedSchedules.map(affected => (
+            <div key={affected.scheduleId} style={{ display: 'flex', alignItems: 'center', gap: 15, marginBottom: 10 }}>
+              <span>
+                <strong>{affected.month}</strong>: {user.name} is scheduled to work on {affected.dates.join(', ')}
+              </span>
+              <button
+                className="btn btn-primary"
+                onClick={() => handleProposeRepair(affected)}
+                disabled={repairing}
+              >
+                {repairing ? 'Working...' : 'Propose Repair'}
+              </button>
+            </div>
+          ))}
+
+          {repair && (
+            <div style={{ marginTop: 15 }}>
+              {repair.changes.length === 0 ? (
+                <p style={{ color: '#666' }}>No changes could be proposed.</p>
+              ) : (
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>User</th>
+                      <th>Date</th>
+                      <th>Old Shift</th>
+                      <th>New Shift</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {repair.changes.map(change => (
+                      <tr key={`${change.engineerId}-${change.date}`}>
+                        <td>{change.engineerName}</td>
+                        <td>{format(parseISO(change.date), 'EEE, MMM d')}</td>
+                        <td>{change.oldShift || '-'}</td>
+                        <td><strong>{change.newShift || '-'}</strong></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {repair.remainingIssues.length > 0 && (
+                <div className="alert alert-error" style={{ marginTop: 15 }}>
+                  <strong>Needs manual attention:</strong>
+                  <ul style={{ margin: '5px 0 0 20px' }}>
+                    {repair.remainingIssues.map((issue, i) => (
+                      <li key={i}>{issue.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div style={{ display: 'flex', gap: 10, marginTop: 15 }}>
+                <button
+                  className="btn btn-primary"
+                  onClick={handleApplyRepair}
+                  disabled={repairing || repair.changes.length === 0}
+                >
+                  Apply Changes
+                </button>
+                <button className="btn btn-outline" onClick={() => setRepair(null)} disabled={repairing}>
+                  Discard
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Calendar Navigation */}
       <div className="card">
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 20 }}>
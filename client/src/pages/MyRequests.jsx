@@ -3,11 +3,14 @@ import api from '../services/api';
 import { useAuth } from '../App';
 import { format, addDays } from 'date-fns';
 
+const ROLE_LABELS = { team_lead: 'team lead', manager: 'manager', admin: 'admin' };
+
 function MyRequests() {
   const { user } = useAuth();
   const [requests, setRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [warning, setWarning] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [formData, setFormData] = useState({
     type: 'time_off',
@@ -16,19 +19,24 @@ function MyRequests() {
     reason: ''
   });
   const [dateInput, setDateInput] = useState('');
+  const [shiftNames, setShiftNames] = useState(['Early', 'Morning', 'Late', 'Night']);
 
   // Calculate minimum date (15 days from today)
   const minDate = format(addDays(new Date(), 15), 'yyyy-MM-dd');
 
   useEffect(() => {
     loadRequests();
+    api.getShiftCatalogue()
+      .then(data => setShiftNames(data.shifts.map(s => s.name)))
+      .catch(() => {});
   }, []);
 
   const loadRequests = async () => {
     try {
       setLoading(true);
       const data = await api.getRequests();
-      setRequests(data);
+      // Managers and reviewers also get the requests of others
+      setRequests(data.filter(r => r.userId === user.id));
     } catch (err) {
       setError(err.message);
     } finally {
@@ -39,13 +47,18 @@ function MyRequests() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setWarning('');
 
     try {
-      await api.createRequest(formData);
+      const result = await api.createRequest(formData);
+      // Over the remaining vacation balance - submitted, but the manager sees the warning too
+      if (result.warnings) {
+        setWarning(`${result.message}: ${result.warnings.join('; ')}`);
+      }
       await loadRequests();
       closeModal();
     } catch (err) {
-      setError(err.data?.error || err.message);
+      setError(err.data?.details ? `${err.message}: ${err.data.details.join('; ')}` : err.data?.error || err.message);
       if (err.data?.violations) {
         const violationMsg = err.data.violations.map(v =>
           `${v.date}: only ${v.leadDays} days lead time`
@@ -146,6 +159,7 @@ function MyRequests() {
       </div>
 
       {error && <div className="alert alert-error">{error}</div>}
+      {warning && <div className="alert alert-warning">{warning}</div>}
 
       <div className="alert alert-info" style={{ marginBottom: 20 }}>
         <strong>Note:</strong> All scheduling requests require at least 15 days lead time.
@@ -185,6 +199,13 @@ function MyRequests() {
                   )}
                   <div style={{ marginTop: 10, fontSize: 12, color: '#666' }}>
                     Submitted: {format(new Date(req.createdAt), 'MMM d, yyyy HH:mm')}
+                    {req.approvalChain && (
+                      <span>
+                        {' | '}Waiting for {ROLE_LABELS[req.approvalChain.stages[req.approvalChain.currentStage]?.role]} approval
+                        {req.approvalChain.stages.length > 1 &&
+                          ` (step ${req.approvalChain.currentStage + 1} of ${req.approvalChain.stages.length})`}
+                      </span>
+                    )}
                   </div>
                 </div>
                 <div className="request-card-footer">
@@ -263,7 +284,7 @@ function MyRequests() {
                       ...prev,
                       type: e.target.value,
                       details: e.target.value === 'preference_update'
-                        ? { preferences: ['Early', 'Morning', 'Late', 'Night'] }
+                        ? { preferences: [...shiftNames] }
                         : e.target.value === 'shift_change'
                         ? { currentShift: 'Early', requestedShift: 'Morning' }
                         : {}
@@ -315,10 +336,9 @@ function MyRequests() {
                           details: { ...prev.details, currentShift: e.target.value }
                         }))}
                       >
-                        <option value="Early">Early</option>
-                        <option value="Morning">Morning</option>
-                        <option value="Late">Late</option>
-                        <option value="Night">Night</option>
+                        {shiftNames.map(shift => (
+                          <option key={shift} value={shift}>{shift}</option>
+                        ))}
                         <option value="OFF">OFF</option>
                       </select>
                     </div>
@@ -331,10 +351,9 @@ function MyRequests() {
                           details: { ...prev.details, requestedShift: e.target.value }
                         }))}
                       >
-                        <option value="Early">Early</option>
-                        <option value="Morning">Morning</option>
-                        <option value="Late">Late</option>
-                        <option value="Night">Night</option>
+                        {shiftNames.map(shift => (
+                          <option key={shift} value={shift}>{shift}</option>
+                        ))}
                         <option value="OFF">OFF</option>
                       </select>
                     </div>
@@ -346,7 +365,7 @@ function MyRequests() {
                   <div className="form-group">
                     <label>Shift Preferences (select shifts you can work)</label>
                     <div className="preferences-grid">
-                      {['Early', 'Morning', 'Late', 'Night'].map(shift => (
+                      {shiftNames.map(shift => (
                         <label key={shift} className="preference-item">
                           <input
                             type="checkbox"
@@ -8,10 +8,14 @@ function Profile() {
   const [userData, setUserData] = useState(null);
   const [states, setStates] = useState([]);
   const [holidays, setHolidays] = useState([]);
+  const [leaveBalance, setLeaveBalance] = useState(null);
+  const [colleagues, setColleagues] = useState([]);
+  const [delegation, setDelegation] = useState({ delegateId: '', from: '', until: '' });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [preferences, setPreferences] = useState([]);
+  const [shiftOptions, setShiftOptions] = useState([]);
   const [saving, setSaving] = useState(false);
 
   // Password change state
@@ -41,13 +45,22 @@ function Profile() {
   const loadData = async () => {
     try {
       setLoading(true);
-      const [stateList, currentUser] = await Promise.all([
+      const [stateList, currentUser, shiftOptionData] = await Promise.all([
         api.request('/users/states'),
-        api.request('/auth/me')
+        api.request('/auth/me'),
+        api.request('/users/shift-options')
       ]);
       setStates(stateList);
+      setShiftOptions(shiftOptionData.weekday);
       setUserData(currentUser);
       setPreferences(currentUser.preferences || []);
+      setLeaveBalance(await api.getLeaveBalance(currentUser.id, new Date().getFullYear()));
+      setDelegation(currentUser.delegation || { delegateId: '', from: '', until: '' });
+
+      if (currentUser.isTeamLead || currentUser.isManager || currentUser.isAdmin) {
+        const users = await api.getUsers(true);
+        setColleagues(users.filter(u => u.id !== currentUser.id));
+      }
 
       if (currentUser.state) {
         try {
@@ -88,6 +101,32 @@ function Profile() {
     }
   };
 
+  const handleSaveDelegation = async () => {
+    setError('');
+    setSuccess('');
+    try {
+      const result = await api.setDelegation(userData.id, delegation);
+      setUserData(prev => ({ ...prev, delegation: result.delegation }));
+      setSuccess(`Approvals delegated to ${result.delegation.delegateName}`);
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.data?.details ? err.data.details.join('; ') : err.message);
+    }
+  };
+
+  const handleEndDelegation = async () => {
+    setError('');
+    try {
+      await api.clearDelegation(userData.id);
+      setUserData(prev => ({ ...prev, delegation: null }));
+      setDelegation({ delegateId: '', from: '', until: '' });
+      setSuccess('Delegation ended');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const togglePreference = (shift) => {
     setPreferences(prev =>
       prev.includes(shift)
@@ -410,20 +449,17 @@ function Profile() {
             Select the shifts you are available to work. The scheduler will only assign you to shifts you've selected.
           </p>
           <div className="preferences-grid" style={{ maxWidth: 500 }}>
-            {['Early', 'Morning', 'Late', 'Night'].map(shift => (
-              <label key={shift} className="preference-item">
+            {shiftOptions.map(shift => (
+              <label key={shift.id} className="preference-item">
                 <input
                   type="checkbox"
-                  checked={preferences.includes(shift)}
-                  onChange={() => togglePreference(shift)}
+                  checked={preferences.includes(shift.id)}
+                  onChange={() => togglePreference(shift.id)}
                   style={{ width: 'auto' }}
                 />
-                <span className={`shift-cell shift-${shift}`}>{shift}</span>
+                <span className={`shift-cell shift-${shift.id}`}>{shift.name}</span>
                 <span style={{ fontSize: 12, color: '#666', marginLeft: 'auto' }}>
-                  {shift === 'Early' && '07:00-15:30'}
-                  {shift === 'Morning' && '10:00-18:30'}
-                  {shift === 'Late' && '15:00-23:30'}
-                  {shift === 'Night' && '23:00-07:30'}
+                  {shift.description.replace(' - ', '-')}
                 </span>
               </label>
             ))}
@@ -439,6 +475,121 @@ function Profile() {
         </div>
       )}
 
+      {/* Vacation Balance */}
+      {leaveBalance && (
+        <div className="card" style={{ marginTop: 20 }}>
+          <div className="card-header">
+            <h2>Vacation Balance ({leaveBalance.year})</h2>
+          </div>
+          <table className="data-table">
+            <tbody>
+              <tr>
+                <td>Entitlement</td>
+                <td>
+                  {leaveBalance.entitlement} days
+                  {leaveBalance.proRated && (
+                    <span style={{ fontSize: 12, color: '#666', marginLeft: 5 }}>
+                      (pro-rated from {leaveBalance.annualDays})
+                    </span>
+                  )}
+                </td>
+              </tr>
+              <tr>
+                <td>Carried over</td>
+                <td>
+                  {leaveBalance.carriedOver} days
+                  {leaveBalance.carriedOver > 0 && (
+                    <span style={{ fontSize: 12, color: leaveBalance.carryOverLapsed > 0 ? '#c62828' : '#666', marginLeft: 5 }}>
+                      {leaveBalance.carryOverLapsed > 0
+                        ? `(${leaveBalance.carryOverLapsed} lapsed on ${format(new Date(leaveBalance.carryOverUntil), 'MMM d')})`
+                        : `(usable until ${format(new Date(leaveBalance.carryOverUntil), 'MMM d')})`}
+                    </span>
+                  )}
+                </td>
+              </tr>
+              <tr>
+                <td>Taken or booked</td>
+                <td>{leaveBalance.taken} days</td>
+              </tr>
+              <tr>
+                <td><strong>Remaining</strong></td>
+                <td style={{ color: leaveBalance.remaining < 0 ? '#c62828' : undefined }}>
+                  <strong>{leaveBalance.remaining} days</strong>
+                  {leaveBalance.pending > 0 && (
+                    <span style={{ fontSize: 12, color: '#666', marginLeft: 5 }}>
+                      ({leaveBalance.pending} more requested, waiting for approval)
+                    </span>
+                  )}
+                </td>
+              </tr>
+              <tr>
+                <td>Sick days</td>
+                <td>{leaveBalance.byType.sick}</td>
+              </tr>
+              <tr>
+                <td>Personal days</td>
+                <td>{leaveBalance.byType.personal}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Approval Delegation */}
+      {userData && (userData.isTeamLead || userData.isManager || userData.isAdmin) && (
+        <div className="card" style={{ marginTop: 20 }}>
+          <div className="card-header">
+            <h2>Approval Delegation</h2>
+          </div>
+          <p style={{ color: '#666', marginBottom: 15 }}>
+            While you are away, a colleague can approve requests on your behalf. Their decisions are recorded
+            in the approval trail as made for you.
+          </p>
+          {userData.delegation && (
+            <div className="alert alert-info">
+              Delegated to {userData.delegation.delegateName} from {format(new Date(userData.delegation.from), 'MMM d, yyyy')} to{' '}
+              {format(new Date(userData.delegation.until), 'MMM d, yyyy')}
+            </div>
+          )}
+          <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <div className="form-group" style={{ margin: 0 }}>
+              <label>Delegate</label>
+              <select
+                value={delegation.delegateId}
+                onChange={e => setDelegation({ ...delegation, delegateId: e.target.value })}
+              >
+                <option value="">Select a colleague...</option>
+                {colleagues.map(u => (
+                  <option key={u.id} value={u.id}>{u.name}</option>
+                ))}
+              </select>
+            </div>
+            {['from', 'until'].map(field => (
+              <div key={field} className="form-group" style={{ margin: 0 }}>
+                <label style={{ textTransform: 'capitalize' }}>{field}</label>
+                <input
+                  type="date"
+                  value={delegation[field]}
+                  onChange={e => setDelegation({ ...delegation, [field]: e.target.value })}
+                />
+              </div>
+            ))}
+            <button
+              className="btn btn-primary"
+              onClick={handleSaveDelegation}
+              disabled={!delegation.delegateId || !delegation.from || !delegation.until}
+            >
+              Save Delegation
+            </button>
+            {userData.delegation && (
+              <button className="btn btn-outline" onClick={handleEndDelegation}>
+                End Delegation
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Holidays */}
       {userData && userData.state && holidays.length > 0 && (
         <div className="card" style={{ marginTop: 20 }}>
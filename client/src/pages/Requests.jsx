@@ -2,6 +2,16 @@ import React, { useState, useEffect } from 'react';
 import api from '../services/api';
 import { format } from 'date-fns';
 
+const ROLE_LABELS = { team_lead: 'Team Lead', manager: 'Manager', admin: 'Admin' };
+
+const TRAIL_ACTIONS = {
+  submitted: 'Submitted',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  escalated: 'Escalated',
+  cancelled: 'Cancelled'
+};
+
 function Requests() {
   const [requests, setRequests] = useState([]);
   const [filter, setFilter] = useState('pending');
@@ -10,6 +20,7 @@ function Requests() {
   const [showRejectModal, setShowRejectModal] = useState(false);
   const [rejectingRequest, setRejectingRequest] = useState(null);
   const [rejectNotes, setRejectNotes] = useState('');
+  const [impacts, setImpacts] = useState({});
 
   useEffect(() => {
     loadRequests();
@@ -27,10 +38,31 @@ function Requests() {
     }
   };
 
-  const handleApprove = async (id) => {
+  const handleApprove = async (request) => {
+    const { id, type } = request;
     try {
       await api.approveRequest(id);
       await loadRequests();
+    } catch (err) {
+      // Over a leave cap or breaking scheduling rules - the manager may approve anyway.
+      // The planning window cannot be overridden.
+      if (err.status === 409 && !request.insidePlanningWindow && confirm(`${err.message}\n\n${(err.data?.details || []).join('\n')}\n\nApprove anyway?`)) {
+        try {
+          await api.approveRequest(id, '', type === 'time_off', type === 'shift_change');
+          await loadRequests();
+        } catch (retryErr) {
+          setError(retryErr.message);
+        }
+        return;
+      }
+      setError(err.message);
+    }
+  };
+
+  const handleShowImpact = async (id) => {
+    try {
+      const impact = await api.getRequestImpact(id);
+      setImpacts(prev => ({ ...prev, [id]: impact }));
     } catch (err) {
       setError(err.message);
     }
@@ -138,6 +170,111 @@ function Requests() {
                         </span>
                       ))}
                     </div>
+                    {req.leaveOverview && (
+                      <table className="data-table" style={{ marginTop: 10, fontSize: 13 }}>
+                        <thead>
+                          <tr>
+                            <th>Date</th>
+                            <th>Already Off</th>
+                            <th>Pending</th>
+                            <th>School Holidays</th>
+                            <th>Cap</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {req.leaveOverview.dates.map(d => (
+                            <tr key={d.date}>
+                              <td>{format(new Date(d.date), 'EEE, MMM d')}</td>
+                              <td title={d.colleagues.join(', ')} style={{ color: d.overCap ? '#c62828' : undefined }}>
+                                <strong>{d.off}</strong>
+                                {d.off > 0 && (
+                                  <span style={{ fontSize: 12, color: '#666', marginLeft: 5 }}>
+                                    ({d.colleagues.join(', ')})
+                                  </span>
+                                )}
+                              </td>
+                              <td title={d.pendingColleagues.join(', ')}>{d.pending || '-'}</td>
+                              <td>{d.schoolHoliday || '-'}</td>
+                              <td style={{ color: d.overCap ? '#c62828' : '#666' }}>
+                                {d.cap === null ? '-' : `max ${d.cap} off (${d.capName})`}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                    {req.leaveOverview?.overCap.length > 0 && (
+                      <div style={{ marginTop: 5, fontSize: 12, color: '#c62828' }}>
+                        Approving exceeds the leave cap on {req.leaveOverview.overCap.length} date(s)
+                      </div>
+                    )}
+                    {req.leaveOverview?.balanceWarnings.length > 0 && (
+                      <div style={{ marginTop: 5, fontSize: 12, color: '#c62828' }}>
+                        Exceeds the vacation balance: {req.leaveOverview.balanceWarnings.join('; ')}
+                      </div>
+                    )}
+                    {req.status === 'pending' && req.leaveOverview && !impacts[req.id] && (
+                      <button
+                        className="btn btn-outline"
+                        style={{ padding: '5px 10px', marginTop: 10 }}
+                        onClick={() => handleShowImpact(req.id)}
+                      >
+                        Show Coverage Impact
+                      </button>
+                    )}
+                    {impacts[req.id] && (
+                      <div style={{ marginTop: 10, fontSize: 13 }}>
+                        <strong>Coverage Impact:</strong>
+                        <table className="data-table" style={{ marginTop: 5 }}>
+                          <thead>
+                            <tr>
+                              <th>Date</th>
+                              <th>Their Shift</th>
+                              <th>Coverage After Approval</th>
+                              <th>Minimums</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {impacts[req.id].dates.map(d => (
+                              <tr key={d.date}>
+                                <td>{format(new Date(d.date), 'EEE, MMM d')}</td>
+                                <td>
+                                  {d.scheduleId
+                                    ? <span className={`shift-cell shift-${d.shift}`}>{d.shift || '-'}</span>
+                                    : <span style={{ color: '#666' }}>No schedule yet</span>}
+                                </td>
+                                <td>
+                                  {d.coverage
+                                    ? d.coverage.map(c => (
+                                      <span
+                                        key={c.shift}
+                                        style={{ marginRight: 10, color: c.after < c.min ? '#c62828' : undefined }}
+                                        title={`${c.before} before approval, minimum ${c.min}`}
+                                      >
+                                        {c.shift} {c.after}/{c.min}
+                                      </span>
+                                    ))
+                                    : `${d.available} engineers available, ${d.required} needed`}
+                                  {d.errors.length > 0 && (
+                                    <div style={{ fontSize: 12, color: '#c62828' }}>{d.errors.join('; ')}</div>
+                                  )}
+                                </td>
+                                <td>
+                                  <span className={`request-card-badge ${d.canMeetMinimums ? 'badge-approved' : 'badge-rejected'}`}>
+                                    {d.canMeetMinimums ? 'met' : 'not met'}
+                                  </span>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                        {impacts[req.id].errors.length > 0 && (
+                          <div style={{ marginTop: 5, fontSize: 12, color: '#c62828' }}>
+                            {impacts[req.id].errors.join('; ')}
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -156,6 +293,31 @@ function Requests() {
                         <strong>Date(s):</strong> {req.dates.join(', ')}
                       </div>
                     )}
+                    {req.schedulePreview && (
+                      <div style={{ marginTop: 10, fontSize: 13 }}>
+                        {req.schedulePreview.schedules.map(s => (
+                          <div key={s.scheduleId} style={{ marginTop: 5 }}>
+                            <strong>{s.month} ({s.status}):</strong>{' '}
+                            {s.changes.map(c => `${c.date} ${c.oldShift || 'None'} → ${c.newShift}`).join(', ')}
+                            {s.errors.length > 0 && (
+                              <ul style={{ margin: '5px 0 0', paddingLeft: 20, color: '#c62828' }}>
+                                {s.errors.map(e => <li key={e}>{e}</li>)}
+                              </ul>
+                            )}
+                          </div>
+                        ))}
+                        {req.schedulePreview.skipped.length > 0 && (
+                          <div style={{ marginTop: 5, color: '#666' }}>
+                            Not applied: {req.schedulePreview.skipped.map(s => `${s.date} (${s.reason})`).join(', ')}
+                          </div>
+                        )}
+                        {req.schedulePreview.valid && req.schedulePreview.schedules.length > 0 && (
+                          <div style={{ marginTop: 5, color: '#666' }}>
+                            No scheduling rules are broken by this change
+                          </div>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -183,6 +345,46 @@ function Requests() {
                   )}
                 </div>
 
+                {req.approvalChain && (req.approvalChain.stages.length > 1 || req.status === 'pending') && (
+                  <div style={{ marginTop: 10, fontSize: 13 }}>
+                    <strong>Approval{req.approvalChain.name ? ` (${req.approvalChain.name})` : ''}:</strong>{' '}
+                    {req.approvalChain.stages.map((stage, i) => (
+                      <span key={i}>
+                        {i > 0 && ' → '}
+                        <span className={`request-card-badge ${getStatusBadge(stage.status === 'waiting' ? 'pending' : stage.status)}`}
+                          style={{ opacity: stage.status === 'waiting' ? 0.5 : 1 }}>
+                          {ROLE_LABELS[stage.role]}
+                          {stage.decidedByName && `: ${stage.decidedByName}`}
+                          {stage.escalatedTo && stage.status === 'pending' && ` (escalated to ${ROLE_LABELS[stage.escalatedTo]})`}
+                        </span>
+                      </span>
+                    ))}
+                    {req.status === 'pending' && req.approvalChain.stages[req.approvalChain.currentStage]?.dueAt && (
+                      <span style={{ fontSize: 12, color: '#666', marginLeft: 5 }}>
+                        due {format(new Date(req.approvalChain.stages[req.approvalChain.currentStage].dueAt), 'MMM d, HH:mm')}
+                      </span>
+                    )}
+                  </div>
+                )}
+
+                {req.approvalTrail?.length > 0 && (
+                  <details style={{ marginTop: 5, fontSize: 12, color: '#666' }}>
+                    <summary style={{ cursor: 'pointer' }}>Approval trail ({req.approvalTrail.length})</summary>
+                    <ul style={{ margin: '5px 0 0', paddingLeft: 20 }}>
+                      {req.approvalTrail.map((entry, i) => (
+                        <li key={i}>
+                          {format(new Date(entry.at), 'MMM d, yyyy HH:mm')} - {TRAIL_ACTIONS[entry.action] || entry.action}
+                          {entry.stage !== null && entry.stage !== undefined && req.approvalChain?.stages[entry.stage] &&
+                            ` (${ROLE_LABELS[req.approvalChain.stages[entry.stage].role]} stage)`}
+                          {entry.byName && ` by ${entry.byName}`}
+                          {entry.onBehalfOfName && ` for ${entry.onBehalfOfName}`}
+                          {entry.notes && `: ${entry.notes}`}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+
                 {req.reviewedAt && (
                   <div style={{ marginTop: 5, fontSize: 12, color: '#666' }}>
                     Reviewed: {format(new Date(req.reviewedAt), 'MMM d, yyyy HH:mm')}
@@ -195,11 +397,22 @@ function Requests() {
                 )}
               </div>
 
-              {req.status === 'pending' && (
+              {req.status === 'pending' && req.canReview && (
                 <div className="request-card-footer">
+                  {req.reviewingFor && (
+                    <span style={{ fontSize: 12, color: '#666', marginRight: 'auto' }}>
+                      Deciding for {req.reviewingFor}
+                    </span>
+                  )}
+                  {req.insidePlanningWindow && (
+                    <span style={{ fontSize: 12, color: '#c62828', marginRight: 'auto' }}>
+                      Inside the 15-day planning window - can only be rejected
+                    </span>
+                  )}
                   <button
                     className="btn btn-success"
-                    onClick={() => handleApprove(req.id)}
+                    onClick={() => handleApprove(req)}
+                    disabled={req.insidePlanningWindow}
                   >
                     Approve
                   </button>
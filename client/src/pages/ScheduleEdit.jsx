@@ -3,7 +3,8 @@ import { useParams, Link, useNavigate } from 'react-router-dom';
 import api from '../services/api';
 import { format } from 'date-fns';
 
-const SHIFTS = ['Early', 'Morning', 'Late', 'Night', 'Off', 'Training', 'Unavailable', null];
+// Work shifts come from the shift catalogue; these cell values are always available
+const NON_WORK_SHIFTS = ['Off', 'Training', 'Unavailable', null];
 const SHIFT_LABELS = {
   'Early': 'E',
   'Morning': 'M',
@@ -23,10 +24,13 @@ function ScheduleEdit() {
   const [holidays, setHolidays] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [regenerating, setRegenerating] = useState(false);
+  const [regenerationJob, setRegenerationJob] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [selectedCell, setSelectedCell] = useState(null);
   const [editReason, setEditReason] = useState('');
+  const [shiftCatalogue, setShiftCatalogue] = useState([]);
 
   useEffect(() => {
     loadSchedule();
@@ -39,13 +43,15 @@ function ScheduleEdit() {
       setSchedule(scheduleData);
 
       const [year, month] = scheduleData.month.split('-');
-      const [exportResult, holidayResult] = await Promise.all([
+      const [exportResult, holidayResult, shiftData] = await Promise.all([
         api.exportSchedule(id),
-        api.getHolidaysForMonth(year, month)
+        api.getHolidaysForMonth(year, month),
+        api.getShiftCatalogue()
       ]);
 
       setExportData(exportResult);
       setHolidays(holidayResult.holidays || []);
+      setShiftCatalogue(shiftData.shifts || []);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -53,6 +59,20 @@ function ScheduleEdit() {
     }
   };
 
+  const shiftOptions = [...shiftCatalogue.map(s => s.name), ...NON_WORK_SHIFTS];
+
+  // Built-in shifts are styled by CSS classes, custom shifts use their catalogue colour
+  const getShiftStyle = (shift) => {
+    if (shift === 'Training') return { background: '#e6cff2' };
+    const definition = shiftCatalogue.find(s => s.name === shift);
+    if (definition && !definition.builtIn) {
+      return { background: definition.color.bg, color: definition.color.text };
+    }
+    return undefined;
+  };
+
+  const getShiftLabel = (shift) => SHIFT_LABELS[shift] || shift[0];
+
   // Calculate shift counts per day
   const shiftCounts = useMemo(() => {
     if (!exportData) return {};
@@ -113,6 +133,60 @@ function ScheduleEdit() {
     }
   };
 
+  // Locked cells are kept when the draft is regenerated
+  const isCellLocked = (engineerId, date) => !!schedule?.locks?.[engineerId]?.[date];
+
+  const lockedCount = schedule?.locks
+    ? Object.values(schedule.locks).reduce((total, dates) => total + Object.values(dates).filter(Boolean).length, 0)
+    : 0;
+
+  const handleToggleLock = async (engineerId, date) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const result = await api.lockScheduleCell(id, engineerId, date, !isCellLocked(engineerId, date));
+      setSchedule(result.schedule);
+      setSelectedCell(null);
+      setSuccess(result.lock.locked ? 'Cell locked' : 'Cell unlocked');
+      setTimeout(() => setSuccess(''), 2000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!confirm(`Regenerate all unlocked cells? ${lockedCount} locked cell(s) will be kept, all other manual edits will be replaced.`)) {
+      return;
+    }
+
+    setRegenerating(true);
+    setError('');
+
+    try {
+      const { jobId } = await api.regenerateSchedule(id);
+      const result = await api.waitForGenerationJob(jobId, setRegenerationJob);
+      setSchedule(result.schedule);
+
+      const exportResult = await api.exportSchedule(id);
+      setExportData(exportResult);
+
+      if (result.success) {
+        setSuccess(result.message);
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        setError(result.message);
+      }
+    } catch (err) {
+      if (err.code !== 'CANCELLED') setError(err.message);
+    } finally {
+      setRegenerating(false);
+      setRegenerationJob(null);
+    }
+  };
+
   const isHoliday = (dateStr) => {
     return holidays.find(h => h.date === dateStr);
   };
@@ -168,6 +242,23 @@ function ScheduleEdit() {
           </h1>
         </div>
         <div style={{ display: 'flex', gap: 10 }}>
+          {schedule.status === 'draft' && (
+            <button
+              className="btn btn-outline"
+              onClick={handleRegenerate}
+              disabled={regenerating || saving}
+              title="Keep locked cells and re-run the scheduler for everything else"
+            >
+              {regenerating
+                ? `Regenerating...${regenerationJob ? ` (${regenerationJob.iterations}/${regenerationJob.maxIterations})` : ''}`
+                : `Regenerate Unlocked Cells${lockedCount > 0 ? ` (${lockedCount} locked)` : ''}`}
+            </button>
+          )}
+          {regenerating && regenerationJob && (
+            <button className="btn btn-outline" onClick={() => api.cancelGenerationJob(regenerationJob.id).catch(() => {})}>
+              Cancel
+            </button>
+          )}
           {schedule.status === 'draft' && (
             <button
               className="btn btn-success"
@@ -211,8 +302,9 @@ function ScheduleEdit() {
       {/* Instructions */}
       <div className="card" style={{ marginBottom: 20 }}>
         <p style={{ margin: 0 }}>
-          <strong>Click any cell</strong> to change the shift assignment.
+          <strong>Click any cell</strong> to change the shift assignment or lock it.
           The count row shows how many users are assigned to each shift per day.
+          {schedule.status === 'draft' && ' Locked cells (🔒) are kept when the unlocked cells are regenerated.'}
         </p>
       </div>
 
@@ -276,6 +368,7 @@ function ScheduleEdit() {
                       const holiday = isHoliday(day.date);
                       const weekend = isWeekend(day.dayOfWeek);
                       const isSelected = selectedCell?.engineerId === eng.id && selectedCell?.date === day.date;
+                      const locked = isCellLocked(eng.id, day.date);
 
                       return (
                         <td
@@ -284,20 +377,25 @@ function ScheduleEdit() {
                           onClick={() => handleCellClick(eng.id, day.date, shift.shift)}
                           style={{
                             cursor: 'pointer',
-                            border: isSelected ? '2px solid #1976d2' : undefined,
-                            background: isSelected ? '#e3f2fd' : undefined
+                            border: isSelected ? '2px solid #1976d2' : locked ? '2px solid #616161' : undefined,
+                            background: isSelected ? '#e3f2fd' : undefined,
+                            position: 'relative'
                           }}
+                          title={locked ? 'Locked' : undefined}
                         >
                           {shift.shift && (
                             <span
                               className={`shift-cell shift-${shift.shift}`}
                               title={shift.shift}
-                              style={shift.shift === 'Training' ? { background: '#e6cff2' } : undefined}
+                              style={getShiftStyle(shift.shift)}
                             >
-                              {shift.shift === 'Unavailable' ? 'U' : shift.shift[0]}
+                              {getShiftLabel(shift.shift)}
                             </span>
                           )}
                           {!shift.shift && <span style={{ color: '#ccc' }}>-</span>}
+                          {locked && (
+                            <span style={{ position: 'absolute', top: 0, right: 1, fontSize: 8 }}>🔒</span>
+                          )}
                         </td>
                       );
                     })}
@@ -322,9 +420,10 @@ function ScheduleEdit() {
                 <strong>Date:</strong> {selectedCell.date}<br />
                 <strong>User:</strong> {exportData?.engineers.find(e => e.id === selectedCell.engineerId)?.name}<br />
                 <strong>Current:</strong> {selectedCell.currentShift || 'None'}
+                {isCellLocked(selectedCell.engineerId, selectedCell.date) && ' (locked)'}
               </p>
               <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 10, marginTop: 15 }}>
-                {SHIFTS.map(shift => (
+                {shiftOptions.map(shift => (
                   <button
                     key={shift || 'clear'}
                     className={`btn ${selectedCell.currentShift === shift ? 'btn-primary' : 'btn-outline'}`}
@@ -338,15 +437,24 @@ function ScheduleEdit() {
                     {shift ? (
                       <span className={`shift-cell shift-${shift}`} style={{
                         marginRight: 5,
-                        background: shift === 'Training' ? '#e6cff2' : undefined
+                        ...getShiftStyle(shift)
                       }}>
-                        {SHIFT_LABELS[shift]}
+                        {getShiftLabel(shift)}
                       </span>
                     ) : null}
                     {shift || 'Clear'}
                   </button>
                 ))}
               </div>
+              <button
+                className="btn btn-outline"
+                onClick={() => handleToggleLock(selectedCell.engineerId, selectedCell.date)}
+                disabled={saving || !selectedCell.currentShift}
+                title={selectedCell.currentShift ? undefined : 'Assign a shift before locking'}
+                style={{ width: '100%', marginTop: 15 }}
+              >
+                {isCellLocked(selectedCell.engineerId, selectedCell.date) ? '🔓 Unlock Cell' : '🔒 Lock Cell'}
+              </button>
             </div>
           </div>
         </div>
@@ -358,10 +466,14 @@ function ScheduleEdit() {
           <h2>Shift Legend</h2>
         </div>
         <div style={{ display: 'flex', flexWrap: 'wrap', gap: 20 }}>
-          <div><span className="shift-cell shift-Early">E</span> Early (07:00-15:30)</div>
-          <div><span className="shift-cell shift-Morning">M</span> Morning (10:00-18:30)</div>
-          <div><span className="shift-cell shift-Late">L</span> Late (15:00-23:30)</div>
-          <div><span className="shift-cell shift-Night">N</span> Night (23:00-07:30)</div>
+          {shiftCatalogue.map(s => (
+            <div key={s.name}>
+              <span className={`shift-cell shift-${s.name}`} style={getShiftStyle(s.name)}>
+                {getShiftLabel(s.name)}
+              </span>{' '}
+              {s.name} ({s.times.weekday.start}-{s.times.weekday.end})
+            </div>
+          ))}
           <div><span className="shift-cell shift-OFF">O</span> Scheduled Off</div>
           <div><span className="shift-cell" style={{ background: '#e6cff2' }}>T</span> Training</div>
           <div><span className="shift-cell shift-Unavailable">U</span> Unavailable</div>
@@ -8,6 +8,8 @@ function ScheduleView() {
   const [schedule, setSchedule] = useState(null);
   const [exportData, setExportData] = useState(null);
   const [holidays, setHolidays] = useState([]);
+  // Decision trace explanations by `${engineerId}|${date}` (empty if none was recorded)
+  const [explanations, setExplanations] = useState(new Map());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
@@ -29,6 +31,14 @@ function ScheduleView() {
 
       setExportData(exportResult);
       setHolidays(holidayResult.holidays || []);
+
+      try {
+        const explainResult = await api.explainSchedule(id);
+        setExplanations(new Map(explainResult.explanations.map(e => [`${e.engineerId}|${e.date}`, e])));
+      } catch {
+        // Schedules generated before decision tracing have no explanations
+        setExplanations(new Map());
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -44,6 +54,37 @@ function ScheduleView() {
     return dayOfWeek === 'Sat' || dayOfWeek === 'Sun';
   };
 
+  // Tooltip for a cell: why the solver chose it (score and runners-up, or the rule that forced it)
+  const describeCell = (engineerId, date, shift) => {
+    const explanation = explanations.get(`${engineerId}|${date}`);
+    const decision = explanation?.decision;
+    if (!decision) return shift;
+
+    const lines = [];
+    if (explanation.changedAfterGeneration) {
+      const edit = explanation.edits[explanation.edits.length - 1];
+      lines.push(`${shift}: changed after generation${edit?.reason ? ` (${edit.reason})` : ''}`);
+      lines.push(`Generated as ${decision.shift}: ${decision.reason}`);
+    } else {
+      lines.push(`${shift}: ${decision.reason}`);
+    }
+
+    if (decision.score !== undefined) {
+      const factors = Object.entries(decision.factors || {})
+        .filter(([, value]) => value !== 0)
+        .map(([name, value]) => `${name} ${value > 0 ? '+' : ''}${value}`)
+        .join(', ');
+      lines.push(`Score ${decision.score}${factors ? ` (${factors})` : ''}`);
+    }
+
+    if (decision.runnersUp?.length > 0) {
+      lines.push('Runners-up:');
+      decision.runnersUp.forEach(r => lines.push(`  ${r.engineerName} ${r.score} - ${r.reason}`));
+    }
+
+    return lines.join('\n');
+  };
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -122,6 +163,72 @@ function ScheduleView() {
         </div>
       )}
 
+      {/* Recovery options applied during generation */}
+      {schedule.appliedOptions?.length > 0 && schedule.solverParameters && (
+        <div className="alert" style={{ background: '#fff3cd', borderColor: '#ffc107', color: '#856404', marginBottom: 20 }}>
+          <strong>Generated with relaxed constraints:</strong>
+          <ul style={{ marginTop: 5, marginBottom: 0 }}>
+            {schedule.solverParameters.relaxedCoverage && (
+              <li>Minimum coverage lowered by 1 per shift</li>
+            )}
+            <li>Floater limit: {schedule.solverParameters.maxFloaterShiftsPerWeek} shifts per week</li>
+            <li>Minimum OFF days: {schedule.solverParameters.minOffDaysPerWeek} per week</li>
+          </ul>
+        </div>
+      )}
+
+      {/* Objective score breakdown (lower is better) */}
+      {schedule.objective && (
+        <div className="card" style={{ marginBottom: 20 }}>
+          <div className="card-header">
+            <h2>Objective Score: {schedule.objective.total.toFixed(1)}</h2>
+          </div>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Component</th>
+                <th>Score</th>
+                <th>Weight</th>
+                <th>Weighted</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(schedule.objective.components).map(([name, c]) => (
+                <tr key={name}>
+                  <td style={{ textTransform: 'capitalize' }}>{name}</td>
+                  <td>{c.score.toFixed(2)}</td>
+                  <td>{schedule.objective.weights[name]}</td>
+                  <td>{c.weighted.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {schedule.optimization && (
+            <p style={{ marginTop: 10, fontSize: 13, color: '#666' }}>
+              Local search moved the score from {schedule.optimization.initialObjective.toFixed(1)} to{' '}
+              {schedule.optimization.finalObjective.toFixed(1)} ({schedule.optimization.acceptedMoves} swaps
+              in {schedule.optimization.iterations} iterations)
+            </p>
+          )}
+          {schedule.seed !== null && schedule.seed !== undefined && (
+            <p style={{ marginTop: 10, fontSize: 13, color: '#666' }}>
+              Generated with seed <code>{schedule.seed}</code> - enter it when generating to replay this run
+            </p>
+          )}
+          {schedule.horizon && (
+            <p style={{ marginTop: 10, fontSize: 13, color: '#666' }}>
+              Planned together with{' '}
+              {schedule.horizon.scheduleIds.map((id, i) => i === schedule.horizon.index ? null : (
+                <Link key={id} to={`/schedules/${id}`} style={{ marginRight: 8 }}>
+                  {schedule.horizon.months[i]}
+                </Link>
+              ))}
+              - night blocks and workload balance carry across these months
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Holiday Legend */}
       {holidays.length > 0 && (
         <div className="card" style={{ marginBottom: 20 }}>
@@ -132,6 +239,7 @@ function ScheduleView() {
             {holidays.map((h, i) => (
               <div key={i} style={{ background: '#fff3e0', padding: '5px 12px', borderRadius: 4 }}>
                 <strong>{format(new Date(h.date), 'MMM d')}</strong>: {h.nameEn}
+                {h.halfDay && <span style={{ fontSize: 11, marginLeft: 5, color: '#888' }}>(half day)</span>}
                 {h.type === 'state' && (
                   <span style={{ fontSize: 11, marginLeft: 5, color: '#888' }}>
                     ({h.states?.join(', ')})
@@ -189,11 +297,15 @@ function ScheduleView() {
                           {shift.shift && (
                             <span
                               className={`shift-cell shift-${shift.shift}`}
-                              title={shift.shift}
+                              title={describeCell(eng.id, day.date, shift.shift) +
+                                (shift.holidayWork ? `\nHoliday work: ${shift.holidayWork.hours}h on ${shift.holidayWork.holiday}` : '')}
                             >
                               {shift.shift === 'Unavailable' ? 'U' : shift.shift[0]}
                             </span>
                           )}
+                          {shift.holidayWork && (
+                            <sup style={{ fontSize: 9, color: '#c62828', marginLeft: 1 }}>H</sup>
+                          )}
                         </td>
                       );
                     })}
@@ -217,6 +329,7 @@ function ScheduleView() {
           <div><span className="shift-cell shift-Night">N</span> Night (23:00-07:30)</div>
           <div><span className="shift-cell shift-OFF">O</span> Scheduled Off</div>
           <div><span className="shift-cell shift-Unavailable">U</span> Unavailable/Vacation</div>
+          <div><sup style={{ fontSize: 9, color: '#c62828' }}>H</sup> Holiday work (supplement)</div>
         </div>
       </div>
 
@@ -237,6 +350,9 @@ function ScheduleView() {
                 <th>Night</th>
                 <th>OFF Days</th>
                 <th>Unavailable</th>
+                <th>Hours (scheduled / contracted)</th>
+                <th>Sunday Hours</th>
+                <th>Holiday Hours</th>
               </tr>
             </thead>
             <tbody>
@@ -250,6 +366,32 @@ function ScheduleView() {
                   <td>{stat.shiftBreakdown?.Night || 0}</td>
                   <td>{stat.offDays}</td>
                   <td>{stat.unavailableDays}</td>
+                  <td>
+                    {stat.scheduledHours !== undefined ? (
+                      <span style={{ color: stat.scheduledHours > stat.contractedHours ? '#c62828' : 'inherit' }}>
+                        {stat.scheduledHours} / {stat.contractedHours}
+                        {stat.contractHours && (
+                          <span style={{ fontSize: 12, color: '#666' }}> ({stat.contractHours}h/week)</span>
+                        )}
+                      </span>
+                    ) : '-'}
+                  </td>
+                  <td>
+                    {stat.sundayHours !== undefined ? (
+                      <span>
+                        {stat.sundayHours}
+                        <span style={{ fontSize: 12, color: '#666' }}> ({stat.sundayShifts} shifts)</span>
+                      </span>
+                    ) : '-'}
+                  </td>
+                  <td>
+                    {stat.holidayHours !== undefined ? (
+                      <span>
+                        {stat.holidayHours}
+                        <span style={{ fontSize: 12, color: '#666' }}> ({stat.holidayShifts} shifts)</span>
+                      </span>
+                    ) : '-'}
+                  </td>
                 </tr>
               ))}
             </tbody>
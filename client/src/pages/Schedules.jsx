@@ -9,6 +9,7 @@ function Schedules() {
   const [generating, setGenerating] = useState(false);
   const [error, setError] = useState('');
   const [generationResult, setGenerationResult] = useState(null);
+  const [job, setJob] = useState(null);
   const navigate = useNavigate();
 
   const currentYear = new Date().getFullYear();
@@ -16,6 +17,10 @@ function Schedules() {
 
   const [selectedYear, setSelectedYear] = useState(currentYear);
   const [selectedMonth, setSelectedMonth] = useState(currentMonth);
+  // Optional seed to replay an earlier run (empty = new random run)
+  const [seed, setSeed] = useState('');
+  // Horizon mode: plan this many consecutive months in one run (saved as linked drafts)
+  const [horizonMonths, setHorizonMonths] = useState(1);
 
   useEffect(() => {
     loadSchedules();
@@ -39,12 +44,17 @@ function Schedules() {
     setGenerationResult(null);
 
     try {
-      const result = await api.generateSchedule(selectedYear, selectedMonth);
+      const runSeed = seed === '' ? undefined : Number(seed);
+      const { jobId } = horizonMonths > 1
+        ? await api.generateHorizon(selectedYear, selectedMonth, horizonMonths, runSeed)
+        : await api.generateSchedule(selectedYear, selectedMonth, {}, runSeed);
+      const result = await api.waitForGenerationJob(jobId, setJob);
       if (result.success) {
         setGenerationResult({
           type: 'success',
-          message: 'Schedule generated successfully!',
+          message: result.message || 'Schedule generated successfully!',
           schedule: result.schedule,
+          schedules: result.schedules,
           warnings: result.warnings
         });
         await loadSchedules();
@@ -58,6 +68,7 @@ function Schedules() {
           options: result.options,
           schedule: schedule,
           partialSchedule: schedule,
+          schedules: result.schedules,
           iterations: result.iterations,
           bestErrorCount: result.bestErrorCount
         });
@@ -85,11 +96,12 @@ function Schedules() {
         if (schedule) {
           await loadSchedules();
         }
-      } else {
+      } else if (err.code !== 'CANCELLED') {
         setError(err.message);
       }
     } finally {
       setGenerating(false);
+      setJob(null);
     }
   };
 
@@ -109,7 +121,8 @@ function Schedules() {
     setError('');
 
     try {
-      const result = await api.generateWithOption(selectedYear, selectedMonth, optionId);
+      const { jobId } = await api.generateWithOption(selectedYear, selectedMonth, optionId, seed === '' ? undefined : Number(seed));
+      const result = await api.waitForGenerationJob(jobId, setJob);
       if (result.success) {
         setGenerationResult({
           type: 'success',
@@ -144,11 +157,21 @@ function Schedules() {
           partialSchedule: schedule
         });
         await loadSchedules();
-      } else {
+      } else if (err.code !== 'CANCELLED') {
         setError(err.message || 'Failed to generate with option');
       }
     } finally {
       setGenerating(false);
+      setJob(null);
+    }
+  };
+
+  const handleCancelGeneration = async () => {
+    if (!job) return;
+    try {
+      await api.cancelGenerationJob(job.id);
+    } catch (err) {
+      setError(err.message);
     }
   };
 
@@ -219,15 +242,60 @@ function Schedules() {
             </select>
           </div>
 
+          <div className="form-group" style={{ margin: 0 }}>
+            <label title="Enter the seed shown on a schedule to replay its generation exactly">Seed (optional)</label>
+            <input
+              type="number"
+              min="0"
+              value={seed}
+              onChange={e => setSeed(e.target.value)}
+              placeholder="Random"
+              style={{ width: 140 }}
+            />
+          </div>
+
+          <div className="form-group" style={{ margin: 0 }}>
+            <label title="Plan consecutive months together so night blocks and fairness carry across month boundaries">Months</label>
+            <select value={horizonMonths} onChange={e => setHorizonMonths(Number(e.target.value))}>
+              <option value={1}>1 month</option>
+              <option value={2}>2 months</option>
+              <option value={3}>3 months (quarter)</option>
+            </select>
+          </div>
+
           <button
             className="btn btn-primary"
             onClick={handleGenerate}
             disabled={generating}
           >
-            {generating ? 'Generating...' : 'Generate Schedule'}
+            {generating ? 'Generating...' : horizonMonths > 1 ? `Generate ${horizonMonths} Months` : 'Generate Schedule'}
           </button>
         </div>
 
+        {/* Generation progress (runs in the background on the server) */}
+        {generating && job && (
+          <div style={{ marginBottom: 20 }}>
+            <div style={{ height: 8, background: '#eee', borderRadius: 4, overflow: 'hidden' }}>
+              <div
+                style={{
+                  width: `${Math.min(100, (job.iterations / job.maxIterations) * 100)}%`,
+                  height: '100%',
+                  background: '#1976d2'
+                }}
+              ></div>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 15, marginTop: 8, fontSize: 13, color: '#666' }}>
+              <span>
+                Iteration {job.iterations} of up to {job.maxIterations}
+                {job.bestErrorCount !== null && ` - best so far: ${job.bestErrorCount} issue(s)`}
+              </span>
+              <button className="btn btn-outline" style={{ padding: '4px 10px' }} onClick={handleCancelGeneration}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Generation Result */}
         {generationResult && (
           <div>
@@ -241,10 +309,14 @@ function Schedules() {
                     ))}
                   </ul>
                 )}
-                <div style={{ marginTop: 15 }}>
-                  <Link to={`/schedules/${generationResult.schedule.id}`} className="btn btn-primary">
-                    View Schedule
-                  </Link>
+                <div style={{ marginTop: 15, display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+                  {(generationResult.schedules || [generationResult.schedule]).map(s => (
+                    <Link key={s.id} to={`/schedules/${s.id}`} className="btn btn-primary">
+                      {generationResult.schedules
+                        ? `View ${months[parseInt(s.month.split('-')[1]) - 1]} ${s.month.split('-')[0]}`
+                        : 'View Schedule'}
+                    </Link>
+                  ))}
                 </div>
               </div>
             )}
@@ -281,22 +353,38 @@ function Schedules() {
                     <p style={{ marginBottom: 15 }}>
                       A schedule has been saved. You can view it, edit it manually to fix issues, or try recovery options below.
                     </p>
-                    <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
-                      <Link
-                        to={`/schedules/${(generationResult.schedule || generationResult.partialSchedule).id}`}
-                        className="btn btn-outline"
-                        style={{ textDecoration: 'none' }}
-                      >
-                        View Schedule
-                      </Link>
-                      <Link
-                        to={`/schedules/${(generationResult.schedule || generationResult.partialSchedule).id}/edit`}
-                        className="btn btn-primary"
-                        style={{ textDecoration: 'none' }}
-                      >
-                        Edit Manually
-                      </Link>
-                    </div>
+                    {generationResult.schedules ? (
+                      <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+                        {generationResult.schedules.map(s => (
+                          <Link
+                            key={s.id}
+                            to={`/schedules/${s.id}/edit`}
+                            className="btn btn-outline"
+                            style={{ textDecoration: 'none' }}
+                          >
+                            Edit {months[parseInt(s.month.split('-')[1]) - 1]} {s.month.split('-')[0]}
+                            {s.isPartial && ` (${s.generationErrors.length} issues)`}
+                          </Link>
+                        ))}
+                      </div>
+                    ) : (
+                      <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+                        <Link
+                          to={`/schedules/${(generationResult.schedule || generationResult.partialSchedule).id}`}
+                          className="btn btn-outline"
+                          style={{ textDecoration: 'none' }}
+                        >
+                          View Schedule
+                        </Link>
+                        <Link
+                          to={`/schedules/${(generationResult.schedule || generationResult.partialSchedule).id}/edit`}
+                          className="btn btn-primary"
+                          style={{ textDecoration: 'none' }}
+                        >
+                          Edit Manually
+                        </Link>
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -346,6 +434,7 @@ function Schedules() {
                 <th>Status</th>
                 <th>Created</th>
                 <th>Published</th>
+                <th title="Weighted objective score (lower is better)">Score</th>
                 <th>Actions</th>
               </tr>
             </thead>
@@ -356,6 +445,14 @@ function Schedules() {
                     <strong>
                       {months[parseInt(schedule.month.split('-')[1]) - 1]} {schedule.month.split('-')[0]}
                     </strong>
+                    {schedule.horizon && (
+                      <span
+                        title={`Planned together with ${schedule.horizon.months.join(', ')}`}
+                        style={{ marginLeft: 8, fontSize: 12, color: '#666' }}
+                      >
+                        {schedule.horizon.index + 1}/{schedule.horizon.months.length}
+                      </span>
+                    )}
                   </td>
                   <td>
                     <span className={`request-card-badge badge-${schedule.status === 'published' ? 'approved' : schedule.status === 'draft' ? 'pending' : 'rejected'}`}>
@@ -364,6 +461,15 @@ function Schedules() {
                   </td>
                   <td>{format(new Date(schedule.createdAt), 'MMM d, yyyy HH:mm')}</td>
                   <td>{schedule.publishedAt ? format(new Date(schedule.publishedAt), 'MMM d, yyyy HH:mm') : '-'}</td>
+                  <td
+                    title={schedule.objective
+                      ? Object.entries(schedule.objective.components)
+                          .map(([name, c]) => `${name}: ${c.weighted}`)
+                          .join('\n')
+                      : ''}
+                  >
+                    {schedule.objective ? schedule.objective.total.toFixed(1) : '-'}
+                  </td>
                   <td>
                     <div style={{ display: 'flex', gap: 5, flexWrap: 'wrap' }}>
                       <Link
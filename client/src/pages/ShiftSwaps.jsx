@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import { useAuth } from '../App';
+import { format, addMonths } from 'date-fns';
+
+const STATUS_LABELS = {
+  open: 'open',
+  pending_approval: 'waiting for approval',
+  completed: 'completed',
+  rejected: 'rejected',
+  cancelled: 'withdrawn'
+};
+
+function ShiftSwaps() {
+  const { user, isManager } = useAuth();
+  const [swaps, setSwaps] = useState([]);
+  const [requireApproval, setRequireApproval] = useState(true);
+  const [myShifts, setMyShifts] = useState([]);
+  const [offerDate, setOfferDate] = useState('');
+  const [offerNote, setOfferNote] = useState('');
+  const [returnDates, setReturnDates] = useState({});
+  const [checks, setChecks] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    loadSwaps();
+    loadMyShifts();
+  }, []);
+
+  const loadSwaps = async () => {
+    try {
+      setLoading(true);
+      const data = await api.getSwaps();
+      setSwaps(data.swaps);
+      setRequireApproval(data.requireApproval);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Upcoming shifts of the user in the published schedules of this and next month
+  const loadMyShifts = async () => {
+    const today = format(new Date(), 'yyyy-MM-dd');
+    const months = [new Date(), addMonths(new Date(), 1)];
+    const results = await Promise.all(months.map(m =>
+      api.getEngineerViewSchedule(m.getFullYear(), m.getMonth() + 1).catch(() => null)
+    ));
+
+    const shifts = results.flatMap(data => Object.entries(data?.myShifts || {}))
+      .filter(([date, shift]) => date > today && shift && !['Off', 'OFF', 'Unavailable', 'Training'].includes(shift))
+      .map(([date, shift]) => ({ date, shift }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    setMyShifts(shifts);
+  };
+
+  const run = async (action, message) => {
+    setError('');
+    setSuccess('');
+    try {
+      await action();
+      setSuccess(message);
+      await loadSwaps();
+    } catch (err) {
+      const details = err.data?.details;
+      setError(details?.length ? `${err.message}: ${details.join('; ')}` : err.message);
+    }
+  };
+
+  const handleOffer = async (e) => {
+    e.preventDefault();
+    await run(() => api.offerShift(offerDate, offerNote), 'Shift offered');
+    setOfferDate('');
+    setOfferNote('');
+  };
+
+  const handleCheck = async (id) => {
+    try {
+      const result = await api.checkSwap(id, returnDates[id] || null);
+      setChecks(prev => ({ ...prev, [id]: result }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAccept = (id) => run(
+    () => api.acceptSwap(id, returnDates[id] || null),
+    requireApproval ? 'Swap accepted, waiting for manager approval' : 'Swap completed, the schedule is updated'
+  );
+
+  const handleReject = (id) => {
+    const notes = prompt('Reason for rejecting the swap:');
+    if (!notes?.trim()) return;
+    run(() => api.rejectSwap(id, notes), 'Swap rejected');
+  };
+
+  const handleWithdraw = (id) => {
+    if (!confirm('Withdraw this offer?')) return;
+    run(() => api.withdrawSwap(id), 'Offer withdrawn');
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  const openSwaps = swaps.filter(s => s.status === 'open');
+  const pendingSwaps = swaps.filter(s => s.status === 'pending_approval');
+  const pastSwaps = swaps.filter(s => !['open', 'pending_approval'].includes(s.status));
+
+  return (
+    <div>
+      <h1 style={{ marginBottom: 20 }}>Shift Swaps</h1>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {success && <div className="alert alert-success">{success}</div>}
+
+      <div className="alert alert-info" style={{ marginBottom: 20 }}>
+        Offer one of your published shifts and a colleague can take it, optionally giving you one of
+        their shifts in return. Swaps must keep coverage, rest periods and consecutive-day limits.
+        {requireApproval
+          ? ' Accepted swaps are applied after manager approval.'
+          : ' Accepted swaps are applied to the schedule at once.'}
+      </div>
+
+      {/* Offer a shift */}
+      <div className="card">
+        <div className="card-header">
+          <h2>Offer a Shift</h2>
+        </div>
+        {myShifts.length === 0 ? (
+          <p style={{ color: '#666' }}>You have no upcoming published shifts.</p>
+        ) : (
+          <form onSubmit={handleOffer} style={{ display: 'flex', gap: 10, alignItems: 'flex-end', flexWrap: 'wrap' }}>
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label>Shift</label>
+              <select value={offerDate} onChange={e => setOfferDate(e.target.value)}>
+                <option value="">Select a shift...</option>
+                {myShifts.map(s => (
+                  <option key={s.date} value={s.date}>
+                    {format(new Date(s.date), 'EEE, MMM d')} - {s.shift}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group" style={{ marginBottom: 0, flex: 1, minWidth: 200 }}>
+              <label>Note (optional)</label>
+              <input
+                type="text"
+                value={offerNote}
+                onChange={e => setOfferNote(e.target.value)}
+                placeholder="e.g. happy to take a Late in return"
+              />
+            </div>
+            <button type="submit" className="btn btn-primary" disabled={!offerDate}>
+              Offer Shift
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Open offers */}
+      <div className="card" style={{ marginTop: 20 }}>
+        <div className="card-header">
+          <h2>Open Offers ({openSwaps.length})</h2>
+        </div>
+        {openSwaps.length === 0 ? (
+          <p style={{ color: '#666' }}>No open offers.</p>
+        ) : (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Shift</th>
+                <th>Offered by</th>
+                <th>Note</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {openSwaps.map(swap => {
+                const check = checks[swap.id];
+                return (
+                  <tr key={swap.id}>
+                    <td>{format(new Date(swap.date), 'EEE, MMM d, yyyy')}</td>
+                    <td><span className={`shift-cell shift-${swap.shift}`}>{swap.shift}</span></td>
+                    <td>{swap.offeredByName}</td>
+                    <td>{swap.note || '-'}</td>
+                    <td>
+                      {swap.offeredBy === user.id ? (
+                        <button className="btn btn-outline" style={{ padding: '5px 10px' }} onClick={() => handleWithdraw(swap.id)}>
+                          Withdraw
+                        </button>
+                      ) : (
+                        <div>
+                          <div style={{ display: 'flex', gap: 5, alignItems: 'center', flexWrap: 'wrap' }}>
+                            <input
+                              type="date"
+                              value={returnDates[swap.id] || ''}
+                              min={`${swap.month}-01`}
+                              max={`${swap.month}-31`}
+                              onChange={e => {
+                                setReturnDates(prev => ({ ...prev, [swap.id]: e.target.value }));
+                                setChecks(prev => ({ ...prev, [swap.id]: undefined }));
+                              }}
+                              title="Optional: a date on which you give one of your shifts in return"
+                              style={{ width: 'auto' }}
+                            />
+                            <button className="btn btn-outline" style={{ padding: '5px 10px' }} onClick={() => handleCheck(swap.id)}>
+                              Check
+                            </button>
+                            <button className="btn btn-success" style={{ padding: '5px 10px' }} onClick={() => handleAccept(swap.id)}>
+                              Accept
+                            </button>
+                            {isManager && (
+                              <button className="btn btn-outline" style={{ padding: '5px 10px' }} onClick={() => handleWithdraw(swap.id)}>
+                                Remove
+                              </button>
+                            )}
+                          </div>
+                          {check && (
+                            <div style={{ fontSize: 12, marginTop: 5, color: check.valid ? 'inherit' : '#c62828' }}>
+                              {check.valid
+                                ? check.changes.filter(c => c.engineerId === user.id)
+                                  .map(c => `${c.date}: ${c.oldShift || 'None'} → ${c.newShift || 'None'}`).join(', ')
+                                : check.errors.join('; ')}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Waiting for approval */}
+      {pendingSwaps.length > 0 && (
+        <div className="card" style={{ marginTop: 20 }}>
+          <div className="card-header">
+            <h2>Waiting for Approval ({pendingSwaps.length})</h2>
+          </div>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Shift</th>
+                <th>From</th>
+                <th>To</th>
+                <th>In return</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pendingSwaps.map(swap => (
+                <tr key={swap.id}>
+                  <td>{format(new Date(swap.date), 'EEE, MMM d, yyyy')}</td>
+                  <td><span className={`shift-cell shift-${swap.shift}`}>{swap.shift}</span></td>
+                  <td>{swap.offeredByName}</td>
+                  <td>{swap.acceptedByName}</td>
+                  <td>{swap.returnDate ? `${swap.returnShift} on ${format(new Date(swap.returnDate), 'MMM d')}` : '-'}</td>
+                  <td style={{ display: 'flex', gap: 5 }}>
+                    {isManager && (
+                      <>
+                        <button className="btn btn-success" style={{ padding: '5px 10px' }} onClick={() => run(() => api.approveSwap(swap.id), 'Swap approved, the schedule is updated')}>
+                          Approve
+                        </button>
+                        <button className="btn btn-danger" style={{ padding: '5px 10px' }} onClick={() => handleReject(swap.id)}>
+                          Reject
+                        </button>
+                      </>
+                    )}
+                    {swap.offeredBy === user.id && (
+                      <button className="btn btn-outline" style={{ padding: '5px 10px' }} onClick={() => handleWithdraw(swap.id)}>
+                        Withdraw
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* History */}
+      {pastSwaps.length > 0 && (
+        <div className="card" style={{ marginTop: 20 }}>
+          <div className="card-header">
+            <h2>Past Swaps</h2>
+          </div>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Shift</th>
+                <th>From</th>
+                <th>To</th>
+                <th>Status</th>
+                <th>Review Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pastSwaps.map(swap => (
+                <tr key={swap.id}>
+                  <td>{format(new Date(swap.date), 'MMM d, yyyy')}</td>
+                  <td>{swap.shift}</td>
+                  <td>{swap.offeredByName}</td>
+                  <td>{swap.acceptedByName || '-'}</td>
+                  <td>
+                    <span className={`request-card-badge ${swap.status === 'completed' ? 'badge-approved' : 'badge-rejected'}`}>
+                      {STATUS_LABELS[swap.status]}
+                    </span>
+                  </td>
+                  <td>{swap.reviewNotes || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ShiftSwaps;
@@ -6,6 +6,7 @@ import { useAuth } from '../App';
 function UserDashboard() {
   const { user } = useAuth();
   const [notifications, setNotifications] = useState([]);
+  const [leaveBalance, setLeaveBalance] = useState(null);
   const [latestSchedule, setLatestSchedule] = useState(null);
   const [pastSchedules, setPastSchedules] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -23,6 +24,12 @@ function UserDashboard() {
       const userData = await api.getCurrentUser();
       setNotifications(userData.notifications || []);
 
+      try {
+        setLeaveBalance(await api.getLeaveBalance(userData.id, new Date().getFullYear()));
+      } catch (err) {
+        console.error('Could not load leave balance:', err);
+      }
+
       // Get latest published schedule
       try {
         const schedules = await api.request('/schedules?status=published');
@@ -177,6 +184,15 @@ function UserDashboard() {
                     <td style={{ padding: '5px 0', color: '#666' }}>2FA:</td>
                     <td style={{ padding: '5px 0' }}>{user?.twoFactorEnabled ? 'Enabled' : 'Disabled'}</td>
                   </tr>
+                  {leaveBalance && (
+                    <tr>
+                      <td style={{ padding: '5px 0', color: '#666' }}>Vacation:</td>
+                      <td style={{ padding: '5px 0', color: leaveBalance.remaining < 0 ? '#c62828' : undefined }}>
+                        {leaveBalance.remaining} of {leaveBalance.entitlement + leaveBalance.carriedOver - leaveBalance.carryOverLapsed} days left
+                        {leaveBalance.pending > 0 && ` (${leaveBalance.pending} pending)`}
+                      </td>
+                    </tr>
+                  )}
                   <tr>
                     <td style={{ padding: '5px 0', color: '#666' }}>Status:</td>
                     <td style={{ padding: '5px 0' }}>
@@ -6,10 +6,20 @@ const WEEKDAY_SHIFTS = ['Early', 'Morning', 'Late', 'Night'];
 const WEEKEND_SHIFTS = ['WeekendEarly', 'WeekendMorning', 'WeekendLate', 'WeekendNight'];
 const ALL_SHIFTS = [...WEEKDAY_SHIFTS, ...WEEKEND_SHIFTS];
 const DEFAULT_PREFERENCES = [...ALL_SHIFTS];
+const PATTERN_WEEKDAYS = [
+  { key: 'mon', label: 'Mon' },
+  { key: 'tue', label: 'Tue' },
+  { key: 'wed', label: 'Wed' },
+  { key: 'thu', label: 'Thu' },
+  { key: 'fri', label: 'Fri' },
+  { key: 'sat', label: 'Sat' },
+  { key: 'sun', label: 'Sun' }
+];
 
 function Users() {
   const [users, setUsers] = useState([]);
   const [states, setStates] = useState([]);
+  const [jurisdictions, setJurisdictions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -31,15 +41,27 @@ function Users() {
     password: '',
     generatePassword: true,
     tier: 'T2',
+    skills: '',
+    mentorId: '',
+    contractHours: '',
+    availabilityPattern: null,
+    annualLeaveDays: '',
+    employmentStart: '',
     isAdmin: false,
     isManager: false,
+    isTeamLead: false,
     isFloater: false,
     inTraining: false,
     state: '',
+    jurisdiction: '',
     preferences: DEFAULT_PREFERENCES,
     sendEmail: false
   });
 
+  // Preference options follow the shift catalogue (custom shifts included)
+  const [weekdayShifts, setWeekdayShifts] = useState(WEEKDAY_SHIFTS);
+  const [weekendShifts, setWeekendShifts] = useState(WEEKEND_SHIFTS);
+
   useEffect(() => {
     loadData();
   }, []);
@@ -47,12 +69,17 @@ function Users() {
   const loadData = async () => {
     try {
       setLoading(true);
-      const [userList, stateList] = await Promise.all([
+      const [userList, stateList, shiftOptions, jurisdictionList] = await Promise.all([
         api.request('/users'),
-        api.request('/users/states')
+        api.request('/users/states'),
+        api.request('/users/shift-options'),
+        api.request('/users/jurisdictions')
       ]);
       setUsers(userList);
       setStates(stateList);
+      setJurisdictions(jurisdictionList);
+      setWeekdayShifts(shiftOptions.weekday.map(s => s.id));
+      setWeekendShifts(shiftOptions.weekend.map(s => s.id));
     } catch (err) {
       setError(err.message);
     } finally {
@@ -72,11 +99,19 @@ function Users() {
             name: formData.name,
             email: formData.email,
             tier: formData.tier,
+            skills: formData.skills,
+            mentorId: formData.inTraining ? formData.mentorId || null : null,
+            contractHours: formData.contractHours || null,
+            availabilityPattern: formData.availabilityPattern,
+            annualLeaveDays: formData.annualLeaveDays,
+            employmentStart: formData.employmentStart || null,
             isAdmin: formData.isAdmin,
             isManager: formData.isManager,
+            isTeamLead: formData.isTeamLead,
             isFloater: formData.isFloater,
             inTraining: formData.inTraining,
             state: formData.state,
+            jurisdiction: formData.jurisdiction || null,
             preferences: formData.preferences
           })
         });
@@ -86,6 +121,7 @@ function Users() {
           method: 'POST',
           body: JSON.stringify({
             ...formData,
+            contractHours: formData.contractHours || null,
             password: formData.generatePassword ? undefined : formData.password
           })
         });
@@ -126,11 +162,19 @@ function Users() {
         password: '',
         generatePassword: false,
         tier: user.tier || 'T2',
+        skills: (user.skills || []).join(', '),
+        mentorId: user.mentorId || '',
+        contractHours: user.contractHours || '',
+        availabilityPattern: user.availabilityPattern || null,
+        annualLeaveDays: user.annualLeaveDays ?? '',
+        employmentStart: user.employmentStart || '',
         isAdmin: user.isAdmin || false,
         isManager: user.isManager || false,
+        isTeamLead: user.isTeamLead || false,
         isFloater: user.isFloater || false,
         inTraining: user.inTraining || false,
         state: user.state || '',
+        jurisdiction: user.jurisdiction || '',
         preferences: user.preferences || DEFAULT_PREFERENCES,
         sendEmail: false
       });
@@ -143,11 +187,19 @@ function Users() {
         password: '',
         generatePassword: true,
         tier: user.tier || 'T2',
+        skills: (user.skills || []).join(', '),
+        mentorId: user.mentorId || '',
+        contractHours: user.contractHours || '',
+        availabilityPattern: user.availabilityPattern || null,
+        annualLeaveDays: user.annualLeaveDays ?? '',
+        employmentStart: '',
         isAdmin: false,  // Don't copy admin status
         isManager: user.isManager || false,
+        isTeamLead: user.isTeamLead || false,
         isFloater: user.isFloater || false,
         inTraining: user.inTraining || false,
         state: user.state || '',
+        jurisdiction: user.jurisdiction || '',
         preferences: user.preferences || DEFAULT_PREFERENCES,
         sendEmail: false
       });
@@ -160,11 +212,19 @@ function Users() {
         password: '',
         generatePassword: true,
         tier: 'T2',
+        skills: '',
+        mentorId: '',
+        contractHours: '',
+        availabilityPattern: null,
+        annualLeaveDays: '',
+        employmentStart: '',
         isAdmin: false,
         isManager: false,
+        isTeamLead: false,
         isFloater: false,
         inTraining: false,
         state: '',
+        jurisdiction: '',
         preferences: DEFAULT_PREFERENCES,
         sendEmail: false
       });
@@ -225,10 +285,40 @@ function Users() {
     }));
   };
 
+  // Availability pattern: a weekday without an entry allows every shift
+  const isPatternShiftAllowed = (weekday, shift) => {
+    const shifts = formData.availabilityPattern?.[weekday];
+    return !shifts || shifts.includes(shift);
+  };
+
+  const togglePatternShift = (weekday, shift) => {
+    setFormData(prev => {
+      const current = prev.availabilityPattern?.[weekday] || weekdayShifts;
+      const shifts = current.includes(shift)
+        ? current.filter(s => s !== shift)
+        : [...current, shift];
+      const pattern = { ...(prev.availabilityPattern || {}) };
+      if (weekdayShifts.every(s => shifts.includes(s))) {
+        delete pattern[weekday];
+      } else {
+        pattern[weekday] = shifts;
+      }
+      return { ...prev, availabilityPattern: Object.keys(pattern).length > 0 ? pattern : null };
+    });
+  };
+
+  const describeAvailability = (user) => {
+    const blocked = PATTERN_WEEKDAYS
+      .filter(d => user.availabilityPattern?.[d.key]?.length === 0)
+      .map(d => d.label);
+    return blocked.length > 0 ? `Never works: ${blocked.join(', ')}` : null;
+  };
+
   const getUserType = (user) => {
     const types = [];
     if (user.isAdmin) types.push('Admin');
     if (user.isManager) types.push('Manager');
+    if (user.isTeamLead) types.push('Team Lead');
     if (user.isFloater) types.push('Floater');
     if (user.inTraining) types.push('Training');
     return types.length > 0 ? types.join(', ') : 'User';
@@ -434,7 +524,7 @@ function Users() {
                 </button>
               </div>
               <p style={{ marginTop: 15, fontSize: 13, color: 'var(--text-muted)' }}>
-                Includes: name, email, tier, roles, state, preferences, status
+                Includes: name, email, tier, roles, state, preferences, skills, contract hours, status
               </p>
             </div>
           </div>
@@ -490,6 +580,26 @@ function Users() {
                 <td>
                   {user.name}
                   {user.tier && <span className={`tier-badge tier-${user.tier}`}>{user.tier}</span>}
+                  {user.skills?.length > 0 && (
+                    <div style={{ fontSize: 12, color: '#666' }}>{user.skills.join(', ')}</div>
+                  )}
+                  {user.inTraining && (
+                    <div style={{ fontSize: 12, color: '#9c27b0' }}>
+                      Mentor: {users.find(u => u.id === user.mentorId)?.name || 'none'}
+                    </div>
+                  )}
+                  {user.jurisdiction && user.jurisdiction !== 'DE' && (
+                    <div style={{ fontSize: 12, color: '#666' }}>
+                      Labor law: {jurisdictions.find(j => j.id === user.jurisdiction)?.law || user.jurisdiction}
+                    </div>
+                  )}
+                  {(user.contractHours || describeAvailability(user)) && (
+                    <div style={{ fontSize: 12, color: '#1565c0' }}>
+                      {[user.contractHours && `Part-time: ${user.contractHours}h/week`, describeAvailability(user)]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </div>
+                  )}
                 </td>
                 <td>{user.email}</td>
                 <td>{getUserType(user)}</td>
@@ -652,6 +762,35 @@ function Users() {
                   </div>
                 </div>
 
+                <div className="form-group">
+                  <label>Labor Law</label>
+                  <select
+                    value={formData.jurisdiction}
+                    onChange={e => setFormData(prev => ({ ...prev, jurisdiction: e.target.value }))}
+                  >
+                    <option value="">-- Default: Germany (ArbZG) --</option>
+                    {jurisdictions.map(j => (
+                      <option key={j.id} value={j.id}>{j.name} ({j.law})</option>
+                    ))}
+                  </select>
+                  <small style={{ color: '#666' }}>
+                    Rest periods, weekly rest and night work rules used when scheduling this user.
+                  </small>
+                </div>
+
+                <div className="form-group">
+                  <label>Skills</label>
+                  <input
+                    type="text"
+                    value={formData.skills}
+                    onChange={e => setFormData(prev => ({ ...prev, skills: e.target.value }))}
+                    placeholder="e.g. Network, Storage"
+                  />
+                  <small style={{ color: '#666' }}>
+                    Comma-separated. Used by the skill requirements of the coverage model.
+                  </small>
+                </div>
+
                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 15, marginTop: 15 }}>
                   <div className="form-group">
                     <label style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
@@ -677,6 +816,18 @@ function Users() {
                     </label>
                   </div>
 
+                  <div className="form-group">
+                    <label style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                      <input
+                        type="checkbox"
+                        checked={formData.isTeamLead}
+                        onChange={e => setFormData(prev => ({ ...prev, isTeamLead: e.target.checked }))}
+                        style={{ width: 'auto' }}
+                      />
+                      Team Lead (approves requests)
+                    </label>
+                  </div>
+
                   <div className="form-group">
                     <label style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
                       <input
@@ -697,21 +848,109 @@ function Users() {
                         onChange={e => setFormData(prev => ({ ...prev, inTraining: e.target.checked, isFloater: false }))}
                         style={{ width: 'auto' }}
                       />
-                      In Training (Mon-Fri only)
+                      In Training (shadows a mentor)
                     </label>
                   </div>
                 </div>
 
                 {formData.inTraining && (
-                  <div className="alert alert-info" style={{ marginTop: 10 }}>
-                    Training users are assigned Training shift Mon-Fri and OFF on weekends.
+                  <div className="form-group" style={{ marginTop: 10 }}>
+                    <label>Mentor</label>
+                    <select
+                      value={formData.mentorId}
+                      onChange={e => setFormData(prev => ({ ...prev, mentorId: e.target.value }))}
+                    >
+                      <option value="">-- No mentor --</option>
+                      {users
+                        .filter(u => u.isActive && !u.inTraining && !u.isFloater && u.id !== editingUser?.id)
+                        .map(u => (
+                          <option key={u.id} value={u.id}>{u.name} ({u.tier})</option>
+                        ))}
+                    </select>
+                    <div className="alert alert-info" style={{ marginTop: 10 }}>
+                      Training users shadow their mentor's shifts and never count toward coverage.
+                      Without a mentor (or while the mentor is away) they get the Training shift Mon-Fri and OFF on weekends.
+                    </div>
                   </div>
                 )}
 
+                <div className="form-group" style={{ marginTop: 15 }}>
+                  <label>Contract Hours per Week</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="48"
+                    step="0.5"
+                    value={formData.contractHours}
+                    onChange={e => setFormData(prev => ({ ...prev, contractHours: e.target.value }))}
+                    placeholder="Full time"
+                  />
+                  <small style={{ color: '#666' }}>
+                    Leave empty for full time. Part-time engineers are never scheduled above their contract hours.
+                  </small>
+                </div>
+
+                <div style={{ display: 'flex', gap: 15, marginTop: 15 }}>
+                  <div className="form-group" style={{ flex: 1 }}>
+                    <label>Annual Vacation Days</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={formData.annualLeaveDays}
+                      onChange={e => setFormData(prev => ({ ...prev, annualLeaveDays: e.target.value }))}
+                      placeholder="Default"
+                    />
+                  </div>
+                  <div className="form-group" style={{ flex: 1 }}>
+                    <label>Employment Start</label>
+                    <input
+                      type="date"
+                      value={formData.employmentStart}
+                      onChange={e => setFormData(prev => ({ ...prev, employmentStart: e.target.value }))}
+                    />
+                  </div>
+                </div>
+                <small style={{ color: '#666' }}>
+                  Leave the vacation days empty for the default entitlement. The entitlement is pro-rated in the year of the employment start.
+                </small>
+
+                <div className="form-group" style={{ marginTop: 15 }}>
+                  <label>Weekly Availability</label>
+                  <table className="data-table" style={{ fontSize: 13 }}>
+                    <thead>
+                      <tr>
+                        <th></th>
+                        {weekdayShifts.map(shift => <th key={shift}>{shift}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {PATTERN_WEEKDAYS.map(day => (
+                        <tr key={day.key}>
+                          <td>{day.label}</td>
+                          {weekdayShifts.map(shift => (
+                            <td key={shift}>
+                              <input
+                                type="checkbox"
+                                checked={isPatternShiftAllowed(day.key, shift)}
+                                onChange={() => togglePatternShift(day.key, shift)}
+                                style={{ width: 'auto' }}
+                              />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <small style={{ color: '#666' }}>
+                    Recurring every week - unchecked shifts are never scheduled on that weekday.
+                  </small>
+                </div>
+
                 <div className="form-group" style={{ marginTop: 15 }}>
                   <label>Shift Preferences</label>
                   <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 5 }}>
-                    {WEEKDAY_SHIFTS.map(shift => (
+                    {weekdayShifts.map(shift => (
                       <label key={shift} style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: 13 }}>
                         <input
                           type="checkbox"
@@ -724,7 +963,7 @@ function Users() {
                     ))}
                   </div>
                   <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 5, marginTop: 10 }}>
-                    {WEEKEND_SHIFTS.map(shift => (
+                    {weekendShifts.map(shift => (
                       <label key={shift} style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: 13 }}>
                         <input
                           type="checkbox"
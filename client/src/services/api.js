@@ -128,6 +128,23 @@ class ApiService {
     return this.request(`/users/${id}/holidays?year=${year}`);
   }
 
+  async getLeaveBalance(id, year) {
+    return this.request(`/users/${id}/leave-balance?year=${year}`);
+  }
+
+  async setDelegation(id, delegation) {
+    return this.request(`/users/${id}/delegation`, {
+      method: 'PUT',
+      body: JSON.stringify(delegation)
+    });
+  }
+
+  async clearDelegation(id) {
+    return this.request(`/users/${id}/delegation`, {
+      method: 'DELETE'
+    });
+  }
+
   async getStates() {
     return this.request('/users/states');
   }
@@ -296,20 +313,64 @@ class ApiService {
     return this.request(`/schedules/user-view/${year}/${month}`);
   }
 
-  async generateSchedule(year, month, options = {}) {
+  async generateSchedule(year, month, options = {}, seed) {
     return this.request('/schedules/generate', {
       method: 'POST',
-      body: JSON.stringify({ year, month, options })
+      body: JSON.stringify({ year, month, options, seed })
     });
   }
 
-  async generateWithOption(year, month, optionId) {
+  async generateWithOption(year, month, optionId, seed) {
     return this.request('/schedules/generate-with-option', {
       method: 'POST',
-      body: JSON.stringify({ year, month, optionId })
+      body: JSON.stringify({ year, month, optionId, seed })
+    });
+  }
+
+  async generateHorizon(year, month, months, seed) {
+    return this.request('/schedules/generate-horizon', {
+      method: 'POST',
+      body: JSON.stringify({ year, month, months, seed })
+    });
+  }
+
+  async getFairnessReport(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/schedules/fairness?${params}`);
+  }
+
+  async getComplianceReport(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/schedules/compliance?${params}`);
+  }
+
+  async getGenerationJob(jobId) {
+    return this.request(`/schedules/jobs/${jobId}`);
+  }
+
+  async cancelGenerationJob(jobId) {
+    return this.request(`/schedules/jobs/${jobId}/cancel`, {
+      method: 'POST'
     });
   }
 
+  // Poll a generation job until it finishes; resolves with the generation result
+  async waitForGenerationJob(jobId, onProgress, intervalMs = 1000) {
+    for (;;) {
+      const job = await this.getGenerationJob(jobId);
+      if (onProgress) onProgress(job);
+
+      if (job.status === 'completed') return job.result;
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        const error = new Error(job.error || `Generation ${job.status}`);
+        error.code = job.status.toUpperCase();
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
   async updateSchedule(id, data) {
     return this.request(`/schedules/${id}`, {
       method: 'PUT',
@@ -324,6 +385,33 @@ class ApiService {
     });
   }
 
+  async lockScheduleCell(id, engineerId, date, locked) {
+    return this.request(`/schedules/${id}/lock`, {
+      method: 'PUT',
+      body: JSON.stringify({ engineerId, date, locked })
+    });
+  }
+
+  async regenerateSchedule(id) {
+    return this.request(`/schedules/${id}/regenerate`, {
+      method: 'POST'
+    });
+  }
+
+  async proposeScheduleRepair(id, engineerId, dates) {
+    return this.request(`/schedules/${id}/repair`, {
+      method: 'POST',
+      body: JSON.stringify({ engineerId, dates })
+    });
+  }
+
+  async applyScheduleRepair(id, changes, reason) {
+    return this.request(`/schedules/${id}/apply-repair`, {
+      method: 'POST',
+      body: JSON.stringify({ changes, reason })
+    });
+  }
+
   async publishSchedule(id) {
     return this.request(`/schedules/${id}/publish`, {
       method: 'POST'
@@ -344,6 +432,11 @@ class ApiService {
     return this.request(`/schedules/${id}/export`);
   }
 
+  async explainSchedule(id, filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/schedules/${id}/explain?${params}`);
+  }
+
   async getHolidaysForMonth(year, month) {
     return this.request(`/schedules/holidays/${year}/${month}`);
   }
@@ -381,10 +474,14 @@ class ApiService {
     });
   }
 
-  async approveRequest(id, notes = '') {
+  async getRequestImpact(id) {
+    return this.request(`/requests/${id}/impact`);
+  }
+
+  async approveRequest(id, notes = '', overrideCap = false, overrideRules = false) {
     return this.request(`/requests/${id}/approve`, {
       method: 'POST',
-      body: JSON.stringify({ notes })
+      body: JSON.stringify({ notes, overrideCap, overrideRules })
     });
   }
 
@@ -409,6 +506,53 @@ class ApiService {
     return this.request('/requests/my');
   }
 
+  // Shift swaps
+  async getSwaps(filters = {}) {
+    const params = new URLSearchParams(filters);
+    return this.request(`/swaps?${params}`);
+  }
+
+  async offerShift(date, note = '') {
+    return this.request('/swaps', {
+      method: 'POST',
+      body: JSON.stringify({ date, note })
+    });
+  }
+
+  async checkSwap(id, returnDate = null) {
+    return this.request(`/swaps/${id}/check`, {
+      method: 'POST',
+      body: JSON.stringify({ returnDate })
+    });
+  }
+
+  async acceptSwap(id, returnDate = null) {
+    return this.request(`/swaps/${id}/accept`, {
+      method: 'POST',
+      body: JSON.stringify({ returnDate })
+    });
+  }
+
+  async approveSwap(id, notes = '') {
+    return this.request(`/swaps/${id}/approve`, {
+      method: 'POST',
+      body: JSON.stringify({ notes })
+    });
+  }
+
+  async rejectSwap(id, notes) {
+    return this.request(`/swaps/${id}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ notes })
+    });
+  }
+
+  async withdrawSwap(id) {
+    return this.request(`/swaps/${id}`, {
+      method: 'DELETE'
+    });
+  }
+
   // System / Admin
   async getVersion() {
     return this.request('/system/version');
@@ -448,6 +592,110 @@ class ApiService {
     });
   }
 
+  async getCoverageSettings() {
+    return this.request('/system/coverage');
+  }
+
+  async updateCoverageSettings(coverage) {
+    return this.request('/system/coverage', {
+      method: 'PUT',
+      body: JSON.stringify(coverage)
+    });
+  }
+
+  async resetCoverageSettings() {
+    return this.request('/system/coverage', { method: 'DELETE' });
+  }
+
+  async getShiftCatalogue() {
+    return this.request('/system/shifts');
+  }
+
+  async updateShiftCatalogue(shifts) {
+    return this.request('/system/shifts', {
+      method: 'PUT',
+      body: JSON.stringify({ shifts })
+    });
+  }
+
+  async resetShiftCatalogue() {
+    return this.request('/system/shifts', { method: 'DELETE' });
+  }
+
+  async getHolidayCalendar(year) {
+    return this.request(`/system/holidays?year=${year}`);
+  }
+
+  async updateHolidayOverrides(overrides) {
+    return this.request('/system/holidays', {
+      method: 'PUT',
+      body: JSON.stringify({ overrides })
+    });
+  }
+
+  async resetHolidayOverrides() {
+    return this.request('/system/holidays', { method: 'DELETE' });
+  }
+
+  async getSchoolHolidays() {
+    return this.request('/system/school-holidays');
+  }
+
+  async importSchoolHolidays(state, ics) {
+    return this.request('/system/school-holidays/import', {
+      method: 'POST',
+      body: JSON.stringify({ state, ics })
+    });
+  }
+
+  async removeSchoolHolidays(state) {
+    return this.request(`/system/school-holidays?state=${state}`, { method: 'DELETE' });
+  }
+
+  async getLeaveCaps() {
+    return this.request('/system/leave-caps');
+  }
+
+  async updateLeaveCaps(caps) {
+    return this.request('/system/leave-caps', {
+      method: 'PUT',
+      body: JSON.stringify(caps)
+    });
+  }
+
+  async getSwapSettings() {
+    return this.request('/system/shift-swaps');
+  }
+
+  async updateSwapSettings(settings) {
+    return this.request('/system/shift-swaps', {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    });
+  }
+
+  async getLeaveEntitlement() {
+    return this.request('/system/leave-entitlement');
+  }
+
+  async updateLeaveEntitlement(settings) {
+    return this.request('/system/leave-entitlement', {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    });
+  }
+
+  async getApprovalWorkflow() {
+    return this.request('/system/approval-workflow');
+  }
+
+  async updateApprovalWorkflow(workflow) {
+    return this.request('/system/approval-workflow', {
+      method: 'PUT',
+      body: JSON.stringify(workflow)
+    });
+  }
+
   async getEmailConfig() {
     return this.request('/system/email-config');
   }
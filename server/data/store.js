@@ -14,7 +14,7 @@ import bcrypt from 'bcryptjs';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const DATA_DIR = join(__dirname, 'storage');
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, 'storage');
 const DATA_FILE = join(DATA_DIR, 'data.json');
 
 // Default data structure
@@ -22,6 +22,10 @@ const defaultData = {
   users: [],
   schedules: [],
   requests: [],
+  // Shift swap offers between engineers (see services/shiftSwaps.js)
+  swaps: [],
+  // Decision traces of generated schedules, keyed by schedule ID (kept apart to keep schedules small)
+  decisionTraces: {},
   settings: {
     smtpHost: '',
     smtpPort: 587,
@@ -30,10 +34,22 @@ const defaultData = {
     smtpFrom: '',
     smtpSecure: false,
     updateCheckInterval: 'daily',
-    defaultCoverage: {
-      weekday: { Early: 3, Morning: 3, Late: 3, Night: 2 },
-      weekend: { Early: 2, Morning: 2, Late: 2, Night: 2 }
-    }
+    // Coverage matrix { weekday, weekend, holiday, overrides } - null uses scheduler defaults
+    defaultCoverage: null,
+    // Shift definitions (see scheduler/config/shiftCatalogue.js) - null uses built-in shifts
+    shiftCatalogue: null,
+    // Company holidays, suppressed and renamed holidays (see services/germanHolidays.js)
+    holidayOverrides: [],
+    // School holiday ranges per state [{ state, name, start, end }] (see services/schoolHolidays.js)
+    schoolHolidays: [],
+    // Maximum engineers off at the same time (see services/leavePlanning.js)
+    leaveCaps: { schoolHolidayMaxOff: null, periods: [] },
+    // Shift swaps need manager approval before the schedule changes
+    shiftSwaps: { requireApproval: true },
+    // Annual vacation entitlement and carry-over (see services/leaveEntitlement.js)
+    leaveEntitlement: { annualDays: 30, carryOverMaxDays: 5, carryOverUntil: '03-31', overdraft: 'warn' },
+    // Approval chains and escalation of pending requests (see services/approvalWorkflow.js)
+    approvalWorkflow: { escalateAfterHours: 48, chains: [] }
   }
 };
 
@@ -57,6 +73,12 @@ export function initStore() {
       if (store.engineers && store.engineers.length > 0) {
         migrateEngineersToUsers();
       }
+
+      // Migration: Legacy flat coverage ({ Early: 3, ... }) was never used by the
+      // scheduler - drop it so the built-in coverage matrix applies
+      if (typeof store.settings?.defaultCoverage?.weekday?.Early === 'number') {
+        store.settings.defaultCoverage = null;
+      }
     } catch (error) {
       console.error('Error loading data file, using defaults:', error);
       store = { ...defaultData };
@@ -266,8 +288,16 @@ export function createUser(userData) {
     isManager: userData.isManager || false,
     isFloater: userData.isFloater || false,
     inTraining: userData.inTraining || false,
+    isTeamLead: userData.isTeamLead || false,
     tier: userData.tier || 'T2',
+    skills: userData.skills || [],
+    mentorId: userData.mentorId || null,
+    contractHours: userData.contractHours || null,
+    availabilityPattern: userData.availabilityPattern || null,
     state: userData.state || null,
+    jurisdiction: userData.jurisdiction || null,
+    annualLeaveDays: userData.annualLeaveDays ?? null,
+    employmentStart: userData.employmentStart || null,
     preferences: userData.preferences || [],
     unavailableDays: userData.unavailableDays || [],
     isActive: true,
@@ -365,10 +395,32 @@ export function createSchedule(scheduleData) {
     isPartial: scheduleData.isPartial || false,
     generationErrors: scheduleData.generationErrors || [],
     validationErrors: scheduleData.validationErrors || [],
+    appliedOptions: scheduleData.appliedOptions || [],
+    solverParameters: scheduleData.solverParameters || null,
+    objective: scheduleData.objective || null,
+    optimization: scheduleData.optimization || null,
+    seed: scheduleData.seed ?? null,
+    horizon: scheduleData.horizon || null,
     editHistory: []
   });
 }
 
+/**
+ * Create the per-month drafts of a multi-month (horizon) generation and link them:
+ * each gets horizon: { id, index, months, scheduleIds }
+ */
+export function createHorizonSchedules(schedulesData) {
+  const schedules = schedulesData.map(data => createSchedule(data));
+  const horizon = {
+    id: uuidv4(),
+    months: schedules.map(s => s.month),
+    scheduleIds: schedules.map(s => s.id)
+  };
+  return schedules.map((schedule, index) =>
+    update('schedules', schedule.id, { horizon: { ...horizon, index } })
+  );
+}
+
 export function getScheduleForMonth(year, month) {
   const monthStr = `${year}-${month.toString().padStart(2, '0')}`;
   return find('schedules', s => s.month === monthStr)
@@ -386,6 +438,41 @@ export function getPublishedSchedules(limit = 5) {
     .slice(0, limit);
 }
 
+// ============== Decision Trace Functions ==============
+
+// Traces are large (~200 KB per month), so only the most recent ones are kept
+const MAX_DECISION_TRACES = 12;
+
+/**
+ * Save the decision trace of a (re)generated schedule, replacing an older one.
+ * Traces of deleted schedules and all but the newest MAX_DECISION_TRACES are dropped.
+ */
+export function saveDecisionTrace(scheduleId, cells) {
+  const scheduleIds = new Set(store.schedules.map(s => s.id));
+  const older = Object.entries(store.decisionTraces || {})
+    .filter(([id]) => id !== scheduleId && scheduleIds.has(id))
+    .sort(([, a], [, b]) => b.generatedAt.localeCompare(a.generatedAt))
+    .slice(0, MAX_DECISION_TRACES - 1);
+
+  store.decisionTraces = Object.fromEntries(older);
+  store.decisionTraces[scheduleId] = {
+    generatedAt: new Date().toISOString(),
+    cells
+  };
+
+  saveStore();
+}
+
+export function getDecisionTrace(scheduleId) {
+  return store.decisionTraces?.[scheduleId] || null;
+}
+
+export function removeDecisionTrace(scheduleId) {
+  if (!store.decisionTraces?.[scheduleId]) return;
+  delete store.decisionTraces[scheduleId];
+  saveStore();
+}
+
 // ============== Request Functions ==============
 
 export function createRequest(requestData) {
@@ -398,6 +485,9 @@ export function createRequest(requestData) {
     details: requestData.details || {},
     reason: requestData.reason || '',
     leadTimeDays: requestData.leadTimeDays,
+    // Approval stages and trail (see services/approvalWorkflow.js)
+    approvalChain: null,
+    approvalTrail: [],
     reviewedBy: null,
     reviewedAt: null,
     reviewNotes: null
@@ -456,6 +546,7 @@ export default {
   addNotification,
   markNotificationsRead,
   createSchedule,
+  createHorizonSchedules,
   getScheduleForMonth,
   getPublishedScheduleForMonth,
   getPublishedSchedules,
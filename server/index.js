@@ -16,13 +16,17 @@ import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readFileSync } from 'fs';
-import { initStore } from './data/store.js';
+import { initStore, getSettings } from './data/store.js';
+import { setShiftCatalogue } from './services/scheduler/config/shiftCatalogue.js';
+import { setHolidayOverrides } from './services/germanHolidays.js';
+import { escalateOverdueRequests } from './services/approvalWorkflow.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
 import userRoutes from './routes/users.js';
 import scheduleRoutes from './routes/schedules.js';
 import requestRoutes from './routes/requests.js';
+import swapRoutes from './routes/swaps.js';
 import systemRoutes from './routes/system.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -30,6 +34,18 @@ const __dirname = dirname(__filename);
 
 // Initialize data store
 initStore();
+setShiftCatalogue(getSettings().shiftCatalogue);
+setHolidayOverrides(getSettings().holidayOverrides);
+
+// Escalate requests pending past their approval deadline
+const ESCALATION_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+setInterval(() => {
+  try {
+    escalateOverdueRequests();
+  } catch (err) {
+    console.error('Failed to escalate overdue requests:', err.message);
+  }
+}, ESCALATION_CHECK_INTERVAL_MS).unref();
 
 // Create Express app
 const app = express();
@@ -159,6 +175,7 @@ app.use('/api/users', userRoutes);
 app.use('/api/engineers', userRoutes);
 app.use('/api/schedules', scheduleRoutes);
 app.use('/api/requests', requestRoutes);
+app.use('/api/swaps', swapRoutes);
 app.use('/api/system', systemRoutes);
 
 // Get version info
@@ -217,25 +234,41 @@ app.get('/api', (req, res) => {
         'GET /api/schedules/:id': 'Get schedule by ID',
         'GET /api/schedules/month/:year/:month': 'Get schedule for month',
         'GET /api/schedules/latest-published': 'Get latest published schedule',
-        'POST /api/schedules/generate': 'Generate new schedule',
-        'POST /api/schedules/generate-with-option': 'Generate with recovery option',
+        'POST /api/schedules/generate': 'Start a schedule generation job',
+        'POST /api/schedules/generate-with-option': 'Start a generation job with a recovery option',
+        'POST /api/schedules/generate-horizon': 'Start a job generating 2-3 consecutive months as linked drafts',
+        'GET /api/schedules/jobs/:jobId': 'Get generation job status and result',
+        'POST /api/schedules/jobs/:jobId/cancel': 'Cancel a running generation job',
         'PUT /api/schedules/:id': 'Update schedule',
         'PUT /api/schedules/:id/shift': 'Update single shift',
+        'PUT /api/schedules/:id/lock': 'Lock or unlock a cell',
+        'POST /api/schedules/:id/regenerate': 'Start a job regenerating unlocked cells of a draft',
+        'POST /api/schedules/:id/repair': 'Propose a repair of a published schedule after unavailability',
+        'POST /api/schedules/:id/apply-repair': 'Apply a proposed repair',
+        'GET /api/schedules/fairness': 'Rolling 12-month fairness standings',
+        'GET /api/schedules/:id/explain': 'Explain why cells got their shift',
         'POST /api/schedules/:id/publish': 'Publish schedule',
         'POST /api/schedules/:id/archive': 'Archive schedule',
         'DELETE /api/schedules/:id': 'Delete unpublished schedule'
       },
       requests: {
         'GET /api/requests': 'List requests',
-        'GET /api/requests/pending': 'Get pending requests (manager only)',
+        'GET /api/requests/pending': 'Get pending requests (reviewers only)',
+        'GET /api/requests/:id/impact': 'Coverage impact of approving a time-off request',
         'POST /api/requests': 'Create scheduling request',
-        'POST /api/requests/:id/approve': 'Approve request (manager only)',
-        'POST /api/requests/:id/reject': 'Reject request (manager only)'
+        'POST /api/requests/:id/approve': 'Approve the current stage of a request (its approvers)',
+        'POST /api/requests/:id/reject': 'Reject request (its approvers)'
       },
       system: {
         'GET /api/system/version': 'Get version info',
         'GET /api/system/settings': 'Get system settings',
         'PUT /api/system/smtp-settings': 'Update SMTP settings',
+        'GET /api/system/coverage': 'Get coverage matrix',
+        'PUT /api/system/coverage': 'Update coverage matrix (admin only)',
+        'DELETE /api/system/coverage': 'Reset coverage matrix to defaults (admin only)',
+        'GET /api/system/shifts': 'Get shift catalogue and derived forbidden transitions',
+        'PUT /api/system/shifts': 'Update shift catalogue (admin only)',
+        'DELETE /api/system/shifts': 'Reset shift catalogue to defaults (admin only)',
         'GET /api/system/locked-accounts': 'Get locked accounts'
       }
     }
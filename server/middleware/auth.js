@@ -320,6 +320,7 @@ export function authenticate(req, res, next) {
     isManager: user.isManager || false,
     isFloater: user.isFloater || false,
     inTraining: user.inTraining || false,
+    isTeamLead: user.isTeamLead || false,
     engineerId: user.id,  // For backward compatibility with schedule views
     tier: user.tier || 'T2'
   };
@@ -34,6 +34,8 @@ import {
   requireAdmin,
   requireManager
 } from '../middleware/auth.js';
+import { isRequestReviewer } from '../services/approvalWorkflow.js';
+import { format } from 'date-fns';
 
 const router = Router();
 
@@ -120,6 +122,8 @@ router.post('/login', (req, res) => {
       isManager: user.isManager || false,
       isFloater: user.isFloater || false,
       inTraining: user.inTraining || false,
+      isTeamLead: user.isTeamLead || false,
+      reviewsRequests: isRequestReviewer(user, format(new Date(), 'yyyy-MM-dd')),
       twoFactorEnabled: user.twoFactorEnabled || false,
       twoFactorForced: user.twoFactorForced || false,
       darkMode: user.darkMode || false,
@@ -197,6 +201,9 @@ router.get('/me', authenticate, (req, res) => {
     isManager: user.isManager || false,
     isFloater: user.isFloater || false,
     inTraining: user.inTraining || false,
+    isTeamLead: user.isTeamLead || false,
+    reviewsRequests: isRequestReviewer(user, format(new Date(), 'yyyy-MM-dd')),
+    delegation: user.delegation || null,
     tier: user.tier || 'T2',
     state: user.state,
     preferences: user.preferences || [],
@@ -1,7 +1,8 @@
 /**
  * Request Routes
  *
- * Handles user scheduling requests with 15-day lead time requirement.
+ * Handles user scheduling requests with 15-day lead time requirement. Requests are approved
+ * in the stages of their approval chain (see services/approvalWorkflow.js).
  */
 
 import { Router } from 'express';
@@ -12,31 +13,89 @@ import {
   find,
   createRequest,
   getPendingRequests,
-  getRequestsForUser,
   reviewRequest
 } from '../data/store.js';
-import { authenticate, requireManager } from '../middleware/auth.js';
+import { authenticate } from '../middleware/auth.js';
 import { differenceInDays, parseISO, format, addDays } from 'date-fns';
+import { getWorkShiftNames } from '../services/scheduler/config/shiftCatalogue.js';
+import { getLeaveOverview } from '../services/leavePlanning.js';
+import { getLeaveEntitlementSettings, checkLeaveBalance } from '../services/leaveEntitlement.js';
+import { planShiftChangeRequest, describeShiftChangePlan, applyScheduleChanges, getTimeOffImpact } from '../services/scheduleChanges.js';
+import {
+  MIN_LEAD_TIME_DAYS,
+  ROLE_LABELS,
+  getApprovalChain,
+  canReviewRequest,
+  isRequestReviewer,
+  isInsidePlanningWindow,
+  appendTrail,
+  startApproval,
+  approveStage,
+  rejectStage,
+  escalateOverdueRequests
+} from '../services/approvalWorkflow.js';
 
 const router = Router();
 
-// Minimum lead time in days for scheduling requests
-const MIN_LEAD_TIME_DAYS = 15;
+/**
+ * Add review information to a pending request: the leave overview (colleagues off, school
+ * holidays, leave caps, vacation balance) of a time-off request, or the schedule changes and the rule
+ * violations they introduce of a shift change request
+ */
+function withLeaveOverview(request) {
+  if (request.status !== 'pending') return request;
+  if (request.type === 'time_off') {
+    const user = getById('users', request.userId);
+    return {
+      ...request,
+      leaveOverview: {
+        ...getLeaveOverview(request),
+        balanceWarnings: user ? checkLeaveBalance(user, request.dates, request.id) : []
+      }
+    };
+  }
+  if (request.type === 'shift_change') {
+    return { ...request, schedulePreview: describeShiftChangePlan(planShiftChangeRequest(request)) };
+  }
+  return request;
+}
+
+/**
+ * Add the approval chain, whether the user can decide its current stage and whether the
+ * planning window already blocks approval; reviewers also get the review information
+ */
+function withApproval(request, user) {
+  const { allowed, onBehalfOf } = canReviewRequest(user, request);
+  const withChain = {
+    ...request,
+    approvalChain: getApprovalChain(request),
+    approvalTrail: request.approvalTrail || [],
+    canReview: allowed,
+    reviewingFor: onBehalfOf?.name || null,
+    insidePlanningWindow: request.status === 'pending' && isInsidePlanningWindow(request)
+  };
+  return allowed || user.isAdmin || user.isManager ? withLeaveOverview(withChain) : withChain;
+}
+
+/**
+ * Check if a user may see a request: their own, managers, its current approvers and
+ * everyone in its approval trail
+ */
+function canViewRequest(user, request) {
+  return user.isAdmin || user.isManager || request.userId === user.id ||
+    canReviewRequest(user, request).allowed ||
+    (request.approvalTrail || []).some(e => e.by === user.id);
+}
 
 /**
  * GET /api/requests
- * Get all requests (managers see all, users see their own)
+ * Get all requests (managers see all, others their own and the requests they review)
  */
 router.get('/', authenticate, (req, res) => {
   const { status, type } = req.query;
+  const user = getById('users', req.user.id);
 
-  let requests;
-
-  if (req.user.isAdmin || req.user.isManager) {
-    requests = find('requests', () => true);
-  } else {
-    requests = getRequestsForUser(req.user.id);
-  }
+  let requests = find('requests', r => canViewRequest(user, r));
 
   if (status) {
     requests = requests.filter(r => r.status === status);
@@ -49,15 +108,26 @@ router.get('/', authenticate, (req, res) => {
   // Sort by creation date descending
   requests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
-  res.json(requests);
+  res.json(requests.map(r => withApproval(r, user)));
 });
 
 /**
  * GET /api/requests/pending
- * Get pending requests (managers/admins only) - for approval cards
+ * Get pending requests (managers see all, team leads and delegates those they can decide) -
+ * for approval cards
  */
-router.get('/pending', authenticate, requireManager, (req, res) => {
-  const requests = getPendingRequests();
+router.get('/pending', authenticate, (req, res) => {
+  const user = getById('users', req.user.id);
+
+  if (!isRequestReviewer(user, format(new Date(), 'yyyy-MM-dd'))) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  escalateOverdueRequests();
+
+  const requests = getPendingRequests()
+    .filter(r => user.isAdmin || user.isManager || canReviewRequest(user, r).allowed)
+    .map(r => withApproval(r, user));
 
   // Group by type for display
   const grouped = {
@@ -86,15 +156,50 @@ router.get('/:id', authenticate, (req, res) => {
     });
   }
 
-  // Users can only view their own requests
-  if (!req.user.isAdmin && !req.user.isManager &&
-      req.user.id !== request.userId) {
+  // Users can only view their own requests and those they review
+  const user = getById('users', req.user.id);
+  if (!canViewRequest(user, request)) {
+    return res.status(403).json({
+      error: 'Access denied'
+    });
+  }
+
+  res.json(withApproval(request, user));
+});
+
+/**
+ * GET /api/requests/:id/impact
+ * Coverage impact of approving a time-off request (managers and its reviewers): colleagues
+ * off, shift coverage before and after in the month's schedule, and the scheduling errors
+ * taking the requester out introduces
+ */
+router.get('/:id/impact', authenticate, (req, res) => {
+  const request = getById('requests', req.params.id);
+
+  if (!request) {
+    return res.status(404).json({
+      error: 'Request not found'
+    });
+  }
+
+  const user = getById('users', req.user.id);
+  if (!user.isAdmin && !user.isManager && !canReviewRequest(user, request).allowed) {
     return res.status(403).json({
       error: 'Access denied'
     });
   }
 
-  res.json(request);
+  if (request.type !== 'time_off') {
+    return res.status(400).json({
+      error: 'Coverage impact is only available for time off requests'
+    });
+  }
+
+  res.json({
+    requestId: request.id,
+    userName: request.userName,
+    ...getTimeOffImpact(request)
+  });
 });
 
 /**
@@ -173,7 +278,7 @@ router.post('/', authenticate, (req, res) => {
       });
     }
 
-    const validShifts = ['Early', 'Morning', 'Late', 'Night', 'OFF'];
+    const validShifts = [...getWorkShiftNames(), 'OFF'];
     if (!validShifts.includes(details.currentShift) || !validShifts.includes(details.requestedShift)) {
       return res.status(400).json({
         error: 'Invalid shift type in details'
@@ -189,7 +294,7 @@ router.post('/', authenticate, (req, res) => {
       });
     }
 
-    const validShifts = ['Early', 'Morning', 'Late', 'Night'];
+    const validShifts = getWorkShiftNames();
     if (details.preferences.some(p => !validShifts.includes(p))) {
       return res.status(400).json({
         error: 'Invalid shift preference in details'
@@ -197,6 +302,18 @@ router.post('/', authenticate, (req, res) => {
     }
   }
 
+  // Time off beyond the remaining vacation balance is refused or submitted with a warning
+  let warnings = [];
+  if (type === 'time_off') {
+    warnings = checkLeaveBalance(user, dates);
+    if (warnings.length > 0 && getLeaveEntitlementSettings().overdraft === 'reject') {
+      return res.status(400).json({
+        error: 'Request exceeds your remaining vacation balance',
+        details: warnings
+      });
+    }
+  }
+
   // Calculate lead time for the earliest date
   let leadTimeDays = null;
   if (dates && dates.length > 0) {
@@ -206,8 +323,8 @@ router.post('/', authenticate, (req, res) => {
     leadTimeDays = differenceInDays(parseISO(earliestDate), today);
   }
 
-  // Create the request
-  const request = createRequest({
+  // Create the request and start its approval chain
+  const request = startApproval(createRequest({
     userId,
     userName: user.name,
     type,
@@ -215,19 +332,55 @@ router.post('/', authenticate, (req, res) => {
     details: details || {},
     reason: reason || '',
     leadTimeDays
-  });
+  }), user);
 
   res.status(201).json({
-    message: 'Request submitted successfully',
-    request
+    message: warnings.length > 0
+      ? 'Request submitted, but it exceeds your remaining vacation balance'
+      : 'Request submitted successfully',
+    request,
+    ...(warnings.length > 0 ? { warnings } : {})
   });
 });
 
+/**
+ * Check that a user can decide the current stage of a pending request
+ * @returns {Object} { error, status } or { reviewer, onBehalfOf }
+ */
+function checkReviewer(req, request, action) {
+  if (request.status !== 'pending') {
+    return { status: 400, error: `Cannot ${action} a request with status: ${request.status}` };
+  }
+
+  const reviewer = getById('users', req.user.id);
+  if (request.userId === reviewer.id) {
+    return { status: 403, error: `You cannot ${action} your own request` };
+  }
+
+  const { allowed, onBehalfOf } = canReviewRequest(reviewer, request);
+  if (!allowed) {
+    const chain = getApprovalChain(request);
+    const stage = chain.stages[chain.currentStage];
+    return {
+      status: 403,
+      error: `This request waits for ${ROLE_LABELS[stage.role]} approval` +
+        (stage.escalatedTo ? ` (escalated to ${ROLE_LABELS[stage.escalatedTo]})` : '')
+    };
+  }
+
+  return { reviewer, onBehalfOf };
+}
+
 /**
  * POST /api/requests/:id/approve
- * Approve a request (managers/admins only)
+ * Approve the current stage of a request (its approvers or their delegates). The last stage
+ * approves the request and applies it.
+ * Body: { notes, overrideCap, overrideRules }
+ * - a time-off request over a leave cap needs overrideCap: true
+ * - a shift change is written into the schedule of its month (published, else the latest
+ *   draft); if that breaks coverage or working time rules it needs overrideRules: true
  */
-router.post('/:id/approve', authenticate, requireManager, (req, res) => {
+router.post('/:id/approve', authenticate, (req, res) => {
   const request = getById('requests', req.params.id);
 
   if (!request) {
@@ -236,14 +389,58 @@ router.post('/:id/approve', authenticate, requireManager, (req, res) => {
     });
   }
 
-  if (request.status !== 'pending') {
-    return res.status(400).json({
-      error: `Cannot approve a request with status: ${request.status}`
+  const { reviewer, onBehalfOf, status, error } = checkReviewer(req, request, 'approve');
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  // Approving now would change days the schedule is already being planned for
+  if (isInsidePlanningWindow(request)) {
+    return res.status(409).json({
+      error: `Approving would break the ${MIN_LEAD_TIME_DAYS}-day planning window. Reject the request instead.`,
+      details: [`First requested date ${[...request.dates].sort()[0]} is less than ${MIN_LEAD_TIME_DAYS} days away`]
     });
   }
 
-  const { notes } = req.body;
+  const { notes, overrideCap, overrideRules } = req.body;
+  const chain = getApprovalChain(request);
+
+  // Earlier stages only pass the request on to the next approvers
+  if (chain.currentStage < chain.stages.length - 1) {
+    const { request: passed } = approveStage(request, reviewer, onBehalfOf, notes || '');
+    const nextRole = passed.approvalChain.stages[passed.approvalChain.currentStage].role;
+    return res.json({
+      message: `Approved as ${ROLE_LABELS[chain.stages[chain.currentStage].role]}, waiting for ${ROLE_LABELS[nextRole]} approval`,
+      request: passed
+    });
+  }
+
+  if (request.type === 'time_off' && !overrideCap) {
+    const { dates } = getLeaveOverview(request);
+    const overCap = dates.filter(d => d.overCap);
+    if (overCap.length > 0) {
+      return res.status(409).json({
+        error: 'Approving this request exceeds a leave cap. Approve with overrideCap to proceed.',
+        details: overCap.map(d => `${d.date}: ${d.off} already off, ${d.capName} allows ${d.cap}`)
+      });
+    }
+  }
+
+  const shiftChangePlan = request.type === 'shift_change' ? planShiftChangeRequest(request) : null;
+
+  if (shiftChangePlan && !overrideRules) {
+    const violations = shiftChangePlan.schedules.flatMap(({ schedule, newErrors }) =>
+      newErrors.map(e => `${schedule.month}: ${e.message}`)
+    );
+    if (violations.length > 0) {
+      return res.status(409).json({
+        error: 'Applying this shift change breaks scheduling rules. Approve with overrideRules to proceed.',
+        details: violations
+      });
+    }
+  }
 
+  approveStage(request, reviewer, onBehalfOf, notes || '');
   const updated = reviewRequest(
     req.params.id,
     'approved',
@@ -293,17 +490,29 @@ router.post('/:id/approve', authenticate, requireManager, (req, res) => {
     }
   }
 
+  // If it's a shift change, write the requested shift into the schedule
+  if (shiftChangePlan) {
+    for (const { schedule, changes } of shiftChangePlan.schedules) {
+      applyScheduleChanges(schedule, changes, {
+        type: 'shift_change',
+        reason: `Approved shift change request of ${request.userName}`,
+        editedBy: req.user.id
+      });
+    }
+  }
+
   res.json({
     message: 'Request approved',
-    request: updated
+    request: updated,
+    ...(shiftChangePlan ? { scheduleChanges: describeShiftChangePlan(shiftChangePlan) } : {})
   });
 });
 
 /**
  * POST /api/requests/:id/reject
- * Reject a request (managers/admins only)
+ * Reject a request at its current stage (its approvers or their delegates)
  */
-router.post('/:id/reject', authenticate, requireManager, (req, res) => {
+router.post('/:id/reject', authenticate, (req, res) => {
   const request = getById('requests', req.params.id);
 
   if (!request) {
@@ -312,10 +521,9 @@ router.post('/:id/reject', authenticate, requireManager, (req, res) => {
     });
   }
 
-  if (request.status !== 'pending') {
-    return res.status(400).json({
-      error: `Cannot reject a request with status: ${request.status}`
-    });
+  const { reviewer, onBehalfOf, status, error } = checkReviewer(req, request, 'reject');
+  if (error) {
+    return res.status(status).json({ error });
   }
 
   const { notes } = req.body;
@@ -326,6 +534,7 @@ router.post('/:id/reject', authenticate, requireManager, (req, res) => {
     });
   }
 
+  rejectStage(request, reviewer, onBehalfOf, notes);
   const updated = reviewRequest(
     req.params.id,
     'rejected',
@@ -368,7 +577,8 @@ router.delete('/:id', authenticate, (req, res) => {
 
   update('requests', req.params.id, {
     status: 'cancelled',
-    cancelledAt: new Date().toISOString()
+    cancelledAt: new Date().toISOString(),
+    approvalTrail: appendTrail(request, 'cancelled', getById('users', req.user.id))
   });
 
   res.json({
@@ -381,6 +591,8 @@ router.delete('/:id', authenticate, (req, res) => {
  * Get available request types
  */
 router.get('/types/list', (req, res) => {
+  const shiftNames = getWorkShiftNames().join('|');
+
   res.json([
     {
       id: 'time_off',
@@ -396,8 +608,8 @@ router.get('/types/list', (req, res) => {
       requiresDates: true,
       requiresDetails: true,
       detailsSchema: {
-        currentShift: 'string (Early|Morning|Late|Night|OFF)',
-        requestedShift: 'string (Early|Morning|Late|Night|OFF)'
+        currentShift: `string (${shiftNames}|OFF)`,
+        requestedShift: `string (${shiftNames}|OFF)`
       }
     },
     {
@@ -407,7 +619,7 @@ router.get('/types/list', (req, res) => {
       requiresDates: false,
       requiresDetails: true,
       detailsSchema: {
-        preferences: 'array of strings (Early|Morning|Late|Night)'
+        preferences: `array of strings (${shiftNames})`
       }
     }
   ]);
@@ -12,16 +12,43 @@ import {
   remove,
   getActiveEngineers,
   createSchedule,
+  createHorizonSchedules,
   getScheduleForMonth,
   getPublishedScheduleForMonth,
-  getApprovedRequestsForMonth
+  getApprovedRequestsForMonth,
+  getSettings,
+  saveDecisionTrace,
+  getDecisionTrace,
+  removeDecisionTrace
 } from '../data/store.js';
 import { authenticate, requireManager } from '../middleware/auth.js';
 // Use new modular scheduler (v2.0)
-import { Scheduler, SHIFTS, COLORS, VERSION as SCHEDULER_VERSION } from '../services/scheduler/index.js';
+import {
+  Scheduler,
+  SHIFTS,
+  VERSION as SCHEDULER_VERSION,
+  normalizeCoverage,
+  getShiftColors,
+  getWorkShiftNames,
+  getLockedCells,
+  countLocks,
+  isValidSeed,
+  MAX_SEED,
+  ALGORITHM_CONFIG
+} from '../services/scheduler/index.js';
 import { getHolidaysForMonth, getHolidaysForEngineer } from '../services/germanHolidays.js';
 import { format, parse, startOfMonth, endOfMonth, eachDayOfInterval, subMonths } from 'date-fns';
 import { notifySchedulePublished, notifyScheduleChange } from '../services/emailService.js';
+import {
+  startGenerationJob,
+  getGenerationJob,
+  findRunningJob,
+  canStartGenerationJob,
+  cancelGenerationJob
+} from '../services/generationJobs.js';
+import { getFairnessLedgerBefore, getFairnessReport } from '../services/fairnessLedger.js';
+import { getWorkHistoryBefore, getComplianceReport } from '../services/workingTimeCompliance.js';
+import { createSchedulerFor, getStaleChanges, applyScheduleChanges } from '../services/scheduleChanges.js';
 
 const router = Router();
 
@@ -79,7 +106,9 @@ router.get('/', authenticate, (req, res) => {
     createdBy: s.createdBy,
     publishedAt: s.publishedAt,
     hasErrors: !!(s.validationErrors?.length > 0),
-    isPartial: s.isPartial || false
+    isPartial: s.isPartial || false,
+    objective: s.objective || null,
+    horizon: s.horizon || null
   })));
 });
 
@@ -110,6 +139,7 @@ router.get('/latest-published', authenticate, (req, res) => {
     end: endOfMonth(monthDate)
   });
 
+  const colors = getShiftColors();
   const exportData = {
     id: schedule.id,
     month: schedule.month,
@@ -125,18 +155,20 @@ router.get('/latest-published', authenticate, (req, res) => {
       tier: e.tier,
       isFloater: e.isFloater,
       inTraining: e.inTraining || false,
-      tierColor: COLORS.tier[e.tier],
+      tierColor: colors.tier[e.tier],
       shifts: days.map(d => {
         const dateStr = format(d, 'yyyy-MM-dd');
         const shift = schedule.data[e.id]?.[dateStr];
         return {
           date: dateStr,
           shift: shift || null,
-          color: shift ? COLORS.shift[shift] : null
+          color: shift ? colors.shift[shift] : null,
+          // { holiday, hours } if the shift falls on a public holiday (payroll supplement)
+          holidayWork: schedule.stats?.holidayWork?.[e.id]?.[dateStr] || null
         };
       })
     })),
-    colors: COLORS,
+    colors,
     stats: schedule.stats
   };
 
@@ -166,6 +198,52 @@ router.get('/archived', authenticate, requireManager, (req, res) => {
   })));
 });
 
+/**
+ * GET /api/schedules/fairness
+ * Rolling standings of the fairness ledger: nights, weekend days, public-holiday shifts,
+ * late shifts and Sundays per engineer across published schedules.
+ * Query: to (YYYY-MM, default current month), months (window length, 1-24, default 12)
+ */
+router.get('/fairness', authenticate, requireManager, (req, res) => {
+  const { to } = req.query;
+  const windowMonths = req.query.months === undefined ? undefined : Number(req.query.months);
+
+  let lastMonth = new Date();
+  if (to !== undefined) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(to)) {
+      return res.status(400).json({ error: 'to must be a month in YYYY-MM format' });
+    }
+    lastMonth = parse(to, 'yyyy-MM', new Date());
+  }
+
+  if (windowMonths !== undefined && (!Number.isInteger(windowMonths) || windowMonths < 1 || windowMonths > 24)) {
+    return res.status(400).json({ error: 'months must be between 1 and 24' });
+  }
+
+  res.json(getFairnessReport(lastMonth, windowMonths));
+});
+
+/**
+ * GET /api/schedules/compliance
+ * ArbZG compliance across all published schedules: rolling 24-week average of weekly hours,
+ * Sundays worked versus the 15 free Sundays per year, and substitute rest days owed for
+ * Sunday and holiday work.
+ * Query: to (YYYY-MM, last month to include, default current month)
+ */
+router.get('/compliance', authenticate, requireManager, (req, res) => {
+  const { to } = req.query;
+
+  let lastMonth = new Date();
+  if (to !== undefined) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(to)) {
+      return res.status(400).json({ error: 'to must be a month in YYYY-MM format' });
+    }
+    lastMonth = parse(to, 'yyyy-MM', new Date());
+  }
+
+  res.json(getComplianceReport(lastMonth));
+});
+
 /**
  * GET /api/schedules/:id
  * Get schedule by ID
@@ -182,6 +260,93 @@ router.get('/:id', authenticate, (req, res) => {
   res.json(schedule);
 });
 
+/**
+ * Explanation of one cell from the decision trace
+ * (manual edits made after generation are listed, runners-up only for managers)
+ */
+function explainCell(schedule, trace, engineerId, dateStr, names, includeRunnersUp) {
+  const decision = trace.cells[engineerId]?.[dateStr] || null;
+  const shift = schedule.data[engineerId]?.[dateStr] ?? null;
+  const edits = (schedule.editHistory || []).filter(e =>
+    e.engineerId === engineerId && e.date === dateStr && e.editedAt >= trace.generatedAt
+  );
+
+  let explained = decision;
+  if (decision) {
+    const { runnersUp, ...rest } = decision;
+    explained = rest;
+    if (includeRunnersUp && runnersUp) {
+      explained.runnersUp = runnersUp.map(r => ({ ...r, engineerName: names.get(r.engineerId) || r.engineerId }));
+    }
+  }
+
+  return {
+    engineerId,
+    engineerName: names.get(engineerId) || engineerId,
+    date: dateStr,
+    shift,
+    decision: explained,
+    changedAfterGeneration: !!decision && decision.shift !== shift,
+    edits
+  };
+}
+
+/**
+ * GET /api/schedules/:id/explain?engineerId=&date=
+ * Why cells got their shift: the scored choice (score, factors, runners-up) or the rule
+ * that forced it, recorded when the schedule was generated.
+ * Without engineerId all engineers are explained, without date all days.
+ * Engineers can only explain their own cells of published schedules.
+ */
+router.get('/:id/explain', authenticate, (req, res) => {
+  const schedule = getById('schedules', req.params.id);
+  const isManager = req.user.isAdmin || req.user.isManager;
+
+  if (!schedule || (!isManager && schedule.status !== 'published')) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const { engineerId, date } = req.query;
+
+  if (!isManager && engineerId && engineerId !== req.user.id) {
+    return res.status(403).json({ error: 'You can only view explanations of your own shifts' });
+  }
+
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+  }
+
+  const targetEngineerId = isManager ? engineerId : req.user.id;
+  if (targetEngineerId && !schedule.data[targetEngineerId]) {
+    return res.status(404).json({ error: 'Engineer is not part of this schedule' });
+  }
+
+  const trace = getDecisionTrace(schedule.id);
+  if (!trace) {
+    return res.status(404).json({
+      error: 'No decision trace was recorded for this schedule. Regenerate it to record one.'
+    });
+  }
+
+  const names = new Map(getAll('users').map(u => [u.id, u.name]));
+  const engineerIds = targetEngineerId ? [targetEngineerId] : Object.keys(schedule.data);
+  const explanations = [];
+
+  for (const id of engineerIds) {
+    const dates = date ? [date] : Object.keys(schedule.data[id] || {}).sort();
+    for (const dateStr of dates) {
+      explanations.push(explainCell(schedule, trace, id, dateStr, names, isManager));
+    }
+  }
+
+  res.json({
+    scheduleId: schedule.id,
+    month: schedule.month,
+    generatedAt: trace.generatedAt,
+    explanations
+  });
+});
+
 /**
  * GET /api/schedules/month/:year/:month
  * Get schedule for a specific month
@@ -212,24 +377,88 @@ router.get('/month/:year/:month', authenticate, (req, res) => {
 });
 
 /**
- * Fisher-Yates shuffle for randomizing engineer order between iterations
+ * Coverage matrix from system settings (falls back to scheduler defaults)
+ */
+function getCoverageModel() {
+  return normalizeCoverage(getSettings().defaultCoverage);
+}
+
+/**
+ * Check whether a generation job can start for one or more months.
+ * Returns { status, body } for the error response, or null if it can start.
  */
-function shuffleArray(arr) {
-  const result = [...arr];
-  for (let i = result.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [result[i], result[j]] = [result[j], result[i]];
+function checkGenerationSlot(...monthStrs) {
+  const running = findRunningJob(job => job.months.some(m => monthStrs.includes(m)));
+  if (running) {
+    const monthStr = running.months.find(m => monthStrs.includes(m));
+    return {
+      status: 409,
+      body: { error: `A schedule for ${monthStr} is already being generated`, jobId: running.id }
+    };
   }
-  return result;
+  if (!canStartGenerationJob()) {
+    return {
+      status: 429,
+      body: { error: 'Too many schedule generations running, please try again shortly' }
+    };
+  }
+  return null;
+}
+
+/**
+ * Read the optional seed of a generation request.
+ * Returns { seed } (undefined lets the job pick one) or { error }.
+ */
+function parseSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') return { seed: undefined };
+  const value = typeof seed === 'string' ? Number(seed) : seed;
+  if (!isValidSeed(value)) {
+    return { error: `Seed must be an integer between 0 and ${MAX_SEED}` };
+  }
+  return { seed: value };
 }
 
-// Increased to 250 for better exploration of solution space
-// With the improved scheduler algorithm, early stopping handles fast cases
-const MAX_GENERATE_ITERATIONS = 250;
+/**
+ * GET /api/schedules/jobs/:jobId
+ * Progress of a generation job (iterations so far, best error count).
+ * When status is 'completed', result holds the generated schedule response.
+ */
+router.get('/jobs/:jobId', authenticate, requireManager, (req, res) => {
+  const job = getGenerationJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+/**
+ * POST /api/schedules/jobs/:jobId/cancel
+ * Cancel a running generation job (nothing is saved)
+ */
+router.post('/jobs/:jobId/cancel', authenticate, requireManager, (req, res) => {
+  const job = getGenerationJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'running') {
+    return res.status(400).json({ error: `Job is already ${job.status}` });
+  }
+
+  res.json({
+    message: 'Generation cancelled',
+    job: cancelGenerationJob(req.params.jobId)
+  });
+});
 
 /**
  * POST /api/schedules/generate
- * Generate a new schedule - iterates up to 500 times, stops early on success
+ * Start generating a new schedule in the background - iterates up to 250 times across
+ * worker threads, stops early on success. Returns 202 with a job id to poll.
+ * Pass the seed saved on a schedule to replay its run exactly.
  */
 router.post('/generate', authenticate, requireManager, (req, res) => {
   const { year, month, options = {} } = req.body;
@@ -240,6 +469,11 @@ router.post('/generate', authenticate, requireManager, (req, res) => {
     });
   }
 
+  const { seed, error: seedError } = parseSeed(req.body.seed);
+  if (seedError) {
+    return res.status(400).json({ error: seedError });
+  }
+
   // Get active engineers
   let engineers = getActiveEngineers();
 
@@ -266,98 +500,105 @@ router.post('/generate', authenticate, requireManager, (req, res) => {
   const prevYear = month === 1 ? year - 1 : year;
   const previousMonthSchedule = getPublishedScheduleForMonth(prevYear, prevMonth);
 
-  // Iterative generation - try up to MAX_GENERATE_ITERATIONS times, stop on success
-  let bestResult = null;
-  let bestErrorCount = Infinity;
-  let totalIterations = 0;
-
-  for (let iteration = 0; iteration < MAX_GENERATE_ITERATIONS; iteration++) {
-    totalIterations = iteration + 1;
+  // Admin-configured coverage matrix
+  const coverage = getCoverageModel();
 
-    // Shuffle engineers on each iteration after the first for randomized constraint solving
-    const iterEngineers = iteration === 0 ? engineers : shuffleArray(engineers);
+  const monthStr = `${year}-${month.toString().padStart(2, '0')}`;
+  const conflict = checkGenerationSlot(monthStr);
+  if (conflict) {
+    return res.status(conflict.status).json(conflict.body);
+  }
 
-    const scheduler = new Scheduler({
-      engineers: iterEngineers,
+  // Iterative generation runs in worker threads - poll GET /api/schedules/jobs/:id
+  const job = startGenerationJob({
+    type: 'generate',
+    month: monthStr,
+    createdBy: req.user.id,
+    engineers,
+    schedulerOptions: {
       month: monthDate,
       holidays,
       approvedRequests,
-      previousMonthSchedule: previousMonthSchedule?.data || null
-    });
+      coverage,
+      previousMonthSchedule: previousMonthSchedule?.data || null,
+      fairnessLedger: getFairnessLedgerBefore(monthDate),
+      workHistory: getWorkHistoryBefore(monthDate),
+      trace: options.trace !== false
+    },
+    seed,
+    optimize: options.optimize !== false,
+    onComplete: (result, { iterations: totalIterations, bestErrorCount }) => {
+      if (result.success) {
+        // Perfect solution found
+        const schedule = createSchedule({
+          month: monthStr,
+          year,
+          data: result.schedule,
+          stats: result.stats,
+          createdBy: req.user.id,
+          solverParameters: result.parameters,
+          objective: result.objective,
+          optimization: result.optimization || null,
+          seed: result.seed
+        });
+        if (result.decisionTrace) saveDecisionTrace(schedule.id, result.decisionTrace);
 
-    const result = scheduler.solve();
+        return {
+          success: true,
+          schedule,
+          warnings: result.warnings,
+          stats: result.stats,
+          objective: result.objective,
+          seed: result.seed,
+          iterations: totalIterations
+        };
+      }
 
-    if (result.success) {
-      // Perfect solution found - save and return immediately
-      const schedule = createSchedule({
-        month: `${year}-${month.toString().padStart(2, '0')}`,
+      // No perfect solution found - save best partial schedule for manual editing
+      const partialSchedule = createSchedule({
+        month: monthStr,
         year,
-        data: result.schedule,
-        stats: result.stats,
-        createdBy: req.user.id
-      });
-
-      return res.status(201).json({
-        success: true,
-        schedule,
-        warnings: result.warnings,
-        stats: result.stats,
-        iterations: totalIterations
+        data: result.schedule || result.partialSchedule || {},
+        stats: result.stats || null,
+        createdBy: req.user.id,
+        status: 'draft',
+        isPartial: true,
+        generationErrors: result.errors,
+        validationErrors: result.errors,
+        solverParameters: result.parameters,
+        objective: result.objective,
+        optimization: result.optimization || null,
+        seed: result.seed
       });
+      if (result.decisionTrace) saveDecisionTrace(partialSchedule.id, result.decisionTrace);
+
+      return {
+        success: false,
+        partialSuccess: true,
+        errors: result.errors,
+        options: result.options,
+        schedule: partialSchedule,
+        partialSchedule: partialSchedule,
+        canManualEdit: true,
+        objective: result.objective,
+        seed: result.seed,
+        iterations: totalIterations,
+        bestErrorCount,
+        message: `Schedule generated with ${bestErrorCount} issue(s) after ${totalIterations} attempts. Review and edit manually or use recovery options.`
+      };
     }
+  });
 
-    const errorCount = result.errors ? result.errors.length : Infinity;
-    if (errorCount < bestErrorCount) {
-      bestErrorCount = errorCount;
-      bestResult = { ...result, iterations: totalIterations };
-    }
-
-    // Early stop: perfect solution found
-    if (bestErrorCount === 0) break;
-
-    // Early stop: good-enough solution found after reasonable attempts
-    // With the improved OFF-first pipeline, we expect fewer errors
-    if (iteration >= 5 && bestErrorCount <= 1) break;
-    if (iteration >= 15 && bestErrorCount <= 2) break;
-    if (iteration >= 30 && bestErrorCount <= 3) break;
-    if (iteration >= 75 && bestErrorCount <= 4) break;
-
-    // Extended exploration for difficult schedules
-    if (iteration >= 150 && bestErrorCount <= 5) break;
-    if (iteration >= 200 && bestErrorCount <= 6) break;
-  }
-
-  // No perfect solution found - save best partial schedule for manual editing
-  const scheduleData = bestResult.schedule || bestResult.partialSchedule || {};
-  const partialSchedule = createSchedule({
-    month: `${year}-${month.toString().padStart(2, '0')}`,
-    year,
-    data: scheduleData,
-    stats: bestResult.stats || null,
-    createdBy: req.user.id,
-    status: 'draft',
-    isPartial: true,
-    generationErrors: bestResult.errors,
-    validationErrors: bestResult.errors
-  });
-
-  return res.status(200).json({
-    success: false,
-    partialSuccess: true,
-    errors: bestResult.errors,
-    options: bestResult.options,
-    schedule: partialSchedule,
-    partialSchedule: partialSchedule,
-    canManualEdit: true,
-    iterations: totalIterations,
-    bestErrorCount,
-    message: `Schedule generated with ${bestErrorCount} issue(s) after ${totalIterations} attempts. Review and edit manually or use recovery options.`
+  res.status(202).json({
+    jobId: job.id,
+    job,
+    message: 'Schedule generation started'
   });
 });
 
 /**
  * POST /api/schedules/generate-with-option
- * Generate schedule with a recovery option applied
+ * Start generating a schedule with a recovery option applied (returns 202 with a job id)
  */
 router.post('/generate-with-option', authenticate, requireManager, (req, res) => {
   const { year, month, optionId } = req.body;
@@ -368,6 +609,11 @@ router.post('/generate-with-option', authenticate, requireManager, (req, res) =>
     });
   }
 
+  const { seed, error: seedError } = parseSeed(req.body.seed);
+  if (seedError) {
+    return res.status(400).json({ error: seedError });
+  }
+
   // Get active engineers
   let engineers = getActiveEngineers();
   const engineerStates = [...new Set(engineers.filter(e => e.state).map(e => e.state))];
@@ -379,6 +625,7 @@ router.post('/generate-with-option', authenticate, requireManager, (req, res) =>
   const prevMonth = month === 1 ? 12 : month - 1;
   const prevYear = month === 1 ? year - 1 : year;
   const previousMonthSchedule = getPublishedScheduleForMonth(prevYear, prevMonth);
+  const coverage = getCoverageModel();
 
   // Apply option modifications
   let modifiedOptions = {};
@@ -399,92 +646,222 @@ router.post('/generate-with-option', authenticate, requireManager, (req, res) =>
       });
   }
 
-  // Iterative generation with the modified options - stop on success
-  let bestResult = null;
-  let bestErrorCount = Infinity;
-  let totalIterations = 0;
-
-  for (let iteration = 0; iteration < MAX_GENERATE_ITERATIONS; iteration++) {
-    totalIterations = iteration + 1;
-    const iterEngineers = iteration === 0 ? engineers : shuffleArray(engineers);
+  const monthStr = `${year}-${month.toString().padStart(2, '0')}`;
+  const conflict = checkGenerationSlot(monthStr);
+  if (conflict) {
+    return res.status(conflict.status).json(conflict.body);
+  }
 
-    const scheduler = new Scheduler({
-      engineers: iterEngineers,
+  // Iterative generation with the modified options runs in worker threads
+  const job = startGenerationJob({
+    type: 'generate-with-option',
+    month: monthStr,
+    createdBy: req.user.id,
+    engineers,
+    schedulerOptions: {
       month: monthDate,
       holidays,
       approvedRequests,
+      coverage,
       previousMonthSchedule: previousMonthSchedule?.data || null,
+      fairnessLedger: getFairnessLedgerBefore(monthDate),
+      workHistory: getWorkHistoryBefore(monthDate),
+      trace: true,
       ...modifiedOptions
-    });
+    },
+    seed,
+    onComplete: (result, { iterations: totalIterations, bestErrorCount }) => {
+      if (result.success) {
+        const schedule = createSchedule({
+          month: monthStr,
+          year,
+          data: result.schedule,
+          stats: result.stats,
+          createdBy: req.user.id,
+          appliedOptions: [optionId],
+          solverParameters: result.parameters,
+          objective: result.objective,
+          optimization: result.optimization || null,
+          seed: result.seed
+        });
+        if (result.decisionTrace) saveDecisionTrace(schedule.id, result.decisionTrace);
 
-    const result = scheduler.solve();
+        return {
+          success: true,
+          schedule,
+          warnings: result.warnings,
+          stats: result.stats,
+          objective: result.objective,
+          seed: result.seed,
+          appliedOption: optionId,
+          iterations: totalIterations
+        };
+      }
 
-    if (result.success) {
-      const schedule = createSchedule({
-        month: `${year}-${month.toString().padStart(2, '0')}`,
+      // Save best partial schedule for manual editing
+      const partialSchedule = createSchedule({
+        month: monthStr,
         year,
-        data: result.schedule,
-        stats: result.stats,
+        data: result.schedule || result.partialSchedule || {},
+        stats: result.stats || null,
         createdBy: req.user.id,
-        appliedOptions: [optionId]
+        status: 'draft',
+        isPartial: true,
+        appliedOptions: [optionId],
+        generationErrors: result.errors,
+        solverParameters: result.parameters,
+        objective: result.objective,
+        optimization: result.optimization || null,
+        seed: result.seed
       });
-
-      return res.status(201).json({
-        success: true,
-        schedule,
-        warnings: result.warnings,
-        stats: result.stats,
+      if (result.decisionTrace) saveDecisionTrace(partialSchedule.id, result.decisionTrace);
+
+      return {
+        success: false,
+        partialSuccess: true,
+        errors: result.errors,
+        options: result.options,
+        schedule: partialSchedule,
+        partialSchedule: partialSchedule,
+        canManualEdit: true,
+        objective: result.objective,
+        seed: result.seed,
         appliedOption: optionId,
-        iterations: totalIterations
-      });
+        iterations: totalIterations,
+        bestErrorCount,
+        message: `Schedule generated with ${bestErrorCount} issue(s) after ${totalIterations} attempts. Review and edit manually.`
+      };
     }
+  });
 
-    const errorCount = result.errors ? result.errors.length : Infinity;
-    if (errorCount < bestErrorCount) {
-      bestErrorCount = errorCount;
-      bestResult = { ...result, iterations: totalIterations };
-    }
+  res.status(202).json({
+    jobId: job.id,
+    job,
+    message: `Schedule generation with "${optionId}" started`
+  });
+});
 
-    // Early stop: perfect solution found
-    if (bestErrorCount === 0) break;
+/**
+ * POST /api/schedules/generate-horizon
+ * Start generating 2-3 consecutive months in one solve (returns 202 with a job id).
+ * Night blocks, weekly rest and workload balance carry across the month boundaries;
+ * the result is saved as one linked draft per month (schedule.horizon).
+ */
+router.post('/generate-horizon', authenticate, requireManager, (req, res) => {
+  const { year, month, months, options = {} } = req.body;
+  const maxMonths = ALGORITHM_CONFIG.maxHorizonMonths;
 
-    // Early stop: good-enough solution with improved pipeline
-    if (iteration >= 5 && bestErrorCount <= 1) break;
-    if (iteration >= 15 && bestErrorCount <= 2) break;
-    if (iteration >= 30 && bestErrorCount <= 3) break;
-    if (iteration >= 75 && bestErrorCount <= 4) break;
+  if (!year || !month || !months) {
+    return res.status(400).json({
+      error: 'Year, month, and months are required'
+    });
+  }
 
-    // Extended exploration for difficult schedules
-    if (iteration >= 150 && bestErrorCount <= 5) break;
-    if (iteration >= 200 && bestErrorCount <= 6) break;
+  if (!Number.isInteger(months) || months < 2 || months > maxMonths) {
+    return res.status(400).json({
+      error: `Months must be between 2 and ${maxMonths}`
+    });
   }
 
-  // Save best partial schedule for manual editing
-  const scheduleData = bestResult.schedule || bestResult.partialSchedule || {};
-  const partialSchedule = createSchedule({
-    month: `${year}-${month.toString().padStart(2, '0')}`,
-    year,
-    data: scheduleData,
-    stats: bestResult.stats || null,
+  const { seed, error: seedError } = parseSeed(req.body.seed);
+  if (seedError) {
+    return res.status(400).json({ error: seedError });
+  }
+
+  // Get active engineers
+  let engineers = getActiveEngineers();
+
+  if (engineers.length < 10) {
+    return res.status(400).json({
+      error: `Not enough engineers (${engineers.length}). Minimum 10 required for scheduling.`
+    });
+  }
+
+  const engineerStates = [...new Set(engineers.filter(e => e.state).map(e => e.state))];
+  const monthDate = new Date(year, month - 1, 1);
+
+  // Holidays and approved requests of every month in the horizon
+  const horizonMonths = Array.from({ length: months }, (_, i) => new Date(year, month - 1 + i, 1));
+  const monthStrs = horizonMonths.map(d => format(d, 'yyyy-MM'));
+  const holidays = horizonMonths.flatMap(d =>
+    getHolidaysForMonth(d.getFullYear(), d.getMonth() + 1, engineerStates)
+  );
+  const approvedRequests = horizonMonths.flatMap(d =>
+    getApprovedRequestsForMonth(d.getFullYear(), d.getMonth() + 1)
+  );
+
+  // Fetch the published schedule before the horizon for cross-month continuity
+  const prevMonth = month === 1 ? 12 : month - 1;
+  const prevYear = month === 1 ? year - 1 : year;
+  const previousMonthSchedule = getPublishedScheduleForMonth(prevYear, prevMonth);
+  const coverage = getCoverageModel();
+
+  const conflict = checkGenerationSlot(...monthStrs);
+  if (conflict) {
+    return res.status(conflict.status).json(conflict.body);
+  }
+
+  const job = startGenerationJob({
+    type: 'generate-horizon',
+    month: monthStrs[0],
+    months: monthStrs,
     createdBy: req.user.id,
-    status: 'draft',
-    isPartial: true,
-    appliedOptions: [optionId],
-    generationErrors: bestResult.errors
-  });
-
-  return res.status(200).json({
-    success: false,
-    partialSuccess: true,
-    errors: bestResult.errors,
-    options: bestResult.options,
-    schedule: partialSchedule,
-    partialSchedule: partialSchedule,
-    canManualEdit: true,
-    appliedOption: optionId,
-    iterations: totalIterations,
-    bestErrorCount,
-    message: `Schedule generated with ${bestErrorCount} issue(s) after ${totalIterations} attempts. Review and edit manually.`
+    engineers,
+    schedulerOptions: {
+      month: monthDate,
+      horizonMonths: months,
+      holidays,
+      approvedRequests,
+      coverage,
+      previousMonthSchedule: previousMonthSchedule?.data || null,
+      fairnessLedger: getFairnessLedgerBefore(monthDate),
+      workHistory: getWorkHistoryBefore(monthDate),
+      trace: options.trace !== false
+    },
+    seed,
+    optimize: options.optimize !== false,
+    onComplete: (result, { iterations: totalIterations, bestErrorCount }) => {
+      const schedules = createHorizonSchedules(result.months.map(monthResult => ({
+        month: monthResult.month,
+        year: monthResult.year,
+        data: monthResult.schedule,
+        stats: monthResult.stats,
+        createdBy: req.user.id,
+        isPartial: !monthResult.success,
+        generationErrors: monthResult.errors || [],
+        validationErrors: monthResult.errors || [],
+        solverParameters: monthResult.parameters,
+        objective: monthResult.objective,
+        optimization: result.optimization || null,
+        seed: result.seed
+      })));
+      result.months.forEach((monthResult, index) => {
+        if (monthResult.decisionTrace) saveDecisionTrace(schedules[index].id, monthResult.decisionTrace);
+      });
+
+      return {
+        success: result.success,
+        partialSuccess: !result.success,
+        horizonId: schedules[0].horizon.id,
+        schedules,
+        schedule: schedules[0],
+        errors: result.errors,
+        objective: result.objective,
+        seed: result.seed,
+        iterations: totalIterations,
+        bestErrorCount,
+        canManualEdit: true,
+        message: result.success
+          ? `Generated ${months} linked drafts (${monthStrs.join(', ')})`
+          : `Generated ${months} linked drafts with ${bestErrorCount} issue(s) after ${totalIterations} attempts. Review and edit manually.`
+      };
+    }
+  });
+
+  res.status(202).json({
+    jobId: job.id,
+    job,
+    message: `Generation of ${monthStrs.join(', ')} started`
   });
 });
 
@@ -520,7 +897,9 @@ router.put('/:id', authenticate, requireManager, (req, res) => {
   const scheduler = new Scheduler({
     engineers,
     month: monthDate,
-    holidays
+    holidays,
+    coverage: getCoverageModel(),
+    workHistory: getWorkHistoryBefore(monthDate)
   });
 
   const days = scheduler.getDays();
@@ -541,6 +920,7 @@ router.put('/:id', authenticate, requireManager, (req, res) => {
   const updated = update('schedules', req.params.id, {
     data,
     stats: scheduler.calculateStats(data),
+    objective: scheduler.calculateObjective(data),
     validationErrors: validation.valid ? [] : validation.errors,
     editHistory,
     lastEditedAt: new Date().toISOString(),
@@ -587,6 +967,7 @@ router.delete('/:id', authenticate, requireManager, (req, res) => {
 
   // For draft schedules, actually delete
   remove('schedules', req.params.id);
+  removeDecisionTrace(req.params.id);
 
   res.json({
     message: 'Schedule deleted successfully'
@@ -663,6 +1044,7 @@ router.get('/:id/export', authenticate, (req, res) => {
     end: endOfMonth(monthDate)
   });
 
+  const colors = getShiftColors();
   // Build export data
   const exportData = {
     month: schedule.month,
@@ -676,18 +1058,20 @@ router.get('/:id/export', authenticate, (req, res) => {
       name: e.name,
       tier: e.tier,
       isFloater: e.isFloater,
-      tierColor: COLORS.tier[e.tier],
+      tierColor: colors.tier[e.tier],
       shifts: days.map(d => {
         const dateStr = format(d, 'yyyy-MM-dd');
         const shift = schedule.data[e.id]?.[dateStr];
         return {
           date: dateStr,
           shift: shift || null,
-          color: shift ? COLORS.shift[shift] : null
+          color: shift ? colors.shift[shift] : null,
+          // { holiday, hours } if the shift falls on a public holiday (payroll supplement)
+          holidayWork: schedule.stats?.holidayWork?.[e.id]?.[dateStr] || null
         };
       })
     })),
-    colors: COLORS,
+    colors,
     stats: schedule.stats
   };
 
@@ -768,7 +1152,7 @@ router.put('/:id/shift', authenticate, requireManager, (req, res) => {
   }
 
   // Validate shift
-  const validShifts = [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT, SHIFTS.OFF, SHIFTS.UNAVAILABLE, null];
+  const validShifts = [...getWorkShiftNames(), SHIFTS.OFF, SHIFTS.UNAVAILABLE, SHIFTS.TRAINING, null];
   if (shift !== undefined && !validShifts.includes(shift)) {
     return res.status(400).json({
       error: 'Invalid shift value'
@@ -785,6 +1169,13 @@ router.put('/:id/shift', authenticate, requireManager, (req, res) => {
   }
   newData[engineerId][date] = shift;
 
+  // A locked cell keeps its lock when changed; clearing it removes the lock
+  const locks = { ...(schedule.locks || {}) };
+  if ((shift === null || shift === undefined) && locks[engineerId]?.[date]) {
+    locks[engineerId] = { ...locks[engineerId] };
+    delete locks[engineerId][date];
+  }
+
   // Track the change
   const editHistory = schedule.editHistory || [];
   editHistory.push({
@@ -800,11 +1191,16 @@ router.put('/:id/shift', authenticate, requireManager, (req, res) => {
   const engineers = getActiveEngineers();
   const year = parseInt(schedule.month.split('-')[0]);
   const month = parseInt(schedule.month.split('-')[1]);
+  const engineerStates = [...new Set(engineers.filter(e => e.state).map(e => e.state))];
+  const holidays = getHolidaysForMonth(year, month, engineerStates);
   const monthDate = new Date(year, month - 1, 1);
 
   const scheduler = new Scheduler({
     engineers,
-    month: monthDate
+    month: monthDate,
+    holidays,
+    coverage: getCoverageModel(),
+    workHistory: getWorkHistoryBefore(monthDate)
   });
 
   const days = scheduler.getDays();
@@ -813,7 +1209,9 @@ router.put('/:id/shift', authenticate, requireManager, (req, res) => {
 
   const updated = update('schedules', req.params.id, {
     data: newData,
+    locks,
     stats: scheduler.calculateStats(newData),
+    objective: scheduler.calculateObjective(newData),
     validationErrors: validation.valid ? [] : validation.errors,
     editHistory
   });
@@ -844,6 +1242,317 @@ router.put('/:id/shift', authenticate, requireManager, (req, res) => {
   });
 });
 
+/**
+ * PUT /api/schedules/:id/lock
+ * Lock or unlock a single cell (engineer + date).
+ * Locked cells are kept unchanged when the schedule is regenerated.
+ */
+router.put('/:id/lock', authenticate, requireManager, (req, res) => {
+  const schedule = getById('schedules', req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const { engineerId, date, locked } = req.body;
+
+  if (!engineerId || !date || typeof locked !== 'boolean') {
+    return res.status(400).json({
+      error: 'engineerId, date and locked (boolean) are required'
+    });
+  }
+
+  if (!date.startsWith(schedule.month)) {
+    return res.status(400).json({
+      error: `Date ${date} is not in ${schedule.month}`
+    });
+  }
+
+  const shift = schedule.data[engineerId]?.[date];
+  if (locked && (shift === null || shift === undefined)) {
+    return res.status(400).json({
+      error: 'Cannot lock an empty cell. Assign a shift first.'
+    });
+  }
+
+  const locks = { ...(schedule.locks || {}) };
+  const engineerLocks = { ...(locks[engineerId] || {}) };
+  if (locked) {
+    engineerLocks[date] = true;
+  } else {
+    delete engineerLocks[date];
+  }
+  locks[engineerId] = engineerLocks;
+
+  const updated = update('schedules', req.params.id, { locks });
+
+  res.json({
+    schedule: updated,
+    lock: { engineerId, date, shift, locked },
+    lockedCount: countLocks(locks)
+  });
+});
+
+/**
+ * POST /api/schedules/:id/regenerate
+ * Regenerate a draft schedule, keeping locked cells and re-solving everything else.
+ * Runs as a generation job (returns 202 with a job id); when it completes the schedule
+ * is updated in place (same id, locks preserved). The job fails instead if the draft was
+ * edited, locked or deleted while it ran.
+ */
+router.post('/:id/regenerate', authenticate, requireManager, (req, res) => {
+  const schedule = getById('schedules', req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  if (schedule.status !== 'draft') {
+    return res.status(400).json({
+      error: 'Only draft schedules can be regenerated'
+    });
+  }
+
+  const { seed, error: seedError } = parseSeed(req.body?.seed);
+  if (seedError) {
+    return res.status(400).json({ error: seedError });
+  }
+
+  const engineers = getActiveEngineers();
+
+  if (engineers.length < 10) {
+    return res.status(400).json({
+      error: `Not enough engineers (${engineers.length}). Minimum 10 required for scheduling.`
+    });
+  }
+
+  const year = parseInt(schedule.month.split('-')[0]);
+  const month = parseInt(schedule.month.split('-')[1]);
+  const engineerStates = [...new Set(engineers.filter(e => e.state).map(e => e.state))];
+  const holidays = getHolidaysForMonth(year, month, engineerStates);
+  const approvedRequests = getApprovedRequestsForMonth(year, month);
+  const monthDate = new Date(year, month - 1, 1);
+
+  const prevMonth = month === 1 ? 12 : month - 1;
+  const prevYear = month === 1 ? year - 1 : year;
+  const previousMonthSchedule = getPublishedScheduleForMonth(prevYear, prevMonth);
+
+  const lockedCells = getLockedCells(schedule.data, schedule.locks);
+  const lockedCount = countLocks(lockedCells);
+
+  // Keep the recovery options the draft was generated with
+  const solverOptions = {};
+  if (schedule.solverParameters?.relaxedCoverage) solverOptions.relaxedCoverage = true;
+  if (schedule.solverParameters?.maxFloaterShiftsPerWeek) {
+    solverOptions.maxFloaterShifts = schedule.solverParameters.maxFloaterShiftsPerWeek;
+  }
+  if (schedule.solverParameters?.minOffDaysPerWeek !== undefined) {
+    solverOptions.minOffDays = schedule.solverParameters.minOffDaysPerWeek;
+  }
+
+  const conflict = checkGenerationSlot(schedule.month);
+  if (conflict) {
+    return res.status(conflict.status).json(conflict.body);
+  }
+
+  // The result only replaces the draft if nobody edited it while the job was running
+  const startedFrom = schedule.updatedAt;
+
+  const job = startGenerationJob({
+    type: 'regenerate',
+    month: schedule.month,
+    scheduleId: schedule.id,
+    createdBy: req.user.id,
+    engineers,
+    schedulerOptions: {
+      month: monthDate,
+      holidays,
+      approvedRequests,
+      coverage: getCoverageModel(),
+      previousMonthSchedule: previousMonthSchedule?.data || null,
+      fairnessLedger: getFairnessLedgerBefore(monthDate),
+      workHistory: getWorkHistoryBefore(monthDate),
+      lockedCells,
+      trace: true,
+      ...solverOptions
+    },
+    seed,
+    onComplete: (result, { iterations: totalIterations, bestErrorCount }) => {
+      // Re-read the draft - it may have changed while the job was running
+      const current = getById('schedules', schedule.id);
+      if (!current) {
+        throw new Error('Schedule was deleted during regeneration');
+      }
+      if (current.updatedAt !== startedFrom) {
+        throw new Error('Schedule was changed during regeneration. Regenerate again to keep the changes.');
+      }
+
+      const editHistory = current.editHistory || [];
+      editHistory.push({
+        type: 'regenerate',
+        lockedCells: lockedCount,
+        editedBy: req.user.id,
+        editedAt: new Date().toISOString()
+      });
+
+      const errors = result.success ? [] : result.errors;
+      const updated = update('schedules', schedule.id, {
+        data: result.schedule || result.partialSchedule || current.data,
+        stats: result.stats || null,
+        isPartial: !result.success,
+        generationErrors: errors,
+        validationErrors: errors,
+        solverParameters: result.parameters,
+        objective: result.objective,
+        optimization: result.optimization || null,
+        seed: result.seed,
+        editHistory,
+        lastEditedAt: new Date().toISOString(),
+        lastEditedBy: req.user.id
+      });
+      if (result.decisionTrace) saveDecisionTrace(schedule.id, result.decisionTrace);
+
+      return {
+        success: result.success,
+        schedule: updated,
+        errors,
+        options: result.options,
+        warnings: result.warnings,
+        stats: result.stats,
+        objective: result.objective,
+        seed: result.seed,
+        lockedCount,
+        iterations: totalIterations,
+        bestErrorCount,
+        message: result.success
+          ? `Schedule regenerated around ${lockedCount} locked cell(s)`
+          : `Schedule regenerated with ${bestErrorCount} issue(s) after ${totalIterations} attempts. Review and edit manually.`
+      };
+    }
+  });
+
+  res.status(202).json({
+    jobId: job.id,
+    job,
+    lockedCount,
+    message: 'Schedule regeneration started'
+  });
+});
+
+/**
+ * POST /api/schedules/:id/repair
+ * Propose a minimal repair of a published schedule after new unavailability (e.g. a sick call).
+ * Only cells near the affected dates are changed. Nothing is saved - apply the returned
+ * changes with POST /api/schedules/:id/apply-repair.
+ */
+router.post('/:id/repair', authenticate, requireManager, (req, res) => {
+  const schedule = getById('schedules', req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  if (schedule.status !== 'published') {
+    return res.status(400).json({
+      error: 'Repair is only available for published schedules. Regenerate drafts instead.'
+    });
+  }
+
+  const { engineerId, dates } = req.body;
+
+  if (!engineerId || !Array.isArray(dates) || dates.length === 0) {
+    return res.status(400).json({
+      error: 'engineerId and dates (array) are required'
+    });
+  }
+
+  const monthDates = dates.filter(d => typeof d === 'string' && d.startsWith(schedule.month));
+  if (monthDates.length === 0) {
+    return res.status(400).json({
+      error: `None of the dates are in ${schedule.month}`
+    });
+  }
+
+  if (!getActiveEngineers().some(e => e.id === engineerId)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const scheduler = createSchedulerFor(schedule);
+  const result = scheduler.repairSchedule(
+    schedule.data,
+    monthDates.map(date => ({ engineerId, date }))
+  );
+
+  res.json({
+    scheduleId: schedule.id,
+    month: schedule.month,
+    changes: result.changes,
+    remainingIssues: result.errors,
+    window: result.window,
+    message: result.errors.length === 0
+      ? `Proposed ${result.changes.length} change(s)`
+      : `Proposed ${result.changes.length} change(s); ${result.errors.length} issue(s) need manual attention`
+  });
+});
+
+/**
+ * POST /api/schedules/:id/apply-repair
+ * Apply a repair diff ({ engineerId, date, oldShift, newShift } per cell) as a schedule edit.
+ * Change notifications go only to the people whose shifts moved.
+ */
+router.post('/:id/apply-repair', authenticate, requireManager, (req, res) => {
+  const schedule = getById('schedules', req.params.id);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const { changes, reason } = req.body;
+
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return res.status(400).json({ error: 'changes must be a non-empty array' });
+  }
+
+  const validShifts = [...getWorkShiftNames(), SHIFTS.OFF, SHIFTS.UNAVAILABLE, SHIFTS.TRAINING, null];
+  const details = [];
+  changes.forEach((c, i) => {
+    if (!c || typeof c !== 'object' || !c.engineerId || typeof c.date !== 'string' ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(c.date) || !c.date.startsWith(schedule.month)) {
+      details.push(`Change ${i + 1}: engineerId and a date in ${schedule.month} are required`);
+    } else if (!validShifts.includes(c.newShift ?? null)) {
+      details.push(`Change ${i + 1}: invalid shift ${c.newShift}`);
+    }
+  });
+  if (details.length > 0) {
+    return res.status(400).json({ error: 'Invalid changes', details });
+  }
+
+  // Refuse stale proposals - every cell must still hold the shift the repair was based on
+  const stale = getStaleChanges(schedule, changes);
+  if (stale.length > 0) {
+    return res.status(409).json({
+      error: 'Schedule changed since the repair was proposed. Propose the repair again.',
+      details: stale.map(c => `${c.engineerId} ${c.date}: expected ${c.oldShift ?? 'empty'}`)
+    });
+  }
+
+  const { schedule: updated, validation, notified } = applyScheduleChanges(schedule, changes, {
+    type: 'repair',
+    reason: reason || 'Repair after unavailability',
+    editedBy: req.user.id
+  });
+
+  res.json({
+    schedule: updated,
+    applied: changes.length,
+    notified,
+    validation: {
+      valid: validation.valid,
+      errors: validation.errors
+    }
+  });
+});
+
 /**
  * GET /api/schedules/engineer-view/:year/:month
  * Get published schedule for a month (for engineer view)
@@ -889,6 +1598,7 @@ router.get('/engineer-view/:year/:month', authenticate, (req, res) => {
     end: endOfMonth(monthDate)
   });
 
+  const colors = getShiftColors();
   // Build response with full schedule but highlight user's shifts
   const exportData = {
     month: schedule.month,
@@ -903,18 +1613,20 @@ router.get('/engineer-view/:year/:month', authenticate, (req, res) => {
       tier: e.tier,
       isFloater: e.isFloater,
       isCurrentUser: e.id === engineerId,
-      tierColor: COLORS.tier[e.tier],
+      tierColor: colors.tier[e.tier],
       shifts: days.map(d => {
         const dateStr = format(d, 'yyyy-MM-dd');
         const shift = schedule.data[e.id]?.[dateStr];
         return {
           date: dateStr,
           shift: shift || null,
-          color: shift ? COLORS.shift[shift] : null
+          color: shift ? colors.shift[shift] : null,
+          // { holiday, hours } if the shift falls on a public holiday (payroll supplement)
+          holidayWork: schedule.stats?.holidayWork?.[e.id]?.[dateStr] || null
         };
       })
     })),
-    colors: COLORS,
+    colors,
     stats: schedule.stats,
     myShifts: engineerId ? schedule.data[engineerId] || {} : null
   };
@@ -0,0 +1,373 @@
+/**
+ * Shift Swap Routes
+ *
+ * Engineers offer shifts of published schedules and colleagues accept them
+ * (see services/shiftSwaps.js). Swaps are checked against coverage, transitions, rest and
+ * consecutive-day limits before they are accepted and again before they are applied.
+ */
+
+import { Router } from 'express';
+import { getById, create, update, find, findOne, getPublishedScheduleForMonth, addNotification } from '../data/store.js';
+import { authenticate, requireManager } from '../middleware/auth.js';
+import { format } from 'date-fns';
+import { getSwapSettings, isSwappableShift, buildSwapChanges } from '../services/shiftSwaps.js';
+import { checkScheduleChanges, getStaleChanges, applyScheduleChanges } from '../services/scheduleChanges.js';
+
+const router = Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Published schedule of the month of a date
+ */
+function getPublishedScheduleFor(dateStr) {
+  const [year, month] = dateStr.split('-').map(Number);
+  return getPublishedScheduleForMonth(year, month);
+}
+
+/**
+ * Validate the optional return date of an acceptance
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateReturnDate(returnDate) {
+  if (returnDate === null) return null;
+  if (typeof returnDate !== 'string' || !DATE_REGEX.test(returnDate)) {
+    return 'returnDate must be YYYY-MM-DD';
+  }
+  if (returnDate <= format(new Date(), 'yyyy-MM-dd')) {
+    return 'returnDate must be in the future';
+  }
+  return null;
+}
+
+/**
+ * Check an acceptance: the cell exchange and the scheduling rules
+ * @returns {Object} { schedule, changes, errors, newErrors }
+ */
+function checkAcceptance(swap, acceptorId, returnDate) {
+  const schedule = getById('schedules', swap.scheduleId);
+  if (!schedule || schedule.status !== 'published') {
+    return { errors: ['The schedule of this offer is no longer published'], newErrors: [] };
+  }
+
+  const { changes, errors } = buildSwapChanges(schedule, swap, acceptorId, returnDate);
+  if (errors.length > 0) return { schedule, changes, errors, newErrors: [] };
+
+  const { newErrors } = checkScheduleChanges(schedule, changes);
+  return { schedule, changes, errors: [], newErrors };
+}
+
+/**
+ * Exchange the cells of a swap in the schedule and complete it
+ */
+function completeSwap(swap, schedule, reviewer = null, notes = '') {
+  applyScheduleChanges(schedule, swap.changes, {
+    type: 'swap',
+    reason: `Shift swap between ${swap.offeredByName} and ${swap.acceptedByName}`,
+    editedBy: reviewer || swap.acceptedBy
+  });
+
+  return update('swaps', swap.id, {
+    status: 'completed',
+    completedAt: new Date().toISOString(),
+    ...(reviewer ? { reviewedBy: reviewer, reviewedAt: new Date().toISOString(), reviewNotes: notes } : {})
+  });
+}
+
+/**
+ * GET /api/swaps
+ * Open offers of colleagues and the user's own swaps; managers see all swaps
+ * Query: status
+ */
+router.get('/', authenticate, (req, res) => {
+  const { status } = req.query;
+  const isManager = req.user.isAdmin || req.user.isManager;
+
+  let swaps = find('swaps', s =>
+    isManager || s.status === 'open' || s.offeredBy === req.user.id || s.acceptedBy === req.user.id
+  );
+
+  if (status) {
+    swaps = swaps.filter(s => s.status === status);
+  }
+
+  swaps.sort((a, b) => a.date.localeCompare(b.date) || new Date(a.createdAt) - new Date(b.createdAt));
+
+  res.json({
+    requireApproval: getSwapSettings().requireApproval,
+    swaps
+  });
+});
+
+/**
+ * POST /api/swaps
+ * Offer one of the user's published shifts
+ * Body: { date, note }
+ */
+router.post('/', authenticate, (req, res) => {
+  const { date, note } = req.body;
+
+  if (!date || !DATE_REGEX.test(date)) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  if (date <= format(new Date(), 'yyyy-MM-dd')) {
+    return res.status(400).json({ error: 'Only future shifts can be offered' });
+  }
+
+  const schedule = getPublishedScheduleFor(date);
+  if (!schedule) {
+    return res.status(404).json({ error: `No published schedule for ${date.slice(0, 7)}` });
+  }
+
+  const shift = schedule.data[req.user.id]?.[date];
+  if (!isSwappableShift(shift)) {
+    return res.status(400).json({ error: `You have no shift to offer on ${date}` });
+  }
+
+  const existing = findOne('swaps', s =>
+    s.offeredBy === req.user.id && s.date === date && ['open', 'pending_approval'].includes(s.status)
+  );
+  if (existing) {
+    return res.status(409).json({ error: `You already offered your shift on ${date}` });
+  }
+
+  const swap = create('swaps', {
+    scheduleId: schedule.id,
+    month: schedule.month,
+    date,
+    shift,
+    offeredBy: req.user.id,
+    offeredByName: req.user.name,
+    note: note || '',
+    status: 'open',
+    acceptedBy: null,
+    acceptedByName: null,
+    acceptedAt: null,
+    returnDate: null,
+    returnShift: null,
+    changes: [],
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewNotes: null
+  });
+
+  res.status(201).json({
+    message: 'Shift offered',
+    swap
+  });
+});
+
+/**
+ * POST /api/swaps/:id/check
+ * Check whether the user can accept an offer (cell changes and rule violations)
+ * Body: { returnDate }
+ */
+router.post('/:id/check', authenticate, (req, res) => {
+  const swap = getById('swaps', req.params.id);
+
+  if (!swap) {
+    return res.status(404).json({ error: 'Swap not found' });
+  }
+
+  if (swap.status !== 'open') {
+    return res.status(400).json({ error: `Cannot accept a swap with status: ${swap.status}` });
+  }
+
+  const returnDate = req.body.returnDate || null;
+  const returnDateError = validateReturnDate(returnDate);
+  if (returnDateError) {
+    return res.status(400).json({ error: returnDateError });
+  }
+
+  const { changes = [], errors, newErrors } = checkAcceptance(swap, req.user.id, returnDate);
+
+  res.json({
+    valid: errors.length === 0 && newErrors.length === 0,
+    changes,
+    errors: [...errors, ...newErrors.map(e => e.message)]
+  });
+});
+
+/**
+ * POST /api/swaps/:id/accept
+ * Accept an offer. The schedule changes at once, or after manager approval if required.
+ * Body: { returnDate }
+ */
+router.post('/:id/accept', authenticate, (req, res) => {
+  const swap = getById('swaps', req.params.id);
+
+  if (!swap) {
+    return res.status(404).json({ error: 'Swap not found' });
+  }
+
+  if (swap.status !== 'open') {
+    return res.status(400).json({ error: `Cannot accept a swap with status: ${swap.status}` });
+  }
+
+  const returnDate = req.body.returnDate || null;
+  const returnDateError = validateReturnDate(returnDate);
+  if (returnDateError) {
+    return res.status(400).json({ error: returnDateError });
+  }
+
+  const { schedule, changes, errors, newErrors } = checkAcceptance(swap, req.user.id, returnDate);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'This swap is not possible', details: errors });
+  }
+  if (newErrors.length > 0) {
+    return res.status(409).json({
+      error: 'This swap breaks scheduling rules',
+      details: newErrors.map(e => e.message)
+    });
+  }
+
+  const accepted = update('swaps', swap.id, {
+    acceptedBy: req.user.id,
+    acceptedByName: req.user.name,
+    acceptedAt: new Date().toISOString(),
+    returnDate: returnDate && returnDate !== swap.date ? returnDate : null,
+    returnShift: returnDate && returnDate !== swap.date ? schedule.data[req.user.id][returnDate] : null,
+    changes
+  });
+
+  if (getSwapSettings().requireApproval) {
+    const pending = update('swaps', swap.id, { status: 'pending_approval' });
+    addNotification(swap.offeredBy, {
+      type: 'shift_swap',
+      message: `${req.user.name} accepted your ${swap.shift} on ${swap.date}. The swap is waiting for manager approval.`
+    });
+    return res.json({
+      message: 'Swap accepted, waiting for manager approval',
+      swap: pending
+    });
+  }
+
+  res.json({
+    message: 'Swap completed',
+    swap: completeSwap(accepted, schedule)
+  });
+});
+
+/**
+ * POST /api/swaps/:id/approve
+ * Approve an accepted swap and apply it to the schedule (managers/admins only)
+ * Body: { notes }
+ */
+router.post('/:id/approve', authenticate, requireManager, (req, res) => {
+  const swap = getById('swaps', req.params.id);
+
+  if (!swap) {
+    return res.status(404).json({ error: 'Swap not found' });
+  }
+
+  if (swap.status !== 'pending_approval') {
+    return res.status(400).json({ error: `Cannot approve a swap with status: ${swap.status}` });
+  }
+
+  const schedule = getById('schedules', swap.scheduleId);
+  if (!schedule || schedule.status !== 'published') {
+    return res.status(409).json({ error: 'The schedule of this swap is no longer published' });
+  }
+
+  // The schedule may have been edited since the swap was accepted
+  const stale = getStaleChanges(schedule, swap.changes);
+  if (stale.length > 0) {
+    return res.status(409).json({
+      error: 'Schedule changed since the swap was accepted. Reject the swap and offer the shift again.',
+      details: stale.map(c => `${c.date}: expected ${c.oldShift ?? 'empty'}`)
+    });
+  }
+
+  const { newErrors } = checkScheduleChanges(schedule, swap.changes);
+  if (newErrors.length > 0) {
+    return res.status(409).json({
+      error: 'This swap breaks scheduling rules',
+      details: newErrors.map(e => e.message)
+    });
+  }
+
+  res.json({
+    message: 'Swap approved',
+    swap: completeSwap(swap, schedule, req.user.id, req.body.notes || '')
+  });
+});
+
+/**
+ * POST /api/swaps/:id/reject
+ * Reject an accepted swap (managers/admins only); both engineers are notified
+ * Body: { notes } (required)
+ */
+router.post('/:id/reject', authenticate, requireManager, (req, res) => {
+  const swap = getById('swaps', req.params.id);
+
+  if (!swap) {
+    return res.status(404).json({ error: 'Swap not found' });
+  }
+
+  if (swap.status !== 'pending_approval') {
+    return res.status(400).json({ error: `Cannot reject a swap with status: ${swap.status}` });
+  }
+
+  const { notes } = req.body;
+  if (!notes) {
+    return res.status(400).json({ error: 'A reason (notes) is required when rejecting a swap' });
+  }
+
+  const updated = update('swaps', swap.id, {
+    status: 'rejected',
+    reviewedBy: req.user.id,
+    reviewedAt: new Date().toISOString(),
+    reviewNotes: notes
+  });
+
+  for (const userId of [swap.offeredBy, swap.acceptedBy]) {
+    addNotification(userId, {
+      type: 'shift_swap',
+      message: `The swap of ${swap.shift} on ${swap.date} (${swap.offeredByName} → ${swap.acceptedByName}) was rejected: ${notes}`
+    });
+  }
+
+  res.json({
+    message: 'Swap rejected',
+    swap: updated
+  });
+});
+
+/**
+ * DELETE /api/swaps/:id
+ * Withdraw an offer that is open or waiting for approval (offerer or manager)
+ */
+router.delete('/:id', authenticate, (req, res) => {
+  const swap = getById('swaps', req.params.id);
+
+  if (!swap) {
+    return res.status(404).json({ error: 'Swap not found' });
+  }
+
+  if (!req.user.isAdmin && !req.user.isManager && req.user.id !== swap.offeredBy) {
+    return res.status(403).json({ error: 'You can only withdraw your own offers' });
+  }
+
+  if (!['open', 'pending_approval'].includes(swap.status)) {
+    return res.status(400).json({ error: 'Only open or pending swaps can be withdrawn' });
+  }
+
+  update('swaps', swap.id, {
+    status: 'cancelled',
+    cancelledAt: new Date().toISOString()
+  });
+
+  if (swap.acceptedBy) {
+    addNotification(swap.acceptedBy, {
+      type: 'shift_swap',
+      message: `${swap.offeredByName} withdrew the offer of ${swap.shift} on ${swap.date}`
+    });
+  }
+
+  res.json({
+    message: 'Offer withdrawn'
+  });
+});
+
+export default router;
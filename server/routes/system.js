@@ -8,8 +8,30 @@ import { Router } from 'express';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { authenticate, requireAdmin, requireManager } from '../middleware/auth.js';
 import { getSettings, updateSettings, getAll, update, getById } from '../data/store.js';
+import {
+  DEFAULT_COVERAGE, normalizeCoverage, validateCoverage,
+  validateShiftCatalogue, setShiftCatalogue, getShiftCatalogue, getForbiddenTransitions
+} from '../services/scheduler/index.js';
+import {
+  getHolidaysForYear, getAllStates, validateHolidayOverrides, setHolidayOverrides, getHolidayOverrides
+} from '../services/germanHolidays.js';
+import {
+  parseSchoolHolidayIcs, mergeSchoolHolidays, getSchoolHolidaysInRange, validateSchoolHolidayState
+} from '../services/schoolHolidays.js';
+import { validateLeaveCaps, normalizeLeaveCaps, getLeaveCaps } from '../services/leavePlanning.js';
+import { getSwapSettings, validateSwapSettings } from '../services/shiftSwaps.js';
+import {
+  getLeaveEntitlementSettings,
+  validateLeaveEntitlementSettings,
+  normalizeLeaveEntitlementSettings
+} from '../services/leaveEntitlement.js';
+import {
+  getApprovalWorkflow,
+  validateApprovalWorkflow,
+  normalizeApprovalWorkflow
+} from '../services/approvalWorkflow.js';
 
 const router = Router();
 
@@ -212,6 +234,363 @@ router.put('/settings', authenticate, requireAdmin, (req, res) => {
   res.json(updated);
 });
 
+/**
+ * GET /api/system/coverage
+ * Get the coverage matrix used for schedule generation (manager/admin)
+ */
+router.get('/coverage', authenticate, requireManager, (req, res) => {
+  res.json({
+    coverage: normalizeCoverage(getSettings().defaultCoverage),
+    defaults: normalizeCoverage(DEFAULT_COVERAGE),
+    isCustom: !!getSettings().defaultCoverage
+  });
+});
+
+/**
+ * PUT /api/system/coverage
+ * Update the coverage matrix (admin only)
+ * Body: { weekday, weekend, holiday, overrides: [{ date, shift, min, preferred, max, note }],
+ *   skillRequirements: [{ shift, dayTypes, tier, skill, min }] }
+ */
+router.put('/coverage', authenticate, requireAdmin, (req, res) => {
+  const errors = validateCoverage(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid coverage configuration',
+      details: errors
+    });
+  }
+
+  const coverage = normalizeCoverage(req.body);
+  updateSettings({ defaultCoverage: coverage });
+
+  res.json({
+    message: 'Coverage requirements updated',
+    coverage,
+    isCustom: true
+  });
+});
+
+/**
+ * DELETE /api/system/coverage
+ * Reset the coverage matrix to the built-in defaults (admin only)
+ */
+router.delete('/coverage', authenticate, requireAdmin, (req, res) => {
+  updateSettings({ defaultCoverage: null });
+
+  res.json({
+    message: 'Coverage requirements reset to defaults',
+    coverage: normalizeCoverage(DEFAULT_COVERAGE),
+    isCustom: false
+  });
+});
+
+/**
+ * GET /api/system/shifts
+ * Get the shift catalogue and the transitions it forbids under the rest-hour rules
+ */
+router.get('/shifts', authenticate, (req, res) => {
+  res.json({
+    shifts: getShiftCatalogue(),
+    forbiddenTransitions: getForbiddenTransitions(),
+    isCustom: !!getSettings().shiftCatalogue
+  });
+});
+
+/**
+ * PUT /api/system/shifts
+ * Replace the shift catalogue (admin only)
+ * Body: { shifts: [{ name, times: { weekday: { start, end, duration }, weekend }, color: { bg, text }, isNight }] }
+ */
+router.put('/shifts', authenticate, requireAdmin, (req, res) => {
+  const { shifts } = req.body;
+
+  const errors = validateShiftCatalogue(shifts);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid shift catalogue',
+      details: errors
+    });
+  }
+
+  const catalogue = setShiftCatalogue(shifts);
+  updateSettings({ shiftCatalogue: catalogue });
+
+  res.json({
+    message: 'Shift catalogue updated',
+    shifts: catalogue,
+    forbiddenTransitions: getForbiddenTransitions(),
+    isCustom: true
+  });
+});
+
+/**
+ * DELETE /api/system/shifts
+ * Reset the shift catalogue to the built-in shifts (admin only)
+ */
+router.delete('/shifts', authenticate, requireAdmin, (req, res) => {
+  updateSettings({ shiftCatalogue: null });
+  const catalogue = setShiftCatalogue(null);
+
+  res.json({
+    message: 'Shift catalogue reset to defaults',
+    shifts: catalogue,
+    forbiddenTransitions: getForbiddenTransitions(),
+    isCustom: false
+  });
+});
+
+/**
+ * GET /api/system/holidays
+ * Get the holiday overrides and the resulting holidays of a year (manager/admin)
+ * Query: year (default: current year)
+ */
+router.get('/holidays', authenticate, requireManager, (req, res) => {
+  const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+
+  res.json({
+    year,
+    overrides: getHolidayOverrides(),
+    holidays: getHolidaysForYear(year),
+    states: getAllStates()
+  });
+});
+
+/**
+ * PUT /api/system/holidays
+ * Replace the holiday overrides (admin only)
+ * Body: { overrides: [{ action: 'add' | 'suppress' | 'rename', date, name, nameEn, states, recurring, halfDay, note }] }
+ * states: state codes, or empty/null for company-wide; recurring: every year on the same day
+ */
+router.put('/holidays', authenticate, requireAdmin, (req, res) => {
+  const { overrides } = req.body;
+
+  const errors = validateHolidayOverrides(overrides);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid holiday overrides',
+      details: errors
+    });
+  }
+
+  const normalized = setHolidayOverrides(overrides);
+  updateSettings({ holidayOverrides: normalized });
+
+  res.json({
+    message: 'Holiday calendar updated',
+    overrides: normalized
+  });
+});
+
+/**
+ * DELETE /api/system/holidays
+ * Remove all holiday overrides - statutory holidays only (admin only)
+ */
+router.delete('/holidays', authenticate, requireAdmin, (req, res) => {
+  updateSettings({ holidayOverrides: [] });
+
+  res.json({
+    message: 'Holiday overrides removed',
+    overrides: setHolidayOverrides([])
+  });
+});
+
+/**
+ * GET /api/system/school-holidays
+ * Get the imported school holidays (manager/admin)
+ * Query: state, from, to (yyyy-MM-dd) - all optional
+ */
+router.get('/school-holidays', authenticate, requireManager, (req, res) => {
+  const { state, from, to } = req.query;
+  const schoolHolidays = getSettings().schoolHolidays || [];
+
+  res.json({
+    schoolHolidays: getSchoolHolidaysInRange(
+      schoolHolidays,
+      from || '0000-01-01',
+      to || '9999-12-31',
+      state ? [String(state).toUpperCase()] : null
+    )
+  });
+});
+
+/**
+ * POST /api/system/school-holidays/import
+ * Import the school holidays of a state from an ICS calendar (admin only)
+ * Body: { state, ics } - periods of the state overlapping the imported dates are replaced
+ */
+router.post('/school-holidays/import', authenticate, requireAdmin, (req, res) => {
+  const state = String(req.body.state || '').toUpperCase();
+  const stateErrors = validateSchoolHolidayState(state);
+  if (stateErrors.length > 0) {
+    return res.status(400).json({ error: stateErrors[0] });
+  }
+
+  const { periods, errors } = parseSchoolHolidayIcs(req.body.ics);
+  if (periods.length === 0) {
+    return res.status(400).json({
+      error: 'No school holidays found in the calendar',
+      details: errors
+    });
+  }
+
+  const schoolHolidays = mergeSchoolHolidays(getSettings().schoolHolidays, state, periods);
+  updateSettings({ schoolHolidays });
+
+  res.json({
+    message: `Imported ${periods.length} school holiday period(s) for ${state}`,
+    imported: periods,
+    skipped: errors,
+    schoolHolidays
+  });
+});
+
+/**
+ * DELETE /api/system/school-holidays
+ * Remove imported school holidays (admin only)
+ * Query: state - only this state (default: all)
+ */
+router.delete('/school-holidays', authenticate, requireAdmin, (req, res) => {
+  const state = req.query.state ? String(req.query.state).toUpperCase() : null;
+  const schoolHolidays = state
+    ? (getSettings().schoolHolidays || []).filter(p => p.state !== state)
+    : [];
+  updateSettings({ schoolHolidays });
+
+  res.json({
+    message: state ? `School holidays of ${state} removed` : 'All school holidays removed',
+    schoolHolidays
+  });
+});
+
+/**
+ * GET /api/system/leave-caps
+ * Get the leave caps (manager/admin)
+ */
+router.get('/leave-caps', authenticate, requireManager, (req, res) => {
+  res.json(getLeaveCaps());
+});
+
+/**
+ * PUT /api/system/leave-caps
+ * Update the leave caps (admin only)
+ * Body: { schoolHolidayMaxOff, periods: [{ name, start, end, maxOff, states }] }
+ */
+router.put('/leave-caps', authenticate, requireAdmin, (req, res) => {
+  const errors = validateLeaveCaps(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid leave caps',
+      details: errors
+    });
+  }
+
+  const leaveCaps = normalizeLeaveCaps(req.body);
+  updateSettings({ leaveCaps });
+
+  res.json({
+    message: 'Leave caps updated',
+    ...leaveCaps
+  });
+});
+
+/**
+ * GET /api/system/shift-swaps
+ * Get the shift swap settings (manager/admin)
+ */
+router.get('/shift-swaps', authenticate, requireManager, (req, res) => {
+  res.json(getSwapSettings());
+});
+
+/**
+ * PUT /api/system/shift-swaps
+ * Update the shift swap settings (admin only)
+ * Body: { requireApproval }
+ */
+router.put('/shift-swaps', authenticate, requireAdmin, (req, res) => {
+  const errors = validateSwapSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid shift swap settings',
+      details: errors
+    });
+  }
+
+  const shiftSwaps = { requireApproval: req.body.requireApproval };
+  updateSettings({ shiftSwaps });
+
+  res.json({
+    message: 'Shift swap settings updated',
+    ...shiftSwaps
+  });
+});
+
+/**
+ * GET /api/system/leave-entitlement
+ * Get the default vacation entitlement and carry-over rules (manager/admin)
+ */
+router.get('/leave-entitlement', authenticate, requireManager, (req, res) => {
+  res.json(getLeaveEntitlementSettings());
+});
+
+/**
+ * PUT /api/system/leave-entitlement
+ * Update the default vacation entitlement and carry-over rules (admin only)
+ * Body: { annualDays, carryOverMaxDays, carryOverUntil (MM-DD), overdraft ('warn' | 'reject') }
+ */
+router.put('/leave-entitlement', authenticate, requireAdmin, (req, res) => {
+  const errors = validateLeaveEntitlementSettings(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid leave entitlement settings',
+      details: errors
+    });
+  }
+
+  const leaveEntitlement = normalizeLeaveEntitlementSettings(req.body);
+  updateSettings({ leaveEntitlement });
+
+  res.json({
+    message: 'Leave entitlement settings updated',
+    ...leaveEntitlement
+  });
+});
+
+/**
+ * GET /api/system/approval-workflow
+ * Get the approval chains and escalation deadline (manager/admin)
+ */
+router.get('/approval-workflow', authenticate, requireManager, (req, res) => {
+  res.json(getApprovalWorkflow());
+});
+
+/**
+ * PUT /api/system/approval-workflow
+ * Update the approval chains and escalation deadline (admin only). New requests use the
+ * first chain matching their type and number of days; pending requests keep their chain.
+ * Body: { escalateAfterHours, chains: [{ name, type, minDays, stages: ['team_lead', 'manager'] }] }
+ */
+router.put('/approval-workflow', authenticate, requireAdmin, (req, res) => {
+  const errors = validateApprovalWorkflow(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid approval workflow',
+      details: errors
+    });
+  }
+
+  const approvalWorkflow = normalizeApprovalWorkflow(req.body);
+  updateSettings({ approvalWorkflow });
+
+  res.json({
+    message: 'Approval workflow updated',
+    ...approvalWorkflow
+  });
+});
+
 /**
  * GET /api/system/email-config
  * Get email configuration status (admin only)
@@ -17,7 +17,8 @@ import {
   createUser,
   findUserByEmail,
   getActiveUsers,
-  addNotification
+  addNotification,
+  getPublishedScheduleForMonth
 } from '../data/store.js';
 import {
   authenticate,
@@ -28,13 +29,26 @@ import {
 } from '../middleware/auth.js';
 import { getAllStates, getHolidaysForEngineer } from '../services/germanHolidays.js';
 import { sendPasswordEmail } from '../services/emailService.js';
+import {
+  getWorkShiftNames,
+  normalizeSkills,
+  validateSkills,
+  normalizeContractHours,
+  validateContractHours,
+  normalizeAvailabilityPattern,
+  validateAvailabilityPattern,
+  getJurisdictions,
+  normalizeJurisdiction,
+  validateJurisdiction
+} from '../services/scheduler/index.js';
+import { getPreferenceOptions, getShiftTimes } from '../services/scheduler/config/shiftCatalogue.js';
+import { validateUserLeaveFields, normalizeAnnualLeaveDays, getLeaveBalance } from '../services/leaveEntitlement.js';
+import { APPROVER_ROLES, hasApproverRole, validateDelegation } from '../services/approvalWorkflow.js';
+import { format } from 'date-fns';
 
 const router = Router();
 
-// Valid shift preferences
-const WEEKDAY_SHIFTS = ['Early', 'Morning', 'Late', 'Night'];
-const WEEKEND_SHIFTS = ['WeekendEarly', 'WeekendMorning', 'WeekendLate', 'WeekendNight'];
-const ALL_VALID_SHIFTS = [...WEEKDAY_SHIFTS, ...WEEKEND_SHIFTS];
+// Valid shift preferences come from the shift catalogue (weekday names plus Weekend-prefixed variants)
 
 /**
  * GET /api/users
@@ -63,8 +77,16 @@ router.get('/', authenticate, (req, res) => {
     isManager: u.isManager || false,
     isFloater: u.isFloater || false,
     inTraining: u.inTraining || false,
+    isTeamLead: u.isTeamLead || false,
     tier: u.tier || 'T2',
+    skills: u.skills || [],
+    mentorId: u.mentorId || null,
+    contractHours: u.contractHours || null,
+    availabilityPattern: u.availabilityPattern || null,
     state: u.state,
+    jurisdiction: u.jurisdiction || null,
+    annualLeaveDays: u.annualLeaveDays ?? null,
+    employmentStart: u.employmentStart || null,
     preferences: u.preferences || [],
     isActive: u.isActive !== false,
     twoFactorEnabled: u.twoFactorEnabled || false,
@@ -84,23 +106,33 @@ router.get('/states', (req, res) => {
   res.json(getAllStates());
 });
 
+/**
+ * GET /api/users/jurisdictions
+ * Get the labor law jurisdictions an engineer can be assigned to
+ */
+router.get('/jurisdictions', (req, res) => {
+  res.json(getJurisdictions());
+});
+
 /**
  * GET /api/users/shift-options
  * Get available shift preference options
  */
 router.get('/shift-options', (req, res) => {
+  const options = getPreferenceOptions();
+
   res.json({
-    weekday: WEEKDAY_SHIFTS.map(s => ({
+    weekday: options.weekday.map(s => ({
       id: s,
       name: s,
       description: getShiftDescription(s, false)
     })),
-    weekend: WEEKEND_SHIFTS.map(s => ({
+    weekend: options.weekend.map(s => ({
       id: s,
       name: s.replace('Weekend', ''),
       description: getShiftDescription(s, true)
     })),
-    all: ALL_VALID_SHIFTS
+    all: options.all
   });
 });
 
@@ -109,10 +141,10 @@ router.get('/shift-options', (req, res) => {
  * Download CSV template for bulk upload
  */
 router.get('/csv-template', (req, res) => {
-  const template = `name,email,password,tier,isFloater,inTraining,isManager,state,preferences
-"John Doe",john.doe@example.com,SecurePass123!,T2,false,false,false,BY,"Early,Morning,Late,Night,WeekendEarly,WeekendMorning,WeekendLate,WeekendNight"
-"Jane Smith",jane.smith@example.com,StrongPass456!,T1,false,true,false,NW,"Early,Morning,WeekendMorning"
-"Bob Manager",bob.manager@example.com,ManagerPass789!,T2,false,false,true,BE,"Late,Night,WeekendLate,WeekendNight"`;
+  const template = `name,email,password,tier,isFloater,inTraining,isManager,state,preferences,skills
+"John Doe",john.doe@example.com,SecurePass123!,T2,false,false,false,BY,"Early,Morning,Late,Night,WeekendEarly,WeekendMorning,WeekendLate,WeekendNight","Network"
+"Jane Smith",jane.smith@example.com,StrongPass456!,T1,false,true,false,NW,"Early,Morning,WeekendMorning",""
+"Bob Manager",bob.manager@example.com,ManagerPass789!,T2,false,false,true,BE,"Late,Night,WeekendLate,WeekendNight","Network,Storage"`;
 
   res.setHeader('Content-Type', 'text/csv');
   res.setHeader('Content-Disposition', 'attachment; filename=users-template.csv');
@@ -134,7 +166,8 @@ router.get('/excel-template', (req, res) => {
       InTraining: 'false',
       IsManager: 'false',
       State: 'BY',
-      Preferences: 'Early,Morning,Late,Night,WeekendEarly,WeekendMorning,WeekendLate,WeekendNight'
+      Preferences: 'Early,Morning,Late,Night,WeekendEarly,WeekendMorning,WeekendLate,WeekendNight',
+      Skills: 'Network'
     },
     {
       Name: 'Jane Smith',
@@ -145,7 +178,8 @@ router.get('/excel-template', (req, res) => {
       InTraining: 'true',
       IsManager: 'false',
       State: 'NW',
-      Preferences: 'Early,Morning,WeekendMorning'
+      Preferences: 'Early,Morning,WeekendMorning',
+      Skills: ''
     }
   ];
 
@@ -163,6 +197,7 @@ router.get('/excel-template', (req, res) => {
     ['4. Tier: T1, T2, or T3 (default: T2)'],
     ['5. IsFloater, InTraining, IsManager: true or false'],
     ['6. State: German state code (BY, NW, BE, etc.)'],
+    ['7. Skills: comma-separated (optional), matched by the skill requirements of the coverage model'],
     [''],
     ['Valid States:'],
     ...getAllStates().map(s => [`${s.code}: ${s.name}`])
@@ -185,10 +220,11 @@ router.get('/excel-template', (req, res) => {
 router.get('/export/csv', authenticate, requireManager, (req, res) => {
   const users = getAll('users');
 
-  const header = 'name,email,tier,isFloater,inTraining,isManager,isAdmin,state,preferences,isActive';
+  const header = 'name,email,tier,isFloater,inTraining,isManager,isAdmin,state,jurisdiction,preferences,skills,contractHours,isActive';
   const rows = users.map(u => {
     const prefs = (u.preferences || []).join(',');
-    return `"${u.name}","${u.email}","${u.tier}","${u.isFloater}","${u.inTraining}","${u.isManager}","${u.isAdmin}","${u.state || ''}","${prefs}","${u.isActive}"`;
+    const skills = (u.skills || []).join(',');
+    return `"${u.name}","${u.email}","${u.tier}","${u.isFloater}","${u.inTraining}","${u.isManager}","${u.isAdmin}","${u.state || ''}","${u.jurisdiction || ''}","${prefs}","${skills}","${u.contractHours || ''}","${u.isActive}"`;
   });
 
   const csv = [header, ...rows].join('\n');
@@ -214,7 +250,10 @@ router.get('/export/excel', authenticate, requireManager, (req, res) => {
     IsManager: u.isManager,
     IsAdmin: u.isAdmin,
     State: u.state || '',
+    Jurisdiction: u.jurisdiction || '',
     Preferences: (u.preferences || []).join(', '),
+    Skills: (u.skills || []).join(', '),
+    ContractHours: u.contractHours || '',
     IsActive: u.isActive,
     CreatedAt: u.createdAt
   }));
@@ -265,8 +304,17 @@ router.get('/:id', authenticate, (req, res) => {
     isManager: user.isManager || false,
     isFloater: user.isFloater || false,
     inTraining: user.inTraining || false,
+    isTeamLead: user.isTeamLead || false,
     tier: user.tier || 'T2',
+    skills: user.skills || [],
+    mentorId: user.mentorId || null,
+    contractHours: user.contractHours || null,
+    availabilityPattern: user.availabilityPattern || null,
     state: user.state,
+    jurisdiction: user.jurisdiction || null,
+    annualLeaveDays: user.annualLeaveDays ?? null,
+    employmentStart: user.employmentStart || null,
+    delegation: user.delegation || null,
     preferences: user.preferences || [],
     unavailableDays: user.unavailableDays || [],
     isActive: user.isActive !== false,
@@ -287,8 +335,9 @@ router.get('/:id', authenticate, (req, res) => {
 router.post('/', authenticate, requireManager, async (req, res) => {
   const {
     name, email, password, generatePassword,
-    isAdmin, isManager, isFloater, inTraining,
-    tier, state, preferences, sendEmail
+    isAdmin, isManager, isFloater, inTraining, isTeamLead,
+    tier, skills, mentorId, contractHours, availabilityPattern, state, jurisdiction, preferences, sendEmail,
+    annualLeaveDays, employmentStart
   } = req.body;
 
   if (!name || !email) {
@@ -328,16 +377,47 @@ router.post('/', authenticate, requireManager, async (req, res) => {
     return res.status(400).json({ error: 'Invalid tier. Must be T1, T2, or T3' });
   }
 
+  // Validate skills
+  const skillErrors = validateSkills(skills);
+  if (skillErrors.length > 0) {
+    return res.status(400).json({ error: skillErrors[0] });
+  }
+
+  // Validate mentor
+  const mentorError = validateMentor(mentorId);
+  if (mentorError) {
+    return res.status(400).json({ error: mentorError });
+  }
+
+  // Validate contract hours and weekly availability
+  const contractErrors = [...validateContractHours(contractHours), ...validateAvailabilityPattern(availabilityPattern)];
+  if (contractErrors.length > 0) {
+    return res.status(400).json({ error: contractErrors[0] });
+  }
+
   // Validate state
   const validStates = getAllStates().map(s => s.code);
   if (state && !validStates.includes(state)) {
     return res.status(400).json({ error: 'Invalid state code' });
   }
 
+  // Validate labor law jurisdiction
+  const jurisdictionErrors = validateJurisdiction(jurisdiction);
+  if (jurisdictionErrors.length > 0) {
+    return res.status(400).json({ error: jurisdictionErrors[0] });
+  }
+
+  // Validate vacation entitlement and employment start
+  const leaveErrors = validateUserLeaveFields({ annualLeaveDays, employmentStart });
+  if (leaveErrors.length > 0) {
+    return res.status(400).json({ error: leaveErrors[0] });
+  }
+
   // Validate preferences
-  if (preferences && preferences.some(p => !ALL_VALID_SHIFTS.includes(p))) {
+  const validPreferences = getPreferenceOptions().all;
+  if (preferences && preferences.some(p => !validPreferences.includes(p))) {
     return res.status(400).json({
-      error: 'Invalid shift preference. Must be one of: ' + ALL_VALID_SHIFTS.join(', ')
+      error: 'Invalid shift preference. Must be one of: ' + validPreferences.join(', ')
     });
   }
 
@@ -354,9 +434,17 @@ router.post('/', authenticate, requireManager, async (req, res) => {
     isManager: isManager || false,
     isFloater: isFloater || false,
     inTraining: inTraining || false,
+    isTeamLead: isTeamLead || false,
     tier: tier || 'T2',
+    skills: normalizeSkills(skills),
+    mentorId: inTraining ? mentorId || null : null,
+    contractHours: normalizeContractHours(contractHours),
+    availabilityPattern: normalizeAvailabilityPattern(availabilityPattern),
     state: state || null,
-    preferences: preferences || [...WEEKDAY_SHIFTS, ...WEEKEND_SHIFTS]
+    jurisdiction: normalizeJurisdiction(jurisdiction),
+    annualLeaveDays: normalizeAnnualLeaveDays(annualLeaveDays),
+    employmentStart: employmentStart || null,
+    preferences: preferences || [...validPreferences]
   });
 
   // Send password email if requested
@@ -384,7 +472,14 @@ router.post('/', authenticate, requireManager, async (req, res) => {
       isManager: newUser.isManager,
       isFloater: newUser.isFloater,
       inTraining: newUser.inTraining,
-      tier: newUser.tier
+      isTeamLead: newUser.isTeamLead,
+      tier: newUser.tier,
+      skills: newUser.skills,
+      mentorId: newUser.mentorId,
+      contractHours: newUser.contractHours,
+      availabilityPattern: newUser.availabilityPattern,
+      annualLeaveDays: newUser.annualLeaveDays,
+      employmentStart: newUser.employmentStart
     },
     generatedPassword: generatePassword ? userPassword : undefined,
     emailSent
@@ -412,9 +507,9 @@ router.put('/:id', authenticate, async (req, res) => {
   }
 
   const {
-    name, email, isAdmin, isManager, isFloater, inTraining,
-    tier, state, preferences, isActive, twoFactorForced,
-    darkMode, emailNotifications
+    name, email, isAdmin, isManager, isFloater, inTraining, isTeamLead,
+    tier, skills, mentorId, contractHours, availabilityPattern, state, jurisdiction, preferences, isActive, twoFactorForced,
+    darkMode, emailNotifications, annualLeaveDays, employmentStart
   } = req.body;
 
   const updates = {};
@@ -438,8 +533,52 @@ router.put('/:id', authenticate, async (req, res) => {
     if (isManager !== undefined) updates.isManager = isManager;
     if (isFloater !== undefined) updates.isFloater = isFloater;
     if (inTraining !== undefined) updates.inTraining = inTraining;
+    if (isTeamLead !== undefined) updates.isTeamLead = isTeamLead;
     if (tier !== undefined) updates.tier = tier;
+    if (skills !== undefined) {
+      const skillErrors = validateSkills(skills);
+      if (skillErrors.length > 0) {
+        return res.status(400).json({ error: skillErrors[0] });
+      }
+      updates.skills = normalizeSkills(skills);
+    }
+    if (mentorId !== undefined) {
+      const mentorError = validateMentor(mentorId, req.params.id);
+      if (mentorError) {
+        return res.status(400).json({ error: mentorError });
+      }
+      updates.mentorId = mentorId || null;
+    }
+    if (contractHours !== undefined) {
+      const contractErrors = validateContractHours(contractHours);
+      if (contractErrors.length > 0) {
+        return res.status(400).json({ error: contractErrors[0] });
+      }
+      updates.contractHours = normalizeContractHours(contractHours);
+    }
+    if (availabilityPattern !== undefined) {
+      const patternErrors = validateAvailabilityPattern(availabilityPattern);
+      if (patternErrors.length > 0) {
+        return res.status(400).json({ error: patternErrors[0] });
+      }
+      updates.availabilityPattern = normalizeAvailabilityPattern(availabilityPattern);
+    }
     if (state !== undefined) updates.state = state;
+    if (jurisdiction !== undefined) {
+      const jurisdictionErrors = validateJurisdiction(jurisdiction);
+      if (jurisdictionErrors.length > 0) {
+        return res.status(400).json({ error: jurisdictionErrors[0] });
+      }
+      updates.jurisdiction = normalizeJurisdiction(jurisdiction);
+    }
+    if (annualLeaveDays !== undefined || employmentStart !== undefined) {
+      const leaveErrors = validateUserLeaveFields({ annualLeaveDays, employmentStart });
+      if (leaveErrors.length > 0) {
+        return res.status(400).json({ error: leaveErrors[0] });
+      }
+      if (annualLeaveDays !== undefined) updates.annualLeaveDays = normalizeAnnualLeaveDays(annualLeaveDays);
+      if (employmentStart !== undefined) updates.employmentStart = employmentStart || null;
+    }
     if (preferences !== undefined) updates.preferences = preferences;
     if (isActive !== undefined) updates.isActive = isActive;
     if (twoFactorForced !== undefined) updates.twoFactorForced = twoFactorForced;
@@ -464,8 +603,16 @@ router.put('/:id', authenticate, async (req, res) => {
     isManager: updated.isManager,
     isFloater: updated.isFloater,
     inTraining: updated.inTraining,
+    isTeamLead: updated.isTeamLead || false,
     tier: updated.tier,
+    skills: updated.skills || [],
+    mentorId: updated.mentorId || null,
+    contractHours: updated.contractHours || null,
+    availabilityPattern: updated.availabilityPattern || null,
     state: updated.state,
+    jurisdiction: updated.jurisdiction || null,
+    annualLeaveDays: updated.annualLeaveDays ?? null,
+    employmentStart: updated.employmentStart || null,
     preferences: updated.preferences,
     isActive: updated.isActive,
     darkMode: updated.darkMode,
@@ -592,9 +739,10 @@ router.put('/:id/preferences', authenticate, (req, res) => {
     return res.status(400).json({ error: 'Preferences must be an array of shift types' });
   }
 
-  if (preferences.some(p => !ALL_VALID_SHIFTS.includes(p))) {
+  const validPreferences = getPreferenceOptions().all;
+  if (preferences.some(p => !validPreferences.includes(p))) {
     return res.status(400).json({
-      error: 'Invalid shift preference. Must be one of: ' + ALL_VALID_SHIFTS.join(', ')
+      error: 'Invalid shift preference. Must be one of: ' + validPreferences.join(', ')
     });
   }
 
@@ -675,6 +823,35 @@ router.get('/:id/unavailable-dates', authenticate, (req, res) => {
   res.json({ unavailableDates });
 });
 
+/**
+ * Find published schedules where the user is already assigned a work shift on any of the dates.
+ * These need a repair (POST /api/schedules/:id/repair) to restore coverage.
+ */
+function findAffectedSchedules(userId, dates) {
+  const workShifts = getWorkShiftNames();
+  const byMonth = {};
+
+  for (const dateStr of dates) {
+    const monthStr = dateStr.slice(0, 7);
+    if (!byMonth[monthStr]) {
+      const [year, month] = monthStr.split('-').map(Number);
+      byMonth[monthStr] = { schedule: getPublishedScheduleForMonth(year, month), dates: [] };
+    }
+    const entry = byMonth[monthStr];
+    if (entry.schedule && workShifts.includes(entry.schedule.data?.[userId]?.[dateStr])) {
+      entry.dates.push(dateStr);
+    }
+  }
+
+  return Object.entries(byMonth)
+    .filter(([, entry]) => entry.dates.length > 0)
+    .map(([month, entry]) => ({
+      scheduleId: entry.schedule.id,
+      month,
+      dates: entry.dates.sort()
+    }));
+}
+
 /**
  * POST /api/users/:id/unavailable-dates
  * Add unavailable dates for a user
@@ -758,7 +935,8 @@ router.post('/:id/unavailable-dates', authenticate, (req, res) => {
   res.json({
     message: `Added ${newDates.length} unavailable date(s)`,
     added: newDates.length,
-    unavailableDates: updatedDates
+    unavailableDates: updatedDates,
+    affectedSchedules: findAffectedSchedules(user.id, dates.map(d => typeof d === 'string' ? d : d.date))
   });
 });
 
@@ -820,6 +998,97 @@ router.delete('/:id/unavailable-dates', authenticate, (req, res) => {
   });
 });
 
+/**
+ * GET /api/users/:id/leave-balance
+ * Get a user's vacation entitlement, carry-over, days taken and remaining, and the other
+ * days off by type
+ * Query: year (default: current year)
+ */
+router.get('/:id/leave-balance', authenticate, (req, res) => {
+  if (req.user.id !== req.params.id && !req.user.isAdmin && !req.user.isManager) {
+    return res.status(403).json({ error: 'You can only view your own leave balance' });
+  }
+
+  const user = getById('users', req.params.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  const year = parseInt(req.query.year) || new Date().getFullYear();
+
+  res.json({
+    userId: user.id,
+    userName: user.name,
+    ...getLeaveBalance(user, year, format(new Date(), 'yyyy-MM-dd'))
+  });
+});
+
+/**
+ * PUT /api/users/:id/delegation
+ * Delegate the user's approvals to someone else for a period, e.g. while on vacation
+ * (the user themselves or an admin)
+ * Body: { delegateId, from, until }
+ */
+router.put('/:id/delegation', authenticate, (req, res) => {
+  if (req.user.id !== req.params.id && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only delegate your own approvals' });
+  }
+
+  const user = getById('users', req.params.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  if (!APPROVER_ROLES.some(role => hasApproverRole(user, role))) {
+    return res.status(400).json({ error: 'Only team leads, managers and admins approve requests' });
+  }
+
+  const errors = validateDelegation(req.body, user.id);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid delegation', details: errors });
+  }
+
+  const { delegateId, from, until } = req.body;
+  const delegate = getById('users', delegateId);
+  const updated = update('users', user.id, {
+    delegation: { delegateId, delegateName: delegate.name, from, until }
+  });
+
+  addNotification(delegateId, {
+    type: 'approval',
+    message: `${user.name} delegated their request approvals to you from ${from} to ${until}`
+  });
+
+  res.json({
+    message: 'Approvals delegated',
+    delegation: updated.delegation
+  });
+});
+
+/**
+ * DELETE /api/users/:id/delegation
+ * End a delegation of approvals (the user themselves or an admin)
+ */
+router.delete('/:id/delegation', authenticate, (req, res) => {
+  if (req.user.id !== req.params.id && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only end your own delegation' });
+  }
+
+  const user = getById('users', req.params.id);
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  update('users', user.id, { delegation: null });
+
+  res.json({
+    message: 'Delegation ended'
+  });
+});
+
 /**
  * GET /api/users/:id/holidays
  * Get holidays for a user based on their state
@@ -921,7 +1190,12 @@ router.post('/:id/duplicate', authenticate, requireManager, (req, res) => {
     isFloater: sourceUser.isFloater,
     inTraining: sourceUser.inTraining,
     tier: sourceUser.tier,
+    skills: [...(sourceUser.skills || [])],
+    mentorId: sourceUser.mentorId || null,
+    contractHours: sourceUser.contractHours || null,
+    availabilityPattern: normalizeAvailabilityPattern(sourceUser.availabilityPattern),
     state: sourceUser.state,
+    jurisdiction: sourceUser.jurisdiction || null,
     preferences: [...(sourceUser.preferences || [])]
   });
 
@@ -941,7 +1215,7 @@ router.post('/:id/duplicate', authenticate, requireManager, (req, res) => {
  * Bulk upload users from CSV
  *
  * Required columns: name, email, password
- * Optional columns: tier, isFloater, inTraining, isManager, state, preferences
+ * Optional columns: tier, isFloater, inTraining, isManager, state, preferences, skills
  */
 router.post('/bulk-upload', authenticate, requireManager, async (req, res) => {
   const { csvData } = req.body;
@@ -969,6 +1243,7 @@ router.post('/bulk-upload', authenticate, requireManager, async (req, res) => {
   }
 
   const validStates = getAllStates().map(s => s.code);
+  const validPreferences = getPreferenceOptions().all;
   const results = { success: [], errors: [] };
 
   for (let i = 1; i < lines.length; i++) {
@@ -1038,10 +1313,10 @@ router.post('/bulk-upload', authenticate, requireManager, async (req, res) => {
         continue;
       }
 
-      let preferences = [...WEEKDAY_SHIFTS, ...WEEKEND_SHIFTS];
+      let preferences = [...validPreferences];
       if (row.preferences) {
         preferences = row.preferences.split(',').map(p => p.trim());
-        const invalidPrefs = preferences.filter(p => !ALL_VALID_SHIFTS.includes(p));
+        const invalidPrefs = preferences.filter(p => !validPreferences.includes(p));
         if (invalidPrefs.length > 0) {
           results.errors.push({
             row: i + 1,
@@ -1052,6 +1327,16 @@ router.post('/bulk-upload', authenticate, requireManager, async (req, res) => {
         }
       }
 
+      const skillErrors = validateSkills(row.skills || '');
+      if (skillErrors.length > 0) {
+        results.errors.push({
+          row: i + 1,
+          error: skillErrors[0],
+          data: row
+        });
+        continue;
+      }
+
       const user = createUser({
         name: row.name,
         email: row.email,
@@ -1060,6 +1345,7 @@ router.post('/bulk-upload', authenticate, requireManager, async (req, res) => {
         isFloater,
         inTraining,
         tier,
+        skills: normalizeSkills(row.skills || ''),
         state,
         preferences
       });
@@ -1109,6 +1395,7 @@ router.post('/bulk-upload-excel', authenticate, requireManager, async (req, res)
     }
 
     const validStates = getAllStates().map(s => s.code);
+    const validPreferences = getPreferenceOptions().all;
     const results = { success: [], errors: [] };
 
     for (let i = 0; i < rows.length; i++) {
@@ -1183,10 +1470,10 @@ router.post('/bulk-upload-excel', authenticate, requireManager, async (req, res)
           continue;
         }
 
-        let preferences = [...WEEKDAY_SHIFTS, ...WEEKEND_SHIFTS];
+        let preferences = [...validPreferences];
         if (normalizedRow.preferences) {
           preferences = normalizedRow.preferences.toString().split(',').map(p => p.trim());
-          const invalidPrefs = preferences.filter(p => !ALL_VALID_SHIFTS.includes(p));
+          const invalidPrefs = preferences.filter(p => !validPreferences.includes(p));
           if (invalidPrefs.length > 0) {
             results.errors.push({
               row: rowNum,
@@ -1197,6 +1484,17 @@ router.post('/bulk-upload-excel', authenticate, requireManager, async (req, res)
           }
         }
 
+        const skills = (normalizedRow.skills || '').toString();
+        const skillErrors = validateSkills(skills);
+        if (skillErrors.length > 0) {
+          results.errors.push({
+            row: rowNum,
+            error: skillErrors[0],
+            data: normalizedRow
+          });
+          continue;
+        }
+
         const user = createUser({
           name,
           email,
@@ -1205,6 +1503,7 @@ router.post('/bulk-upload-excel', authenticate, requireManager, async (req, res)
           isFloater,
           inTraining,
           tier,
+          skills: normalizeSkills(skills),
           state,
           preferences
         });
@@ -1237,6 +1536,22 @@ router.post('/bulk-upload-excel', authenticate, requireManager, async (req, res)
 
 // ============== Helper Functions ==============
 
+/**
+ * Check a trainee's mentor: an active engineer who is neither in training nor a floater
+ * @returns {string|null} Error message, or null if valid (or no mentor)
+ */
+function validateMentor(mentorId, userId = null) {
+  if (!mentorId) return null;
+  if (mentorId === userId) return 'A user cannot be their own mentor';
+
+  const mentor = getById('users', mentorId);
+  if (!mentor || mentor.isActive === false) return 'Mentor not found';
+  if (mentor.inTraining || mentor.isFloater) {
+    return 'Mentor must be an engineer who is neither in training nor a floater';
+  }
+  return null;
+}
+
 function parseCSVLine(line) {
   const result = [];
   let current = '';
@@ -1259,17 +1574,9 @@ function parseCSVLine(line) {
 }
 
 function getShiftDescription(shift, isWeekend) {
-  const times = {
-    'Early': '07:00 - 15:30',
-    'Morning': '10:00 - 18:30',
-    'Late': isWeekend ? '15:00 - 22:30' : '15:00 - 23:30',
-    'Night': '23:00 - 07:30',
-    'WeekendEarly': '07:00 - 15:30',
-    'WeekendMorning': '10:00 - 18:30',
-    'WeekendLate': '15:00 - 22:30',
-    'WeekendNight': '23:00 - 07:30'
-  };
-  return times[shift] || '';
+  const name = shift.startsWith('Weekend') ? shift.replace('Weekend', '') : shift;
+  const times = getShiftTimes(name, isWeekend || shift !== name);
+  return times ? `${times.start} - ${times.end}` : '';
 }
 
 export default router;
@@ -0,0 +1,473 @@
+/**
+ * Approval Workflow Service
+ *
+ * Requests go through an approval chain of stages (settings.approvalWorkflow), e.g. team lead
+ * then manager for time off of 6 days or more. Without a matching chain a request has a single
+ * manager stage. Each stage is approved by a user with its role (admins may approve any stage)
+ * or by someone a role holder delegated to while away (user.delegation).
+ *
+ * A stage left pending past its deadline escalates: the next role up may approve it too and is
+ * notified. Deadlines never fall inside the planning window - decisions are needed at least
+ * MIN_LEAD_TIME_DAYS before the first requested date, and approvals after that are refused.
+ *
+ * Every submission, stage approval, escalation and rejection is recorded in
+ * request.approvalTrail.
+ */
+
+import { getAll, getById, update, find, getSettings, addNotification } from '../data/store.js';
+import { differenceInDays, parseISO, subDays, format } from 'date-fns';
+
+// Minimum lead time in days for scheduling requests
+export const MIN_LEAD_TIME_DAYS = 15;
+
+export const APPROVER_ROLES = ['team_lead', 'manager', 'admin'];
+
+export const ROLE_LABELS = { team_lead: 'team lead', manager: 'manager', admin: 'admin' };
+
+// Role an overdue stage escalates to
+const ESCALATION = { team_lead: 'manager', manager: 'admin', admin: null };
+
+const REQUEST_TYPES = ['time_off', 'shift_change', 'preference_update'];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// No chains: every request has a single manager stage, escalating after two days
+export const DEFAULT_APPROVAL_WORKFLOW = { escalateAfterHours: 48, chains: [] };
+
+/**
+ * Get the approval workflow settings
+ */
+export function getApprovalWorkflow() {
+  return { ...DEFAULT_APPROVAL_WORKFLOW, ...(getSettings().approvalWorkflow || {}) };
+}
+
+/**
+ * Validate approval workflow settings
+ * @param {Object} workflow - { escalateAfterHours, chains: [{ name, type, minDays, stages }] }
+ * @returns {string[]} Validation errors
+ */
+export function validateApprovalWorkflow(workflow) {
+  if (!workflow || typeof workflow !== 'object') {
+    return ['Approval workflow settings are required'];
+  }
+
+  const errors = [];
+  const { escalateAfterHours, chains } = workflow;
+  if (escalateAfterHours !== null && escalateAfterHours !== '' &&
+      !(Number(escalateAfterHours) > 0)) {
+    errors.push('escalateAfterHours must be a positive number of hours or empty');
+  }
+
+  if (!Array.isArray(chains)) {
+    errors.push('chains must be a list');
+    return errors;
+  }
+
+  chains.forEach((chain, i) => {
+    const label = `Chain ${i + 1}`;
+    if (!String(chain.name || '').trim()) {
+      errors.push(`${label}: name is required`);
+    }
+    if (chain.type && !REQUEST_TYPES.includes(chain.type)) {
+      errors.push(`${label}: type must be one of ${REQUEST_TYPES.join(', ')} (empty for all)`);
+    }
+    if (chain.minDays !== undefined && chain.minDays !== null && chain.minDays !== '' &&
+        !(Number.isInteger(Number(chain.minDays)) && Number(chain.minDays) >= 1)) {
+      errors.push(`${label}: minDays must be a whole number of at least 1 or empty`);
+    }
+    if (!Array.isArray(chain.stages) || chain.stages.length === 0) {
+      errors.push(`${label}: at least one stage is required`);
+    } else if (chain.stages.some(role => !APPROVER_ROLES.includes(role))) {
+      errors.push(`${label}: stages must be roles of ${APPROVER_ROLES.join(', ')}`);
+    } else if (new Set(chain.stages).size !== chain.stages.length) {
+      errors.push(`${label}: a role can only approve once`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Normalize approval workflow settings (numbers, null = no time-based escalation / any type)
+ */
+export function normalizeApprovalWorkflow(workflow) {
+  const { escalateAfterHours, chains } = workflow;
+  return {
+    escalateAfterHours: escalateAfterHours === null || escalateAfterHours === '' ? null : Number(escalateAfterHours),
+    chains: chains.map(chain => ({
+      name: String(chain.name).trim(),
+      type: chain.type || null,
+      minDays: chain.minDays === undefined || chain.minDays === null || chain.minDays === '' ? null : Number(chain.minDays),
+      stages: [...chain.stages]
+    }))
+  };
+}
+
+/**
+ * Check if a user holds an approver role; admins hold every role
+ */
+export function hasApproverRole(user, role) {
+  if (!user || user.isActive === false) return false;
+  if (user.isAdmin) return true;
+  if (role === 'manager') return !!user.isManager;
+  if (role === 'team_lead') return !!user.isTeamLead;
+  return false;
+}
+
+/**
+ * Validate a delegation of approvals
+ * @param {Object} delegation - { delegateId, from, until }
+ * @param {string} userId - The delegating user
+ * @returns {string[]} Validation errors
+ */
+export function validateDelegation(delegation, userId) {
+  const { delegateId, from, until } = delegation || {};
+  const errors = [];
+  const delegate = delegateId ? getById('users', delegateId) : null;
+
+  if (!delegate || delegate.isActive === false) {
+    errors.push('delegateId must be an active user');
+  } else if (delegateId === userId) {
+    errors.push('You cannot delegate to yourself');
+  }
+  if (!DATE_REGEX.test(from || '') || !DATE_REGEX.test(until || '')) {
+    errors.push('from and until must be YYYY-MM-DD');
+  } else if (until < from) {
+    errors.push('until must not be before from');
+  }
+  return errors;
+}
+
+/**
+ * Users who delegated their approvals to a user on a date
+ */
+export function getDelegatorsFor(userId, dateStr) {
+  return find('users', u =>
+    u.isActive !== false && u.delegation?.delegateId === userId &&
+    u.delegation.from <= dateStr && dateStr <= u.delegation.until
+  );
+}
+
+/**
+ * Check if a user reviews requests: an approver role or an active delegation
+ */
+export function isRequestReviewer(user, dateStr) {
+  return APPROVER_ROLES.some(role => hasApproverRole(user, role)) ||
+    getDelegatorsFor(user.id, dateStr).some(d => APPROVER_ROLES.some(role => hasApproverRole(d, role)));
+}
+
+/**
+ * Chain of a request: the first configured chain matching its type and number of days,
+ * else a single manager stage
+ */
+export function selectApprovalChain(request, workflow = getApprovalWorkflow()) {
+  const days = (request.dates || []).length;
+  const chain = workflow.chains.find(c =>
+    (!c.type || c.type === request.type) && (c.minDays === null || days >= c.minDays)
+  );
+  return chain ? { name: chain.name, stages: chain.stages } : { name: 'Default', stages: ['manager'] };
+}
+
+/**
+ * Start of the last day a request can be approved, MIN_LEAD_TIME_DAYS before its first date
+ * (null for requests without dates)
+ */
+function getPlanningDeadline(request) {
+  if (!request.dates?.length) return null;
+  const earliest = [...request.dates].sort()[0];
+  return subDays(parseISO(earliest), MIN_LEAD_TIME_DAYS);
+}
+
+/**
+ * Deadline of a stage started at a time: after escalateAfterHours, but no later than the
+ * planning deadline
+ */
+function getStageDueAt(request, startedAt, workflow) {
+  const candidates = [getPlanningDeadline(request)];
+  if (workflow.escalateAfterHours) {
+    candidates.push(new Date(startedAt.getTime() + workflow.escalateAfterHours * 60 * 60 * 1000));
+  }
+  const valid = candidates.filter(Boolean);
+  return valid.length > 0 ? new Date(Math.min(...valid.map(d => d.getTime()))).toISOString() : null;
+}
+
+/**
+ * Build the approval chain of a new request
+ * @returns {Object} { name, currentStage, stages: [{ role, status, startedAt, dueAt, escalatedTo, ... }] }
+ */
+export function buildApprovalChain(request, now = new Date(), workflow = getApprovalWorkflow()) {
+  const { name, stages } = selectApprovalChain(request, workflow);
+  return {
+    name,
+    currentStage: 0,
+    stages: stages.map((role, i) => ({
+      role,
+      status: i === 0 ? 'pending' : 'waiting',
+      startedAt: i === 0 ? now.toISOString() : null,
+      dueAt: i === 0 ? getStageDueAt(request, now, workflow) : null,
+      escalatedTo: null,
+      escalatedAt: null,
+      decidedBy: null,
+      decidedByName: null,
+      onBehalfOf: null,
+      decidedAt: null
+    }))
+  };
+}
+
+/**
+ * Approval chain of a request; requests from before approval chains get a single manager stage
+ */
+export function getApprovalChain(request) {
+  return request.approvalChain || buildApprovalChain(
+    { ...request, type: null },
+    new Date(request.createdAt),
+    { escalateAfterHours: null, chains: [] }
+  );
+}
+
+/**
+ * Check if a request can no longer be approved because its first date is inside the planning
+ * window
+ */
+export function isInsidePlanningWindow(request, now = new Date()) {
+  if (!request.dates?.length) return false;
+  const today = parseISO(format(now, 'yyyy-MM-dd'));
+  return differenceInDays(parseISO([...request.dates].sort()[0]), today) < MIN_LEAD_TIME_DAYS;
+}
+
+/**
+ * Check whether a user can decide the current stage of a pending request, in their own role
+ * or for someone who delegated to them. Nobody decides their own request, neither directly
+ * nor as a delegate, and delegates do not decide for the requester.
+ * @returns {Object} { allowed, onBehalfOf: user|null }
+ */
+export function canReviewRequest(user, request, now = new Date()) {
+  if (!user || request.status !== 'pending' || request.userId === user.id) {
+    return { allowed: false, onBehalfOf: null };
+  }
+
+  const chain = getApprovalChain(request);
+  const stage = chain.stages[chain.currentStage];
+  const roles = [stage.role, stage.escalatedTo].filter(Boolean);
+
+  if (roles.some(role => hasApproverRole(user, role))) {
+    return { allowed: true, onBehalfOf: null };
+  }
+
+  const delegator = getDelegatorsFor(user.id, format(now, 'yyyy-MM-dd'))
+    .find(d => d.id !== request.userId && roles.some(role => hasApproverRole(d, role)));
+  return delegator ? { allowed: true, onBehalfOf: delegator } : { allowed: false, onBehalfOf: null };
+}
+
+/**
+ * Users who can decide the current stage: role holders and their active delegates
+ */
+function getStageApprovers(roles, now) {
+  const dateStr = format(now, 'yyyy-MM-dd');
+  const holders = getAll('users').filter(u => roles.some(role => hasApproverRole(u, role)));
+  const delegates = holders
+    .filter(u => u.delegation && u.delegation.from <= dateStr && dateStr <= u.delegation.until)
+    .map(u => getById('users', u.delegation.delegateId))
+    .filter(u => u && u.isActive !== false);
+
+  return [...new Map([...holders, ...delegates].map(u => [u.id, u])).values()];
+}
+
+/**
+ * Notify the approvers of a stage that a request waits for them
+ */
+function notifyStageApprovers(request, roles, message, now) {
+  for (const approver of getStageApprovers(roles, now)) {
+    if (approver.id === request.userId) continue;
+    addNotification(approver.id, { type: 'approval', message });
+  }
+}
+
+/**
+ * Describe a request for notifications
+ */
+function describeRequest(request) {
+  const type = request.type.replace('_', ' ');
+  return request.dates?.length
+    ? `${request.userName}'s ${type} request (${request.dates.length} day(s) from ${[...request.dates].sort()[0]})`
+    : `${request.userName}'s ${type} request`;
+}
+
+/**
+ * Trail entry of an action on a request
+ */
+function trailEntry(action, stage, reviewer, onBehalfOf, notes, now) {
+  return {
+    action,
+    stage,
+    by: reviewer?.id || null,
+    byName: reviewer?.name || 'System',
+    onBehalfOf: onBehalfOf?.id || null,
+    onBehalfOfName: onBehalfOf?.name || null,
+    notes: notes || '',
+    at: now.toISOString()
+  };
+}
+
+/**
+ * Approval trail of a request with an action added (e.g. cancelled by the requester)
+ */
+export function appendTrail(request, action, user, notes = '', now = new Date()) {
+  return [...(request.approvalTrail || []), trailEntry(action, null, user, null, notes, now)];
+}
+
+/**
+ * Start the approval of a new request: store its chain, record the submission and notify
+ * the first stage's approvers
+ */
+export function startApproval(request, submitter, now = new Date()) {
+  const approvalChain = buildApprovalChain(request, now);
+  const updated = update('requests', request.id, {
+    approvalChain,
+    approvalTrail: [trailEntry('submitted', null, submitter, null, request.reason, now)]
+  });
+
+  const firstRole = approvalChain.stages[0].role;
+  notifyStageApprovers(updated, [firstRole], `${describeRequest(updated)} waits for your approval as ${ROLE_LABELS[firstRole]}`, now);
+  return updated;
+}
+
+/**
+ * Approve the current stage of a request. The next stage starts and its approvers are
+ * notified; after the last stage the request is fully approved.
+ * @returns {Object} { request, final }
+ */
+export function approveStage(request, reviewer, onBehalfOf, notes = '', now = new Date()) {
+  const workflow = getApprovalWorkflow();
+  const chain = getApprovalChain(request);
+  const index = chain.currentStage;
+  const stages = chain.stages.map((stage, i) => {
+    if (i === index) {
+      return {
+        ...stage,
+        status: 'approved',
+        decidedBy: reviewer.id,
+        decidedByName: reviewer.name,
+        onBehalfOf: onBehalfOf?.id || null,
+        decidedAt: now.toISOString()
+      };
+    }
+    if (i === index + 1) {
+      return { ...stage, status: 'pending', startedAt: now.toISOString(), dueAt: getStageDueAt(request, now, workflow) };
+    }
+    return stage;
+  });
+
+  const final = index === stages.length - 1;
+  const updated = update('requests', request.id, {
+    approvalChain: { ...chain, stages, currentStage: final ? index : index + 1 },
+    approvalTrail: [
+      ...(request.approvalTrail || []),
+      trailEntry('approved', index, reviewer, onBehalfOf, notes, now)
+    ]
+  });
+
+  if (!final) {
+    const nextRole = stages[index + 1].role;
+    notifyStageApprovers(
+      updated,
+      [nextRole],
+      `${describeRequest(updated)} was approved by ${reviewer.name} and waits for your approval as ${ROLE_LABELS[nextRole]}`,
+      now
+    );
+    addNotification(request.userId, {
+      type: 'approval',
+      message: `Your ${request.type.replace('_', ' ')} request was approved by ${reviewer.name} and waits for the ${ROLE_LABELS[nextRole]}`
+    });
+  }
+
+  return { request: updated, final };
+}
+
+/**
+ * Record the rejection of a request at its current stage
+ */
+export function rejectStage(request, reviewer, onBehalfOf, notes, now = new Date()) {
+  const chain = getApprovalChain(request);
+  const index = chain.currentStage;
+  const stages = chain.stages.map((stage, i) => (i === index
+    ? {
+      ...stage,
+      status: 'rejected',
+      decidedBy: reviewer.id,
+      decidedByName: reviewer.name,
+      onBehalfOf: onBehalfOf?.id || null,
+      decidedAt: now.toISOString()
+    }
+    : stage));
+
+  return update('requests', request.id, {
+    approvalChain: { ...chain, stages },
+    approvalTrail: [
+      ...(request.approvalTrail || []),
+      trailEntry('rejected', index, reviewer, onBehalfOf, notes, now)
+    ]
+  });
+}
+
+/**
+ * Escalate pending requests whose current stage is past its deadline: the next role up may
+ * decide the stage as well and is notified
+ * @returns {Object[]} The escalated requests
+ */
+export function escalateOverdueRequests(now = new Date()) {
+  const escalated = [];
+
+  for (const request of find('requests', r => r.status === 'pending' && r.approvalChain)) {
+    const chain = request.approvalChain;
+    const stage = chain.stages[chain.currentStage];
+    const target = ESCALATION[stage.role];
+    if (!stage.dueAt || new Date(stage.dueAt) > now || stage.escalatedAt || !target) continue;
+
+    const stages = chain.stages.map((s, i) => (i === chain.currentStage
+      ? { ...s, escalatedTo: target, escalatedAt: now.toISOString() }
+      : s));
+    const updated = update('requests', request.id, {
+      approvalChain: { ...chain, stages },
+      approvalTrail: [
+        ...(request.approvalTrail || []),
+        trailEntry('escalated', chain.currentStage, null, null, `Pending past ${stage.dueAt}, escalated to ${ROLE_LABELS[target]}`, now)
+      ]
+    });
+
+    notifyStageApprovers(
+      updated,
+      [target],
+      `${describeRequest(updated)} is overdue for ${ROLE_LABELS[stage.role]} approval and was escalated to you`,
+      now
+    );
+    escalated.push(updated);
+  }
+
+  return escalated;
+}
+
+export default {
+  MIN_LEAD_TIME_DAYS,
+  APPROVER_ROLES,
+  ROLE_LABELS,
+  DEFAULT_APPROVAL_WORKFLOW,
+  getApprovalWorkflow,
+  validateApprovalWorkflow,
+  normalizeApprovalWorkflow,
+  hasApproverRole,
+  validateDelegation,
+  getDelegatorsFor,
+  isRequestReviewer,
+  selectApprovalChain,
+  buildApprovalChain,
+  getApprovalChain,
+  isInsidePlanningWindow,
+  canReviewRequest,
+  appendTrail,
+  startApproval,
+  approveStage,
+  rejectStage,
+  escalateOverdueRequests
+};
@@ -17,32 +17,11 @@ import {
   differenceInDays, isWeekend as dateFnsIsWeekend
 } from 'date-fns';
 
-// Shift definitions
-export const SHIFTS = {
-  EARLY: 'Early',
-  MORNING: 'Morning',
-  LATE: 'Late',
-  NIGHT: 'Night',
-  OFF: 'Off',
-  UNAVAILABLE: 'Unavailable',
-  TRAINING: 'Training'
-};
+// Shift definitions, times and colours are shared with the scheduler engine
+import { SHIFTS, SHIFT_TIMES, COLORS } from './scheduler/config/defaults.js';
+import { getTransitionViolation } from './scheduler/rules/LaborLaw.js';
 
-// Shift times
-export const SHIFT_TIMES = {
-  weekday: {
-    [SHIFTS.EARLY]: { start: '07:00', end: '15:30' },
-    [SHIFTS.MORNING]: { start: '10:00', end: '18:30' },
-    [SHIFTS.LATE]: { start: '15:00', end: '23:30' },
-    [SHIFTS.NIGHT]: { start: '23:00', end: '07:30' }
-  },
-  weekend: {
-    [SHIFTS.EARLY]: { start: '07:00', end: '15:30' },
-    [SHIFTS.MORNING]: { start: '10:00', end: '18:30' },
-    [SHIFTS.LATE]: { start: '15:00', end: '22:30' },
-    [SHIFTS.NIGHT]: { start: '23:00', end: '07:30' }
-  }
-};
+export { SHIFTS, SHIFT_TIMES, COLORS };
 
 // Coverage requirements
 const COVERAGE = {
@@ -60,38 +39,12 @@ const COVERAGE = {
   }
 };
 
-// Color coding for output
-export const COLORS = {
-  tier: {
-    T1: '#d5a6bd',
-    T2: '#b6d7a7',
-    T3: '#b7e1cd'
-  },
-  shift: {
-    [SHIFTS.EARLY]: { bg: '#f1c232', text: '#000000' },
-    [SHIFTS.MORNING]: { bg: '#ffff00', text: '#000000' },
-    [SHIFTS.LATE]: { bg: '#6fa8dc', text: '#ffffff' },
-    [SHIFTS.NIGHT]: { bg: '#1155cc', text: '#ffffff' },
-    [SHIFTS.OFF]: { bg: '#5a3286', text: '#ffffff' },
-    [SHIFTS.UNAVAILABLE]: { bg: '#b6d7a8', text: '#000000' },
-    [SHIFTS.TRAINING]: { bg: '#e6cff2', text: '#000000' }
-  }
-};
-
 // Maximum consecutive working days before requiring OFF days
 const MAX_CONSECUTIVE_WORK_DAYS = 6;
 
 // Minimum OFF days per 7-day period (must be consecutive)
 const MIN_OFF_DAYS_PER_WEEK = 2;
 
-// Forbidden transitions (adjacency rules)
-const FORBIDDEN_TRANSITIONS = [
-  [SHIFTS.NIGHT, SHIFTS.EARLY],
-  [SHIFTS.NIGHT, SHIFTS.MORNING],
-  [SHIFTS.EARLY, SHIFTS.NIGHT],
-  [SHIFTS.MORNING, SHIFTS.NIGHT]
-];
-
 // Shift consistency groups - shifts that should stay together
 const SHIFT_CONSISTENCY_GROUPS = {
   day_early: [SHIFTS.EARLY, SHIFTS.MORNING],  // Early/Morning stay together
@@ -263,9 +216,8 @@ export class ShiftScheduler {
     if (!toShift || toShift === SHIFTS.OFF || toShift === SHIFTS.UNAVAILABLE) {
       return true;
     }
-    return !FORBIDDEN_TRANSITIONS.some(
-      ([from, to]) => from === fromShift && to === toShift
-    );
+    // Derived from the rest-hour rules and the shift catalogue
+    return !getTransitionViolation(fromShift, toShift);
   }
 
   /**
@@ -6,7 +6,7 @@
  */
 
 import nodemailer from 'nodemailer';
-import { getAll, find, getById, getSettings } from '../data/store.js';
+import { getAll, getById, getSettings } from '../data/store.js';
 
 // Create transporter (lazy initialization)
 let transporter = null;
@@ -172,10 +172,8 @@ This is an automated notification from Shifter for ICES.`;
  * Notify an engineer about schedule changes affecting them
  */
 export async function notifyScheduleChange(engineerId, schedule, changes) {
-  const engineer = getById('engineers', engineerId);
-  if (!engineer) return { sent: false, reason: 'Engineer not found' };
-
-  const user = find('users', u => u.engineerId === engineerId)[0];
+  // Engineers are users (unified store), so the engineer ID is the user ID
+  const user = getById('users', engineerId);
   if (!user || user.emailNotifications === false) {
     return { sent: false, reason: 'User not found or notifications disabled' };
   }
@@ -0,0 +1,103 @@
+/**
+ * Fairness Ledger Service for Shifter for ICES
+ *
+ * Builds the long-term fairness ledger (nights, weekend days, public-holiday shifts, late
+ * shifts and Sundays per engineer) from the published schedules of a rolling window of
+ * months. Generation passes it to the Scheduler as a scoring input; the fairness report
+ * shows the standings.
+ */
+
+import { getAll, getPublishedScheduleForMonth } from '../data/store.js';
+import { getHolidaysForMonth } from './germanHolidays.js';
+import {
+  ALGORITHM_CONFIG,
+  FAIRNESS_CATEGORIES,
+  buildFairnessLedger
+} from './scheduler/index.js';
+import { format } from 'date-fns';
+
+/**
+ * Ledger of the published schedules in the windowMonths months up to and including lastMonth
+ * @param {Date} lastMonth - Any date in the last month of the window
+ * @param {number} windowMonths
+ * @returns {Object} Ledger (see scheduler/utils/FairnessLedger.js)
+ */
+export function getFairnessLedger(lastMonth, windowMonths = ALGORITHM_CONFIG.fairnessLedger.windowMonths) {
+  const months = [];
+
+  for (let i = windowMonths - 1; i >= 0; i--) {
+    const monthDate = new Date(lastMonth.getFullYear(), lastMonth.getMonth() - i, 1);
+    const year = monthDate.getFullYear();
+    const month = monthDate.getMonth() + 1;
+    const schedule = getPublishedScheduleForMonth(year, month);
+    if (!schedule) continue;
+
+    months.push({
+      month: schedule.month,
+      data: schedule.data,
+      // All states - the ledger checks each engineer's own state
+      holidays: getHolidaysForMonth(year, month)
+    });
+  }
+
+  const ledger = buildFairnessLedger(months, getAll('users'));
+  ledger.window = {
+    from: format(new Date(lastMonth.getFullYear(), lastMonth.getMonth() - windowMonths + 1, 1), 'yyyy-MM'),
+    to: format(lastMonth, 'yyyy-MM')
+  };
+  return ledger;
+}
+
+/**
+ * Ledger for generating a schedule: the window of months before the (first) generated month
+ * @param {Date} monthDate - First month being generated
+ */
+export function getFairnessLedgerBefore(monthDate) {
+  return getFairnessLedger(new Date(monthDate.getFullYear(), monthDate.getMonth() - 1, 1));
+}
+
+/**
+ * Rolling standings: per engineer totals and per-month rates of each category, ranked by
+ * their combined share of unpopular shifts (most first)
+ * @param {Date} lastMonth - Last month of the window
+ * @param {number} windowMonths
+ */
+export function getFairnessReport(lastMonth, windowMonths = ALGORITHM_CONFIG.fairnessLedger.windowMonths) {
+  const ledger = getFairnessLedger(lastMonth, windowMonths);
+  const users = new Map(getAll('users').map(u => [u.id, u]));
+  const round = value => Math.round(value * 100) / 100;
+
+  const standings = Object.entries(ledger.engineers).map(([engineerId, entry]) => {
+    const user = users.get(engineerId);
+    const perMonth = Object.fromEntries(FAIRNESS_CATEGORIES.map(c => [c, round(entry[c] / entry.months)]));
+    return {
+      engineerId,
+      name: user?.name || 'Unknown',
+      tier: user?.tier || null,
+      isActive: !!user?.isActive,
+      months: entry.months,
+      totals: Object.fromEntries(FAIRNESS_CATEGORIES.map(c => [c, entry[c]])),
+      perMonth,
+      load: round(FAIRNESS_CATEGORIES.reduce((sum, c) => sum + perMonth[c], 0))
+    };
+  }).sort((a, b) => b.load - a.load || a.name.localeCompare(b.name));
+
+  const averages = Object.fromEntries(FAIRNESS_CATEGORIES.map(c => [
+    c,
+    standings.length > 0 ? round(standings.reduce((sum, s) => sum + s.perMonth[c], 0) / standings.length) : 0
+  ]));
+
+  return {
+    window: ledger.window,
+    publishedMonths: ledger.months,
+    categories: FAIRNESS_CATEGORIES,
+    averages,
+    standings: standings.map((s, index) => ({ rank: index + 1, ...s }))
+  };
+}
+
+export default {
+  getFairnessLedger,
+  getFairnessLedgerBefore,
+  getFairnessReport
+};
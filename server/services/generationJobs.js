@@ -0,0 +1,408 @@
+/**
+ * Schedule Generation Jobs for Shifter for ICES
+ *
+ * Runs the best-of-N scheduler loop in a pool of worker threads so generation does not
+ * block the Express event loop. Each worker takes every Nth iteration and reports the
+ * outcome of each one; the main thread replays the sequential early-stop rule over the
+ * outcomes in iteration order and asks the worker owning the winning iteration to finish it.
+ *
+ * Every iteration is seeded from the job seed, so a job returns exactly what
+ * solveBestOf() returns for the same seed, no matter how many workers ran it.
+ *
+ * Horizon jobs (schedulerOptions.horizonMonths > 1) solve consecutive months together;
+ * each iteration is slower, so the iteration budget is divided by the number of months.
+ *
+ * Jobs live in memory and are dropped an hour after they finish.
+ */
+
+import { Worker } from 'worker_threads';
+import { cpus } from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  Scheduler,
+  getShiftCatalogue,
+  createSeed,
+  createRandom,
+  deriveSeed,
+  shuffleArray
+} from './scheduler/index.js';
+
+// Increased to 250 for better exploration of solution space
+// With the improved scheduler algorithm, early stopping handles fast cases
+export const MAX_GENERATE_ITERATIONS = 250;
+
+const WORKER_COUNT = Math.max(1, Math.min(4, cpus().length - 1));
+const MAX_RUNNING_JOBS = 2;
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const WORKER_URL = new URL('./generationWorker.js', import.meta.url);
+
+const jobs = new Map();
+
+/**
+ * Iteration budget of a job - horizon solves share the budget of a single month
+ */
+export function getMaxIterations(schedulerOptions = {}) {
+  return Math.ceil(MAX_GENERATE_ITERATIONS / (schedulerOptions.horizonMonths || 1));
+}
+
+/**
+ * Error count and objective score of a solve() result
+ */
+export function getOutcome(result) {
+  return {
+    errorCount: result.success ? 0 : (result.errors ? result.errors.length : Infinity),
+    objective: result.objective.total
+  };
+}
+
+/**
+ * Compare two outcomes: fewer errors first, then the lower objective score.
+ * Ties keep the earlier iteration.
+ */
+export function isBetterOutcome(outcome, best) {
+  if (!best) return true;
+  if (outcome.errorCount !== best.errorCount) return outcome.errorCount < best.errorCount;
+  return outcome.objective < best.objective;
+}
+
+/**
+ * Early stop rule of the best-of-N loop, checked after each iteration in order.
+ * Horizon solves are judged by their errors per month.
+ */
+function shouldStopEarly(iteration, totalErrorCount, horizonMonths = 1) {
+  const bestErrorCount = Math.ceil(totalErrorCount / horizonMonths);
+
+  // Perfect solution found
+  if (bestErrorCount === 0) return true;
+
+  // Good-enough solution found after reasonable attempts
+  // With the improved OFF-first pipeline, we expect fewer errors
+  if (iteration >= 5 && bestErrorCount <= 1) return true;
+  if (iteration >= 15 && bestErrorCount <= 2) return true;
+  if (iteration >= 30 && bestErrorCount <= 3) return true;
+  if (iteration >= 75 && bestErrorCount <= 4) return true;
+
+  // Extended exploration for difficult schedules
+  if (iteration >= 150 && bestErrorCount <= 5) return true;
+  if (iteration >= 200 && bestErrorCount <= 6) return true;
+
+  return false;
+}
+
+/**
+ * Run one iteration of best-of-N generation.
+ * Iterations after the first shuffle the engineer order; all randomness is derived
+ * from the job seed and the iteration number.
+ * @returns {{ scheduler: Scheduler, result: Object }}
+ */
+export function runIteration(engineers, schedulerOptions, seed, iteration) {
+  const iterationSeed = deriveSeed(seed, iteration);
+  const iterEngineers = iteration === 0
+    ? engineers
+    : shuffleArray(engineers, createRandom(deriveSeed(iterationSeed, 0)));
+
+  const scheduler = new Scheduler({
+    ...schedulerOptions,
+    engineers: iterEngineers,
+    seed: iterationSeed
+  });
+
+  return { scheduler, result: scheduler.solve() };
+}
+
+/**
+ * Finish the winning iteration: optimize it and, for a horizon solve, split it into
+ * one result per month (result.months)
+ */
+export function finishIteration(scheduler, result, optimize = true) {
+  const finalResult = optimize ? scheduler.optimize(result.schedule) : result;
+  if (scheduler.horizonMonths > 1) {
+    finalResult.months = scheduler.splitByMonth(finalResult);
+  }
+  return finalResult;
+}
+
+/**
+ * Run the scheduler up to getMaxIterations() times with shuffled engineer order.
+ * Keeps the first successful result, or the result with the fewest errors (ties go to the
+ * lower objective score), then improves it with the local search optimizer.
+ *
+ * This is the sequential reference of a generation job: the same seed gives the same result.
+ * @param {Object[]} engineers
+ * @param {Object} schedulerOptions
+ * @param {Object} options - { seed, optimize }
+ * @returns {{ result: Object, iterations: number, bestErrorCount: number }}
+ */
+export function solveBestOf(engineers, schedulerOptions, options = {}) {
+  const { seed = createSeed(), optimize = true } = options;
+  const maxIterations = getMaxIterations(schedulerOptions);
+  const horizonMonths = schedulerOptions.horizonMonths || 1;
+  let best = null;
+  let iterations = 0;
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    iterations++;
+    const { scheduler, result } = runIteration(engineers, schedulerOptions, seed, iteration);
+    const outcome = getOutcome(result);
+
+    if (isBetterOutcome(outcome, best)) {
+      best = { ...outcome, scheduler, result };
+    }
+
+    if (shouldStopEarly(iteration, best.errorCount, horizonMonths)) break;
+  }
+
+  const result = finishIteration(best.scheduler, best.result, optimize);
+  return {
+    result: { ...result, seed, iterations },
+    iterations,
+    bestErrorCount: getOutcome(result).errorCount
+  };
+}
+
+/**
+ * Public view of a job (without worker handles and callbacks)
+ */
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    month: job.month,
+    months: job.months,
+    scheduleId: job.scheduleId || null,
+    status: job.status,
+    seed: job.seed,
+    createdBy: job.createdBy,
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    iterations: job.iterations,
+    maxIterations: job.maxIterations,
+    bestErrorCount: Number.isFinite(job.bestErrorCount) ? job.bestErrorCount : null,
+    workers: job.workers.length,
+    result: job.result,
+    error: job.error
+  };
+}
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_MS
+ */
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Terminate a worker of a job; its exit is then expected and does not fail the job
+ */
+function stopWorker(job, worker) {
+  job.stoppedWorkers.add(worker);
+  worker.terminate();
+}
+
+/**
+ * Stop all workers of a job and record how it ended
+ */
+function finishJob(job, status, fields = {}) {
+  if (job.status !== 'running') return;
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  for (const worker of job.workers) {
+    stopWorker(job, worker);
+  }
+}
+
+/**
+ * Record the outcome of one iteration and replay the sequential early-stop rule over
+ * all outcomes received so far, in iteration order. Once the rule stops, the worker that
+ * ran the winning iteration is asked to finish it; the other workers are stopped.
+ */
+function recordOutcome(job, { iteration, errorCount, objective }) {
+  job.outcomes[iteration] = { errorCount, objective };
+  job.iterations++;
+  job.bestErrorCount = Math.min(job.bestErrorCount, errorCount);
+
+  while (job.winner === null && job.outcomes[job.nextIteration]) {
+    const current = job.nextIteration++;
+    const outcome = { iteration: current, ...job.outcomes[current] };
+    if (isBetterOutcome(outcome, job.best)) {
+      job.best = outcome;
+    }
+    if (shouldStopEarly(current, job.best.errorCount, job.months.length) || job.nextIteration === job.maxIterations) {
+      job.winner = job.best.iteration;
+    }
+  }
+
+  // Outcomes still arriving after the winner is chosen must not ask for it again
+  if (job.winner === null || job.finishRequested) return;
+  job.finishRequested = true;
+
+  const ownerIndex = job.winner % job.workers.length;
+  job.workers.forEach((worker, index) => {
+    if (index === ownerIndex) {
+      worker.postMessage({ type: 'finish', iteration: job.winner });
+    } else {
+      stopWorker(job, worker);
+    }
+  });
+}
+
+/**
+ * The winning iteration is finished - hand its result to the job's completion callback
+ */
+function completeJob(job, finalResult) {
+  // Iterations a sequential run would have needed (workers may have run a few more)
+  const iterations = job.nextIteration;
+
+  try {
+    const result = { ...finalResult, seed: job.seed, iterations };
+    const { errorCount: bestErrorCount } = getOutcome(result);
+    const body = job.onComplete(result, { iterations, bestErrorCount, seed: job.seed });
+    finishJob(job, 'completed', { result: body, bestErrorCount });
+  } catch (err) {
+    console.error('Failed to save generated schedule:', err.message);
+    finishJob(job, 'failed', { error: err.message });
+  }
+}
+
+/**
+ * Start a generation job
+ * @param {Object} params
+ * @param {string} params.type - 'generate' | 'generate-with-option' | 'regenerate'
+ * @param {string} params.month - Schedule month (YYYY-MM)
+ * @param {string[]} params.months - All months of a horizon job (YYYY-MM, defaults to [month])
+ * @param {string} params.createdBy - User ID
+ * @param {Object[]} params.engineers - Active engineers
+ * @param {Object} params.schedulerOptions - Scheduler options (must be serializable)
+ * @param {number} params.seed - Seed to replay a previous run (a new one is created if omitted)
+ * @param {boolean} params.optimize - Run the local search optimizer on the best result
+ * @param {Function} params.onComplete - (result, { iterations, bestErrorCount, seed }) => response body;
+ *   called on the main thread to save the schedule
+ * @returns {Object} Public job
+ */
+export function startGenerationJob({ type, month, months, scheduleId, createdBy, engineers, schedulerOptions, seed, optimize = true, onComplete }) {
+  pruneJobs();
+
+  const job = {
+    id: uuidv4(),
+    type,
+    month,
+    months: months || [month],
+    scheduleId,
+    status: 'running',
+    seed: seed ?? createSeed(),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    workers: [],
+    iterations: 0,
+    maxIterations: getMaxIterations(schedulerOptions),
+    outcomes: [],
+    nextIteration: 0,
+    best: null,
+    winner: null,
+    finishRequested: false,
+    stoppedWorkers: new Set(),
+    bestErrorCount: Infinity,
+    result: null,
+    error: null,
+    onComplete
+  };
+  jobs.set(job.id, job);
+
+  for (let workerIndex = 0; workerIndex < WORKER_COUNT; workerIndex++) {
+    const worker = new Worker(WORKER_URL, {
+      workerData: {
+        engineers,
+        schedulerOptions,
+        seed: job.seed,
+        optimize,
+        workerIndex,
+        workerCount: WORKER_COUNT,
+        shiftCatalogue: getShiftCatalogue()
+      }
+    });
+    job.workers.push(worker);
+
+    worker.on('message', message => {
+      if (job.status !== 'running') return;
+
+      if (message.type === 'outcome') {
+        recordOutcome(job, message);
+      } else if (message.type === 'done') {
+        completeJob(job, message.result);
+      }
+    });
+
+    worker.on('error', err => {
+      console.error('Schedule generation worker failed:', err.message);
+      finishJob(job, 'failed', { error: err.message });
+    });
+
+    // A worker that dies without an 'error' event (out of memory, process.exit) would
+    // otherwise leave the job running forever and hold one of the job slots
+    worker.on('exit', code => {
+      if (code === 0 || job.stoppedWorkers.has(worker)) return;
+      console.error(`Schedule generation worker exited with code ${code}`);
+      finishJob(job, 'failed', { error: `Generation worker exited unexpectedly (code ${code})` });
+    });
+  }
+
+  return toPublicJob(job);
+}
+
+/**
+ * Get a job by ID
+ */
+export function getGenerationJob(id) {
+  const job = jobs.get(id);
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * Find a running job matching a predicate
+ */
+export function findRunningJob(predicate = () => true) {
+  for (const job of jobs.values()) {
+    if (job.status === 'running' && predicate(toPublicJob(job))) {
+      return toPublicJob(job);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if another job may be started
+ */
+export function canStartGenerationJob() {
+  return [...jobs.values()].filter(j => j.status === 'running').length < MAX_RUNNING_JOBS;
+}
+
+/**
+ * Cancel a running job
+ * @returns {Object|null} Public job, or null if not found
+ */
+export function cancelGenerationJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  finishJob(job, 'cancelled');
+  return toPublicJob(job);
+}
+
+export default {
+  MAX_GENERATE_ITERATIONS,
+  getMaxIterations,
+  getOutcome,
+  isBetterOutcome,
+  runIteration,
+  finishIteration,
+  solveBestOf,
+  startGenerationJob,
+  getGenerationJob,
+  findRunningJob,
+  canStartGenerationJob,
+  cancelGenerationJob
+};
@@ -0,0 +1,59 @@
+/**
+ * Schedule Generation Worker for Shifter for ICES
+ *
+ * Runs iterations workerIndex, workerIndex + workerCount, ... of a generation job
+ * (see generationJobs.js) and posts the outcome of each one. When the main thread has
+ * picked the winning iteration it sends 'finish', and the worker posts that iteration's
+ * (optimized) result.
+ */
+
+import { parentPort, workerData, receiveMessageOnPort } from 'worker_threads';
+import { setShiftCatalogue } from './scheduler/config/shiftCatalogue.js';
+import { getMaxIterations, getOutcome, isBetterOutcome, runIteration, finishIteration } from './generationJobs.js';
+
+const { engineers, schedulerOptions, seed, optimize, workerIndex, workerCount, shiftCatalogue } = workerData;
+
+// Workers do not share module state - use the catalogue active on the main thread
+setShiftCatalogue(shiftCatalogue);
+
+// Iterations that improved on this worker's earlier ones - the overall winner is always
+// one of them, so it can be finished without solving it again
+const candidates = new Map();
+let localBest = null;
+let finished = false;
+
+/**
+ * Post the final result of the winning iteration
+ */
+function finish(iteration) {
+  const { scheduler, result } = candidates.get(iteration) ||
+    runIteration(engineers, schedulerOptions, seed, iteration);
+  const finalResult = finishIteration(scheduler, result, optimize);
+  parentPort.postMessage({ type: 'done', iteration, result: finalResult });
+  finished = true;
+}
+
+for (let iteration = workerIndex; iteration < getMaxIterations(schedulerOptions); iteration += workerCount) {
+  const pending = receiveMessageOnPort(parentPort);
+  if (pending?.message.type === 'finish') {
+    finish(pending.message.iteration);
+    break;
+  }
+
+  const { scheduler, result } = runIteration(engineers, schedulerOptions, seed, iteration);
+  const outcome = getOutcome(result);
+
+  if (isBetterOutcome(outcome, localBest)) {
+    localBest = outcome;
+    candidates.set(iteration, { scheduler, result });
+  }
+
+  parentPort.postMessage({ type: 'outcome', iteration, ...outcome });
+}
+
+// Out of iterations - wait for the main thread to pick the winner
+if (!finished) {
+  parentPort.on('message', message => {
+    if (message.type === 'finish') finish(message.iteration);
+  });
+}
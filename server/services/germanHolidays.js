@@ -3,6 +3,10 @@
  *
  * Provides federal and state-specific holidays for Germany.
  * All 16 German states (Bundesländer) are supported.
+ *
+ * Admins can maintain holiday overrides on top of the statutory holidays (settings.holidayOverrides):
+ * add company days (closures, half-days, one-off regional holidays), suppress or rename a holiday,
+ * company-wide or for some states. Company-wide additions are treated like federal holidays.
  */
 
 import { addDays, getYear, format } from 'date-fns';
@@ -27,6 +31,11 @@ export const GERMAN_STATES = {
   TH: 'Thuringia (Thüringen)'
 };
 
+export const HOLIDAY_OVERRIDE_ACTIONS = ['add', 'suppress', 'rename'];
+
+// Active holiday overrides (see setHolidayOverrides)
+let holidayOverrides = [];
+
 /**
  * Calculate Easter Sunday using the Anonymous Gregorian algorithm
  */
@@ -206,23 +215,162 @@ function getStateHolidays(year) {
 }
 
 /**
- * Get all holidays for a given year
+ * Validate holiday overrides
+ * @param {Array} overrides - [{ action, date, name, nameEn, states, recurring, halfDay, note }]
+ * @returns {string[]} Validation errors
+ */
+export function validateHolidayOverrides(overrides) {
+  if (!Array.isArray(overrides)) {
+    return ['overrides must be a list'];
+  }
+
+  const errors = [];
+  overrides.forEach((o, i) => {
+    const label = `Override ${i + 1}`;
+    if (!HOLIDAY_OVERRIDE_ACTIONS.includes(o?.action)) {
+      errors.push(`${label}: action must be one of ${HOLIDAY_OVERRIDE_ACTIONS.join(', ')}`);
+      return;
+    }
+    if (!o.date || !/^\d{4}-\d{2}-\d{2}$/.test(o.date)) {
+      errors.push(`${label}: date must be YYYY-MM-DD`);
+    }
+    if (o.action !== 'suppress' && !String(o.name || '').trim()) {
+      errors.push(`${label}: name is required to ${o.action} a holiday`);
+    }
+    if (o.states !== undefined && o.states !== null) {
+      if (!Array.isArray(o.states)) {
+        errors.push(`${label}: states must be a list of state codes (empty for company-wide)`);
+      } else {
+        const unknown = o.states.filter(code => !GERMAN_STATES[String(code).toUpperCase()]);
+        if (unknown.length > 0) {
+          errors.push(`${label}: unknown state ${unknown.join(', ')}`);
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Normalize holiday overrides (trimmed names, upper-case state codes, null = company-wide)
+ */
+export function normalizeHolidayOverrides(overrides) {
+  return (overrides || []).map(o => ({
+    action: o.action,
+    date: o.date,
+    name: o.action === 'suppress' ? null : String(o.name).trim(),
+    nameEn: o.action === 'suppress' ? null : (String(o.nameEn || '').trim() || String(o.name).trim()),
+    states: o.states?.length ? [...new Set(o.states.map(code => String(code).toUpperCase()))] : null,
+    recurring: !!o.recurring,
+    halfDay: o.action === 'add' && !!o.halfDay,
+    note: String(o.note || '').trim()
+  })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Replace the active holiday overrides (null or empty: statutory holidays only)
+ * @returns {Array} The normalized overrides
+ */
+export function setHolidayOverrides(overrides) {
+  holidayOverrides = normalizeHolidayOverrides(overrides);
+  return holidayOverrides;
+}
+
+/**
+ * Get the active holiday overrides
+ */
+export function getHolidayOverrides() {
+  return holidayOverrides;
+}
+
+/**
+ * States a holiday applies to
+ */
+function getHolidayStates(holiday) {
+  return holiday.type === 'federal' ? Object.keys(GERMAN_STATES) : holiday.states;
+}
+
+/**
+ * A holiday limited to some of its states (a federal holiday becomes a state holiday)
+ */
+function restrictToStates(holiday, states) {
+  if (holiday.type === 'federal' && states.length === Object.keys(GERMAN_STATES).length) {
+    return holiday;
+  }
+  return { ...holiday, type: 'state', states };
+}
+
+/**
+ * Apply the holiday overrides of a year to its statutory holidays
+ */
+function applyHolidayOverrides(holidays, year) {
+  let result = holidays;
+
+  for (const override of holidayOverrides) {
+    const date = override.recurring ? `${year}${override.date.slice(4)}` : override.date;
+    if (!date.startsWith(`${year}-`)) continue;
+
+    const custom = {
+      name: override.name,
+      nameEn: override.nameEn,
+      custom: true,
+      ...(override.note && { note: override.note })
+    };
+
+    if (override.action === 'add') {
+      result.push({
+        date,
+        ...custom,
+        type: override.states ? 'state' : 'federal',
+        ...(override.states && { states: override.states }),
+        ...(override.halfDay && { halfDay: true })
+      });
+      continue;
+    }
+
+    result = result.flatMap(holiday => {
+      if (holiday.date !== date) return [holiday];
+
+      if (!override.states) {
+        return override.action === 'suppress' ? [] : [{ ...holiday, ...custom }];
+      }
+
+      // Only some states: split the holiday into the states kept as they are and the others
+      const states = getHolidayStates(holiday);
+      const affected = states.filter(code => override.states.includes(code));
+      if (affected.length === 0) return [holiday];
+
+      const unaffected = states.filter(code => !override.states.includes(code));
+      const parts = unaffected.length > 0 ? [restrictToStates(holiday, unaffected)] : [];
+      if (override.action === 'rename') {
+        parts.push({ ...restrictToStates(holiday, affected), ...custom });
+      }
+      return parts;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Get all holidays for a given year, including the holiday overrides
  * @param {number} year - The year to get holidays for
  * @param {string[]} states - Optional array of state codes to include state holidays for
  * @returns {Array} Array of holiday objects
  */
 export function getHolidaysForYear(year, states = null) {
-  const holidays = [
+  const allHolidays = applyHolidayOverrides([
     ...getFixedFederalHolidays(year),
-    ...getEasterDependentFederalHolidays(year)
-  ];
+    ...getEasterDependentFederalHolidays(year),
+    ...getStateHolidays(year)
+  ], year);
 
-  // Add state holidays
-  const stateHolidays = getStateHolidays(year);
+  const holidays = allHolidays.filter(h => h.type === 'federal');
 
   if (states && states.length > 0) {
     // Filter state holidays to only include relevant states
-    stateHolidays.forEach(holiday => {
+    allHolidays.filter(h => h.type === 'state').forEach(holiday => {
       const relevantStates = holiday.states.filter(s => states.includes(s));
       if (relevantStates.length > 0) {
         holidays.push({
@@ -233,7 +381,7 @@ export function getHolidaysForYear(year, states = null) {
     });
   } else {
     // Include all state holidays
-    holidays.push(...stateHolidays);
+    holidays.push(...allHolidays.filter(h => h.type === 'state'));
   }
 
   // Sort by date
@@ -276,17 +424,8 @@ export function isHoliday(dateStr, states = null) {
  * @returns {Array} Array of holiday objects
  */
 export function getHolidaysForEngineer(year, engineerState) {
-  const federalHolidays = [
-    ...getFixedFederalHolidays(year),
-    ...getEasterDependentFederalHolidays(year)
-  ];
-
-  const stateHolidays = getStateHolidays(year).filter(h =>
-    h.states.includes(engineerState)
-  );
-
-  return [...federalHolidays, ...stateHolidays].sort((a, b) =>
-    a.date.localeCompare(b.date)
+  return getHolidaysForYear(year).filter(h =>
+    h.type === 'federal' || h.states.includes(engineerState)
   );
 }
 
@@ -306,5 +445,10 @@ export default {
   isHoliday,
   getHolidaysForEngineer,
   getAllStates,
-  GERMAN_STATES
+  validateHolidayOverrides,
+  normalizeHolidayOverrides,
+  setHolidayOverrides,
+  getHolidayOverrides,
+  GERMAN_STATES,
+  HOLIDAY_OVERRIDE_ACTIONS
 };
@@ -0,0 +1,292 @@
+/**
+ * Leave Entitlement Service
+ *
+ * Annual vacation entitlement and balances. Each user has the default annual entitlement
+ * (settings.leaveEntitlement) or their own (user.annualLeaveDays); joiners get a twelfth per
+ * full month from their employment start (user.employmentStart), fractions of half a day or
+ * more rounded up (BUrlG §5).
+ *
+ * Vacation days (approved time-off requests and manually added vacation dates) are deducted
+ * on working days; weekends and public holidays of the user's state are not. Sick, personal and other days off are counted
+ * separately. Unused days carry over into the next year up to carryOverMaxDays and lapse if
+ * not taken by carryOverUntil (MM-DD).
+ */
+
+import { isWeekend, parseISO } from 'date-fns';
+import { getSettings, getRequestsForUser } from '../data/store.js';
+import { getHolidaysForEngineer } from './germanHolidays.js';
+
+export const DEFAULT_LEAVE_ENTITLEMENT = {
+  annualDays: 30,
+  carryOverMaxDays: 5,
+  carryOverUntil: '03-31',
+  // Requests over the remaining balance: 'warn' submits them with a warning, 'reject' refuses them
+  overdraft: 'warn'
+};
+
+export const OVERDRAFT_MODES = ['warn', 'reject'];
+
+export const LEAVE_TYPES = ['vacation', 'sick', 'personal', 'unavailable', 'other', 'predetermined_off'];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_DAY_REGEX = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Check if a value is a non-negative number of days (halves allowed)
+ */
+function isValidDays(value) {
+  const days = Number(value);
+  return value !== '' && value !== null && Number.isFinite(days) && days >= 0 && days <= 366 &&
+    Number.isInteger(days * 2);
+}
+
+/**
+ * Get the leave entitlement settings
+ */
+export function getLeaveEntitlementSettings() {
+  return { ...DEFAULT_LEAVE_ENTITLEMENT, ...(getSettings().leaveEntitlement || {}) };
+}
+
+/**
+ * Validate leave entitlement settings
+ * @param {Object} settings - { annualDays, carryOverMaxDays, carryOverUntil, overdraft }
+ * @returns {string[]} Validation errors
+ */
+export function validateLeaveEntitlementSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return ['Leave entitlement settings are required'];
+  }
+
+  const errors = [];
+  if (!isValidDays(settings.annualDays)) {
+    errors.push('annualDays must be a number of days (whole or half)');
+  }
+  if (!isValidDays(settings.carryOverMaxDays)) {
+    errors.push('carryOverMaxDays must be a number of days (whole or half)');
+  }
+  if (!MONTH_DAY_REGEX.test(settings.carryOverUntil || '')) {
+    errors.push('carryOverUntil must be MM-DD');
+  }
+  if (!OVERDRAFT_MODES.includes(settings.overdraft)) {
+    errors.push(`overdraft must be one of: ${OVERDRAFT_MODES.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Normalize leave entitlement settings (numbers)
+ */
+export function normalizeLeaveEntitlementSettings(settings) {
+  return {
+    annualDays: Number(settings.annualDays),
+    carryOverMaxDays: Number(settings.carryOverMaxDays),
+    carryOverUntil: settings.carryOverUntil,
+    overdraft: settings.overdraft
+  };
+}
+
+/**
+ * Validate the leave fields of a user
+ * @param {Object} fields - { annualLeaveDays, employmentStart } (null or empty = default / unknown)
+ * @returns {string[]} Validation errors
+ */
+export function validateUserLeaveFields({ annualLeaveDays, employmentStart } = {}) {
+  const errors = [];
+  if (annualLeaveDays !== undefined && annualLeaveDays !== null && annualLeaveDays !== '' &&
+      !isValidDays(annualLeaveDays)) {
+    errors.push('Annual leave days must be a number of days (whole or half)');
+  }
+  if (employmentStart !== undefined && employmentStart !== null && employmentStart !== '' &&
+      !DATE_REGEX.test(employmentStart)) {
+    errors.push('Employment start must be YYYY-MM-DD');
+  }
+  return errors;
+}
+
+/**
+ * Normalize an annual leave days value (null = default entitlement)
+ */
+export function normalizeAnnualLeaveDays(value) {
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+/**
+ * Days off of a user by date with their type (vacation, sick, personal, ...)
+ * @returns {Map<string, string>} date → type
+ */
+export function getDaysOff(user) {
+  const daysOff = new Map();
+  const types = user.unavailableTypes || {};
+
+  for (const item of user.unavailableDates || []) {
+    const date = typeof item === 'string' ? item : item.date;
+    daysOff.set(date, (typeof item === 'string' ? null : item.type) || types[date] || 'unavailable');
+  }
+  for (const date of user.unavailableDays || []) {
+    if (!daysOff.has(date)) daysOff.set(date, types[date] || 'unavailable');
+  }
+
+  return daysOff;
+}
+
+/**
+ * Round a pro-rated entitlement: fractions of half a day or more count as a full day
+ */
+function roundEntitlement(days) {
+  const whole = Math.floor(days);
+  return days - whole >= 0.5 ? whole + 1 : Math.round(days * 100) / 100;
+}
+
+/**
+ * Annual entitlement of a user in a year, pro-rated in the year they joined
+ * @returns {Object} { annualDays, entitlement, proRated }
+ */
+export function getAnnualEntitlement(user, year, settings = getLeaveEntitlementSettings()) {
+  const annualDays = user.annualLeaveDays ?? settings.annualDays;
+  const start = user.employmentStart;
+
+  if (!start || Number(start.slice(0, 4)) < year) {
+    return { annualDays, entitlement: annualDays, proRated: false };
+  }
+  if (Number(start.slice(0, 4)) > year) {
+    return { annualDays, entitlement: 0, proRated: true };
+  }
+
+  // Full months of employment: the start month counts only when starting on the 1st
+  const startMonth = Number(start.slice(5, 7));
+  const fullMonths = 12 - startMonth + (start.slice(8, 10) === '01' ? 1 : 0);
+  return { annualDays, entitlement: roundEntitlement(annualDays * fullMonths / 12), proRated: fullMonths < 12 };
+}
+
+/**
+ * Vacation days a user takes in a year: working days only, without weekends and the public
+ * holidays of their state
+ * @param {string[]} dates - Vacation dates
+ */
+function countVacationDays(user, year, dates) {
+  const holidays = new Set(getHolidaysForEngineer(year, user.state).map(h => h.date));
+  return dates
+    .filter(d => d.startsWith(`${year}-`) && !isWeekend(parseISO(d)) && !holidays.has(d))
+    .sort();
+}
+
+/**
+ * Year-end usage of a year: entitlement, carry-over and vacation days taken
+ * @param {string[]} extraDates - Vacation dates to count in addition to the recorded ones
+ */
+function getYearUsage(user, year, settings, vacationDates, extraDates = []) {
+  const { annualDays, entitlement, proRated } = getAnnualEntitlement(user, year, settings);
+  const firstYear = Number((user.employmentStart || user.createdAt || `${year}`).slice(0, 4));
+  const carriedOver = year > firstYear
+    ? Math.min(settings.carryOverMaxDays, Math.max(0, getYearUsage(user, year - 1, settings, vacationDates).remainingAtYearEnd))
+    : 0;
+
+  const taken = countVacationDays(user, year, [...new Set([...vacationDates, ...extraDates])]);
+  const carryOverUntil = `${year}-${settings.carryOverUntil}`;
+  const carryOverUsed = Math.min(carriedOver, taken.filter(d => d <= carryOverUntil).length);
+
+  return {
+    annualDays,
+    entitlement,
+    proRated,
+    carriedOver,
+    carryOverUntil,
+    carryOverUsed,
+    taken,
+    // Carry-over not taken by the deadline lapses
+    remainingAtYearEnd: entitlement + carryOverUsed - taken.length
+  };
+}
+
+/**
+ * Leave balance of a user for a year
+ * @param {Object} user - The stored user
+ * @param {number} year - The year
+ * @param {string} today - Current date (YYYY-MM-DD); the carry-over counts until its deadline
+ * @returns {Object} { year, annualDays, entitlement, proRated, carriedOver, carryOverUntil,
+ *   carryOverLapsed, taken, remaining, pending, byType }
+ */
+export function getLeaveBalance(user, year, today) {
+  const settings = getLeaveEntitlementSettings();
+  const daysOff = getDaysOff(user);
+  const vacationDates = [...daysOff].filter(([, type]) => type === 'vacation').map(([date]) => date);
+  const usage = getYearUsage(user, year, settings, vacationDates);
+
+  const deadlinePassed = today > usage.carryOverUntil;
+  const carryOverAvailable = deadlinePassed ? usage.carryOverUsed : usage.carriedOver;
+
+  const pendingDates = getRequestsForUser(user.id)
+    .filter(r => r.type === 'time_off' && r.status === 'pending')
+    .flatMap(r => r.dates);
+
+  const byType = Object.fromEntries(LEAVE_TYPES.map(type => [type, 0]));
+  for (const [date, type] of daysOff) {
+    if (date.startsWith(`${year}-`)) byType[type] = (byType[type] || 0) + 1;
+  }
+
+  return {
+    year,
+    annualDays: usage.annualDays,
+    entitlement: usage.entitlement,
+    proRated: usage.proRated,
+    carriedOver: usage.carriedOver,
+    carryOverUntil: usage.carryOverUntil,
+    carryOverLapsed: deadlinePassed ? usage.carriedOver - usage.carryOverUsed : 0,
+    taken: usage.taken.length,
+    remaining: usage.entitlement + carryOverAvailable - usage.taken.length,
+    pending: countVacationDays(user, year, [...new Set(pendingDates)].filter(d => !daysOff.has(d))).length,
+    byType
+  };
+}
+
+/**
+ * Check a time-off request against the remaining balance. The user's other pending
+ * time-off requests count as taken.
+ * @param {Object} user - The stored user
+ * @param {string[]} dates - Requested dates
+ * @param {string|null} requestId - The request itself, when already stored
+ * @returns {string[]} One message per year the request overdraws
+ */
+export function checkLeaveBalance(user, dates, requestId = null) {
+  const settings = getLeaveEntitlementSettings();
+  const daysOff = getDaysOff(user);
+  const vacationDates = [...daysOff].filter(([, type]) => type === 'vacation').map(([date]) => date);
+  const pendingDates = getRequestsForUser(user.id)
+    .filter(r => r.type === 'time_off' && r.status === 'pending' && r.id !== requestId)
+    .flatMap(r => r.dates);
+
+  const years = [...new Set(dates.map(d => Number(d.slice(0, 4))))].sort();
+  const messages = [];
+
+  for (const year of years) {
+    const usage = getYearUsage(user, year, settings, vacationDates, [...pendingDates, ...dates]);
+    if (usage.remainingAtYearEnd >= 0) continue;
+
+    const available = usage.entitlement + usage.carriedOver;
+    const lapsing = usage.carriedOver - usage.carryOverUsed;
+    messages.push(
+      `${year}: ${usage.taken.length} vacation days requested or taken, ${usage.entitlement} entitled` +
+      (usage.carriedOver > 0 ? ` plus ${usage.carriedOver} carried over` : '') +
+      (lapsing > 0 && usage.taken.length <= available
+        ? ` (carry-over only usable until ${usage.carryOverUntil})`
+        : '')
+    );
+  }
+
+  return messages;
+}
+
+export default {
+  DEFAULT_LEAVE_ENTITLEMENT,
+  OVERDRAFT_MODES,
+  LEAVE_TYPES,
+  getLeaveEntitlementSettings,
+  validateLeaveEntitlementSettings,
+  normalizeLeaveEntitlementSettings,
+  validateUserLeaveFields,
+  normalizeAnnualLeaveDays,
+  getDaysOff,
+  getAnnualEntitlement,
+  getLeaveBalance,
+  checkLeaveBalance
+};
@@ -0,0 +1,177 @@
+/**
+ * Leave Planning Service
+ *
+ * Shows managers how many colleagues are already off on the dates of a time-off request, and
+ * applies the leave caps (settings.leaveCaps): at most a number of engineers off at the same
+ * time in a period, or on the school holidays of the requester's state.
+ */
+
+import { getById, getSettings, getSchedulableUsers, getPendingRequests } from '../data/store.js';
+import { GERMAN_STATES } from './germanHolidays.js';
+import { getSchoolHolidayOn } from './schoolHolidays.js';
+
+// No caps: any number of engineers may be off at the same time
+export const DEFAULT_LEAVE_CAPS = { schoolHolidayMaxOff: null, periods: [] };
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check if a cap is a non-negative whole number
+ */
+function isValidMaxOff(value) {
+  return Number.isInteger(Number(value)) && Number(value) >= 0 && value !== '' && value !== null;
+}
+
+/**
+ * Validate leave caps
+ * @param {Object} caps - { schoolHolidayMaxOff, periods: [{ name, start, end, maxOff, states }] }
+ * @returns {string[]} Validation errors
+ */
+export function validateLeaveCaps(caps) {
+  if (!caps || typeof caps !== 'object') {
+    return ['Leave caps are required'];
+  }
+
+  const errors = [];
+  const { schoolHolidayMaxOff, periods } = caps;
+  if (schoolHolidayMaxOff !== undefined && schoolHolidayMaxOff !== null && schoolHolidayMaxOff !== '' &&
+      !isValidMaxOff(schoolHolidayMaxOff)) {
+    errors.push('schoolHolidayMaxOff must be a non-negative whole number or empty');
+  }
+
+  if (periods !== undefined && !Array.isArray(periods)) {
+    errors.push('periods must be a list');
+  } else {
+    (periods || []).forEach((p, i) => {
+      const label = `Period ${i + 1}`;
+      if (!String(p.name || '').trim()) {
+        errors.push(`${label}: name is required`);
+      }
+      if (!DATE_REGEX.test(p.start || '') || !DATE_REGEX.test(p.end || '')) {
+        errors.push(`${label}: start and end must be YYYY-MM-DD`);
+      } else if (p.end < p.start) {
+        errors.push(`${label}: end must not be before start`);
+      }
+      if (!isValidMaxOff(p.maxOff)) {
+        errors.push(`${label}: maxOff must be a non-negative whole number`);
+      }
+      if (p.states !== undefined && p.states !== null) {
+        if (!Array.isArray(p.states)) {
+          errors.push(`${label}: states must be a list of state codes (empty for everyone)`);
+        } else {
+          const unknown = p.states.filter(code => !GERMAN_STATES[String(code).toUpperCase()]);
+          if (unknown.length > 0) {
+            errors.push(`${label}: unknown state ${unknown.join(', ')}`);
+          }
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize leave caps (numbers, upper-case state codes, null = no cap / everyone)
+ */
+export function normalizeLeaveCaps(caps) {
+  const { schoolHolidayMaxOff, periods } = caps || {};
+
+  return {
+    schoolHolidayMaxOff: isValidMaxOff(schoolHolidayMaxOff) ? Number(schoolHolidayMaxOff) : null,
+    periods: (periods || []).map(p => ({
+      name: String(p.name).trim(),
+      start: p.start,
+      end: p.end,
+      maxOff: Number(p.maxOff),
+      states: p.states?.length ? [...new Set(p.states.map(code => String(code).toUpperCase()))] : null
+    })).sort((a, b) => a.start.localeCompare(b.start))
+  };
+}
+
+/**
+ * Get the configured leave caps
+ */
+export function getLeaveCaps() {
+  return getSettings().leaveCaps || DEFAULT_LEAVE_CAPS;
+}
+
+/**
+ * Lowest leave cap on a date for an engineer of a state
+ * @returns {Object|null} { name, maxOff }, or null if no cap applies
+ */
+export function getLeaveCapOn(caps, schoolHolidays, dateStr, state) {
+  const applicable = caps.periods
+    .filter(p => p.start <= dateStr && dateStr <= p.end && (!p.states || p.states.includes(state)))
+    .map(p => ({ name: p.name, maxOff: p.maxOff }));
+
+  if (caps.schoolHolidayMaxOff !== null) {
+    const schoolHoliday = getSchoolHolidayOn(schoolHolidays, dateStr, state);
+    if (schoolHoliday) {
+      applicable.push({ name: schoolHoliday.name, maxOff: caps.schoolHolidayMaxOff });
+    }
+  }
+
+  if (applicable.length === 0) return null;
+  return applicable.reduce((lowest, cap) => (cap.maxOff < lowest.maxOff ? cap : lowest));
+}
+
+/**
+ * Check if a user is off (vacation, sick, unavailable, ...) on a date
+ */
+function isOffOn(user, dateStr) {
+  if ((user.unavailableDays || []).includes(dateStr)) return true;
+  return (user.unavailableDates || []).some(d => (typeof d === 'string' ? d : d.date) === dateStr);
+}
+
+/**
+ * Colleagues already off on each date of a time-off request, pending requests of others for
+ * the same dates, the school holiday of the requester's state and the leave cap
+ * @param {Object} request - A time_off request
+ * @returns {Object} { dates: [...], maxOff, overCap: dateStr[] }
+ */
+export function getLeaveOverview(request) {
+  const { schoolHolidays = [] } = getSettings();
+  const caps = getLeaveCaps();
+  const state = getById('users', request.userId)?.state || null;
+
+  const colleagues = getSchedulableUsers().filter(u => u.id !== request.userId);
+  const pendingRequests = getPendingRequests().filter(r =>
+    r.type === 'time_off' && r.id !== request.id && r.userId !== request.userId
+  );
+
+  const dates = [...request.dates].sort().map(dateStr => {
+    const off = colleagues.filter(u => isOffOn(u, dateStr)).map(u => u.name);
+    const pending = pendingRequests.filter(r => r.dates.includes(dateStr)).map(r => r.userName);
+    const schoolHoliday = getSchoolHolidayOn(schoolHolidays, dateStr, state);
+    const cap = getLeaveCapOn(caps, schoolHolidays, dateStr, state);
+
+    return {
+      date: dateStr,
+      off: off.length,
+      colleagues: off,
+      pending: pending.length,
+      pendingColleagues: pending,
+      schoolHoliday: schoolHoliday?.name || null,
+      cap: cap?.maxOff ?? null,
+      capName: cap?.name || null,
+      // Approving would put one more engineer off
+      overCap: !!cap && off.length + 1 > cap.maxOff
+    };
+  });
+
+  return {
+    dates,
+    maxOff: Math.max(0, ...dates.map(d => d.off)),
+    overCap: dates.filter(d => d.overCap).map(d => d.date)
+  };
+}
+
+export default {
+  DEFAULT_LEAVE_CAPS,
+  validateLeaveCaps,
+  normalizeLeaveCaps,
+  getLeaveCaps,
+  getLeaveCapOn,
+  getLeaveOverview
+};
@@ -0,0 +1,321 @@
+/**
+ * Schedule Change Service
+ *
+ * Applies cell changes that do not come from the schedule editor (accepted shift swaps,
+ * approved shift change requests, repairs after sick days) to a saved schedule: checks them
+ * with the scheduler's validation, records them in the edit history, recalculates stats and
+ * notifies the engineers whose shifts moved. Time-off requests are simulated the same way to
+ * preview their impact on coverage.
+ *
+ * A change is { engineerId, date, oldShift, newShift }.
+ */
+
+import { update, find, getSettings, getActiveEngineers, getPublishedScheduleForMonth, addNotification } from '../data/store.js';
+import { Scheduler, SHIFTS, normalizeCoverage, getLockedCells } from './scheduler/index.js';
+import { getHolidaysForMonth } from './germanHolidays.js';
+import { getLeaveOverview } from './leavePlanning.js';
+import { getDaysOff } from './leaveEntitlement.js';
+import { getWorkHistoryBefore } from './workingTimeCompliance.js';
+import { notifyScheduleChange } from './emailService.js';
+
+// Shifts with coverage requirements
+const COVERAGE_SHIFTS = [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT];
+
+/**
+ * Scheduler for validating, re-scoring and repairing a saved schedule of one month (with the
+ * schedule's locked cells)
+ */
+export function createSchedulerFor(schedule) {
+  const engineers = getActiveEngineers();
+  const [year, month] = schedule.month.split('-').map(Number);
+  const engineerStates = [...new Set(engineers.filter(e => e.state).map(e => e.state))];
+  const prevMonth = month === 1 ? 12 : month - 1;
+  const prevYear = month === 1 ? year - 1 : year;
+  const monthDate = new Date(year, month - 1, 1);
+
+  return new Scheduler({
+    engineers,
+    month: monthDate,
+    holidays: getHolidaysForMonth(year, month, engineerStates),
+    coverage: normalizeCoverage(getSettings().defaultCoverage),
+    previousMonthSchedule: getPublishedScheduleForMonth(prevYear, prevMonth)?.data || null,
+    workHistory: getWorkHistoryBefore(monthDate),
+    lockedCells: getLockedCells(schedule.data, schedule.locks)
+  });
+}
+
+/**
+ * Schedule data with the changes applied (the stored data is not modified)
+ */
+export function applyChangesToData(data, changes) {
+  const newData = { ...data };
+  for (const c of changes) {
+    newData[c.engineerId] = { ...(newData[c.engineerId] || {}), [c.date]: c.newShift ?? null };
+  }
+  return newData;
+}
+
+/**
+ * Validate changes against the schedule: coverage, transitions, rest periods, consecutive
+ * work days and the other rules of Scheduler.validateSchedule. Only errors the changes
+ * introduce count; errors the schedule already had are reported apart.
+ * @returns {Object} { valid, newErrors, existingErrors }
+ */
+export function checkScheduleChanges(schedule, changes, scheduler = createSchedulerFor(schedule)) {
+  const errorKey = e => `${e.type}|${e.message}`;
+  const before = new Set(scheduler.validateSchedule(schedule.data).errors.map(errorKey));
+  const after = scheduler.validateSchedule(applyChangesToData(schedule.data, changes)).errors;
+
+  const newErrors = after.filter(e => !before.has(errorKey(e)));
+  return {
+    valid: newErrors.length === 0,
+    newErrors,
+    existingErrors: after.filter(e => before.has(errorKey(e)))
+  };
+}
+
+/**
+ * Check that the cells of changes still hold the shifts the changes were based on
+ * @returns {Object[]} The changes whose cells moved since
+ */
+export function getStaleChanges(schedule, changes) {
+  return changes.filter(c => (schedule.data[c.engineerId]?.[c.date] ?? null) !== (c.oldShift ?? null));
+}
+
+/**
+ * Apply changes to a saved schedule as an edit, recalculating stats and validation.
+ * If the schedule is published, each engineer whose shifts moved gets an in-app
+ * notification and an email (a cell becoming Unavailable is the engineer's own absence,
+ * not a move).
+ * @param {Object} schedule - The stored schedule
+ * @param {Array} changes - [{ engineerId, date, oldShift, newShift }]
+ * @param {Object} edit - { type, reason, editedBy } recorded in the edit history
+ * @returns {Object} { schedule, validation, notified } - the updated schedule, its validation
+ *   and the IDs of the notified engineers
+ */
+export function applyScheduleChanges(schedule, changes, { type, reason, editedBy }) {
+  const scheduler = createSchedulerFor(schedule);
+  const newData = applyChangesToData(schedule.data, changes);
+  const editHistory = schedule.editHistory || [];
+  const editedAt = new Date().toISOString();
+
+  for (const c of changes) {
+    editHistory.push({
+      type,
+      engineerId: c.engineerId,
+      date: c.date,
+      oldShift: c.oldShift ?? null,
+      newShift: c.newShift ?? null,
+      reason,
+      editedBy,
+      editedAt
+    });
+  }
+
+  const validation = scheduler.validateSchedule(newData);
+  const updated = update('schedules', schedule.id, {
+    data: newData,
+    stats: scheduler.calculateStats(newData),
+    objective: scheduler.calculateObjective(newData),
+    validationErrors: validation.valid ? [] : validation.errors,
+    editHistory,
+    lastEditedAt: editedAt,
+    lastEditedBy: editedBy
+  });
+
+  const notified = [];
+  if (schedule.status === 'published') {
+    const byEngineer = {};
+    for (const c of changes) {
+      if (c.newShift === SHIFTS.UNAVAILABLE) continue;
+      (byEngineer[c.engineerId] = byEngineer[c.engineerId] || []).push({
+        date: c.date,
+        oldShift: c.oldShift ?? null,
+        newShift: c.newShift ?? null
+      });
+    }
+
+    for (const [engineerId, engineerChanges] of Object.entries(byEngineer)) {
+      notified.push(engineerId);
+      addNotification(engineerId, {
+        type: 'schedule_change',
+        message: `Your schedule for ${schedule.month} changed (${reason}): ` +
+          engineerChanges.map(c => `${c.date} ${c.oldShift || 'None'} → ${c.newShift || 'None'}`).join(', ')
+      });
+      notifyScheduleChange(engineerId, updated, engineerChanges).catch(err => {
+        console.error('Failed to send change notification:', err.message);
+      });
+    }
+  }
+
+  return { schedule: updated, validation, notified };
+}
+
+/**
+ * Schedule a change to a month goes into: the published schedule, else the latest draft
+ * @param {string} monthStr - YYYY-MM
+ */
+export function getScheduleToChange(monthStr) {
+  const schedules = find('schedules', s => s.month === monthStr && s.status !== 'archived')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return schedules.find(s => s.status === 'published') || schedules[0] || null;
+}
+
+/**
+ * Plan the schedule changes of a shift change request: the requested shift goes into the
+ * engineer's cell on each date, grouped by the schedule of the month. Dates without a
+ * schedule, dates the engineer is unavailable and cells that already hold the shift are
+ * skipped.
+ * @param {Object} request - A shift_change request
+ * @returns {Object} { schedules: [{ schedule, changes, newErrors }], skipped: [{ date, reason }] }
+ */
+export function planShiftChangeRequest(request) {
+  const newShift = request.details.requestedShift === 'OFF' ? SHIFTS.OFF : request.details.requestedShift;
+  const byMonth = new Map();
+  const skipped = [];
+
+  for (const date of [...(request.dates || [])].sort()) {
+    const monthStr = date.slice(0, 7);
+    if (!byMonth.has(monthStr)) {
+      byMonth.set(monthStr, { schedule: getScheduleToChange(monthStr), changes: [] });
+    }
+
+    const entry = byMonth.get(monthStr);
+    if (!entry.schedule) {
+      skipped.push({ date, reason: `No schedule for ${monthStr} yet` });
+      continue;
+    }
+
+    const oldShift = entry.schedule.data[request.userId]?.[date] ?? null;
+    if (oldShift === SHIFTS.UNAVAILABLE) {
+      skipped.push({ date, reason: 'Unavailable on this date' });
+    } else if (oldShift === newShift) {
+      skipped.push({ date, reason: `Already ${newShift}` });
+    } else {
+      entry.changes.push({ engineerId: request.userId, date, oldShift, newShift });
+    }
+  }
+
+  const schedules = [...byMonth.values()]
+    .filter(entry => entry.changes.length > 0)
+    .map(({ schedule, changes }) => ({
+      schedule,
+      changes,
+      newErrors: checkScheduleChanges(schedule, changes).newErrors
+    }));
+
+  return { schedules, skipped };
+}
+
+/**
+ * Summary of a shift change plan for the client (without the stored schedules)
+ */
+export function describeShiftChangePlan(plan) {
+  const schedules = plan.schedules.map(({ schedule, changes, newErrors }) => ({
+    scheduleId: schedule.id,
+    month: schedule.month,
+    status: schedule.status,
+    changes,
+    errors: newErrors.map(e => e.message)
+  }));
+
+  return {
+    valid: schedules.every(s => s.errors.length === 0),
+    schedules,
+    skipped: plan.skipped
+  };
+}
+
+/**
+ * Coverage impact of a time-off request on each requested date: colleagues already off and
+ * the coverage of each shift before and after the requester is taken out. Where the month has
+ * a schedule (published, else the latest draft) the requester's cells become Unavailable and
+ * the scheduler's validation reports the errors this introduces; without a schedule the
+ * engineers still available are compared with the minimums of the day.
+ * @param {Object} request - A time_off request
+ * @returns {Object} { canMeetMinimums, dates: [...], errors: string[] }
+ */
+export function getTimeOffImpact(request) {
+  const overview = new Map(getLeaveOverview(request).dates.map(d => [d.date, d]));
+  const byMonth = new Map();
+
+  for (const date of [...request.dates].sort()) {
+    const monthStr = date.slice(0, 7);
+    if (!byMonth.has(monthStr)) {
+      const schedule = getScheduleToChange(monthStr);
+      byMonth.set(monthStr, {
+        schedule,
+        scheduler: createSchedulerFor(schedule || { month: monthStr }),
+        dates: [],
+        changes: []
+      });
+    }
+
+    const entry = byMonth.get(monthStr);
+    entry.dates.push(date);
+    const shift = entry.schedule?.data[request.userId]?.[date] ?? null;
+    if (entry.schedule && shift !== SHIFTS.UNAVAILABLE) {
+      entry.changes.push({ engineerId: request.userId, date, oldShift: shift, newShift: SHIFTS.UNAVAILABLE });
+    }
+  }
+
+  const dates = [];
+  const errors = [];
+
+  for (const { schedule, scheduler, dates: monthDates, changes } of byMonth.values()) {
+    const coreEngineers = scheduler.engineers.filter(e => !e.isFloater && !e.inTraining);
+    const newErrors = schedule && changes.length > 0 ? checkScheduleChanges(schedule, changes, scheduler).newErrors : [];
+    const after = schedule ? applyChangesToData(schedule.data, changes) : null;
+    errors.push(...newErrors.filter(e => !monthDates.includes(e.date)).map(e => e.message));
+
+    for (const date of monthDates) {
+      const dayCoverage = scheduler.getDayCoverage(date);
+      const { colleagues = [], pendingColleagues = [] } = overview.get(date) || {};
+      const impact = {
+        date,
+        scheduleId: schedule?.id || null,
+        scheduleStatus: schedule?.status || null,
+        shift: schedule?.data[request.userId]?.[date] ?? null,
+        colleaguesOff: colleagues,
+        pendingColleagues,
+        errors: newErrors.filter(e => e.date === date).map(e => e.message)
+      };
+
+      if (schedule) {
+        const count = (data, shift) => coreEngineers.filter(e => data[e.id]?.[date] === shift).length;
+        impact.coverage = COVERAGE_SHIFTS.map(shift => ({
+          shift,
+          min: dayCoverage[shift].min,
+          before: count(schedule.data, shift),
+          after: count(after, shift)
+        }));
+        impact.canMeetMinimums = impact.coverage.every(c => c.after >= c.min);
+      } else {
+        // No schedule yet: enough engineers left to fill the minimum of every shift?
+        impact.available = coreEngineers.filter(e => e.id !== request.userId && !getDaysOff(e).has(date)).length;
+        impact.required = COVERAGE_SHIFTS.reduce((sum, shift) => sum + dayCoverage[shift].min, 0);
+        impact.canMeetMinimums = impact.available >= impact.required;
+      }
+
+      dates.push(impact);
+    }
+  }
+
+  return {
+    canMeetMinimums: dates.every(d => d.canMeetMinimums),
+    dates,
+    errors
+  };
+}
+
+export default {
+  createSchedulerFor,
+  applyChangesToData,
+  checkScheduleChanges,
+  getStaleChanges,
+  applyScheduleChanges,
+  getScheduleToChange,
+  planShiftChangeRequest,
+  describeShiftChangePlan,
+  getTimeOffImpact
+};
@@ -45,7 +45,15 @@ export const DEFAULT_COVERAGE = {
     [SHIFTS.MORNING]: { min: 1, preferred: 1 },
     [SHIFTS.LATE]: { min: 2, preferred: 2 },
     [SHIFTS.NIGHT]: { min: 2, preferred: 2, max: 3 }
-  }
+  },
+  // Federal public holidays are staffed like weekends by default
+  holiday: {
+    [SHIFTS.EARLY]: { min: 2, preferred: 2 },
+    [SHIFTS.MORNING]: { min: 1, preferred: 1 },
+    [SHIFTS.LATE]: { min: 2, preferred: 2 },
+    [SHIFTS.NIGHT]: { min: 2, preferred: 2, max: 3 }
+  },
+  overrides: []
 };
 
 // Shift consistency groups (for maintaining patterns)
@@ -55,14 +63,8 @@ export const SHIFT_GROUPS = {
   night: [SHIFTS.NIGHT]
 };
 
-// Forbidden shift transitions (11-hour rest rule violations)
-export const FORBIDDEN_TRANSITIONS = [
-  { from: SHIFTS.NIGHT, to: SHIFTS.EARLY, reason: 'Insufficient rest time (< 11 hours)' },
-  { from: SHIFTS.NIGHT, to: SHIFTS.MORNING, reason: 'Insufficient rest time (< 11 hours)' },
-  { from: SHIFTS.NIGHT, to: SHIFTS.LATE, reason: 'Insufficient rest time (7.5 hours < 11 required)' },
-  { from: SHIFTS.LATE, to: SHIFTS.EARLY, reason: 'Insufficient rest time (< 11 hours)' },
-  { from: SHIFTS.LATE, to: SHIFTS.MORNING, reason: 'Insufficient rest time (10.5 hours < 11 required)' }
-];
+// Forbidden shift transitions (11-hour rest rule violations) are derived from shift times,
+// see getForbiddenTransitions() in rules/LaborLaw.js
 
 // Color coding for UI display
 export const COLORS = {
@@ -109,11 +111,28 @@ export const NIGHT_SHIFT_CONFIG = {
 export const ALGORITHM_CONFIG = {
   maxBacktrackAttempts: 1000,
   useArcConsistency: true,
+  maxHorizonMonths: 3,   // Consecutive months one solve may plan (horizon mode)
   preferenceWeight: {
     consistency: 0.3,    // Maintaining shift patterns
     fairness: 0.25,      // Equal distribution
     preference: 0.25,    // User preferences
     holidays: 0.2        // Holiday optimization
+  },
+  // Local search (simulated annealing) run on the best generated schedule
+  localSearch: {
+    iterations: 4000,       // The only stop, so a run replays exactly from its seed
+    initialTemperature: 2,  // In objective points (0-100 scale)
+    finalTemperature: 0.01
+  },
+  // Long-term fairness ledger (see utils/FairnessLedger.js)
+  fairnessLedger: {
+    windowMonths: 12,       // Rolling window of published schedules
+    weight: 10,             // Score points per shift/month above the team average
+    maxAdjustment: 15       // Cap, so history never outweighs shift consistency (30)
+  },
+  // ArbZG limits across published schedules (see rules/ArbZGCompliance.js)
+  compliance: {
+    historyMonths: 12       // Published months passed to generation (covers 6-month average and the year's Sundays)
   }
 };
 
@@ -122,7 +141,6 @@ export default {
   SHIFT_TIMES,
   DEFAULT_COVERAGE,
   SHIFT_GROUPS,
-  FORBIDDEN_TRANSITIONS,
   COLORS,
   UNAVAILABLE_TYPES,
   FLOATER_CONFIG,
@@ -0,0 +1,242 @@
+/**
+ * Shift Catalogue
+ * Runtime registry of shift definitions used by the scheduler, labor law rules and routes.
+ *
+ * Built-in shifts (Early/Morning/Late/Night) come from SHIFT_TIMES and COLORS and cannot be
+ * removed because the generation strategies depend on them, but their times and colours can
+ * be edited. Custom shifts (e.g. an on-call "Standby" or a split "Mid") can be added and are
+ * assignable in the schedule editor, requests and preferences.
+ *
+ * Definition shape:
+ * {
+ *   name: 'Standby',
+ *   times: { weekday: { start, end, duration }, weekend: { start, end, duration } },
+ *   color: { bg, text },
+ *   isNight: false,
+ *   builtIn: false
+ * }
+ */
+
+import { SHIFTS, SHIFT_TIMES, COLORS } from './defaults.js';
+
+export const CORE_SHIFTS = [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT];
+export const SHIFT_DAY_TYPES = ['weekday', 'weekend'];
+
+// Names used for non-work cell values (and the 'OFF' spelling used by requests)
+const RESERVED_NAMES = [SHIFTS.OFF, SHIFTS.UNAVAILABLE, SHIFTS.TRAINING, 'OFF'];
+const DEFAULT_CUSTOM_COLOR = { bg: '#cccccc', text: '#000000' };
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+export const DEFAULT_SHIFT_CATALOGUE = CORE_SHIFTS.map(name => ({
+  name,
+  times: {
+    weekday: { ...SHIFT_TIMES.weekday[name] },
+    weekend: { ...SHIFT_TIMES.weekend[name] }
+  },
+  color: { ...COLORS.shift[name] },
+  isNight: name === SHIFTS.NIGHT,
+  builtIn: true
+}));
+
+let catalogue = DEFAULT_SHIFT_CATALOGUE;
+let catalogueVersion = 0;
+
+/**
+ * Convert HH:MM to minutes since midnight
+ */
+export function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Shift length in hours; an end at or before the start crosses midnight
+ */
+export function calculateShiftDuration(start, end) {
+  let minutes = timeToMinutes(end) - timeToMinutes(start);
+  if (minutes <= 0) minutes += 24 * 60;
+  return minutes / 60;
+}
+
+/**
+ * Fill in defaults for a shift definition (weekend times fall back to weekday times)
+ */
+export function normalizeShiftDefinition(definition) {
+  const name = String(definition.name || '').trim();
+  const builtIn = CORE_SHIFTS.includes(name);
+  const fallback = DEFAULT_SHIFT_CATALOGUE.find(s => s.name === name);
+
+  const times = {};
+  for (const dayType of SHIFT_DAY_TYPES) {
+    const source = definition.times?.[dayType] || definition.times?.weekday || fallback?.times[dayType];
+    times[dayType] = {
+      start: source.start,
+      end: source.end,
+      // Explicit duration allows for unpaid breaks in split shifts
+      duration: Number(source.duration) || calculateShiftDuration(source.start, source.end)
+    };
+  }
+
+  return {
+    name,
+    times,
+    color: { ...(fallback?.color || DEFAULT_CUSTOM_COLOR), ...(definition.color || {}) },
+    isNight: builtIn ? name === SHIFTS.NIGHT : !!definition.isNight,
+    builtIn
+  };
+}
+
+/**
+ * Validate a shift catalogue before saving
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateShiftCatalogue(definitions) {
+  if (!Array.isArray(definitions)) {
+    return ['Shift catalogue must be a list of shift definitions'];
+  }
+
+  const errors = [];
+  const names = definitions.map(d => String(d?.name || '').trim());
+
+  for (const core of CORE_SHIFTS) {
+    if (!names.includes(core)) {
+      errors.push(`Built-in shift ${core} cannot be removed`);
+    }
+  }
+
+  definitions.forEach((definition, i) => {
+    const name = names[i];
+    const label = name || `Shift ${i + 1}`;
+
+    if (!NAME_PATTERN.test(name)) {
+      errors.push(`${label}: name must start with a letter and contain only letters and digits`);
+    } else if (RESERVED_NAMES.includes(name) || name.startsWith('Weekend')) {
+      errors.push(`${label}: name is reserved`);
+    }
+    if (names.indexOf(name) !== i) {
+      errors.push(`${label}: duplicate shift name`);
+    }
+
+    if (!definition.times?.weekday) {
+      errors.push(`${label}: weekday times are required`);
+    }
+    for (const dayType of SHIFT_DAY_TYPES) {
+      const times = definition.times?.[dayType];
+      if (!times) continue;
+      if (!TIME_PATTERN.test(times.start || '') || !TIME_PATTERN.test(times.end || '')) {
+        errors.push(`${label}: ${dayType} start and end must be HH:MM`);
+      } else if (times.start === times.end) {
+        errors.push(`${label}: ${dayType} start and end cannot be equal`);
+      }
+      if (times.duration !== undefined && times.duration !== null && times.duration !== '' &&
+          !(Number(times.duration) > 0 && Number(times.duration) <= 24)) {
+        errors.push(`${label}: ${dayType} duration must be between 0 and 24 hours`);
+      }
+    }
+
+    if (definition.color?.bg && !COLOR_PATTERN.test(definition.color.bg)) {
+      errors.push(`${label}: colour must be a hex value like #1155cc`);
+    }
+    if (definition.color?.text && !COLOR_PATTERN.test(definition.color.text)) {
+      errors.push(`${label}: text colour must be a hex value like #ffffff`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Replace the active catalogue (null restores the built-in shifts)
+ */
+export function setShiftCatalogue(definitions) {
+  catalogue = definitions && definitions.length > 0
+    ? definitions.map(normalizeShiftDefinition)
+    : DEFAULT_SHIFT_CATALOGUE;
+  catalogueVersion++;
+  return catalogue;
+}
+
+/**
+ * Get all shift definitions
+ */
+export function getShiftCatalogue() {
+  return catalogue;
+}
+
+/**
+ * Incremented on every catalogue change (used to invalidate derived rules)
+ */
+export function getCatalogueVersion() {
+  return catalogueVersion;
+}
+
+/**
+ * Get a single shift definition by name
+ */
+export function getShiftDefinition(name) {
+  return catalogue.find(s => s.name === name) || null;
+}
+
+/**
+ * Names of all work shifts in the catalogue
+ */
+export function getWorkShiftNames() {
+  return catalogue.map(s => s.name);
+}
+
+/**
+ * Start/end/duration of a shift for a day type (null for non-work values)
+ */
+export function getShiftTimes(name, isWeekend = false) {
+  const definition = getShiftDefinition(name);
+  if (!definition) return null;
+  return isWeekend ? definition.times.weekend : definition.times.weekday;
+}
+
+/**
+ * Check if a shift counts as night work
+ */
+export function isNightShift(name) {
+  return !!getShiftDefinition(name)?.isNight;
+}
+
+/**
+ * Colour map in the COLORS format, including custom shifts
+ */
+export function getShiftColors() {
+  const shift = { ...COLORS.shift };
+  for (const definition of catalogue) {
+    shift[definition.name] = definition.color;
+  }
+  return { tier: COLORS.tier, shift };
+}
+
+/**
+ * Valid shift preferences (weekday names plus Weekend-prefixed variants)
+ */
+export function getPreferenceOptions() {
+  const weekday = getWorkShiftNames();
+  const weekend = weekday.map(name => `Weekend${name}`);
+  return { weekday, weekend, all: [...weekday, ...weekend] };
+}
+
+export default {
+  CORE_SHIFTS,
+  SHIFT_DAY_TYPES,
+  DEFAULT_SHIFT_CATALOGUE,
+  timeToMinutes,
+  calculateShiftDuration,
+  normalizeShiftDefinition,
+  validateShiftCatalogue,
+  setShiftCatalogue,
+  getShiftCatalogue,
+  getCatalogueVersion,
+  getShiftDefinition,
+  getWorkShiftNames,
+  getShiftTimes,
+  isNightShift,
+  getShiftColors,
+  getPreferenceOptions
+};
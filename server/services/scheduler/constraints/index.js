@@ -7,9 +7,11 @@
  */
 
 import { Constraint } from '../core/ConstraintEngine.js';
-import { SHIFTS, FORBIDDEN_TRANSITIONS, DEFAULT_COVERAGE, FLOATER_CONFIG } from '../config/defaults.js';
-import { getTransitionViolation, ArbZG } from '../rules/GermanLaborLaws.js';
+import { SHIFTS, DEFAULT_COVERAGE, FLOATER_CONFIG } from '../config/defaults.js';
+import { getTransitionViolation, getRulePack, getRulePackFor } from '../rules/LaborLaw.js';
 import { toDateString, isWeekend, getPreviousDay } from '../utils/DateUtils.js';
+import { normalizeCoverage, markTeamHolidays, getCoverageForDate } from '../utils/CoverageUtils.js';
+import { isShiftAllowedByPattern, getShiftHours, getWeeklyShiftTarget } from '../utils/ContractUtils.js';
 
 /**
  * Coverage Constraint
@@ -29,9 +31,9 @@ export function createCoverageConstraint(dateStr, shift, minRequired, engineerId
 
 /**
  * Transition Constraint (11-hour rest rule)
- * Prevents invalid shift transitions based on German labor law
+ * Prevents invalid shift transitions based on the engineer's labor law rule pack
  */
-export function createTransitionConstraint(engineerId, prevDateStr, currDateStr) {
+export function createTransitionConstraint(engineerId, prevDateStr, currDateStr, pack = getRulePack()) {
   return new Constraint(
     `transition_${engineerId}_${currDateStr}`,
     [`${engineerId}_${prevDateStr}`, `${engineerId}_${currDateStr}`],
@@ -47,7 +49,7 @@ export function createTransitionConstraint(engineerId, prevDateStr, currDateStr)
       }
 
       // Check for violation
-      const violation = getTransitionViolation(prevShift, currShift);
+      const violation = getTransitionViolation(prevShift, currShift, pack, currDateStr);
       return violation === null;
     },
     'hard'
@@ -56,9 +58,9 @@ export function createTransitionConstraint(engineerId, prevDateStr, currDateStr)
 
 /**
  * Consecutive Days Constraint
- * Ensures no more than 6 consecutive working days (ArbZG compliance)
+ * Ensures no more than 6 consecutive working days (rule pack limit)
  */
-export function createConsecutiveDaysConstraint(engineerId, days, maxConsecutive = ArbZG.MAX_CONSECUTIVE_WORK_DAYS) {
+export function createConsecutiveDaysConstraint(engineerId, days, maxConsecutive = getRulePack().maxConsecutiveWorkDays) {
   const variableIds = days.map(day => `${engineerId}_${toDateString(day)}`);
 
   return new Constraint(
@@ -117,7 +119,8 @@ export function createOffDaysConstraint(engineerId, weekDays, minOffDays = 2) {
 
 /**
  * Minimum Work Days Constraint
- * Ensures core engineers work at least 5 days per week (when no unavailable days)
+ * Ensures core engineers work at least 5 days per week (when no unavailable days);
+ * part-time engineers get a lower minimum (see getWeeklyShiftTarget)
  */
 export function createMinWorkDaysConstraint(engineerId, weekDays, minWorkDays = 5) {
   const variableIds = weekDays.map(day => `${engineerId}_${toDateString(day)}`);
@@ -192,6 +195,44 @@ export function createPreferenceConstraint(engineerId, dateStr, preferences, dat
   );
 }
 
+/**
+ * Availability Pattern Constraint
+ * Engineers only work the shifts their recurring weekly availability allows on a weekday
+ */
+export function createAvailabilityPatternConstraint(engineer, dateStr, date) {
+  return new Constraint(
+    `availability_${engineer.id}_${dateStr}`,
+    [`${engineer.id}_${dateStr}`],
+    (assignment) => {
+      const shift = assignment[`${engineer.id}_${dateStr}`];
+      if (!shift || shift === SHIFTS.OFF || shift === SHIFTS.UNAVAILABLE) {
+        return true;
+      }
+      return isShiftAllowedByPattern(engineer, shift, date);
+    },
+    'hard'
+  );
+}
+
+/**
+ * Contract Hours Constraint
+ * Part-time engineers work at most their weekly contract hours
+ */
+export function createContractHoursConstraint(engineerId, weekDays, contractHours) {
+  const variableIds = weekDays.map(day => `${engineerId}_${toDateString(day)}`);
+
+  return new Constraint(
+    `contract_hours_${engineerId}_${toDateString(weekDays[0])}`,
+    variableIds,
+    (assignment) => {
+      const hours = weekDays.reduce((sum, day) =>
+        sum + getShiftHours(assignment[`${engineerId}_${toDateString(day)}`], day), 0);
+      return hours <= contractHours;
+    },
+    'hard'
+  );
+}
+
 /**
  * Floater Max Shifts Constraint
  * Floaters can work maximum 2.5 shifts per week
@@ -350,12 +391,13 @@ export function createAllConstraints(config) {
 
   const coreEngineers = engineers.filter(e => !e.isFloater && !e.inTraining);
   const floaters = engineers.filter(e => e.isFloater);
+  const teamCoverage = normalizeCoverage(coverage);
+  const teamHolidays = markTeamHolidays(holidays || [], engineers);
 
-  // Coverage constraints for each day/shift
+  // Coverage constraints for each day/shift (holidays use the holiday tier)
   for (const day of days) {
     const dateStr = toDateString(day);
-    const isWknd = isWeekend(day);
-    const dayCoverage = isWknd ? coverage.weekend : coverage.weekday;
+    const dayCoverage = getCoverageForDate(teamCoverage, day, teamHolidays);
 
     for (const shift of [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT]) {
       const minRequired = dayCoverage[shift]?.min || 2;
@@ -370,13 +412,13 @@ export function createAllConstraints(config) {
     for (let i = 1; i < days.length; i++) {
       const prevDateStr = toDateString(days[i - 1]);
       const currDateStr = toDateString(days[i]);
-      constraints.push(createTransitionConstraint(engineer.id, prevDateStr, currDateStr));
+      constraints.push(createTransitionConstraint(engineer.id, prevDateStr, currDateStr, getRulePackFor(engineer)));
     }
   }
 
   // Consecutive days constraints
   for (const engineer of engineers) {
-    constraints.push(createConsecutiveDaysConstraint(engineer.id, days));
+    constraints.push(createConsecutiveDaysConstraint(engineer.id, days, getRulePackFor(engineer).maxConsecutiveWorkDays));
   }
 
   // Weekly constraints
@@ -384,7 +426,12 @@ export function createAllConstraints(config) {
     // Off days constraints for core engineers
     for (const engineer of coreEngineers) {
       constraints.push(createOffDaysConstraint(engineer.id, week, 2));
-      constraints.push(createMinWorkDaysConstraint(engineer.id, week, 5));
+      constraints.push(createMinWorkDaysConstraint(engineer.id, week, getWeeklyShiftTarget(engineer)));
+    }
+
+    // Contract hours of part-time engineers
+    for (const engineer of engineers.filter(e => e.contractHours)) {
+      constraints.push(createContractHoursConstraint(engineer.id, week, engineer.contractHours));
     }
 
     // Floater max shifts
@@ -400,6 +447,9 @@ export function createAllConstraints(config) {
       constraints.push(createPreferenceConstraint(
         engineer.id, dateStr, engineer.preferences, day
       ));
+      if (engineer.availabilityPattern) {
+        constraints.push(createAvailabilityPatternConstraint(engineer, dateStr, day));
+      }
     }
   }
 
@@ -430,6 +480,8 @@ export default {
   createOffDaysConstraint,
   createMinWorkDaysConstraint,
   createPreferenceConstraint,
+  createAvailabilityPatternConstraint,
+  createContractHoursConstraint,
   createFloaterMaxShiftsConstraint,
   createFloaterSameShiftConstraint,
   createSingleShiftConstraint,
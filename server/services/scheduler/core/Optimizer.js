@@ -0,0 +1,349 @@
+/**
+ * Local Search Optimizer
+ * Improves a generated schedule with simulated annealing over pairwise shift swaps
+ *
+ * Objective (lower is better, 0-100):
+ *   Σ ALGORITHM_CONFIG.preferenceWeight[component] × component score (0-1) × 100
+ *
+ * Components:
+ * - consistency: share of consecutive work days where a core engineer changes shift group
+ * - fairness:    spread (coefficient of variation) of workload and weekend work per available day
+ * - preference:  share of work shifts outside an engineer's shift preferences
+ * - holidays:    share of holiday cells (federal or own state) core engineers work, and how
+ *                much of that holiday work falls on engineers who already worked a holiday
+ *
+ * Hard constraints come from Scheduler.validateSchedule - a move is only kept if it does
+ * not increase the number of validation errors.
+ */
+
+import { SHIFTS, SHIFT_GROUPS, ALGORITHM_CONFIG } from '../config/defaults.js';
+import { toDateString, isWeekend } from '../utils/DateUtils.js';
+import { getWeeklyShiftTarget } from '../utils/ContractUtils.js';
+
+const NON_WORK = [SHIFTS.OFF, SHIFTS.UNAVAILABLE, SHIFTS.TRAINING];
+
+/**
+ * Check if a cell value is a work shift
+ */
+function isWorkShift(shift) {
+  return !!shift && !NON_WORK.includes(shift);
+}
+
+/**
+ * Shift group used for consistency (custom shifts form their own group)
+ */
+function getShiftGroup(shift) {
+  for (const [group, shifts] of Object.entries(SHIFT_GROUPS)) {
+    if (shifts.includes(shift)) return group;
+  }
+  return shift;
+}
+
+/**
+ * Coefficient of variation of a list of numbers (0 for empty or all-zero lists)
+ */
+function coefficientOfVariation(values) {
+  if (values.length === 0) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  if (mean === 0) return 0;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance) / mean;
+}
+
+/**
+ * Round to 2 decimals for reporting
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Component scores (0-1, lower is better) of a schedule
+ */
+function scoreComponents(scheduler, schedule) {
+  const days = scheduler.getDays();
+  const dateStrs = days.map(toDateString);
+  const coreEngineers = scheduler.engineers.filter(e => !e.isFloater && !e.inTraining);
+  const workingEngineers = scheduler.engineers.filter(e => !e.inTraining);
+
+  // Consistency: shift group changes between consecutive work days
+  let pairs = 0;
+  let changes = 0;
+  for (const engineer of coreEngineers) {
+    for (let i = 1; i < dateStrs.length; i++) {
+      const prev = schedule[engineer.id]?.[dateStrs[i - 1]];
+      const curr = schedule[engineer.id]?.[dateStrs[i]];
+      if (!isWorkShift(prev) || !isWorkShift(curr)) continue;
+      pairs++;
+      if (getShiftGroup(prev) !== getShiftGroup(curr)) changes++;
+    }
+  }
+  const consistency = pairs > 0 ? changes / pairs : 0;
+
+  // Fairness: workload and weekend work relative to the days each engineer was available
+  const workloads = [];
+  const weekendLoads = [];
+  for (const engineer of coreEngineers) {
+    let available = 0, worked = 0, weekendAvailable = 0, weekendWorked = 0;
+    days.forEach((day, i) => {
+      const shift = schedule[engineer.id]?.[dateStrs[i]];
+      if (shift === SHIFTS.UNAVAILABLE || shift === SHIFTS.TRAINING) return;
+      const works = isWorkShift(shift);
+      available++;
+      if (works) worked++;
+      if (isWeekend(day)) {
+        weekendAvailable++;
+        if (works) weekendWorked++;
+      }
+    });
+    if (available > 0) workloads.push(worked / available);
+    if (weekendAvailable > 0) weekendLoads.push(weekendWorked / weekendAvailable);
+  }
+  const fairness = Math.min(1, (coefficientOfVariation(workloads) + coefficientOfVariation(weekendLoads)) / 2);
+
+  // Preference: work shifts outside the engineer's preferences
+  let workShifts = 0;
+  let unpreferred = 0;
+  for (const engineer of workingEngineers) {
+    days.forEach((day, i) => {
+      const shift = schedule[engineer.id]?.[dateStrs[i]];
+      if (!isWorkShift(shift)) return;
+      workShifts++;
+      if (!scheduler.canWorkShift(engineer, shift, day)) unpreferred++;
+    });
+  }
+  const preference = workShifts > 0 ? unpreferred / workShifts : 0;
+
+  // Holidays: holiday cells worked by engineers who have the day off by law,
+  // and repeat holiday work by the same engineer (holiday duty should rotate)
+  let holidayCells = 0;
+  let holidayWorked = 0;
+  let repeatHolidayWork = 0;
+  for (const engineer of coreEngineers) {
+    let worked = 0;
+    days.forEach((day, i) => {
+      if (!scheduler.isHoliday(day, engineer.state)) return;
+      const shift = schedule[engineer.id]?.[dateStrs[i]];
+      if (shift === SHIFTS.UNAVAILABLE || shift === SHIFTS.TRAINING) return;
+      holidayCells++;
+      if (isWorkShift(shift)) worked++;
+    });
+    holidayWorked += worked;
+    repeatHolidayWork += Math.max(0, worked - 1);
+  }
+  const holidays = holidayCells > 0
+    ? (holidayWorked / holidayCells + (holidayWorked > 0 ? repeatHolidayWork / holidayWorked : 0)) / 2
+    : 0;
+
+  return { consistency, fairness, preference, holidays };
+}
+
+/**
+ * Weighted objective value (0-100) of component scores
+ */
+function weightedTotal(scores, weights) {
+  return Object.entries(scores).reduce((total, [name, score]) => total + (weights[name] || 0) * score * 100, 0);
+}
+
+/**
+ * Score a schedule against the weighted objective
+ * @param {Scheduler} scheduler - Scheduler providing engineers, days, holidays and preferences
+ * @param {Object} schedule - Schedule data { engineerId: { date: shift } }
+ * @returns {Object} { total, weights, components: { name: { score, weighted } } }
+ */
+export function calculateObjective(scheduler, schedule, weights = ALGORITHM_CONFIG.preferenceWeight) {
+  const scores = scoreComponents(scheduler, schedule);
+  const components = {};
+  for (const [name, score] of Object.entries(scores)) {
+    components[name] = { score: round(score), weighted: round((weights[name] || 0) * score * 100) };
+  }
+
+  return { total: round(weightedTotal(scores, weights)), weights: { ...weights }, components };
+}
+
+/**
+ * Local Search Optimizer
+ * Simulated annealing over same-day swaps between two engineers of the same group
+ */
+export class LocalSearchOptimizer {
+  constructor(scheduler, options = {}) {
+    const config = { ...ALGORITHM_CONFIG.localSearch, ...options };
+    this.scheduler = scheduler;
+    this.iterations = config.iterations;
+    this.random = config.random || scheduler.random || Math.random;
+    this.initialTemperature = config.initialTemperature;
+    this.finalTemperature = config.finalTemperature;
+    this.weights = config.weights || ALGORITHM_CONFIG.preferenceWeight;
+    // Weekly rest rules of the Scheduler, which validateSchedule does not check
+    this.minOffDays = config.minOffDays ?? 2;
+    this.minShiftsPerWeek = config.minShiftsPerWeek ?? 4;
+  }
+
+  /**
+   * Check if a cell may take part in a swap.
+   * Night shifts stay in their blocks; locked, unavailable, training and pre-scheduled OFF cells never move.
+   */
+  isMovable(engineer, day, shift) {
+    if (shift !== SHIFTS.OFF && !isWorkShift(shift)) return false;
+    if (shift === SHIFTS.NIGHT) return false;
+    if (this.scheduler.isLocked(engineer.id, day)) return false;
+    if (shift === SHIFTS.OFF && this.scheduler.isPredeterminedOff(engineer, toDateString(day))) return false;
+    return true;
+  }
+
+  /**
+   * How far a core engineer is from the weekly rest the generator aims for in a full week:
+   * missing OFF days, a missing consecutive OFF pair and missing work days (fewer for
+   * part-time engineers). validateSchedule does not check these, so swaps must not make them worse.
+   */
+  weeklyRestDeficit(schedule, engineer, week) {
+    if (engineer.isFloater || week.length < 4) return 0;
+
+    const shifts = week.map(d => schedule[engineer.id]?.[toDateString(d)]);
+    const offDays = shifts.filter(s => s === SHIFTS.OFF).length;
+    const workDays = shifts.filter(isWorkShift).length;
+    const availableDays = shifts.filter(s => s !== SHIFTS.UNAVAILABLE && s !== SHIFTS.TRAINING).length;
+    const hasConsecutiveOff = shifts.some((s, i) => i > 0 && s === SHIFTS.OFF && shifts[i - 1] === SHIFTS.OFF);
+
+    let deficit = Math.max(0, Math.min(this.minOffDays, availableDays) - offDays);
+    if (this.minOffDays >= 2 && !hasConsecutiveOff) deficit++;
+    const minShifts = getWeeklyShiftTarget(engineer, this.minShiftsPerWeek);
+    deficit += Math.max(0, Math.min(minShifts, availableDays - this.minOffDays) - workDays);
+    return deficit;
+  }
+
+  /**
+   * Check if an engineer can take over a work shift on a day
+   */
+  canTake(engineer, shift, day) {
+    return this.scheduler.isEngineerAvailable(engineer, day) &&
+      this.scheduler.canWorkShift(engineer, shift, day);
+  }
+
+  /**
+   * Propose a random swap, or null if the picked cells cannot be swapped
+   */
+  proposeMove(schedule, days, weeks, groups) {
+    const dayIndex = Math.floor(this.random() * days.length);
+    const day = days[dayIndex];
+    const dateStr = toDateString(day);
+    const group = groups[Math.floor(this.random() * groups.length)];
+    const a = group[Math.floor(this.random() * group.length)];
+    const b = group[Math.floor(this.random() * group.length)];
+    if (a.id === b.id) return null;
+
+    const shiftA = schedule[a.id][dateStr];
+    const shiftB = schedule[b.id][dateStr];
+    if (shiftA === shiftB) return null;
+    if (!this.isMovable(a, day, shiftA) || !this.isMovable(b, day, shiftB)) return null;
+
+    // Whoever takes over a work shift must be available and willing to work it (like in generation)
+    if (isWorkShift(shiftB) && !this.canTake(a, shiftB, day)) return null;
+    if (isWorkShift(shiftA) && !this.canTake(b, shiftA, day)) return null;
+
+    // validateSchedule skips skill requirements when checking only the two engineers,
+    // so a swap must not take a required skill off either shift
+    if (isWorkShift(shiftA) && this.scheduler.breaksSkillCoverage(schedule, a, day, shiftA, b)) return null;
+    if (isWorkShift(shiftB) && this.scheduler.breaksSkillCoverage(schedule, b, day, shiftB, a)) return null;
+
+    const week = weeks.find(w => w.some(d => toDateString(d) === dateStr)) || [];
+    return { a, b, dateStr, shiftA, shiftB, week };
+  }
+
+  /**
+   * Apply (or revert, by applying again) a swap
+   */
+  applyMove(schedule, move) {
+    const shiftA = schedule[move.a.id][move.dateStr];
+    schedule[move.a.id][move.dateStr] = schedule[move.b.id][move.dateStr];
+    schedule[move.b.id][move.dateStr] = shiftA;
+  }
+
+  /**
+   * Optimize a schedule
+   * @param {Object} schedule - Schedule data (not modified)
+   * @returns {Object} { schedule, objective, initialObjective, iterations, acceptedMoves, hardViolations }
+   */
+  optimize(schedule) {
+    const days = this.scheduler.getDays();
+    const weeks = this.scheduler.getWeeksInMonth();
+    const current = JSON.parse(JSON.stringify(schedule));
+
+    const activeEngineers = this.scheduler.engineers.filter(e => !e.inTraining && current[e.id]);
+    const groups = [
+      activeEngineers.filter(e => !e.isFloater),
+      activeEngineers.filter(e => e.isFloater)
+    ].filter(g => g.length >= 2);
+
+    const initialObjective = calculateObjective(this.scheduler, current, this.weights);
+    let currentScore = weightedTotal(scoreComponents(this.scheduler, current), this.weights);
+    let currentHard = this.scheduler.validateSchedule(current).errors.length;
+    const initialHard = currentHard;
+
+    let best = JSON.parse(JSON.stringify(current));
+    let bestScore = currentScore;
+    let bestHard = currentHard;
+    let acceptedMoves = 0;
+    let iteration = 0;
+
+    const cooling = this.iterations > 1
+      ? Math.pow(this.finalTemperature / this.initialTemperature, 1 / (this.iterations - 1))
+      : 1;
+    let temperature = this.initialTemperature;
+
+    for (; iteration < this.iterations && groups.length > 0; iteration++) {
+      temperature *= cooling;
+
+      const move = this.proposeMove(current, days, weeks, groups);
+      if (!move) continue;
+
+      const restBefore = this.weeklyRestDeficit(current, move.a, move.week) +
+        this.weeklyRestDeficit(current, move.b, move.week);
+      this.applyMove(current, move);
+      const restAfter = this.weeklyRestDeficit(current, move.a, move.week) +
+        this.weeklyRestDeficit(current, move.b, move.week);
+      if (restAfter > restBefore) {
+        this.applyMove(current, move);
+        continue;
+      }
+
+      const score = weightedTotal(scoreComponents(this.scheduler, current), this.weights);
+      const delta = score - currentScore;
+      if (delta > 0 && this.random() >= Math.exp(-delta / temperature)) {
+        this.applyMove(current, move);
+        continue;
+      }
+
+      // Hard constraints are only checked for moves the annealing would accept.
+      // Same-group swaps keep daily coverage, so only the two engineers' rules can change.
+      const engineerIds = [move.a.id, move.b.id];
+      const violationsAfter = this.scheduler.validateSchedule(current, { engineerIds }).errors.length;
+      this.applyMove(current, move);
+      const violationsBefore = this.scheduler.validateSchedule(current, { engineerIds }).errors.length;
+      if (violationsAfter > violationsBefore) continue;
+      this.applyMove(current, move);
+      const hard = currentHard + violationsAfter - violationsBefore;
+
+      currentScore = score;
+      currentHard = hard;
+      acceptedMoves++;
+
+      if (hard < bestHard || (hard === bestHard && score < bestScore)) {
+        best = JSON.parse(JSON.stringify(current));
+        bestScore = score;
+        bestHard = hard;
+      }
+    }
+
+    return {
+      schedule: best,
+      objective: calculateObjective(this.scheduler, best, this.weights),
+      initialObjective,
+      iterations: iteration,
+      acceptedMoves,
+      hardViolations: { before: initialHard, after: this.scheduler.validateSchedule(best).errors.length }
+    };
+  }
+}
+
+export default LocalSearchOptimizer;
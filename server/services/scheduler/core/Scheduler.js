@@ -9,31 +9,51 @@
  * Modular architecture for maintainability and updates
  */
 
-import { SHIFTS, DEFAULT_COVERAGE, COLORS, SHIFT_TIMES, SHIFT_GROUPS } from '../config/defaults.js';
-import { ArbZG, validateScheduleCompliance, getTransitionViolation } from '../rules/GermanLaborLaws.js';
-import { toDateString, getMonthDays, getWeeks, isWeekend, format as formatDate, getPreviousDay, getNextDay } from '../utils/DateUtils.js';
+import { SHIFTS, DEFAULT_COVERAGE, COLORS, SHIFT_TIMES, SHIFT_GROUPS, FLOATER_CONFIG, ALGORITHM_CONFIG } from '../config/defaults.js';
+import { validateScheduleCompliance, validateNightSeries, getTransitionViolation, getRulePackFor } from '../rules/LaborLaw.js';
+import { WorkingTimeLimits, buildWorkHistory } from '../rules/ArbZGCompliance.js';
+import { toDateString, getMonthDays, getWeeks, groupDaysByWeek, findWeekIndex, parseDate, isWeekend, isSunday, format as formatDate, getPreviousDay, getNextDay } from '../utils/DateUtils.js';
+import { normalizeCoverage, relaxCoverage, markTeamHolidays, getCoverageForDate, getCoverageDayType, getSkillRequirementsForDate } from '../utils/CoverageUtils.js';
+import { meetsSkillRequirement, countSkillCoverage, orderBySkillRequirements, describeSkillRequirement } from '../utils/SkillUtils.js';
+import { isAvailableByPattern, isShiftAllowedByPattern, exceedsContractHours, getWeeklyHours, getWeeklyShiftTarget, getShiftHours, getShiftHoursByDay, FULL_TIME_HOURS } from '../utils/ContractUtils.js';
+import { isCellLocked, conflictsWithLockedNext } from '../utils/LockUtils.js';
+import { createRandom, createSeed, shuffleArray } from '../utils/Random.js';
+import { DecisionTrace, roundScore, TRACE_RUNNERS_UP } from '../utils/DecisionTrace.js';
+import { FairnessLedger, getShiftCategories, getDayCategories } from '../utils/FairnessLedger.js';
 import { format } from 'date-fns';
 
 import { NightShiftStrategy } from '../strategies/NightShiftStrategy.js';
 import { DayShiftStrategy } from '../strategies/DayShiftStrategy.js';
 import { FloaterStrategy } from '../strategies/FloaterStrategy.js';
+import { LocalSearchOptimizer, calculateObjective } from './Optimizer.js';
 
 // Configuration constants
 const MAX_ITERATIONS = 1000;
 const TARGET_SHIFTS_PER_WEEK = 5; // Target 5 working days per week for core engineers
 const MIN_SHIFTS_PER_WEEK = 4;   // Minimum shifts to avoid month-off scenarios
 const MAX_OFF_PER_WEEK = 2;      // Maximum OFF days per week for core engineers
+const REPAIR_WINDOW_DAYS = 3;    // Cells further than this from a repaired date stay untouched
+
+// Decision trace entries for cells changed by a pipeline step without a scored decision
+const TRACE_STEPS = {
+  training: { rule: 'training', reason: 'In training: Training on weekdays, OFF on weekends' },
+  mentor: { rule: 'mentor', reason: 'In training: shadows the mentor (OFF when the mentor is off)' },
+  night_shifts: { rule: 'night_cohort', reason: 'Part of the night block planning' },
+  day_shifts: { rule: 'score', reason: 'Assigned during day shift planning' },
+  off_days: { rule: 'weekly_rest', reason: 'OFF day for the weekly rest (2 OFF days per week, ideally consecutive)' },
+  floaters: { rule: 'floater', reason: 'Floater added where coverage was below the preferred level' },
+  fill: { rule: 'fill_gaps', reason: 'Filled an empty slot left after the main planning pass' },
+  coverage_repair: { rule: 'coverage_repair', reason: 'Moved to close a coverage gap (swapped with an OFF day)' },
+  balance: { rule: 'workload_balance', reason: 'Moved to balance the number of shifts between engineers' },
+  rationality: { rule: 'rationality_fix', reason: 'Changed by the final check of rest periods, consecutive work days and night series' },
+  optimize: { rule: 'local_search', reason: 'Swapped by local search to improve the objective score' }
+};
 
 /**
- * Fisher-Yates shuffle for randomizing arrays in-place
+ * Round reported hours to two decimals
  */
-function shuffleArray(array) {
-  const arr = [...array];
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100;
 }
 
 /**
@@ -42,21 +62,79 @@ function shuffleArray(array) {
  */
 export class Scheduler {
   constructor(options = {}) {
+    this.options = options;
     this.engineers = options.engineers || [];
     this.month = options.month || new Date();
-    this.holidays = options.holidays || [];
+    // Horizon mode: plan this many consecutive months (starting at month) in one solve,
+    // so night blocks, weekly rest and workload balance run across month boundaries
+    this.horizonMonths = Math.min(ALGORITHM_CONFIG.maxHorizonMonths, Math.max(1, options.horizonMonths || 1));
+    // State holidays observed by the whole core team use the holiday coverage tier
+    this.holidays = markTeamHolidays(options.holidays || [], this.engineers);
     this.approvedRequests = options.approvedRequests || [];
-    this.coverage = options.coverage || DEFAULT_COVERAGE;
     this.previousMonthSchedule = options.previousMonthSchedule || null;
 
+    // Solver options (set by the recovery options of generate-with-option)
+    this.relaxedCoverage = options.relaxedCoverage === true;
+    this.maxFloaterShifts = options.maxFloaterShifts || FLOATER_CONFIG.maxShiftsPerWeek;
+    this.minOffDays = options.minOffDays ?? MAX_OFF_PER_WEEK;
+
+    // Coverage matrix (weekday/weekend/holiday tiers + per-date overrides)
+    const baseCoverage = normalizeCoverage(options.coverage || DEFAULT_COVERAGE);
+    this.coverage = this.relaxedCoverage ? relaxCoverage(baseCoverage) : baseCoverage;
+
+    // Cells pinned by a manager when regenerating a draft: { engineerId: { date: shift } }
+    this.lockedCells = options.lockedCells || {};
+
+    // Every random choice (shuffles, tie-breaks, local search) comes from this seeded
+    // generator, so the same seed and inputs reproduce the same schedule
+    this.seed = options.seed ?? createSeed();
+    this.random = createRandom(this.seed);
+
+    // Optional record of why each cell got its value (see utils/DecisionTrace.js)
+    this.trace = options.trace ? new DecisionTrace() : null;
+
+    // Cumulative nights/weekends/holidays of past published schedules (utils/FairnessLedger.js)
+    this.fairnessLedger = options.fairnessLedger ? new FairnessLedger(options.fairnessLedger) : null;
+
+    // ArbZG limits across published months (rules/ArbZGCompliance.js) - without a work
+    // history they only see the schedule itself
+    this.workHistory = options.workHistory || null;
+    this.workingTimeLimits = new WorkingTimeLimits(this.workHistory, { days: this.getDays(), holidays: this.holidays });
+
+    // Labor law rule pack of each engineer's jurisdiction (rules/LaborLaw.js)
+    this.rulePacks = new Map(this.engineers.map(e => [e.id, getRulePackFor(e)]));
+
     // Initialize strategies
-    this.nightStrategy = new NightShiftStrategy({ coverage: this.coverage });
-    this.dayStrategy = new DayShiftStrategy({ coverage: this.coverage });
-    this.floaterStrategy = new FloaterStrategy({ coverage: this.coverage });
+    this.nightStrategy = new NightShiftStrategy({
+      coverage: this.coverage,
+      holidays: this.holidays,
+      minEngineers: this.coverage.weekday[SHIFTS.NIGHT]?.min,
+      lockedCells: this.lockedCells,
+      random: this.random,
+      trace: this.trace,
+      fairnessLedger: this.fairnessLedger,
+      workingTimeLimits: this.workingTimeLimits
+    });
+    this.dayStrategy = new DayShiftStrategy({
+      coverage: this.coverage,
+      holidays: this.holidays,
+      lockedCells: this.lockedCells,
+      random: this.random,
+      fairnessLedger: this.fairnessLedger,
+      workingTimeLimits: this.workingTimeLimits
+    });
+    this.floaterStrategy = new FloaterStrategy({
+      coverage: this.coverage,
+      holidays: this.holidays,
+      maxShiftsPerWeek: this.maxFloaterShifts,
+      lockedCells: this.lockedCells,
+      workingTimeLimits: this.workingTimeLimits
+    });
 
     // Tracking
     this.violations = [];
     this.warnings = [];
+    this.collectedErrors = [];
     this.stats = null;
 
     // Pre-compute previous month tail data for cross-month continuity
@@ -95,6 +173,19 @@ export class Scheduler {
     return tail;
   }
 
+  /**
+   * Effective solver parameters after applying recovery options.
+   * Stored on generated schedules so managers can see what was relaxed.
+   */
+  getSolverParameters() {
+    return {
+      relaxedCoverage: this.relaxedCoverage,
+      coverage: this.coverage,
+      maxFloaterShiftsPerWeek: this.maxFloaterShifts,
+      minOffDaysPerWeek: this.minOffDays
+    };
+  }
+
   /**
    * Get the shift for an engineer on a date, checking both current schedule and
    * previous month's schedule for cross-month boundary lookups.
@@ -132,25 +223,120 @@ export class Scheduler {
   }
 
   /**
-   * Get month days
+   * Check if a cell is locked (kept unchanged during regeneration)
+   */
+  isLocked(engineerId, date) {
+    return isCellLocked(this.lockedCells, engineerId, date);
+  }
+
+  /**
+   * Check if assigning a shift would violate the transition into a locked next day
+   */
+  conflictsWithLockedNext(engineerId, date, shift) {
+    return conflictsWithLockedNext(this.lockedCells, engineerId, date, shift, this.getRulePack(engineerId));
+  }
+
+  /**
+   * Labor law rule pack of an engineer (German pack for engineers outside the schedule)
+   */
+  getRulePack(engineerId) {
+    return this.rulePacks.get(engineerId) || getRulePackFor(null);
+  }
+
+  /**
+   * Get coverage requirements for a day (per-date override > holiday > weekend > weekday)
+   */
+  getDayCoverage(date) {
+    return getCoverageForDate(this.coverage, date, this.holidays);
+  }
+
+  /**
+   * Get the first day of each month being planned (one month unless in horizon mode)
+   */
+  getHorizonMonths() {
+    return Array.from({ length: this.horizonMonths }, (_, i) =>
+      new Date(this.month.getFullYear(), this.month.getMonth() + i, 1)
+    );
+  }
+
+  /**
+   * Get month days (all days of the horizon in horizon mode)
    */
   getDays() {
-    return getMonthDays(this.month);
+    if (this.horizonMonths === 1) return getMonthDays(this.month);
+    return this.getHorizonMonths().flatMap(monthDate => getMonthDays(monthDate));
   }
 
   /**
-   * Get weeks
+   * Get weeks (in horizon mode, weeks across a month boundary are not split)
    */
   getWeeksInMonth() {
-    return getWeeks(this.month);
+    if (this.horizonMonths === 1) return getWeeks(this.month);
+    return groupDaysByWeek(this.getDays());
   }
 
   /**
-   * Check if a day is a holiday for an engineer
+   * Skill requirements of a shift on a day (see utils/SkillUtils.js)
    */
-  isHoliday(date, engineerState = null) {
+  getSkillRequirements(day, shift) {
+    return getSkillRequirementsForDate(this.coverage, day, this.holidays, shift);
+  }
+
+  /**
+   * Check if moving an engineer off a shift would leave a skill requirement of that
+   * shift unmet (replacement: engineer taking over the shift, if any)
+   */
+  breaksSkillCoverage(schedule, engineer, day, shift, replacement = null) {
+    const dateStr = toDateString(day);
+    const onShift = this.engineers.filter(e => e.id !== engineer.id && schedule[e.id]?.[dateStr] === shift);
+    if (replacement) onShift.push(replacement);
+
+    return this.getSkillRequirements(day, shift).some(requirement =>
+      meetsSkillRequirement(engineer, requirement) &&
+      onShift.filter(e => meetsSkillRequirement(e, requirement)).length < requirement.min
+    );
+  }
+
+  /**
+   * Check if a shift on a day would take an engineer over their weekly contract hours
+   * (see utils/ContractUtils.js) or over an ArbZG limit that spans the work history
+   * (average weekly hours, free Sundays - see rules/ArbZGCompliance.js)
+   */
+  exceedsWorkingTimeLimits(schedule, engineer, day, shift) {
+    if (engineer.contractHours) {
+      const weeks = this.getWeeksInMonth();
+      if (exceedsContractHours(schedule, engineer, weeks[findWeekIndex(weeks, day)], day, shift)) return true;
+    }
+    return !!this.workingTimeLimits.exceeds(schedule, engineer, day, shift);
+  }
+
+  /**
+   * Score adjustment from the fairness ledger for giving an engineer a shift on a day
+   * (negative if they worked more nights/weekends/holidays/lates than the team in past months)
+   */
+  getHistoryAdjustment(engineer, shift, day) {
+    if (!this.fairnessLedger) return 0;
+    const categories = getShiftCategories(shift, toDateString(day), this.isHoliday(day, engineer.state));
+    return this.fairnessLedger.getAdjustment(engineer.id, categories);
+  }
+
+  /**
+   * Bonus from the fairness ledger for giving an engineer a weekend/holiday OFF day
+   * (positive if they worked more weekends, Sundays or holidays than the team in past months)
+   */
+  getHistoryOffBonus(engineer, day) {
+    if (!this.fairnessLedger) return 0;
+    const categories = getDayCategories(toDateString(day), this.isHoliday(day, engineer.state));
+    return -this.fairnessLedger.getAdjustment(engineer.id, categories);
+  }
+
+  /**
+   * Holiday of an engineer on a day
+   * @returns {Object|null} The holiday, or null
+   */
+  getHoliday(date, engineerState = null) {
     const dateStr = toDateString(date);
-    return this.holidays.some(h => {
+    return this.holidays.find(h => {
       if (h.date === dateStr) {
         if (h.type === 'federal') return true;
         if (h.type === 'state' && engineerState) {
@@ -158,7 +344,14 @@ export class Scheduler {
         }
       }
       return false;
-    });
+    }) || null;
+  }
+
+  /**
+   * Check if a day is a holiday for an engineer
+   */
+  isHoliday(date, engineerState = null) {
+    return this.getHoliday(date, engineerState) !== null;
   }
 
   /**
@@ -196,6 +389,9 @@ export class Scheduler {
       return shift === SHIFTS.TRAINING;
     }
 
+    // Recurring weekly availability (e.g. part-time staff who never work Fridays)
+    if (!isShiftAllowedByPattern(engineer, shift, date)) return false;
+
     // Check preferences
     if (engineer.preferences && engineer.preferences.length > 0) {
       const isWknd = isWeekend(date);
@@ -279,7 +475,7 @@ export class Scheduler {
       // Skip partial weeks - can't require 2 consecutive OFF in < 4 days
       if (week.length < 4) continue;
 
-      const shuffledEngineers = shuffleArray(coreEngineers);
+      const shuffledEngineers = shuffleArray(coreEngineers, this.random);
 
       for (const engineer of shuffledEngineers) {
         // Fixed off days are handled separately
@@ -343,6 +539,9 @@ export class Scheduler {
           if (this.isHoliday(day1, engineer.state)) score += 5;
           if (this.isHoliday(day2, engineer.state)) score += 5;
 
+          // Long-term fairness: weekend/holiday OFF for engineers who worked more of them
+          score += this.getHistoryOffBonus(engineer, day1) + this.getHistoryOffBonus(engineer, day2);
+
           // Prefer mid-week days (Tue-Thu) for OFF
           const dow1 = day1.getDay();
           const dow2 = day2.getDay();
@@ -363,7 +562,7 @@ export class Scheduler {
           if (week === weeks[0] || (weeks[0].length < 4 && week === weeks[1])) {
             const trailingWorkDays = this.getPrevMonthTrailingWorkDays(engineer.id);
             if (trailingWorkDays >= 4) {
-              const maxWorkBeforeOff = Math.max(0, ArbZG.MAX_CONSECUTIVE_WORK_DAYS - trailingWorkDays);
+              const maxWorkBeforeOff = Math.max(0, this.getRulePack(engineer.id).maxConsecutiveWorkDays - trailingWorkDays);
               const dayIndex1 = week.indexOf(day1);
               // Strongly prefer earlier OFF if previous month had long streak
               if (dayIndex1 <= maxWorkBeforeOff) score += 20;
@@ -400,10 +599,60 @@ export class Scheduler {
     return { schedule, errors };
   }
 
+  /**
+   * Attribute the cells changed by a pipeline step in the decision trace (no-op without tracing)
+   */
+  traceStep(schedule, step) {
+    if (!this.trace) return;
+    this.trace.attributeChanges(schedule, (engineerId, dateStr, shift, previousShift) =>
+      this.describeDecision(step, engineerId, dateStr, shift, previousShift)
+    );
+  }
+
+  /**
+   * Decision trace entry for a cell changed by a pipeline step
+   */
+  describeDecision(step, engineerId, dateStr, shift, previousShift) {
+    const entry = { shift, step, ...(TRACE_STEPS[step] || { rule: step, reason: `Set during ${step}` }) };
+    if (previousShift) entry.previousShift = previousShift;
+
+    if (step === 'initialize') {
+      const engineer = this.engineers.find(e => e.id === engineerId);
+      if (this.isLocked(engineerId, dateStr)) {
+        return { ...entry, rule: 'locked', reason: 'Locked by a manager and kept on regeneration' };
+      }
+      if (shift === SHIFTS.OFF && engineer && !isAvailableByPattern(engineer, dateStr)) {
+        return { ...entry, rule: 'availability_pattern', reason: `${engineer.name} does not work on ${formatDate(parseDate(dateStr), 'EEEE')}s` };
+      }
+      if (shift === SHIFTS.OFF) {
+        return { ...entry, rule: 'predetermined_off', reason: 'Predetermined day off' };
+      }
+      const timeOff = this.approvedRequests.some(req =>
+        req.engineerId === engineerId && req.type === 'time_off' && req.dates?.includes(dateStr)
+      );
+      return timeOff
+        ? { ...entry, rule: 'time_off', reason: 'Approved time-off request' }
+        : { ...entry, rule: 'unavailable', reason: `${engineer?.name || 'Engineer'} is marked unavailable` };
+    }
+
+    if (step === 'mentor') {
+      const mentor = this.getMentor(this.engineers.find(e => e.id === engineerId));
+      if (shift === SHIFTS.TRAINING) {
+        return { ...entry, reason: 'In training: Training while the mentor is unavailable' };
+      }
+      if (mentor) {
+        return { ...entry, reason: `In training: shadows mentor ${mentor.name} (${shift === SHIFTS.OFF ? 'OFF with the mentor' : shift})` };
+      }
+    }
+
+    return entry;
+  }
+
   /**
    * Initialize empty schedule with unavailable days
    * "Predetermined Off" days are initialized as OFF (count toward weekly off requirements)
    * All other unavailable types are initialized as UNAVAILABLE
+   * Locked cells are seeded with their kept value (a manager decision wins over availability)
    */
   initializeSchedule() {
     const schedule = {};
@@ -415,13 +664,18 @@ export class Scheduler {
       for (const day of days) {
         const dateStr = toDateString(day);
 
-        if (!this.isEngineerAvailable(engineer, day)) {
+        if (this.isLocked(engineer.id, dateStr)) {
+          schedule[engineer.id][dateStr] = this.lockedCells[engineer.id][dateStr];
+        } else if (!this.isEngineerAvailable(engineer, day)) {
           // Check if this is a "Predetermined Off" day (counts as OFF, not UNAVAILABLE)
           if (this.isPredeterminedOff(engineer, dateStr)) {
             schedule[engineer.id][dateStr] = SHIFTS.OFF;
           } else {
             schedule[engineer.id][dateStr] = SHIFTS.UNAVAILABLE;
           }
+        } else if (!isAvailableByPattern(engineer, day)) {
+          // Weekday the engineer never works (availability pattern) - a regular day off
+          schedule[engineer.id][dateStr] = SHIFTS.OFF;
         } else {
           schedule[engineer.id][dateStr] = null;
         }
@@ -432,13 +686,34 @@ export class Scheduler {
   }
 
   /**
-   * Assign training engineers (Mon-Fri Training, Sat-Sun Off)
+   * Mentor of a trainee, if the mentor is among the scheduled engineers
+   */
+  getMentor(trainee) {
+    if (!trainee?.mentorId) return null;
+    return this.engineers.find(e => e.id === trainee.mentorId && !e.inTraining) || null;
+  }
+
+  /**
+   * Assign training engineers.
+   * Trainees with a mentor are kept OFF until assignMentorShadowing() copies the mentor's
+   * shifts; trainees without one get Training Mon-Fri and OFF on weekends.
    */
   assignTrainingShifts(schedule) {
     const days = this.getDays();
     const trainingEngineers = this.engineers.filter(e => e.inTraining);
 
     for (const engineer of trainingEngineers) {
+      const mentor = this.getMentor(engineer);
+      if (!mentor) {
+        this.warnings.push({
+          type: 'trainee_without_mentor',
+          engineerId: engineer.id,
+          message: engineer.mentorId
+            ? `${engineer.name}'s mentor is not active - Training shifts assigned instead`
+            : `${engineer.name} is in training without a mentor - Training shifts assigned instead`
+        });
+      }
+
       for (const day of days) {
         const dateStr = toDateString(day);
         const dayOfWeek = day.getDay();
@@ -447,7 +722,7 @@ export class Scheduler {
         if (schedule[engineer.id][dateStr] !== null) continue;
 
         // Saturday = 6, Sunday = 0
-        if (dayOfWeek === 0 || dayOfWeek === 6) {
+        if (mentor || dayOfWeek === 0 || dayOfWeek === 6) {
           schedule[engineer.id][dateStr] = SHIFTS.OFF;
         } else {
           schedule[engineer.id][dateStr] = SHIFTS.TRAINING;
@@ -458,6 +733,47 @@ export class Scheduler {
     return schedule;
   }
 
+  /**
+   * Trainees shadow their mentor: the mentor's shift when the mentor works, OFF when the
+   * mentor is off, and Training on weekdays while the mentor is unavailable.
+   * Trainees never count toward coverage. Locked and unavailable cells are kept, and so are
+   * weekdays the trainee never works; shifts outside their pattern or contract hours become OFF.
+   */
+  assignMentorShadowing(schedule) {
+    const days = this.getDays();
+
+    for (const trainee of this.engineers.filter(e => e.inTraining)) {
+      const mentor = this.getMentor(trainee);
+      if (!mentor) continue;
+
+      for (const day of days) {
+        const dateStr = toDateString(day);
+        if (this.isLocked(trainee.id, dateStr) || !this.isEngineerAvailable(trainee, day)) continue;
+        if (!isAvailableByPattern(trainee, day)) continue;
+
+        const mentorShift = schedule[mentor.id]?.[dateStr];
+        let shift = SHIFTS.OFF;
+        if (mentorShift === SHIFTS.UNAVAILABLE) {
+          shift = isWeekend(day) ? SHIFTS.OFF : SHIFTS.TRAINING;
+        } else if (mentorShift && mentorShift !== SHIFTS.OFF) {
+          shift = mentorShift;
+        }
+        if (shift !== SHIFTS.OFF && (!isShiftAllowedByPattern(trainee, shift, day) ||
+            this.exceedsWorkingTimeLimits(schedule, trainee, day, shift))) {
+          shift = SHIFTS.OFF;
+        }
+        schedule[trainee.id][dateStr] = shift;
+
+        // Every shadowed cell is explained by the mentor, including OFF days kept from step 2
+        if (this.trace) {
+          this.trace.record(trainee.id, dateStr, this.describeDecision('mentor', trainee.id, dateStr, shift, null));
+        }
+      }
+    }
+
+    return schedule;
+  }
+
   /**
    * Count how many engineers are OFF on a specific day
    */
@@ -496,7 +812,7 @@ export class Scheduler {
       e.id !== engineerId && schedule[e.id]?.[dateStr] === currentShift
     ).length;
 
-    const weekendMin = this.coverage.weekend[currentShift]?.min || 2;
+    const weekendMin = this.getDayCoverage(day)[currentShift]?.min ?? 2;
     return coverageWithout >= weekendMin;
   }
 
@@ -529,11 +845,12 @@ export class Scheduler {
       for (const engineer of coreEngineers) {
         const trailingWorkDays = this.getPrevMonthTrailingWorkDays(engineer.id);
         if (trailingWorkDays >= 4) {
-          const maxWorkBeforeOff = Math.max(0, ArbZG.MAX_CONSECUTIVE_WORK_DAYS - trailingWorkDays);
+          const maxWorkBeforeOff = Math.max(0, this.getRulePack(engineer.id).maxConsecutiveWorkDays - trailingWorkDays);
           for (let d = 0; d < week.length && d <= maxWorkBeforeOff; d++) {
             const dateStr = toDateString(week[d]);
             const current = schedule[engineer.id][dateStr];
-            if (d === maxWorkBeforeOff && (current === null || current === undefined)) {
+            if (d === maxWorkBeforeOff && (current === null || current === undefined) &&
+                !this.isLocked(engineer.id, dateStr)) {
               schedule[engineer.id][dateStr] = SHIFTS.OFF;
             }
           }
@@ -542,7 +859,7 @@ export class Scheduler {
     }
 
     // Shuffle engineers each week so different people get first pick
-    const shuffledEngineers = shuffleArray(coreEngineers);
+    const shuffledEngineers = shuffleArray(coreEngineers, this.random);
 
     for (const engineer of shuffledEngineers) {
       // Special handling for fixed off days
@@ -577,11 +894,11 @@ export class Scheduler {
         }
       }
 
-      // If we already have 2+ OFF days (including predetermined), we're done.
+      // If we already have enough OFF days (including predetermined), we're done.
       // Predetermined OFF days are hard-coded for the individual and count as their days off.
       // Don't add more OFF on top — just warn if they're not consecutive.
-      if (existingOffDays.length >= 2) {
-        if (!hasConsecutiveOff && unavailableDays === 0) {
+      if (existingOffDays.length >= this.minOffDays) {
+        if (!hasConsecutiveOff && existingOffDays.length >= 2 && unavailableDays === 0) {
           errors.push({
             type: 'non_consecutive_off',
             engineer: engineer.name,
@@ -592,31 +909,34 @@ export class Scheduler {
         continue;
       }
 
-      // How many more OFF days do we need? (0, 1, or 2)
-      const neededOff = Math.max(0, 2 - existingOffDays.length);
+      // How many more OFF days do we need? (0, 1, or 2 - depends on minOffDays)
+      const neededOff = Math.max(0, this.minOffDays - existingOffDays.length);
       if (neededOff === 0) continue;
 
-      // Get slots that can be set to OFF (prefer null/unassigned, but allow overriding shifts)
+      // Get slots that can be set to OFF (prefer null/unassigned, but allow overriding unlocked shifts)
       const availableForOff = week.filter(d => {
         const dateStr = toDateString(d);
         const shift = schedule[engineer.id][dateStr];
+        if (this.isLocked(engineer.id, dateStr)) return false;
         return shift === null || shift === undefined ||
                (shift !== SHIFTS.UNAVAILABLE && shift !== SHIFTS.OFF);
       });
 
-      // CASE A: Need 1 more OFF (have 1 existing, e.g. predetermined)
+      // CASE A: Need 1 more OFF (have 1 existing, e.g. predetermined, or minOffDays is 1)
       // Try to place adjacent to existing OFF for consecutiveness
-      if (neededOff === 1 && existingOffDays.length === 1) {
+      if (neededOff === 1) {
         const existingOff = existingOffDays[0];
         let bestDay = null;
         let bestScore = -Infinity;
 
         for (const d of availableForOff) {
-          const dayDiff = Math.abs(d.getTime() - existingOff.getTime()) / (1000 * 60 * 60 * 24);
           let score = 0;
 
           // Strongly prefer adjacent to existing OFF (makes them consecutive)
-          if (dayDiff === 1) score += 50;
+          if (existingOff) {
+            const dayDiff = Math.abs(d.getTime() - existingOff.getTime()) / (1000 * 60 * 60 * 24);
+            if (dayDiff === 1) score += 50;
+          }
 
           // Penalize weekends
           if (isWeekend(d)) score -= 15;
@@ -631,6 +951,9 @@ export class Scheduler {
           // Prefer holidays
           if (this.isHoliday(d, engineer.state)) score += 5;
 
+          // Long-term fairness: weekend/holiday OFF for engineers who worked more of them
+          score += this.getHistoryOffBonus(engineer, d);
+
           // Prefer mid-week
           const dow = d.getDay();
           if (dow >= 2 && dow <= 4) score += 3;
@@ -699,6 +1022,9 @@ export class Scheduler {
           if (this.isHoliday(day1, engineer.state)) score += 5;
           if (this.isHoliday(day2, engineer.state)) score += 5;
 
+          // Long-term fairness: weekend/holiday OFF for engineers who worked more of them
+          score += this.getHistoryOffBonus(engineer, day1) + this.getHistoryOffBonus(engineer, day2);
+
           // Strongly prefer null/unassigned slots over overriding existing shifts
           const shift1 = schedule[engineer.id][toDateString(day1)];
           const shift2 = schedule[engineer.id][toDateString(day2)];
@@ -733,7 +1059,7 @@ export class Scheduler {
             return shift === null || shift === undefined;
           });
 
-          const sorted = shuffleArray([...unassigned]).sort((a, b) => {
+          const sorted = shuffleArray([...unassigned], this.random).sort((a, b) => {
             let aScore = isWeekend(a) ? -10 : 0;
             let bScore = isWeekend(b) ? -10 : 0;
             aScore += this.isHoliday(a, engineer.state) ? 5 : 0;
@@ -763,7 +1089,7 @@ export class Scheduler {
         }
       }
 
-      if (!hasFinalConsecutive && finalOffDays.length < 2 && unavailableDays === 0) {
+      if (finalOffDays.length < this.minOffDays && unavailableDays === 0) {
         errors.push({
           type: 'off_day_violation',
           engineer: engineer.name,
@@ -814,21 +1140,25 @@ export class Scheduler {
    * @param {Object} schedule - The schedule to validate
    * @param {Object} options - Validation options
    * @param {boolean} options.partial - If true, skip OFF day checks (for incremental validation)
+   * @param {string[]} options.engineerIds - Only check per-engineer rules for these engineers
+   *   (skips the coverage and floater collision checks, e.g. for swaps that keep daily counts)
    */
   validateSchedule(schedule, options = {}) {
-    const { partial = false } = options;
+    const { partial = false, engineerIds = null } = options;
     const days = this.getDays();
     const weeks = this.getWeeksInMonth();
     const errors = [];
 
+    const checkedEngineers = engineerIds
+      ? this.engineers.filter(e => engineerIds.includes(e.id))
+      : this.engineers;
     const coreEngineers = this.engineers.filter(e => !e.isFloater && !e.inTraining);
-    const floaters = this.engineers.filter(e => e.isFloater);
+    const floaters = checkedEngineers.filter(e => e.isFloater);
 
     // 1. Check coverage (min AND max)
-    for (const day of days) {
+    for (const day of (engineerIds ? [] : days)) {
       const dateStr = toDateString(day);
-      const isWknd = isWeekend(day);
-      const dayCoverage = isWknd ? this.coverage.weekend : this.coverage.weekday;
+      const dayCoverage = this.getDayCoverage(day);
 
       for (const shift of [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT]) {
         const coreCoverage = coreEngineers.filter(e =>
@@ -862,10 +1192,16 @@ export class Scheduler {
       }
     }
 
-    // 2. Check German labor law compliance
-    for (const engineer of this.engineers) {
-      const violations = validateScheduleCompliance(schedule, engineer.id, days);
-      errors.push(...violations);
+    // 2. Check labor law compliance (rule pack of each engineer)
+    for (const engineer of checkedEngineers) {
+      const pack = this.getRulePack(engineer.id);
+      const violations = validateScheduleCompliance(schedule, engineer.id, days, pack);
+      errors.push(...violations.map(violation => ({
+        ...violation,
+        engineerId: engineer.id,
+        engineer: engineer.name,
+        message: `${engineer.name}: ${violation.message}`
+      })));
 
       // Also check cross-month consecutive work days
       const trailingWorkDays = this.getPrevMonthTrailingWorkDays(engineer.id);
@@ -876,12 +1212,12 @@ export class Scheduler {
           const shift = schedule[engineer.id]?.[dateStr];
           if (shift && shift !== SHIFTS.OFF && shift !== SHIFTS.UNAVAILABLE) {
             currentStreak++;
-            if (currentStreak > ArbZG.MAX_CONSECUTIVE_WORK_DAYS) {
+            if (currentStreak > pack.maxConsecutiveWorkDays) {
               errors.push({
                 type: 'ARBZG_CONSECUTIVE_DAYS_CROSS_MONTH',
                 severity: 'critical',
-                law: '§11 ArbZG',
-                message: `${engineer.name} has ${currentStreak} consecutive work days across month boundary (max ${ArbZG.MAX_CONSECUTIVE_WORK_DAYS})`,
+                law: pack.references.consecutiveDays,
+                message: `${engineer.name} has ${currentStreak} consecutive work days across month boundary (max ${pack.maxConsecutiveWorkDays})`,
                 date: dateStr
               });
               break; // Only report once per engineer
@@ -898,7 +1234,7 @@ export class Scheduler {
         const lastPrevShift = prevTail[prevTail.length - 1].shift;
         const firstDateStr = toDateString(days[0]);
         const firstShift = schedule[engineer.id]?.[firstDateStr];
-        const violation = getTransitionViolation(lastPrevShift, firstShift);
+        const violation = getTransitionViolation(lastPrevShift, firstShift, pack, firstDateStr);
         if (violation) {
           errors.push({
             type: 'transition_violation_cross_month',
@@ -921,20 +1257,20 @@ export class Scheduler {
           return s && s !== SHIFTS.OFF && s !== SHIFTS.UNAVAILABLE;
         }).length;
 
-        if (shifts > 2.5) {
+        if (shifts > this.maxFloaterShifts) {
           errors.push({
             type: 'floater_overwork',
             engineer: floater.name,
             week: weekIndex + 1,
             shifts,
-            message: `Floater ${floater.name} has ${shifts} shifts in week ${weekIndex + 1}, max is 2.5`
+            message: `Floater ${floater.name} has ${shifts} shifts in week ${weekIndex + 1}, max is ${this.maxFloaterShifts}`
           });
         }
       }
     }
 
     // 4. Check both floaters not on same shift
-    if (floaters.length >= 2) {
+    if (!engineerIds && floaters.length >= 2) {
       for (const day of days) {
         const dateStr = toDateString(day);
         for (const shift of [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT]) {
@@ -953,15 +1289,59 @@ export class Scheduler {
       }
     }
 
-    // 5. Check transition rules
-    for (const engineer of this.engineers) {
+    // 5. Check skill requirements (e.g. each Night needs a T1)
+    for (const day of (engineerIds ? [] : days)) {
+      const dateStr = toDateString(day);
+      for (const shift of [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT]) {
+        for (const requirement of this.getSkillRequirements(day, shift)) {
+          const actual = countSkillCoverage(schedule, this.engineers, dateStr, shift, requirement);
+          if (actual < requirement.min) {
+            errors.push({
+              type: 'skill_coverage',
+              shift,
+              date: dateStr,
+              requirement,
+              actual,
+              required: requirement.min,
+              message: `${shift} on ${dateStr}: needs ${describeSkillRequirement(requirement)}, has ${actual}`
+            });
+          }
+        }
+      }
+    }
+
+    // 6. Check that trainees work only alongside their mentor
+    for (const trainee of this.engineers.filter(e => e.inTraining)) {
+      const mentor = this.getMentor(trainee);
+      if (!mentor) continue;
+      if (engineerIds && !engineerIds.includes(trainee.id) && !engineerIds.includes(mentor.id)) continue;
+
+      for (const day of days) {
+        const dateStr = toDateString(day);
+        const shift = schedule[trainee.id]?.[dateStr];
+        if (!shift || [SHIFTS.OFF, SHIFTS.UNAVAILABLE, SHIFTS.TRAINING].includes(shift)) continue;
+        if (schedule[mentor.id]?.[dateStr] === shift) continue;
+
+        errors.push({
+          type: 'mentor_missing',
+          engineerId: trainee.id,
+          mentorId: mentor.id,
+          shift,
+          date: dateStr,
+          message: `${trainee.name} works ${shift} on ${dateStr} without mentor ${mentor.name}`
+        });
+      }
+    }
+
+    // 7. Check transition rules
+    for (const engineer of checkedEngineers) {
       for (let i = 1; i < days.length; i++) {
         const prevDateStr = toDateString(days[i-1]);
         const currDateStr = toDateString(days[i]);
         const prevShift = schedule[engineer.id][prevDateStr];
         const currShift = schedule[engineer.id][currDateStr];
 
-        const violation = getTransitionViolation(prevShift, currShift);
+        const violation = getTransitionViolation(prevShift, currShift, this.getRulePack(engineer.id), currDateStr);
         if (violation) {
           errors.push({
             type: 'transition_violation',
@@ -974,28 +1354,86 @@ export class Scheduler {
       }
     }
 
+    // 8. Check availability patterns and contract hours (part-time engineers)
+    for (const engineer of checkedEngineers) {
+      if (engineer.availabilityPattern) {
+        for (const day of days) {
+          const dateStr = toDateString(day);
+          const shift = schedule[engineer.id]?.[dateStr];
+          if (!shift || shift === SHIFTS.OFF || shift === SHIFTS.UNAVAILABLE) continue;
+          if (this.isLocked(engineer.id, dateStr) || isShiftAllowedByPattern(engineer, shift, day)) continue;
+
+          errors.push({
+            type: 'availability_pattern',
+            engineerId: engineer.id,
+            shift,
+            date: dateStr,
+            message: `${engineer.name} works ${shift} on ${dateStr}, outside their weekly availability`
+          });
+        }
+      }
+
+      if (engineer.contractHours) {
+        for (const week of weeks) {
+          const actual = getWeeklyHours(schedule, engineer.id, week);
+          if (actual <= engineer.contractHours) continue;
+
+          const weekStart = toDateString(week[0]);
+          errors.push({
+            type: 'contract_hours_exceeded',
+            engineerId: engineer.id,
+            date: weekStart,
+            actual,
+            limit: engineer.contractHours,
+            message: `${engineer.name} has ${actual}h in the week of ${weekStart}, contract is ${engineer.contractHours}h`
+          });
+        }
+      }
+    }
+
+    // 9. Check ArbZG limits over the work history (average hours, free Sundays, substitute rest)
+    for (const engineer of checkedEngineers) {
+      for (const violation of this.workingTimeLimits.validate(schedule, engineer)) {
+        errors.push({
+          ...violation,
+          engineerId: engineer.id,
+          engineer: engineer.name,
+          message: `${engineer.name}: ${violation.message}`
+        });
+      }
+    }
+
     return { valid: errors.length === 0, errors };
   }
 
   /**
    * Calculate schedule statistics
+   * Holiday and Sunday hours are the paid hours falling on those calendar days (a Night
+   * shift on Saturday counts mostly as Sunday work), for payroll supplements. holidayWork
+   * flags each cell with holiday hours: { engineerId: { date: { holiday, hours } } }.
    */
   calculateStats(schedule) {
     const days = this.getDays();
     const stats = {
       totalShifts: {},
       coverageByDay: {},
+      coverageRequirements: {},
       engineerStats: {},
+      holidayWork: {},
       summary: {
         totalWorkShifts: 0,
         totalOffDays: 0,
         totalUnavailable: 0,
-        coverageIssues: 0
+        coverageIssues: 0,
+        holidayHours: 0,
+        sundayHours: 0
       }
     };
 
     // Initialize engineer stats
+    // Contracted hours are the weekly contract (full time if none) over the days of the period
     for (const engineer of this.engineers) {
+      const weeklyHours = engineer.contractHours || FULL_TIME_HOURS;
       stats.engineerStats[engineer.id] = {
         name: engineer.name,
         tier: engineer.tier,
@@ -1004,8 +1442,16 @@ export class Scheduler {
         totalShifts: 0,
         shiftBreakdown: {},
         offDays: 0,
-        unavailableDays: 0
+        unavailableDays: 0,
+        scheduledHours: 0,
+        contractHours: engineer.contractHours || null,
+        contractedHours: Math.round(weeklyHours * days.length / 7 * 10) / 10,
+        holidayShifts: 0,
+        holidayHours: 0,
+        sundayShifts: 0,
+        sundayHours: 0
       };
+      stats.holidayWork[engineer.id] = {};
     }
 
     // Calculate stats
@@ -1020,6 +1466,8 @@ export class Scheduler {
 
       for (const engineer of this.engineers) {
         const shift = schedule[engineer.id][dateStr];
+        stats.engineerStats[engineer.id].scheduledHours += getShiftHours(shift, day);
+        this.addSupplementHours(stats, engineer, shift, day);
 
         if (shift === SHIFTS.OFF) {
           stats.engineerStats[engineer.id].offDays++;
@@ -1031,15 +1479,82 @@ export class Scheduler {
           stats.engineerStats[engineer.id].totalShifts++;
           stats.engineerStats[engineer.id].shiftBreakdown[shift] =
             (stats.engineerStats[engineer.id].shiftBreakdown[shift] || 0) + 1;
-          stats.coverageByDay[dateStr][shift]++;
+          // Custom catalogue shifts have no coverage entry until first counted
+          stats.coverageByDay[dateStr][shift] = (stats.coverageByDay[dateStr][shift] || 0) + 1;
           stats.summary.totalWorkShifts++;
         }
       }
+
+      // Requirements from the coverage matrix; issues count core engineers like validateSchedule
+      const dayCoverage = this.getDayCoverage(day);
+      stats.coverageRequirements[dateStr] = {
+        dayType: getCoverageDayType(day, this.holidays),
+        ...dayCoverage
+      };
+      for (const shift of [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT]) {
+        const coreCoverage = this.engineers.filter(e =>
+          !e.isFloater && !e.inTraining && schedule[e.id]?.[dateStr] === shift
+        ).length;
+        const { min, max } = dayCoverage[shift];
+        if (coreCoverage < min || (max && coreCoverage > max)) {
+          stats.summary.coverageIssues++;
+        }
+      }
     }
 
+    for (const engineerStats of Object.values(stats.engineerStats)) {
+      engineerStats.holidayHours = roundHours(engineerStats.holidayHours);
+      engineerStats.sundayHours = roundHours(engineerStats.sundayHours);
+      stats.summary.holidayHours += engineerStats.holidayHours;
+      stats.summary.sundayHours += engineerStats.sundayHours;
+    }
+    stats.summary.holidayHours = roundHours(stats.summary.holidayHours);
+    stats.summary.sundayHours = roundHours(stats.summary.sundayHours);
+
     return stats;
   }
 
+  /**
+   * Add the holiday and Sunday hours of a cell to the stats of its engineer, flagging the
+   * cell as holiday work if any of its hours fall on one of the engineer's holidays
+   */
+  addSupplementHours(stats, engineer, shift, day) {
+    const engineerStats = stats.engineerStats[engineer.id];
+    let holidayHours = 0;
+    let holiday = null;
+    let sundayHours = 0;
+
+    for (const [dateStr, hours] of Object.entries(getShiftHoursByDay(shift, day))) {
+      const dayHoliday = this.getHoliday(dateStr, engineer.state);
+      if (dayHoliday) {
+        holidayHours += hours;
+        holiday = holiday || dayHoliday;
+      }
+      if (isSunday(dateStr)) sundayHours += hours;
+    }
+
+    if (holidayHours > 0) {
+      engineerStats.holidayShifts++;
+      engineerStats.holidayHours += holidayHours;
+      stats.holidayWork[engineer.id][toDateString(day)] = {
+        holiday: holiday.nameEn || holiday.name,
+        hours: roundHours(holidayHours)
+      };
+    }
+    if (sundayHours > 0) {
+      engineerStats.sundayShifts++;
+      engineerStats.sundayHours += sundayHours;
+    }
+  }
+
+  /**
+   * Weighted objective score (consistency, fairness, preference, holidays) of a schedule.
+   * Lower is better; used to compare drafts.
+   */
+  calculateObjective(schedule) {
+    return calculateObjective(this, schedule);
+  }
+
   /**
    * Get shift count for an engineer in a specific week
    */
@@ -1116,13 +1631,13 @@ export class Scheduler {
           // Check if the transition from previous day is valid
           const prevDateStr = toDateString(getPreviousDay(targetWeek[dayIndex]));
           const prevShift = schedule[engineer.id]?.[prevDateStr];
-          const violation = getTransitionViolation(prevShift, sourceShift);
+          const violation = getTransitionViolation(prevShift, sourceShift, this.getRulePack(engineer.id), targetDateStr);
 
           if (!violation) {
             schedule[engineer.id][targetDateStr] = sourceShift;
           } else if (sourceShift !== SHIFTS.OFF) {
             // Try to assign a compatible shift from the same pattern group
-            const compatibleShifts = this.getCompatibleShifts(pattern, prevShift);
+            const compatibleShifts = this.getCompatibleShifts(pattern, prevShift, this.getRulePack(engineer.id), targetDateStr);
             if (compatibleShifts.length > 0) {
               schedule[engineer.id][targetDateStr] = compatibleShifts[0];
             }
@@ -1136,15 +1651,17 @@ export class Scheduler {
 
   /**
    * Get compatible shifts based on pattern and previous shift
+   * @param {Object} pack - Rule pack of the engineer
+   * @param {Date|string} date - Day of the shift (rest from the actual shift times of both days)
    */
-  getCompatibleShifts(pattern, prevShift) {
+  getCompatibleShifts(pattern, prevShift, pack, date) {
     // Exclude Night - handled separately by NightShiftStrategy
     // Priority: Early, Late first; Morning is overflow (deprioritized)
     const allShifts = [SHIFTS.EARLY, SHIFTS.LATE, SHIFTS.MORNING];
     const compatible = [];
 
     for (const shift of allShifts) {
-      const violation = getTransitionViolation(prevShift, shift);
+      const violation = getTransitionViolation(prevShift, shift, pack, date);
       if (!violation) {
         // Prioritize shifts matching the pattern
         const matchesPattern =
@@ -1177,25 +1694,28 @@ export class Scheduler {
         shiftCounts.set(engineer.id, this.getWeekShiftCount(schedule, engineer.id, week));
       }
 
+      // Weekly minimum and target, scaled down for part-time engineers
+      const minShifts = new Map(coreEngineers.map(e => [e.id, getWeeklyShiftTarget(e, MIN_SHIFTS_PER_WEEK)]));
+
       // Find engineers with too few shifts
       const underworked = coreEngineers.filter(e => {
         const count = shiftCounts.get(e.id);
         const unavailCount = week.filter(d =>
-          schedule[e.id]?.[toDateString(d)] === SHIFTS.UNAVAILABLE
+          schedule[e.id]?.[toDateString(d)] === SHIFTS.UNAVAILABLE || !isAvailableByPattern(e, d)
         ).length;
         // Only flag if they're available enough days
-        return count < MIN_SHIFTS_PER_WEEK && (week.length - unavailCount) >= MIN_SHIFTS_PER_WEEK;
+        return count < minShifts.get(e.id) && (week.length - unavailCount) >= minShifts.get(e.id);
       });
 
       // Find engineers with too many shifts
       const overworked = coreEngineers.filter(e =>
-        shiftCounts.get(e.id) > TARGET_SHIFTS_PER_WEEK
+        shiftCounts.get(e.id) > getWeeklyShiftTarget(e, TARGET_SHIFTS_PER_WEEK)
       );
 
       // Try to rebalance
       for (const under of underworked) {
         const underCount = shiftCounts.get(under.id);
-        const needed = MIN_SHIFTS_PER_WEEK - underCount;
+        const needed = minShifts.get(under.id) - underCount;
 
         for (let i = 0; i < needed && overworked.length > 0; i++) {
           // Find a day where we can swap
@@ -1207,18 +1727,28 @@ export class Scheduler {
             if (underShift !== null && underShift !== undefined) continue;
             if (underShift === SHIFTS.UNAVAILABLE) continue;
 
-            // Find an overworked engineer with a shift on this day
-            for (const over of overworked) {
+            // Find an overworked engineer with a shift on this day - with a fairness
+            // ledger, the one who carried most of this kind of shift in past months first
+            const donors = this.fairnessLedger
+              ? [...overworked].sort((a, b) =>
+                  this.getHistoryAdjustment(a, schedule[a.id]?.[dateStr], day) -
+                  this.getHistoryAdjustment(b, schedule[b.id]?.[dateStr], day))
+              : overworked;
+            for (const over of donors) {
               const overShift = schedule[over.id]?.[dateStr];
               if (!overShift || overShift === SHIFTS.OFF || overShift === SHIFTS.UNAVAILABLE) continue;
+              if (this.isLocked(over.id, dateStr)) continue;
+              if (this.conflictsWithLockedNext(under.id, day, overShift)) continue;
+              if (this.breaksSkillCoverage(schedule, over, day, overShift, under)) continue;
 
               // Check if underworked can take this shift (including cross-month boundary)
               const prevDateStr = toDateString(getPreviousDay(day));
               const prevShift = this.getShiftWithPrevMonth(schedule, under.id, prevDateStr);
-              const violation = getTransitionViolation(prevShift, overShift);
+              const violation = getTransitionViolation(prevShift, overShift, this.getRulePack(under.id), day);
 
-              // CRITICAL: Check preferences before swapping
+              // CRITICAL: Check preferences and contract hours before swapping
               if (!this.canWorkShift(under, overShift, day)) continue;
+              if (this.exceedsWorkingTimeLimits(schedule, under, day, overShift)) continue;
 
               if (!violation) {
                 // Swap: give shift to underworked, give OFF to overworked
@@ -1231,11 +1761,11 @@ export class Scheduler {
             }
 
             // Check if we've reached minimum
-            if (shiftCounts.get(under.id) >= MIN_SHIFTS_PER_WEEK) break;
+            if (shiftCounts.get(under.id) >= minShifts.get(under.id)) break;
           }
         }
 
-        if (shiftCounts.get(under.id) < MIN_SHIFTS_PER_WEEK) {
+        if (shiftCounts.get(under.id) < minShifts.get(under.id)) {
           warnings.push({
             type: 'workload_imbalance',
             engineer: under.name,
@@ -1298,7 +1828,8 @@ export class Scheduler {
             const shift2 = schedule[engineer.id]?.[dateStr2];
 
             // If one is OFF and one is a work shift, try to swap to make consecutive
-            if (shift1 === SHIFTS.OFF && shift2 && shift2 !== SHIFTS.OFF && shift2 !== SHIFTS.UNAVAILABLE) {
+            if (shift1 === SHIFTS.OFF && shift2 && shift2 !== SHIFTS.OFF && shift2 !== SHIFTS.UNAVAILABLE &&
+                !this.isLocked(engineer.id, dateStr2)) {
               // Look for another day to swap shift2 to
               for (const swapDay of week) {
                 const swapDateStr = toDateString(swapDay);
@@ -1309,14 +1840,23 @@ export class Scheduler {
                   // Check transition validity
                   const prevDateStr = toDateString(getPreviousDay(swapDay));
                   const prevShift = schedule[engineer.id]?.[prevDateStr];
-                  const violation = getTransitionViolation(prevShift, shift2);
+                  const violation = getTransitionViolation(prevShift, shift2, this.getRulePack(engineer.id), swapDay);
 
                   // Check preference before swapping
                   if (!this.canWorkShift(engineer, shift2, swapDay)) continue;
+                  if (this.conflictsWithLockedNext(engineer.id, swapDay, shift2)) continue;
+                  if (this.workingTimeLimits.exceeds(schedule, engineer, swapDay, shift2)) continue;
 
                   if (!violation) {
                     schedule[engineer.id][swapDateStr] = shift2;
                     schedule[engineer.id][dateStr2] = SHIFTS.OFF;
+
+                    // The same shift can be longer on another day - stay within contract hours
+                    if (engineer.contractHours && getWeeklyHours(schedule, engineer.id, week) > engineer.contractHours) {
+                      schedule[engineer.id][swapDateStr] = swapShift;
+                      schedule[engineer.id][dateStr2] = shift2;
+                      continue;
+                    }
                     fixes.push({
                       engineer: engineer.name,
                       action: 'consecutive_off_fix',
@@ -1343,13 +1883,14 @@ export class Scheduler {
       }
     }
 
-    // 2. Check for consecutive work days > 6 (including previous month's trailing days)
+    // 2. Check for consecutive work days beyond the rule pack limit (including previous month's trailing days)
     for (const engineer of this.engineers) {
       // Start with previous month's trailing work days
       let consecutiveCount = this.getPrevMonthTrailingWorkDays(engineer.id);
       let streakStart = null;
 
-      for (const day of days) {
+      for (let dayIndex = 0; dayIndex < days.length; dayIndex++) {
+        const day = days[dayIndex];
         const dateStr = toDateString(day);
         const shift = schedule[engineer.id]?.[dateStr];
 
@@ -1357,14 +1898,19 @@ export class Scheduler {
           if (consecutiveCount === 0) streakStart = day;
           consecutiveCount++;
 
-          if (consecutiveCount > ArbZG.MAX_CONSECUTIVE_WORK_DAYS) {
-            // Try to insert an OFF day
-            const fixDateStr = toDateString(day);
-            const prevDateStr = toDateString(getPreviousDay(day));
+          if (consecutiveCount > this.getRulePack(engineer.id).maxConsecutiveWorkDays) {
+            // Insert an OFF day on the current day, or the latest unlocked day of the streak
+            let fixIndex = dayIndex;
+            while (fixIndex > dayIndex - consecutiveCount && fixIndex >= 0 &&
+                   this.isLocked(engineer.id, days[fixIndex])) {
+              fixIndex--;
+            }
+            // Whole streak locked - leave it for validation to report
+            if (fixIndex < 0 || fixIndex <= dayIndex - consecutiveCount) continue;
 
-            // Change current day to OFF if possible
+            const fixDateStr = toDateString(days[fixIndex]);
             schedule[engineer.id][fixDateStr] = SHIFTS.OFF;
-            consecutiveCount = 0;
+            consecutiveCount = dayIndex - fixIndex;
             fixes.push({
               engineer: engineer.name,
               action: 'consecutive_work_fix',
@@ -1386,12 +1932,15 @@ export class Scheduler {
         const prevMonthLastDateStr = toDateString(getPreviousDay(days[0]));
         const prevMonthLastShift = this.getShiftWithPrevMonth(schedule, engineer.id, prevMonthLastDateStr);
 
-        if (prevMonthLastShift) {
-          const crossViolation = getTransitionViolation(prevMonthLastShift, firstShift);
+        if (prevMonthLastShift && !this.isLocked(engineer.id, firstDateStr)) {
+          const crossViolation = getTransitionViolation(prevMonthLastShift, firstShift, this.getRulePack(engineer.id), firstDateStr);
           if (crossViolation) {
-            const compatible = this.getCompatibleShifts(null, prevMonthLastShift);
+            const compatible = this.getCompatibleShifts(null, prevMonthLastShift, this.getRulePack(engineer.id), firstDateStr);
             // Filter compatible shifts by engineer preferences
-            const preferenceCompatible = compatible.filter(s => this.canWorkShift(engineer, s, days[0]));
+            const preferenceCompatible = compatible.filter(s =>
+              this.canWorkShift(engineer, s, days[0]) && !this.conflictsWithLockedNext(engineer.id, days[0], s) &&
+              !this.exceedsWorkingTimeLimits(schedule, engineer, days[0], s)
+            );
             if (preferenceCompatible.length > 0 && preferenceCompatible[0] !== firstShift) {
               schedule[engineer.id][firstDateStr] = preferenceCompatible[0];
               fixes.push({
@@ -1417,12 +1966,25 @@ export class Scheduler {
         const prevShift = schedule[engineer.id]?.[prevDateStr];
         const currShift = schedule[engineer.id]?.[currDateStr];
 
-        const violation = getTransitionViolation(prevShift, currShift);
-        if (violation) {
+        const violation = getTransitionViolation(prevShift, currShift, this.getRulePack(engineer.id), currDateStr);
+        if (violation && this.isLocked(engineer.id, currDateStr)) {
+          // Locked cell stays - give the previous day OFF instead (unless that is locked too)
+          if (!this.isLocked(engineer.id, prevDateStr)) {
+            schedule[engineer.id][prevDateStr] = SHIFTS.OFF;
+            fixes.push({
+              engineer: engineer.name,
+              action: 'transition_fix_off',
+              message: `Changed ${prevDateStr} to OFF for ${engineer.name} to fix ${prevShift}→${currShift} violation before a locked shift`
+            });
+          }
+        } else if (violation) {
           // Try to fix by changing current shift to OFF or a compatible shift
-          const compatible = this.getCompatibleShifts(null, prevShift);
+          const compatible = this.getCompatibleShifts(null, prevShift, this.getRulePack(engineer.id), currDateStr);
           // Filter compatible shifts by engineer preferences
-          const preferenceCompatible = compatible.filter(s => this.canWorkShift(engineer, s, days[i]));
+          const preferenceCompatible = compatible.filter(s =>
+            this.canWorkShift(engineer, s, days[i]) && !this.conflictsWithLockedNext(engineer.id, days[i], s) &&
+            !this.exceedsWorkingTimeLimits(schedule, engineer, days[i], s)
+          );
           if (preferenceCompatible.length > 0 && preferenceCompatible[0] !== currShift) {
             schedule[engineer.id][currDateStr] = preferenceCompatible[0];
             fixes.push({
@@ -1442,6 +2004,28 @@ export class Scheduler {
       }
     }
 
+    // 4. Check night series of the rule pack (nights in a row, rest after a series) - OFF days
+    // inserted above can end a series too early
+    const dateStrs = days.map(toDateString);
+    for (const engineer of this.engineers) {
+      const pack = this.getRulePack(engineer.id);
+      if (!pack.night.maxConsecutiveNights && !pack.night.seriesRest) continue;
+
+      const shiftOn = dateStr => schedule[engineer.id]?.[dateStr];
+      for (let attempt = 0; attempt < days.length; attempt++) {
+        const violation = validateNightSeries(shiftOn, dateStrs, pack)
+          .find(v => !this.isLocked(engineer.id, v.date));
+        if (!violation) break;
+
+        schedule[engineer.id][violation.date] = SHIFTS.OFF;
+        fixes.push({
+          engineer: engineer.name,
+          action: 'night_series_fix',
+          message: `Changed ${violation.date} to OFF for ${engineer.name}: ${violation.message}`
+        });
+      }
+    }
+
     return { schedule, fixes, warnings };
   }
 
@@ -1455,6 +2039,7 @@ export class Scheduler {
       e.type === 'coverage_failure' || e.type === 'coverage_violation'
     );
     const offDayErrors = errors.filter(e => e.type === 'off_day_violation');
+    const skillErrors = errors.filter(e => e.type === 'skill_coverage');
     const laborLawErrors = errors.filter(e =>
       e.type === 'ARBZG_CONSECUTIVE_DAYS' || e.type === 'ARBZG_REST_PERIOD'
     );
@@ -1488,6 +2073,17 @@ export class Scheduler {
       });
     }
 
+    if (skillErrors.length > 0) {
+      const affectedShifts = [...new Set(skillErrors.map(e => e.shift))];
+      options.push({
+        id: 'review_skills',
+        title: 'Review Skill Requirements',
+        description: `Not enough qualified engineers for ${affectedShifts.join(', ')} shifts - add skills to engineers or relax the skill requirements`,
+        impact: 'Some shifts run without the required skill or tier',
+        severity: 'high'
+      });
+    }
+
     if (laborLawErrors.length > 0) {
       options.push({
         id: 'labor_law_review',
@@ -1512,7 +2108,8 @@ export class Scheduler {
   /**
    * Fill any remaining null slots intelligently
    * 1. First: Fill coverage gaps (under minimum)
-   * 2. Second: Ensure all engineers reach TARGET_SHIFTS_PER_WEEK (5)
+   * 2. Second: Ensure all engineers reach their weekly target (TARGET_SHIFTS_PER_WEEK,
+   *    scaled down by contract hours for part-time engineers)
    * 3. Third: Fill remaining nulls with OFF
    */
   fillNullSlots(schedule) {
@@ -1536,8 +2133,7 @@ export class Scheduler {
 
       for (const day of week) {
         const dateStr = toDateString(day);
-        const isWknd = isWeekend(day);
-        const dayCoverage = isWknd ? this.coverage.weekend : this.coverage.weekday;
+        const dayCoverage = this.getDayCoverage(day);
 
         // Priority: Early, Late first; Morning is overflow (deprioritized)
         for (const shift of [SHIFTS.EARLY, SHIFTS.LATE, SHIFTS.MORNING]) {
@@ -1545,7 +2141,7 @@ export class Scheduler {
             filled[e.id][dateStr] === shift
           ).length;
 
-          const minRequired = dayCoverage[shift]?.min || 2;
+          const minRequired = dayCoverage[shift]?.min ?? 2;
 
           if (currentCoverage < minRequired) {
             const candidates = shuffleArray(coreEngineers.filter(engineer => {
@@ -1554,12 +2150,14 @@ export class Scheduler {
 
               const prevDateStr = toDateString(getPreviousDay(day));
               const prevShift = this.getShiftWithPrevMonth(filled, engineer.id, prevDateStr);
-              const violation = getTransitionViolation(prevShift, shift);
+              const violation = getTransitionViolation(prevShift, shift, this.getRulePack(engineer.id), day);
               if (violation) return false;
+              if (this.conflictsWithLockedNext(engineer.id, day, shift)) return false;
 
+              const maxConsecutive = this.getRulePack(engineer.id).maxConsecutiveWorkDays;
               let consecutive = 0;
               const dayIdx = days.indexOf(day);
-              for (let i = dayIdx - 1; i >= 0 && consecutive < 6; i--) {
+              for (let i = dayIdx - 1; i >= 0 && consecutive < maxConsecutive; i--) {
                 const checkDateStr = toDateString(days[i]);
                 const checkShift = filled[engineer.id]?.[checkDateStr];
                 if (checkShift && checkShift !== SHIFTS.OFF && checkShift !== SHIFTS.UNAVAILABLE) {
@@ -1568,19 +2166,20 @@ export class Scheduler {
                   break;
                 }
               }
-              if (dayIdx - consecutive <= 0 && consecutive < 6) {
+              if (dayIdx - consecutive <= 0 && consecutive < maxConsecutive) {
                 consecutive += this.getPrevMonthTrailingWorkDays(engineer.id);
               }
-              if (consecutive >= 6) return false;
+              if (consecutive >= maxConsecutive) return false;
 
               if (!this.canWorkShift(engineer, shift, day)) return false;
+              if (this.exceedsWorkingTimeLimits(filled, engineer, day, shift)) return false;
               return true;
-            })).sort((a, b) => shiftCounts.get(a.id) - shiftCounts.get(b.id));
+            }), this.random).sort((a, b) => shiftCounts.get(a.id) - shiftCounts.get(b.id));
 
             let filledCount = currentCoverage;
             for (const engineer of candidates) {
               if (filledCount >= minRequired) break;
-              if (shiftCounts.get(engineer.id) >= ArbZG.MAX_CONSECUTIVE_WORK_DAYS) continue;
+              if (shiftCounts.get(engineer.id) >= this.getRulePack(engineer.id).maxConsecutiveWorkDays) continue;
 
               filled[engineer.id][dateStr] = shift;
               shiftCounts.set(engineer.id, shiftCounts.get(engineer.id) + 1);
@@ -1591,7 +2190,7 @@ export class Scheduler {
       }
     }
 
-    // Second pass: Ensure engineers reach TARGET_SHIFTS_PER_WEEK (5 shifts)
+    // Second pass: Ensure engineers reach their weekly target (5 shifts at full time)
     // This prevents engineers from having too many OFF days
     for (const week of weeks) {
       const shiftCounts = new Map();
@@ -1608,7 +2207,11 @@ export class Scheduler {
           filled[engineer.id]?.[toDateString(d)] === SHIFTS.UNAVAILABLE
         ).length;
         const maxPossible = week.length - unavailCount;
-        const adjustedTarget = Math.min(targetShifts, maxPossible - 2); // Leave room for 2 OFF
+        const adjustedTarget = Math.min(
+          targetShifts,
+          getWeeklyShiftTarget(engineer, TARGET_SHIFTS_PER_WEEK),
+          maxPossible - this.minOffDays // Leave room for OFF days
+        );
 
         if (currentShifts >= adjustedTarget) continue;
 
@@ -1623,9 +2226,10 @@ export class Scheduler {
           const prevDateStr = toDateString(getPreviousDay(day));
           const prevShift = this.getShiftWithPrevMonth(filled, engineer.id, prevDateStr);
 
+          const maxConsecutive = this.getRulePack(engineer.id).maxConsecutiveWorkDays;
           let consecutive = 0;
           const dayIdx = days.indexOf(day);
-          for (let i = dayIdx - 1; i >= 0 && consecutive < 6; i--) {
+          for (let i = dayIdx - 1; i >= 0 && consecutive < maxConsecutive; i--) {
             const checkDateStr = toDateString(days[i]);
             const checkShift = filled[engineer.id]?.[checkDateStr];
             if (checkShift && checkShift !== SHIFTS.OFF && checkShift !== SHIFTS.UNAVAILABLE) {
@@ -1634,20 +2238,19 @@ export class Scheduler {
               break;
             }
           }
-          if (dayIdx - consecutive <= 0 && consecutive < 6) {
+          if (dayIdx - consecutive <= 0 && consecutive < maxConsecutive) {
             consecutive += this.getPrevMonthTrailingWorkDays(engineer.id);
           }
-          if (consecutive >= 6) continue;
+          if (consecutive >= maxConsecutive) continue;
 
-          const isWknd = isWeekend(day);
-          const dayCoverage = isWknd ? this.coverage.weekend : this.coverage.weekday;
+          const dayCoverage = this.getDayCoverage(day);
 
           // Check current coverage for prioritization - Morning is overflow only
           const earlyCoverage = coreEngineers.filter(e => filled[e.id][dateStr] === SHIFTS.EARLY).length;
           const lateCoverage = coreEngineers.filter(e => filled[e.id][dateStr] === SHIFTS.LATE).length;
-          const earlyPreferred = dayCoverage[SHIFTS.EARLY]?.preferred || dayCoverage[SHIFTS.EARLY]?.min || 3;
-          const latePreferred = dayCoverage[SHIFTS.LATE]?.preferred || dayCoverage[SHIFTS.LATE]?.min || 3;
-          const morningMin = dayCoverage[SHIFTS.MORNING]?.min || 2;
+          const earlyPreferred = dayCoverage[SHIFTS.EARLY]?.preferred ?? dayCoverage[SHIFTS.EARLY]?.min ?? 3;
+          const latePreferred = dayCoverage[SHIFTS.LATE]?.preferred ?? dayCoverage[SHIFTS.LATE]?.min ?? 3;
+          const morningMin = dayCoverage[SHIFTS.MORNING]?.min ?? 2;
 
           // Morning is only available if Early and Late are at preferred levels
           const morningAvailable = earlyCoverage >= earlyPreferred && lateCoverage >= latePreferred;
@@ -1657,9 +2260,11 @@ export class Scheduler {
 
           // Find a shift they can work (Early/Late preferred, Morning only if others full)
           for (const shift of availableShifts) {
-            const violation = getTransitionViolation(prevShift, shift);
+            const violation = getTransitionViolation(prevShift, shift, this.getRulePack(engineer.id), day);
             if (violation) continue;
+            if (this.conflictsWithLockedNext(engineer.id, day, shift)) continue;
             if (!this.canWorkShift(engineer, shift, day)) continue;
+            if (this.exceedsWorkingTimeLimits(filled, engineer, day, shift)) continue;
 
             const currentCoverage = coreEngineers.filter(e =>
               filled[e.id][dateStr] === shift
@@ -1668,7 +2273,7 @@ export class Scheduler {
             // For Morning, only allow up to min; for Early/Late allow more
             const maxAllowed = shift === SHIFTS.MORNING
               ? morningMin
-              : (dayCoverage[shift]?.preferred || dayCoverage[shift]?.min || 3) + 1;
+              : (dayCoverage[shift]?.preferred ?? dayCoverage[shift]?.min ?? 3) + 1;
 
             if (currentCoverage < maxAllowed) {
               filled[engineer.id][dateStr] = shift;
@@ -1693,24 +2298,49 @@ export class Scheduler {
     return filled;
   }
 
+  /**
+   * Length of the work streak that includes a date (including previous month's trailing days)
+   */
+  getWorkStreakAt(schedule, engineerId, dateStr) {
+    const days = this.getDays();
+    const isWork = (day) => {
+      const shift = schedule[engineerId]?.[toDateString(day)];
+      return shift && shift !== SHIFTS.OFF && shift !== SHIFTS.UNAVAILABLE;
+    };
+
+    const index = days.findIndex(d => toDateString(d) === dateStr);
+    if (index < 0 || !isWork(days[index])) return 0;
+
+    let start = index;
+    while (start > 0 && isWork(days[start - 1])) start--;
+    let end = index;
+    while (end < days.length - 1 && isWork(days[end + 1])) end++;
+
+    let streak = end - start + 1;
+    if (start === 0) streak += this.getPrevMonthTrailingWorkDays(engineerId);
+    return streak;
+  }
+
   /**
    * Aggressive coverage repair pass
    * Tries to fix remaining coverage gaps by:
    * 1. Finding engineers with OFF on under-covered days
    * 2. Moving their OFF day to a different day in the same week
    * 3. Assigning them to the under-covered shift
+   * @param {Object} options
+   * @param {Array} options.days - Only repair gaps on these days (default: whole month)
    */
-  repairCoverageGaps(schedule) {
+  repairCoverageGaps(schedule, options = {}) {
     const days = this.getDays();
     const weeks = this.getWeeksInMonth();
     const coreEngineers = this.engineers.filter(e => !e.isFloater && !e.inTraining);
+    const gapDays = options.days || days;
     let repairCount = 0;
 
     // Find all coverage gaps
-    for (const day of days) {
+    for (const day of gapDays) {
       const dateStr = toDateString(day);
-      const isWknd = isWeekend(day);
-      const dayCoverage = isWknd ? this.coverage.weekend : this.coverage.weekday;
+      const dayCoverage = this.getDayCoverage(day);
 
       // Check each shift for coverage gaps (Early, Late first, Morning deprioritized, then Night)
       for (const shift of [SHIFTS.EARLY, SHIFTS.LATE, SHIFTS.MORNING, SHIFTS.NIGHT]) {
@@ -1718,7 +2348,7 @@ export class Scheduler {
           schedule[e.id][dateStr] === shift
         ).length;
 
-        const minRequired = dayCoverage[shift]?.min || 2;
+        const minRequired = dayCoverage[shift]?.min ?? 2;
 
         if (currentCoverage >= minRequired) continue;
 
@@ -1730,6 +2360,7 @@ export class Scheduler {
         // Find engineers with OFF on this day who could work this shift
         const candidates = coreEngineers.filter(eng => {
           if (schedule[eng.id][dateStr] !== SHIFTS.OFF) return false;
+          if (this.isLocked(eng.id, dateStr)) return false;
 
           // Check if they can work this shift (preferences)
           if (!this.canWorkShift(eng, shift, day)) return false;
@@ -1737,15 +2368,19 @@ export class Scheduler {
           // Check transition validity
           const prevDateStr = toDateString(getPreviousDay(day));
           const prevShift = this.getShiftWithPrevMonth(schedule, eng.id, prevDateStr);
-          const violation = getTransitionViolation(prevShift, shift);
+          const violation = getTransitionViolation(prevShift, shift, this.getRulePack(eng.id), day);
           if (violation) return false;
 
+          // Check the ArbZG limits over the work history (the shift given up on the
+          // alternative day is not subtracted, so this errs on the safe side)
+          if (this.workingTimeLimits.exceeds(schedule, eng, day, shift)) return false;
+
           // Check next day transition
-          const nextDay = days[days.indexOf(day) + 1];
+          const nextDay = days[days.findIndex(d => toDateString(d) === dateStr) + 1];
           if (nextDay) {
             const nextDateStr = toDateString(nextDay);
             const nextShift = schedule[eng.id][nextDateStr];
-            const nextViolation = getTransitionViolation(shift, nextShift);
+            const nextViolation = getTransitionViolation(shift, nextShift, this.getRulePack(eng.id), nextDateStr);
             if (nextViolation) return false;
           }
 
@@ -1758,17 +2393,17 @@ export class Scheduler {
 
           // Find an alternative day in the same week to move their OFF to
           let moved = false;
-          for (const altDay of shuffleArray([...week])) {
+          for (const altDay of shuffleArray([...week], this.random)) {
             const altDateStr = toDateString(altDay);
             if (altDateStr === dateStr) continue;
+            if (this.isLocked(engineer.id, altDateStr)) continue;
 
             const altShift = schedule[engineer.id][altDateStr];
             // Must have a work shift we can convert to OFF
             if (!altShift || altShift === SHIFTS.OFF || altShift === SHIFTS.UNAVAILABLE) continue;
 
             // Check if converting this day to OFF would hurt coverage
-            const altIsWknd = isWeekend(altDay);
-            const altDayCoverage = altIsWknd ? this.coverage.weekend : this.coverage.weekday;
+            const altDayCoverage = this.getDayCoverage(altDay);
             const altCoverage = coreEngineers.filter(e =>
               schedule[e.id][altDateStr] === altShift
             ).length;
@@ -1807,6 +2442,16 @@ export class Scheduler {
             // Perform the swap
             schedule[engineer.id][dateStr] = shift;
             schedule[engineer.id][altDateStr] = SHIFTS.OFF;
+
+            // Undo if working the gap day creates a streak longer than ArbZG allows,
+            // or takes a part-time engineer over their contract hours
+            if (this.getWorkStreakAt(schedule, engineer.id, dateStr) > this.getRulePack(engineer.id).maxConsecutiveWorkDays ||
+                (engineer.contractHours && getWeeklyHours(schedule, engineer.id, week) > engineer.contractHours)) {
+              schedule[engineer.id][dateStr] = SHIFTS.OFF;
+              schedule[engineer.id][altDateStr] = altShift;
+              continue;
+            }
+
             moved = true;
             repairCount++;
             break;
@@ -1833,6 +2478,98 @@ export class Scheduler {
     return schedule;
   }
 
+  /**
+   * Incremental repair of a published schedule after new unavailability (e.g. a sick call).
+   * The affected cells become UNAVAILABLE and the resulting coverage gaps on those dates are
+   * repaired with the repairCoverageGaps swap logic. Only cells within REPAIR_WINDOW_DAYS of an
+   * affected date may change; everything further away and the cells locked by the manager stay
+   * as they are (an affected cell becomes unavailable even if it was locked).
+   *
+   * @param {Object} schedule - Current schedule data (not modified)
+   * @param {Array} affected - Cells that became unavailable: [{ engineerId, date }]
+   * @returns {{ schedule: Object, changes: Array, errors: Array, window: Object }}
+   */
+  repairSchedule(schedule, affected) {
+    const days = this.getDays();
+    const repaired = {};
+    for (const engineer of this.engineers) {
+      repaired[engineer.id] = { ...(schedule[engineer.id] || {}) };
+    }
+
+    const dayIndex = new Map(days.map((d, i) => [toDateString(d), i]));
+    const affectedCells = affected.filter(c => repaired[c.engineerId] && dayIndex.has(c.date));
+
+    // Mark the new unavailability (predetermined off days count as OFF, like initializeSchedule)
+    for (const { engineerId, date } of affectedCells) {
+      const engineer = this.engineers.find(e => e.id === engineerId);
+      repaired[engineerId][date] = this.isPredeterminedOff(engineer, date) ? SHIFTS.OFF : SHIFTS.UNAVAILABLE;
+    }
+
+    // Repair window: affected dates +/- REPAIR_WINDOW_DAYS
+    const windowIndexes = new Set();
+    for (const { date } of affectedCells) {
+      const index = dayIndex.get(date);
+      for (let i = index - REPAIR_WINDOW_DAYS; i <= index + REPAIR_WINDOW_DAYS; i++) {
+        if (i >= 0 && i < days.length) windowIndexes.add(i);
+      }
+    }
+
+    // Lock everything outside the window plus the affected cells themselves, on top of the
+    // manager's locks
+    const previousLocks = this.lockedCells;
+    const lockedCells = {};
+    for (const engineer of this.engineers) {
+      lockedCells[engineer.id] = { ...(previousLocks[engineer.id] || {}) };
+      days.forEach((day, i) => {
+        const dateStr = toDateString(day);
+        if (!windowIndexes.has(i)) lockedCells[engineer.id][dateStr] = repaired[engineer.id][dateStr];
+      });
+    }
+    for (const { engineerId, date } of affectedCells) {
+      lockedCells[engineerId][date] = repaired[engineerId][date];
+    }
+
+    // Only dates where a work shift was lost need repair
+    const isWork = shift => shift && shift !== SHIFTS.OFF && shift !== SHIFTS.UNAVAILABLE;
+    const gapDates = new Set(affectedCells
+      .filter(c => isWork(schedule[c.engineerId]?.[c.date]))
+      .map(c => c.date));
+
+    this.lockedCells = lockedCells;
+    this.repairCoverageGaps(repaired, { days: [...gapDates].map(date => days[dayIndex.get(date)]) });
+    this.assignMentorShadowing(repaired);
+    this.lockedCells = previousLocks;
+
+    // Diff against the original schedule
+    const changes = [];
+    for (const engineer of this.engineers) {
+      for (const day of days) {
+        const dateStr = toDateString(day);
+        const oldShift = schedule[engineer.id]?.[dateStr] ?? null;
+        const newShift = repaired[engineer.id][dateStr] ?? null;
+        if (oldShift !== newShift) {
+          changes.push({ engineerId: engineer.id, engineerName: engineer.name, date: dateStr, oldShift, newShift });
+        }
+      }
+    }
+
+    // Report new issues inside the repair window that could not be repaired
+    const windowDates = new Set([...windowIndexes].map(i => toDateString(days[i])));
+    const existing = new Set(this.validateSchedule(schedule).errors.map(e => e.message));
+    const errors = this.validateSchedule(repaired).errors
+      .filter(e => windowDates.has(e.date) && !existing.has(e.message));
+
+    const sortedIndexes = [...windowIndexes].sort((a, b) => a - b);
+    return {
+      schedule: repaired,
+      changes: changes.sort((a, b) => a.date.localeCompare(b.date)),
+      errors,
+      window: sortedIndexes.length > 0
+        ? { start: toDateString(days[sortedIndexes[0]]), end: toDateString(days[sortedIndexes[sortedIndexes.length - 1]]) }
+        : null
+    };
+  }
+
   /**
    * Generate schedule for a single week
    */
@@ -1848,12 +2585,11 @@ export class Scheduler {
     // Day shifts for this week
     for (const day of weekDays) {
       const dateStr = toDateString(day);
-      const isWknd = isWeekend(day);
-      const dayCoverage = isWknd ? this.coverage.weekend : this.coverage.weekday;
+      const dayCoverage = this.getDayCoverage(day);
 
       // Assign Early first, then Late; Morning is deprioritized (overflow only)
       for (const shift of [SHIFTS.EARLY, SHIFTS.LATE, SHIFTS.MORNING]) {
-        const minRequired = dayCoverage[shift]?.min || 2;
+        const minRequired = dayCoverage[shift]?.min ?? 2;
 
         // Get eligible engineers for this shift
         const eligible = shuffleArray(coreEngineers.filter(engineer => {
@@ -1864,13 +2600,15 @@ export class Scheduler {
           // Check transition validity (including cross-month boundary)
           const prevDateStr = toDateString(getPreviousDay(day));
           const prevShift = this.getShiftWithPrevMonth(schedule, engineer.id, prevDateStr);
-          const violation = getTransitionViolation(prevShift, shift);
+          const violation = getTransitionViolation(prevShift, shift, this.getRulePack(engineer.id), day);
           if (violation) return false;
+          if (this.conflictsWithLockedNext(engineer.id, day, shift)) return false;
 
           // Check consecutive work days (including previous month's trailing days)
+          const maxConsecutive = this.getRulePack(engineer.id).maxConsecutiveWorkDays;
           let consecutive = 0;
           const dayIndex = days.findIndex(d => toDateString(d) === dateStr);
-          for (let i = dayIndex - 1; i >= 0 && consecutive < 6; i--) {
+          for (let i = dayIndex - 1; i >= 0 && consecutive < maxConsecutive; i--) {
             const checkDateStr = toDateString(days[i]);
             const checkShift = schedule[engineer.id]?.[checkDateStr];
             if (checkShift && checkShift !== SHIFTS.OFF && checkShift !== SHIFTS.UNAVAILABLE) {
@@ -1880,21 +2618,24 @@ export class Scheduler {
             }
           }
           // If we reached the start of the month without a break, add previous month trailing days
-          if (dayIndex - consecutive <= 0 && consecutive < 6) {
+          if (dayIndex - consecutive <= 0 && consecutive < maxConsecutive) {
             consecutive += this.getPrevMonthTrailingWorkDays(engineer.id);
           }
-          // German law allows up to 6 consecutive work days (ArbZG.MAX_CONSECUTIVE_WORK_DAYS)
-          if (consecutive >= 6) return false;
+          // Consecutive work day limit of the engineer's rule pack
+          if (consecutive >= maxConsecutive) return false;
 
           // Check if engineer can work this shift based on preferences
           if (!this.canWorkShift(engineer, shift, day)) return false;
 
+          // Contract hours are a hard limit (part-time engineers)
+          if (this.exceedsWorkingTimeLimits(schedule, engineer, day, shift)) return false;
+
           return true;
-        }));
+        }), this.random);
 
         // Score and sort engineers
         const scored = eligible.map(engineer => {
-          let score = 0;
+          const factors = { consistency: 0, preference: 0, workload: 0, tier: 0, history: 0, tieBreak: 0 };
 
           // Consistency bonus: prefer engineers who match their pattern
           if (weekIndex > 0) {
@@ -1903,42 +2644,63 @@ export class Scheduler {
               (pattern === 'day_early' && SHIFT_GROUPS.day_early.includes(shift)) ||
               (pattern === 'day_late' && SHIFT_GROUPS.day_late.includes(shift)) ||
               (pattern === 'night' && SHIFT_GROUPS.night.includes(shift));
-            if (matchesPattern) score += 30;
+            if (matchesPattern) factors.consistency = 30;
           }
 
           // Preference bonus
-          if (engineer.preferences?.includes(shift)) score += 15;
+          if (engineer.preferences?.includes(shift)) factors.preference = 15;
 
           // Workload balance: favor engineers with fewer shifts this week
           const weekShiftCount = this.getWeekShiftCount(schedule, engineer.id, week);
-          score -= weekShiftCount * 10;
+          factors.workload = -weekShiftCount * 10;
 
           // T1 tier bonus
-          if (engineer.tier === 'T1') score += 5;
+          if (engineer.tier === 'T1') factors.tier = 5;
+
+          // Long-term fairness: engineers who carried more lates/weekends/holidays give way
+          factors.history = this.getHistoryAdjustment(engineer, shift, day);
 
           // Add small random factor for tie-breaking
-          score += Math.random() * 2;
+          factors.tieBreak = this.random() * 2;
 
-          return { engineer, score };
+          const score = Object.values(factors).reduce((sum, value) => sum + value, 0);
+          return { engineer, score, factors };
         }).sort((a, b) => b.score - a.score);
 
-        // Assign shifts - first pass with normal weekly limit
-        let assigned = 0;
-        for (const { engineer } of scored) {
+        // Skill requirements first: the best-scored engineers who fill an unmet
+        // requirement (e.g. a T1 or a skill) move to the front
+        const ordered = orderBySkillRequirements(
+          scored,
+          this.getSkillRequirements(day, shift),
+          this.engineers.filter(e => schedule[e.id]?.[dateStr] === shift)
+        );
+
+        // Assign shifts - first pass with the engineer's weekly target (up to the legal maximum
+        // for engineers needed for a skill requirement)
+        // (locked cells already on this shift count toward the minimum)
+        let assigned = this.countShiftCoverage(schedule, coreEngineers, dateStr, shift);
+        const chosen = [];
+        for (const candidate of ordered) {
           if (assigned >= minRequired) break;
+          const { engineer } = candidate;
 
           // Check week shift limit
           const weekShifts = this.getWeekShiftCount(schedule, engineer.id, week);
-          if (weekShifts >= TARGET_SHIFTS_PER_WEEK) continue;
+          const weekLimit = candidate.requirement
+            ? this.getRulePack(engineer.id).maxConsecutiveWorkDays
+            : getWeeklyShiftTarget(engineer, TARGET_SHIFTS_PER_WEEK);
+          if (weekShifts >= weekLimit) continue;
 
           schedule[engineer.id][dateStr] = shift;
           assigned++;
+          chosen.push({ candidate, overflow: false });
         }
 
         // Overflow pass: if coverage still not met, allow up to 6 shifts/week (legal max)
         if (assigned < minRequired) {
-          for (const { engineer } of scored) {
+          for (const candidate of ordered) {
             if (assigned >= minRequired) break;
+            const { engineer } = candidate;
 
             // Skip already-assigned engineers
             if (schedule[engineer.id]?.[dateStr] === shift) continue;
@@ -1946,13 +2708,18 @@ export class Scheduler {
 
             const weekShifts = this.getWeekShiftCount(schedule, engineer.id, week);
             // Allow up to 6 shifts/week (German law max) for coverage needs
-            if (weekShifts >= ArbZG.MAX_CONSECUTIVE_WORK_DAYS) continue;
+            if (weekShifts >= this.getRulePack(engineer.id).maxConsecutiveWorkDays) continue;
 
             schedule[engineer.id][dateStr] = shift;
             assigned++;
+            chosen.push({ candidate, overflow: true });
           }
         }
 
+        if (this.trace) {
+          this.traceDayShiftChoices(schedule, week, dateStr, shift, minRequired, scored, chosen);
+        }
+
         if (assigned < minRequired) {
           errors.push({
             type: 'coverage_failure',
@@ -1968,6 +2735,51 @@ export class Scheduler {
     return { schedule, errors };
   }
 
+  /**
+   * Record the scored day shift choices of solveWeek in the decision trace,
+   * with the best-scored engineers that were not picked as runners-up
+   */
+  traceDayShiftChoices(schedule, week, dateStr, shift, minRequired, scored, chosen) {
+    const chosenIds = new Set(chosen.map(c => c.candidate.engineer.id));
+    const runnersUp = scored
+      .filter(c => !chosenIds.has(c.engineer.id))
+      .slice(0, TRACE_RUNNERS_UP)
+      .map(({ engineer, score }) => {
+        const weekShifts = this.getWeekShiftCount(schedule, engineer.id, week);
+        let reason = 'Lower score - coverage already met';
+        if (weekShifts >= this.getRulePack(engineer.id).maxConsecutiveWorkDays) reason = 'Already at the legal maximum of shifts this week';
+        else if (weekShifts >= getWeeklyShiftTarget(engineer, TARGET_SHIFTS_PER_WEEK)) reason = `Already at ${weekShifts} shifts this week`;
+        return { engineerId: engineer.id, score: roundScore(score), reason };
+      });
+
+    for (const { candidate, overflow } of chosen) {
+      const factors = {};
+      for (const [name, value] of Object.entries(candidate.factors)) {
+        factors[name] = roundScore(value);
+      }
+
+      let rule = 'score';
+      let reason = `Among the highest-scored available engineers for ${shift} (${minRequired} needed)`;
+      if (candidate.requirement) {
+        rule = 'skill_requirement';
+        reason = `Best-scored engineer meeting the ${shift} skill requirement (${describeSkillRequirement(candidate.requirement)})`;
+      } else if (overflow) {
+        rule = 'coverage_overflow';
+        reason = `Needed for the minimum ${shift} coverage (${minRequired}) although already at ${getWeeklyShiftTarget(candidate.engineer, TARGET_SHIFTS_PER_WEEK)} shifts this week`;
+      }
+
+      this.trace.record(candidate.engineer.id, dateStr, {
+        shift,
+        step: 'day_shifts',
+        rule,
+        reason,
+        score: roundScore(candidate.score),
+        factors,
+        runnersUp
+      });
+    }
+  }
+
   /**
    * Main solve function - Week-by-Week Generation with Interleaved OFF Assignment
    * Pipeline: Initialize → Training → Night shifts → [Day shifts + OFF per week] → Floaters →
@@ -2004,9 +2816,11 @@ export class Scheduler {
 
     // Step 1: Initialize schedule with unavailable days
     let schedule = this.initializeSchedule();
+    this.traceStep(schedule, 'initialize');
 
     // Step 2: Assign training engineers (entire month)
     schedule = this.assignTrainingShifts(schedule);
+    this.traceStep(schedule, 'training');
 
     // Step 3: Assign night shifts (entire month - uses 2-week cohort blocks)
     // Pass prevMonthTail for cross-month context
@@ -2020,6 +2834,7 @@ export class Scheduler {
       collectedErrors.push(...(nightResult.errors || []));
     }
     this.warnings.push(...(nightResult.warnings || []));
+    this.traceStep(schedule, 'night_shifts');
 
     // Step 4: Week-by-Week Generation for day shifts WITH interleaved OFF assignment
     // Each week: assign shifts, then immediately assign OFF days
@@ -2031,6 +2846,7 @@ export class Scheduler {
       if (weekResult.errors.length > 0) {
         collectedErrors.push(...weekResult.errors);
       }
+      this.traceStep(schedule, 'day_shifts');
 
       // 4b: Immediately assign OFF days for this week (CRITICAL for consecutive check)
       // This ensures the next week's eligibility filter sees OFF days as breaks
@@ -2039,6 +2855,7 @@ export class Scheduler {
       if (offResult.errors.length > 0) {
         this.warnings.push(...offResult.errors.map(e => ({ ...e, demoted: true })));
       }
+      this.traceStep(schedule, 'off_days');
     }
 
     // Step 5: (Removed - OFF days now assigned per-week in step 4b)
@@ -2047,17 +2864,21 @@ export class Scheduler {
     const floaterResult = this.floaterStrategy.execute(schedule, this.engineers, days, weeks);
     schedule = floaterResult.schedule;
     this.warnings.push(...(floaterResult.warnings || []));
+    this.traceStep(schedule, 'floaters');
 
     // Step 7: Fill any remaining null slots intelligently
     schedule = this.fillNullSlots(schedule);
+    this.traceStep(schedule, 'fill');
 
     // Step 7b: Aggressive coverage repair - swap OFF days to fill remaining gaps
     schedule = this.repairCoverageGaps(schedule);
+    this.traceStep(schedule, 'coverage_repair');
 
     // Step 8: Balance workload
     const workloadResult = this.balanceWorkload(schedule, this.engineers, weeks);
     schedule = workloadResult.schedule;
     this.warnings.push(...workloadResult.warnings);
+    this.traceStep(schedule, 'balance');
 
     // Step 9: Rationality check - final pass to fix any remaining issues
     const rationalityResult = this.rationalityCheck(schedule);
@@ -2070,13 +2891,28 @@ export class Scheduler {
       });
     }
     this.warnings.push(...rationalityResult.warnings);
+    this.traceStep(schedule, 'rationality');
+
+    // Step 9b: Trainees shadow their mentor's final shifts
+    schedule = this.assignMentorShadowing(schedule);
+    this.traceStep(schedule, 'mentor');
 
     // Step 10: Validate final schedule
+    this.collectedErrors = collectedErrors;
+    return this.buildResult(schedule);
+  }
+
+  /**
+   * Validate a finished schedule and build the solve() result
+   * (generation errors from the last solve() are kept)
+   */
+  buildResult(schedule) {
     const validation = this.validateSchedule(schedule);
-    const allErrors = [...collectedErrors, ...(validation.valid ? [] : validation.errors)];
+    const allErrors = [...(this.collectedErrors || []), ...(validation.valid ? [] : validation.errors)];
 
     // Calculate stats
     this.stats = this.calculateStats(schedule);
+    const objective = this.calculateObjective(schedule);
 
     if (allErrors.length === 0) {
       return {
@@ -2084,6 +2920,9 @@ export class Scheduler {
         schedule,
         warnings: this.warnings,
         stats: this.stats,
+        objective,
+        parameters: this.getSolverParameters(),
+        decisionTrace: this.trace ? this.trace.toJSON() : null,
         version: '3.6.0'
       };
     }
@@ -2098,11 +2937,105 @@ export class Scheduler {
       options,
       warnings: this.warnings,
       stats: this.stats,
+      objective,
+      parameters: this.getSolverParameters(),
+      decisionTrace: this.trace ? this.trace.toJSON() : null,
       canManualEdit: true,
       version: '3.6.0'
     };
   }
 
+  /**
+   * Split a horizon result into one result per month. Each month is validated, scored and
+   * given stats on its own, with the previous month of the horizon as cross-month context.
+   * Generation errors and warnings without a date are kept for every month.
+   * @param {Object} result - solve() or optimize() result of a horizon solve
+   * @returns {Object[]} [{ month: 'YYYY-MM', year, ...solve() result of the month }]
+   */
+  splitByMonth(result) {
+    const months = [];
+    let previousMonthSchedule = this.previousMonthSchedule;
+    let workHistory = this.workHistory;
+    const inMonth = (item, prefix) => !item.date || item.date.startsWith(prefix);
+
+    for (const monthDate of this.getHorizonMonths()) {
+      const prefix = formatDate(monthDate, 'yyyy-MM');
+      const data = {};
+      const decisionTrace = result.decisionTrace ? {} : null;
+
+      for (const [engineerId, dates] of Object.entries(result.schedule)) {
+        data[engineerId] = {};
+        for (const [dateStr, shift] of Object.entries(dates)) {
+          if (dateStr.startsWith(prefix)) data[engineerId][dateStr] = shift;
+        }
+        if (decisionTrace) {
+          decisionTrace[engineerId] = {};
+          for (const [dateStr, entry] of Object.entries(result.decisionTrace[engineerId] || {})) {
+            if (dateStr.startsWith(prefix)) decisionTrace[engineerId][dateStr] = entry;
+          }
+        }
+      }
+
+      const monthScheduler = new Scheduler({
+        ...this.options,
+        month: monthDate,
+        horizonMonths: 1,
+        previousMonthSchedule,
+        workHistory,
+        trace: false,
+        seed: this.seed
+      });
+      monthScheduler.collectedErrors = (this.collectedErrors || []).filter(e => inMonth(e, prefix));
+      monthScheduler.warnings = this.warnings.filter(w => inMonth(w, prefix));
+
+      months.push({
+        month: prefix,
+        year: monthDate.getFullYear(),
+        ...monthScheduler.buildResult(data),
+        decisionTrace
+      });
+      previousMonthSchedule = data;
+      // Later months are checked with the earlier months of the horizon as history
+      workHistory = buildWorkHistory([
+        { data: workHistory?.cells, holidays: workHistory?.holidays },
+        { data, holidays: this.holidays }
+      ]);
+    }
+
+    return months;
+  }
+
+  /**
+   * Improve a solved schedule with local search (simulated annealing over shift swaps).
+   * Moves never add validation errors, break locked cells or weaken weekly rest.
+   * @param {Object} schedule - Schedule returned by solve()
+   * @param {Object} options - Overrides for ALGORITHM_CONFIG.localSearch
+   * @returns {Object} solve() result for the optimized schedule plus optimization details
+   */
+  optimize(schedule, options = {}) {
+    // A horizon has more cells to improve - scale the budget with its length
+    const { iterations } = ALGORITHM_CONFIG.localSearch;
+    const optimizer = new LocalSearchOptimizer(this, {
+      minOffDays: this.minOffDays,
+      minShiftsPerWeek: MIN_SHIFTS_PER_WEEK,
+      iterations: iterations * this.horizonMonths,
+      ...options
+    });
+    const optimized = optimizer.optimize(schedule);
+    this.traceStep(optimized.schedule, 'optimize');
+
+    return {
+      ...this.buildResult(optimized.schedule),
+      optimization: {
+        iterations: optimized.iterations,
+        acceptedMoves: optimized.acceptedMoves,
+        initialObjective: optimized.initialObjective.total,
+        finalObjective: optimized.objective.total,
+        hardViolations: optimized.hardViolations
+      }
+    };
+  }
+
   /**
    * Handle failure with recovery options (kept for backward compatibility)
    */
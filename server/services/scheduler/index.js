@@ -6,7 +6,7 @@
  * Import this module to use the scheduling functionality.
  *
  * Architecture:
- * - core/           Core scheduling logic (Scheduler, ConstraintEngine)
+ * - core/           Core scheduling logic (Scheduler, ConstraintEngine, Optimizer)
  * - constraints/    Modular constraint definitions
  * - rules/          German labor law and shift rules
  * - strategies/     Assignment strategies (Night, Day, Floater)
@@ -17,31 +17,74 @@
 // Core exports
 export { Scheduler, SHIFTS, SHIFT_TIMES, COLORS } from './core/Scheduler.js';
 export { ConstraintEngine, Variable, Constraint } from './core/ConstraintEngine.js';
+export { LocalSearchOptimizer, calculateObjective } from './core/Optimizer.js';
 
 // Configuration exports
 export {
   DEFAULT_COVERAGE,
   SHIFT_GROUPS,
-  FORBIDDEN_TRANSITIONS,
   UNAVAILABLE_TYPES,
   FLOATER_CONFIG,
   NIGHT_SHIFT_CONFIG,
   ALGORITHM_CONFIG
 } from './config/defaults.js';
 
+export {
+  CORE_SHIFTS,
+  DEFAULT_SHIFT_CATALOGUE,
+  validateShiftCatalogue,
+  setShiftCatalogue,
+  getShiftCatalogue,
+  getShiftDefinition,
+  getWorkShiftNames,
+  getShiftTimes,
+  isNightShift,
+  getShiftColors,
+  getPreferenceOptions
+} from './config/shiftCatalogue.js';
+
 // Rules exports
+export { ArbZG, GermanRulePack } from './rules/GermanLaborLaws.js';
+export { AZG, AustrianRulePack } from './rules/AustrianLaborLaws.js';
+export { ATW, DutchRulePack } from './rules/DutchLaborLaws.js';
+
 export {
-  ArbZG,
+  DEFAULT_JURISDICTION,
+  getRulePack,
+  getRulePackFor,
+  getJurisdictions,
+  normalizeJurisdiction,
+  validateJurisdiction,
   calculateRestHours,
+  getNightHours,
+  isNightWork,
+  getMinRestHours,
   violatesRestRequirement,
   getValidNextShifts,
-  isNightWork,
   calculateWorkingHours,
+  getWeeklyRestHours,
+  getShiftInterval,
+  getRestHoursBetween,
+  getRestPeriods,
+  validateWeeklyRest,
+  validateNightSeries,
   validateScheduleCompliance,
+  getForbiddenTransitions,
   getTransitionViolation,
   hasAdequateWeeklyRest,
   validateNightWorkerCompliance
-} from './rules/GermanLaborLaws.js';
+} from './rules/LaborLaw.js';
+
+export {
+  MIN_AVERAGING_DAYS,
+  getSundayAllowance,
+  buildWorkHistory,
+  calculateRollingAverages,
+  countSundays,
+  matchSubstituteRestDays,
+  analyzeCompliance,
+  WorkingTimeLimits
+} from './rules/ArbZGCompliance.js';
 
 // Strategy exports
 export { NightShiftStrategy } from './strategies/NightShiftStrategy.js';
@@ -56,6 +99,8 @@ export {
   createOffDaysConstraint,
   createMinWorkDaysConstraint,
   createPreferenceConstraint,
+  createAvailabilityPatternConstraint,
+  createContractHoursConstraint,
   createFloaterMaxShiftsConstraint,
   createFloaterSameShiftConstraint,
   createAllConstraints
@@ -85,6 +130,75 @@ export {
   groupDaysByWeek
 } from './utils/DateUtils.js';
 
+export {
+  COVERAGE_DAY_TYPES,
+  COVERAGE_SHIFTS,
+  normalizeCoverage,
+  validateCoverage,
+  markTeamHolidays,
+  getCoverageDayType,
+  getCoverageForDate,
+  getSkillRequirementsForDate,
+  relaxCoverage
+} from './utils/CoverageUtils.js';
+
+export {
+  SKILL_TIERS,
+  MAX_SKILL_LENGTH,
+  normalizeSkills,
+  validateSkills,
+  hasSkill,
+  meetsSkillRequirement,
+  describeSkillRequirement,
+  countSkillCoverage,
+  orderBySkillRequirements
+} from './utils/SkillUtils.js';
+
+export {
+  FULL_TIME_HOURS,
+  MAX_CONTRACT_HOURS,
+  WEEKDAYS,
+  normalizeContractHours,
+  validateContractHours,
+  normalizeAvailabilityPattern,
+  validateAvailabilityPattern,
+  isAvailableByPattern,
+  isShiftAllowedByPattern,
+  getShiftHours,
+  getShiftHoursByDay,
+  getWeeklyHours,
+  getWeeklyShiftTarget,
+  exceedsContractHours
+} from './utils/ContractUtils.js';
+
+export {
+  getLockedCells,
+  isCellLocked,
+  conflictsWithLockedNext,
+  countLocks
+} from './utils/LockUtils.js';
+
+export {
+  MAX_SEED,
+  createSeed,
+  isValidSeed,
+  createRandom,
+  deriveSeed,
+  shuffleArray
+} from './utils/Random.js';
+
+export { DecisionTrace } from './utils/DecisionTrace.js';
+
+export {
+  FAIRNESS_CATEGORIES,
+  emptyFairnessCounts,
+  getDayCategories,
+  getShiftCategories,
+  countFairnessShifts,
+  buildFairnessLedger,
+  FairnessLedger
+} from './utils/FairnessLedger.js';
+
 /**
  * Create a new scheduler instance
  * @param {Object} options Scheduler options
@@ -112,7 +226,16 @@ export const VERSION = {
     'Early/Morning shift interchangeability',
     'Floater constraints (max 2.5 shifts/week)',
     'Holiday preferences',
-    'Recovery options on failure'
+    'Recovery options on failure',
+    'Local search optimization with weighted objective',
+    'Seeded, reproducible generation',
+    'Decision trace explaining each cell',
+    'Multi-month horizon planning',
+    'Long-term fairness ledger across months',
+    'Skill requirements per shift',
+    'Contract hours and weekly availability patterns (part-time)',
+    'ArbZG compliance over the schedule history (6-month average, free Sundays, substitute rest days)',
+    'Labor law rule packs per engineer jurisdiction (DE, AT, NL)'
   ]
 };
 
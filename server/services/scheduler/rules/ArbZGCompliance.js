@@ -0,0 +1,483 @@
+/**
+ * ArbZG Compliance over the Schedule History
+ * Working time rules that span more than one schedule:
+ * - §3 ArbZG: 8 hours per working day on average over 6 months (24 weeks), i.e. at most
+ *   48 hours per week on average, even if single weeks are longer
+ * - §11(1) ArbZG: at least 15 free Sundays per year
+ * - §11(3) ArbZG: a substitute rest day for work on a Sunday (within 2 weeks) or on a
+ *   public holiday (within 8 weeks)
+ *
+ * The limits come from the engineer's rule pack (rules/LaborLaw.js): averaging period and
+ * maximum, free Sundays and substitute rest are skipped where a pack has none.
+ *
+ * Work history (plain object, built by buildWorkHistory and passed as Scheduler option):
+ * { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', cells: { engineerId: { date: shift } }, holidays: [...] }
+ *
+ * Days without a record (e.g. before an engineer's first schedule) and UNAVAILABLE days
+ * (leave, sickness) are left out of the average instead of counting as zero hours.
+ */
+
+import { SHIFTS } from '../config/defaults.js';
+import { getShiftTimes } from '../config/shiftCatalogue.js';
+import { TRAINING_SHIFT_HOURS } from '../utils/ContractUtils.js';
+import { toDateString } from '../utils/DateUtils.js';
+import { isHolidayFor } from '../utils/FairnessLedger.js';
+import { getRulePack, getRulePackFor, validateNightSeries } from './LaborLaw.js';
+
+// The average is only judged once this many days are on record, so the first weeks of a
+// new engineer (or of a new installation) are not extrapolated from a single long week
+export const MIN_AVERAGING_DAYS = 28;
+
+const NON_WORK = [SHIFTS.OFF, SHIFTS.UNAVAILABLE];
+
+// Date strings of a range, weekdays and Sundays of a year, memoized - the scheduler asks
+// for the same dates many times
+const rangeCache = new Map();
+const weekdayCache = new Map();
+const sundayCache = new Map();
+
+/**
+ * Add days to a YYYY-MM-DD string (UTC arithmetic, no timezone drift)
+ */
+export function addDaysToDateString(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of week of a YYYY-MM-DD string (0 = Sunday)
+ */
+function weekdayOf(dateStr) {
+  let weekday = weekdayCache.get(dateStr);
+  if (weekday === undefined) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    weekdayCache.set(dateStr, weekday);
+  }
+  return weekday;
+}
+
+/**
+ * All date strings from one date to another (inclusive)
+ */
+function dateStringRange(from, to) {
+  const key = `${from}|${to}`;
+  if (!rangeCache.has(key)) {
+    const dates = [];
+    for (let dateStr = from; dateStr <= to; dateStr = addDaysToDateString(dateStr, 1)) {
+      dates.push(dateStr);
+    }
+    if (rangeCache.size > 500) rangeCache.clear();
+    rangeCache.set(key, dates);
+  }
+  return rangeCache.get(key);
+}
+
+/**
+ * Check if a cell is working time (any shift, including Training)
+ */
+function isWorkCell(shift) {
+  return !!shift && !NON_WORK.includes(shift);
+}
+
+/**
+ * Hours of working time of a cell
+ */
+export function getCellHours(shift, dateStr) {
+  if (!isWorkCell(shift)) return 0;
+  if (shift === SHIFTS.TRAINING) return TRAINING_SHIFT_HOURS;
+  const weekday = weekdayOf(dateStr);
+  return getShiftTimes(shift, weekday === 0 || weekday === 6)?.duration ?? 0;
+}
+
+/**
+ * Sundays of a calendar year
+ */
+function getSundaysOfYear(year) {
+  if (!sundayCache.has(year)) {
+    sundayCache.set(year, dateStringRange(`${year}-01-01`, `${year}-12-31`).filter(d => weekdayOf(d) === 0));
+  }
+  return sundayCache.get(year);
+}
+
+/**
+ * Sundays an engineer may work in a year and still have the free Sundays of the rule pack
+ */
+export function getSundayAllowance(year, pack = getRulePack()) {
+  return getSundaysOfYear(year).length - (pack.minFreeSundays ?? 0);
+}
+
+/**
+ * Public holiday dates of an engineer's state
+ * @returns {Set<string>}
+ */
+export function getHolidayDates(holidays, state) {
+  return new Set(holidays.filter(h => isHolidayFor(holidays, h.date, state)).map(h => h.date));
+}
+
+/**
+ * Merge published months into a work history
+ * @param {Object[]} months - [{ data: { engineerId: { date: shift } }, holidays }]
+ * @returns {Object} Work history
+ */
+export function buildWorkHistory(months) {
+  const cells = {};
+  const holidays = new Map();
+  let from = null;
+  let to = null;
+
+  for (const { data, holidays: monthHolidays = [] } of months) {
+    for (const [engineerId, dates] of Object.entries(data || {})) {
+      cells[engineerId] = { ...cells[engineerId], ...dates };
+      for (const dateStr of Object.keys(dates || {})) {
+        if (!from || dateStr < from) from = dateStr;
+        if (!to || dateStr > to) to = dateStr;
+      }
+    }
+    for (const holiday of monthHolidays) {
+      holidays.set(`${holiday.date}|${holiday.name}`, holiday);
+    }
+  }
+
+  return { from, to, cells, holidays: [...holidays.values()] };
+}
+
+/**
+ * Rolling average weekly hours over the averaging period ending on each of the given dates
+ * @param {Function} shiftOn - dateStr => shift (undefined if there is no record)
+ * @param {string[]} endDates - Sorted YYYY-MM-DD
+ * @param {Object} pack - Rule pack with the averaging period
+ * @returns {Object[]} [{ date, from, hours, countedDays, averageWeeklyHours }]
+ */
+export function calculateRollingAverages(shiftOn, endDates, pack = getRulePack()) {
+  if (endDates.length === 0) return [];
+
+  const averagingDays = pack.averaging.weeks * 7;
+  const start = addDaysToDateString(endDates[0], -(averagingDays - 1));
+  const dates = dateStringRange(start, endDates[endDates.length - 1]);
+
+  // Prefix sums of hours and counted days
+  const hours = [0];
+  const counted = [0];
+  for (const dateStr of dates) {
+    const shift = shiftOn(dateStr);
+    const counts = shift !== undefined && shift !== null && shift !== SHIFTS.UNAVAILABLE;
+    hours.push(hours[hours.length - 1] + getCellHours(shift, dateStr));
+    counted.push(counted[counted.length - 1] + (counts ? 1 : 0));
+  }
+
+  let end = 0;
+  return endDates.map(date => {
+    while (dates[end - 1] !== date) end++;
+    const begin = Math.max(0, end - averagingDays);
+    const windowHours = hours[end] - hours[begin];
+    const countedDays = counted[end] - counted[begin];
+    return {
+      date,
+      from: dates[begin],
+      hours: Math.round(windowHours * 10) / 10,
+      countedDays,
+      averageWeeklyHours: countedDays > 0 ? Math.round(windowHours / countedDays * 7 * 10) / 10 : 0
+    };
+  });
+}
+
+/**
+ * Sundays worked and free in a calendar year
+ * @param {Function} shiftOn - dateStr => shift
+ * @param {number} year
+ * @param {string} asOf - Sundays after this date are counted as upcoming
+ * @param {Object} pack - Rule pack (required is 0 without a free Sunday rule)
+ */
+export function countSundays(shiftOn, year, asOf, pack = getRulePack()) {
+  const sundays = getSundaysOfYear(year);
+  const worked = sundays.filter(d => isWorkCell(shiftOn(d))).length;
+  const past = sundays.filter(d => d <= asOf).length;
+  const allowance = getSundayAllowance(year, pack);
+  return {
+    year,
+    sundays: sundays.length,
+    worked,
+    free: past - worked,
+    upcoming: sundays.length - past,
+    required: pack.minFreeSundays ?? 0,
+    allowance,
+    remaining: allowance - worked
+  };
+}
+
+/**
+ * Substitute rest days (§11(3) ArbZG) for Sunday and holiday work in a range.
+ * The rest day must fall in the week of the worked day or the following week (Sunday)
+ * or within 8 weeks from the start of that week (holiday). Any OFF day that is neither a
+ * Sunday nor a holiday counts, each one compensates a single worked day; days are matched
+ * in date order to the item that is due first.
+ * @param {Function} shiftOn - dateStr => shift
+ * @param {Object} options - { from, to, asOf, holidayDates: Set<string>, pack }
+ * @returns {Object[]} [{ date, kind, dueBy, compensatedOn, status }]
+ *   status: 'compensated' | 'pending' (window still open after asOf) | 'owed'
+ */
+export function matchSubstituteRestDays(shiftOn, { from, to, asOf = to, holidayDates = new Set(), pack = getRulePack() }) {
+  if (!pack.substituteRest) return [];
+
+  const items = dateStringRange(from, to)
+    .filter(d => isWorkCell(shiftOn(d)) && (weekdayOf(d) === 0 || holidayDates.has(d)))
+    .map(date => {
+      const weekday = weekdayOf(date);
+      const weekStart = addDaysToDateString(date, -((weekday + 6) % 7));
+      const kind = weekday === 0 ? 'sunday' : 'holiday';
+      const weeks = kind === 'sunday' ? pack.substituteRest.sundayWeeks : pack.substituteRest.holidayWeeks;
+      return {
+        date,
+        kind,
+        windowStart: weekStart,
+        dueBy: addDaysToDateString(weekStart, weeks * 7 - 1),
+        compensatedOn: null
+      };
+    });
+
+  if (items.length > 0) {
+    const lastDue = items.reduce((max, item) => item.dueBy > max ? item.dueBy : max, items[0].dueBy);
+    const freeDays = dateStringRange(items[0].windowStart, lastDue <= asOf ? lastDue : asOf)
+      .filter(d => shiftOn(d) === SHIFTS.OFF && weekdayOf(d) !== 0 && !holidayDates.has(d));
+
+    for (const freeDay of freeDays) {
+      let best = null;
+      for (const item of items) {
+        if (item.compensatedOn || item.windowStart > freeDay || item.dueBy < freeDay) continue;
+        if (!best || item.dueBy < best.dueBy) best = item;
+      }
+      if (best) best.compensatedOn = freeDay;
+    }
+  }
+
+  return items.map(({ windowStart, ...item }) => ({
+    ...item,
+    status: item.compensatedOn ? 'compensated' : item.dueBy > asOf ? 'pending' : 'owed'
+  }));
+}
+
+/**
+ * Check an engineer's working time in a date range against the rules above
+ * @param {Function} shiftOn - dateStr => shift, covering the history before the range
+ * @param {Object} options - { from, to, asOf, holidayDates: Set<string>, pack }
+ * @returns {Object} { averages, sundays, substituteRest, violations }
+ */
+export function analyzeCompliance(shiftOn, { from, to, asOf = to, holidayDates = new Set(), pack = getRulePack() }) {
+  const violations = [];
+  const { weeks, maxWeeklyHours } = pack.averaging;
+
+  // §3: rolling average at the end of each week and at the end of the range
+  const endDates = dateStringRange(from, to).filter(d => weekdayOf(d) === 0 || d === to);
+  const averages = calculateRollingAverages(shiftOn, endDates, pack);
+  for (const average of averages) {
+    if (average.countedDays < MIN_AVERAGING_DAYS || average.averageWeeklyHours <= maxWeeklyHours) continue;
+    violations.push({
+      type: 'ARBZG_AVERAGE_HOURS',
+      severity: 'critical',
+      law: pack.references.averageHours,
+      message: `Average of ${average.averageWeeklyHours}h per week from ${average.from} to ${average.date} (max ${maxWeeklyHours}h over ${weeks} weeks)`,
+      date: average.date,
+      averageWeeklyHours: average.averageWeeklyHours
+    });
+  }
+
+  // §11(1): free Sundays per calendar year, reported on the first Sunday in the range over the allowance
+  const sundays = [];
+  for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) {
+    const count = countSundays(shiftOn, year, asOf, pack);
+    sundays.push(count);
+    if (!pack.minFreeSundays) continue;
+
+    let worked = 0;
+    for (const sunday of getSundaysOfYear(year)) {
+      if (!isWorkCell(shiftOn(sunday))) continue;
+      worked++;
+      if (worked <= count.allowance || sunday < from) continue;
+      if (sunday <= to) {
+        violations.push({
+          type: 'ARBZG_FREE_SUNDAYS',
+          severity: 'critical',
+          law: pack.references.sundays,
+          message: `Works ${count.worked} of ${count.sundays} Sundays in ${year} (at least ${count.required} must be free)`,
+          date: sunday,
+          year,
+          worked: count.worked,
+          allowance: count.allowance
+        });
+      }
+      break;
+    }
+  }
+
+  // §11(3): substitute rest days, including work shortly before the range whose window reaches into it
+  const lookback = addDaysToDateString(from, -((pack.substituteRest?.holidayWeeks ?? 0) * 7));
+  const substituteRest = matchSubstituteRestDays(shiftOn, { from: lookback, to, asOf, holidayDates, pack })
+    .filter(item => item.dueBy >= from);
+  for (const item of substituteRest) {
+    if (item.status !== 'owed' || item.dueBy > to) continue;
+    violations.push({
+      type: 'ARBZG_SUBSTITUTE_REST',
+      severity: 'critical',
+      law: pack.references.substituteRest,
+      message: `No substitute rest day for ${item.kind === 'sunday' ? 'Sunday' : 'holiday'} work on ${item.date} (due by ${item.dueBy})`,
+      date: item.date,
+      kind: item.kind,
+      dueBy: item.dueBy
+    });
+  }
+
+  return { averages, sundays, substituteRest, violations };
+}
+
+/**
+ * History-aware working time limits of a schedule being generated: the cells of the
+ * schedule, with the work history before its first day
+ */
+export class WorkingTimeLimits {
+  /**
+   * @param {Object|null} history - Work history from buildWorkHistory
+   * @param {Object} options - { days: Date[] of the schedule, holidays of the schedule }
+   */
+  constructor(history, { days, holidays = [] }) {
+    this.history = history?.cells || {};
+    this.holidays = [...(history?.holidays || []), ...holidays];
+    this.dates = days.map(toDateString);
+    this.from = this.dates[0];
+    this.to = this.dates[this.dates.length - 1];
+    this.weekEnds = this.dates.filter(d => weekdayOf(d) === 0 || d === this.to);
+    this.sundays = this.dates.filter(d => weekdayOf(d) === 0);
+
+    // Per engineer: history part of each averaging window and Sundays worked per year
+    this.engineerHistory = new Map();
+    this.holidayDates = new Map();
+  }
+
+  /**
+   * Shift of an engineer on a date: the schedule inside the range, the history before it
+   */
+  getShiftLookup(schedule, engineerId) {
+    const history = this.history[engineerId] || {};
+    const cells = schedule[engineerId] || {};
+    return dateStr => dateStr >= this.from ? cells[dateStr] : history[dateStr];
+  }
+
+  /**
+   * Public holidays of an engineer's state
+   */
+  getHolidayDates(engineer) {
+    const key = engineer.state || '';
+    if (!this.holidayDates.has(key)) {
+      this.holidayDates.set(key, getHolidayDates(this.holidays, engineer.state));
+    }
+    return this.holidayDates.get(key);
+  }
+
+  /**
+   * History part of an engineer's averaging windows and Sunday counts (computed once)
+   */
+  getEngineerHistory(engineer) {
+    const engineerId = engineer.id;
+    if (!this.engineerHistory.has(engineerId)) {
+      const history = this.history[engineerId] || {};
+      const shiftOn = dateStr => dateStr < this.from ? history[dateStr] : undefined;
+      const windows = new Map(calculateRollingAverages(shiftOn, this.weekEnds, getRulePackFor(engineer)).map(w => [w.date, w]));
+
+      const sundaysWorked = {};
+      for (const [dateStr, shift] of Object.entries(history)) {
+        if (dateStr >= this.from || !isWorkCell(shift) || weekdayOf(dateStr) !== 0) continue;
+        const year = dateStr.slice(0, 4);
+        sundaysWorked[year] = (sundaysWorked[year] || 0) + 1;
+      }
+
+      this.engineerHistory.set(engineerId, { windows, sundaysWorked });
+    }
+    return this.engineerHistory.get(engineerId);
+  }
+
+  /**
+   * Check if a shift adds a night series violation (too many nights in a row, or too little
+   * rest after a series) in the week before and after a day. The weekly rest is left to the
+   * off day rules of the generation and checked by validateScheduleCompliance.
+   */
+  breaksNightSeries(schedule, engineer, dateStr, shift, pack) {
+    if (!pack.night.maxConsecutiveNights && !pack.night.seriesRest) return false;
+
+    const shiftOn = this.getShiftLookup(schedule, engineer.id);
+    const withShift = d => d === dateStr ? shift : shiftOn(d);
+    const nearby = dateStringRange(addDaysToDateString(dateStr, -7), addDaysToDateString(dateStr, 7));
+    return validateNightSeries(withShift, nearby, pack).length > validateNightSeries(shiftOn, nearby, pack).length;
+  }
+
+  /**
+   * Check if putting a shift on a day breaks a limit. The current value of the day is replaced.
+   * @returns {string|null} 'free_sundays' | 'night_series' | 'average_hours', or null if allowed
+   */
+  exceeds(schedule, engineer, day, shift) {
+    if (!isWorkCell(shift)) return null;
+    const dateStr = toDateString(day);
+    const current = schedule[engineer.id]?.[dateStr];
+    const pack = getRulePackFor(engineer);
+    const { windows, sundaysWorked } = this.getEngineerHistory(engineer);
+
+    if (pack.minFreeSundays && weekdayOf(dateStr) === 0 && !isWorkCell(current)) {
+      const year = dateStr.slice(0, 4);
+      const worked = (sundaysWorked[year] || 0) + this.sundays.filter(d =>
+        d !== dateStr && d.startsWith(year) && isWorkCell(schedule[engineer.id]?.[d])).length;
+      if (worked + 1 > getSundayAllowance(Number(year), pack)) return 'free_sundays';
+    }
+
+    if (this.breaksNightSeries(schedule, engineer, dateStr, shift, pack)) return 'night_series';
+
+    const extraHours = getCellHours(shift, dateStr) - getCellHours(current, dateStr);
+    if (extraHours <= 0) return null;
+
+    // Windows ending on or after the day, with the schedule's part summed up to each end
+    let hours = 0;
+    let counted = 0;
+    let windowIndex = 0;
+    for (const d of this.dates) {
+      const cell = schedule[engineer.id]?.[d];
+      hours += getCellHours(cell, d);
+      if (cell !== SHIFTS.UNAVAILABLE) counted++;
+      if (d !== this.weekEnds[windowIndex]) continue;
+      windowIndex++;
+      if (d < dateStr) continue;
+
+      const window = windows.get(d);
+      const windowHours = window.hours + hours + extraHours;
+      const countedDays = window.countedDays + counted;
+      if (countedDays >= MIN_AVERAGING_DAYS &&
+          windowHours / countedDays * 7 > pack.averaging.maxWeeklyHours) {
+        return 'average_hours';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Violations of an engineer in the schedule (history before the schedule included)
+   */
+  validate(schedule, engineer) {
+    return analyzeCompliance(this.getShiftLookup(schedule, engineer.id), {
+      from: this.from,
+      to: this.to,
+      holidayDates: this.getHolidayDates(engineer),
+      pack: getRulePackFor(engineer)
+    }).violations;
+  }
+}
+
+export default {
+  MIN_AVERAGING_DAYS,
+  addDaysToDateString,
+  getCellHours,
+  getSundayAllowance,
+  getHolidayDates,
+  buildWorkHistory,
+  calculateRollingAverages,
+  countSundays,
+  matchSubstituteRestDays,
+  analyzeCompliance,
+  WorkingTimeLimits
+};
@@ -0,0 +1,68 @@
+/**
+ * Austrian Labor Law Rule Pack
+ * Arbeitszeitgesetz (AZG) and Arbeitsruhegesetz (ARG)
+ *
+ * Used for engineers with jurisdiction 'AT' (see rules/LaborLaw.js).
+ */
+
+/**
+ * Austrian working time constraints
+ * Reference: https://www.ris.bka.gv.at (AZG, ARG)
+ */
+export const AZG = {
+  // §9 AZG - Maximum working hours
+  MAX_DAILY_HOURS: 12,          // Absolute daily maximum
+  AVERAGING_PERIOD_WEEKS: 17,   // §9(4): 48 hours on average over 17 weeks
+  MAX_AVERAGE_WEEKLY_HOURS: 48,
+
+  // §12 AZG - Daily rest
+  MIN_REST_HOURS: 11,
+
+  // §12a AZG - Night work
+  NIGHT_WORK_START: 22,         // Night time 22:00-05:00
+  NIGHT_WORK_END: 5,
+  NIGHT_WORK_MIN_HOURS: 3,      // Night work: at least 3 hours of night time
+  NIGHT_SHIFT_MAX_HOURS: 10,
+
+  // §3/§4 ARG - Weekend and weekly rest
+  MIN_WEEKLY_REST_HOURS: 36,    // 36 uninterrupted hours per calendar week
+
+  MAX_CONSECUTIVE_WORK_DAYS: 6  // Follows from the weekly rest in every calendar week
+};
+
+/**
+ * Rule pack for Austria
+ */
+export const AustrianRulePack = {
+  id: 'AT',
+  name: 'Austria',
+  law: 'AZG/ARG',
+  maxDailyHours: AZG.MAX_DAILY_HOURS,
+  minRestHours: AZG.MIN_REST_HOURS,
+  maxConsecutiveWorkDays: AZG.MAX_CONSECUTIVE_WORK_DAYS,
+  minWeeklyRestHours: AZG.MIN_WEEKLY_REST_HOURS,
+  night: {
+    start: AZG.NIGHT_WORK_START,
+    end: AZG.NIGHT_WORK_END,
+    minHours: AZG.NIGHT_WORK_MIN_HOURS,
+    maxShiftHours: AZG.NIGHT_SHIFT_MAX_HOURS,
+    minRestAfterHours: null,
+    maxConsecutiveNights: null,
+    seriesRest: null
+  },
+  averaging: { weeks: AZG.AVERAGING_PERIOD_WEEKS, maxWeeklyHours: AZG.MAX_AVERAGE_WEEKLY_HOURS },
+  minFreeSundays: null,
+  substituteRest: null,
+  references: {
+    dailyHours: '§9 AZG',
+    averageHours: '§9 AZG',
+    rest: '§12 AZG',
+    nightWork: '§12a AZG',
+    consecutiveDays: '§4 ARG',
+    weeklyRest: '§3 ARG',
+    sundays: null,
+    substituteRest: null
+  }
+};
+
+export default AustrianRulePack;
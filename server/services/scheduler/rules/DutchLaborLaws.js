@@ -0,0 +1,75 @@
+/**
+ * Dutch Labor Law Rule Pack
+ * Arbeidstijdenwet (ATW) - Dutch Working Hours Act
+ *
+ * Used for engineers with jurisdiction 'NL' (see rules/LaborLaw.js).
+ */
+
+/**
+ * Dutch working time constraints
+ * Reference: https://wetten.overheid.nl (Arbeidstijdenwet)
+ */
+export const ATW = {
+  // Art. 5:7 ATW - Maximum working hours
+  MAX_SHIFT_HOURS: 12,
+  AVERAGING_PERIOD_WEEKS: 16,   // 48 hours on average over 16 weeks
+  MAX_AVERAGE_WEEKLY_HOURS: 48,
+
+  // Art. 5:3 ATW - Daily rest
+  MIN_REST_HOURS: 11,
+
+  // Art. 5:5 ATW - Weekly rest
+  MIN_WEEKLY_REST_HOURS: 36,    // 36 uninterrupted hours per 7 days
+
+  // Art. 5:6 ATW - Sunday work
+  MIN_FREE_SUNDAYS: 13,         // At least 13 free Sundays per 52 weeks
+
+  // Art. 5:8 ATW - Night shifts (more than 1 hour between 00:00 and 06:00)
+  NIGHT_WORK_START: 0,
+  NIGHT_WORK_END: 6,
+  NIGHT_WORK_MIN_HOURS: 1,
+  NIGHT_SHIFT_MAX_HOURS: 10,
+  MIN_REST_AFTER_NIGHT_HOURS: 14, // After a night shift ending after 02:00
+  MAX_CONSECUTIVE_NIGHTS: 5,
+  NIGHT_SERIES_MIN_NIGHTS: 3,     // After a series of 3 or more night shifts ...
+  NIGHT_SERIES_REST_HOURS: 46,    // ... 46 hours rest
+
+  MAX_CONSECUTIVE_WORK_DAYS: 6    // Follows from the weekly rest in every 7 days
+};
+
+/**
+ * Rule pack for the Netherlands
+ */
+export const DutchRulePack = {
+  id: 'NL',
+  name: 'Netherlands',
+  law: 'ATW',
+  maxDailyHours: ATW.MAX_SHIFT_HOURS,
+  minRestHours: ATW.MIN_REST_HOURS,
+  maxConsecutiveWorkDays: ATW.MAX_CONSECUTIVE_WORK_DAYS,
+  minWeeklyRestHours: ATW.MIN_WEEKLY_REST_HOURS,
+  night: {
+    start: ATW.NIGHT_WORK_START,
+    end: ATW.NIGHT_WORK_END,
+    minHours: ATW.NIGHT_WORK_MIN_HOURS,
+    maxShiftHours: ATW.NIGHT_SHIFT_MAX_HOURS,
+    minRestAfterHours: ATW.MIN_REST_AFTER_NIGHT_HOURS,
+    maxConsecutiveNights: ATW.MAX_CONSECUTIVE_NIGHTS,
+    seriesRest: { minNights: ATW.NIGHT_SERIES_MIN_NIGHTS, hours: ATW.NIGHT_SERIES_REST_HOURS }
+  },
+  averaging: { weeks: ATW.AVERAGING_PERIOD_WEEKS, maxWeeklyHours: ATW.MAX_AVERAGE_WEEKLY_HOURS },
+  minFreeSundays: ATW.MIN_FREE_SUNDAYS,
+  substituteRest: null,
+  references: {
+    dailyHours: 'Art. 5:7 ATW',
+    averageHours: 'Art. 5:7 ATW',
+    rest: 'Art. 5:3 ATW',
+    nightWork: 'Art. 5:8 ATW',
+    consecutiveDays: 'Art. 5:5 ATW',
+    weeklyRest: 'Art. 5:5 ATW',
+    sundays: 'Art. 5:6 ATW',
+    substituteRest: null
+  }
+};
+
+export default DutchRulePack;
@@ -0,0 +1,669 @@
+/**
+ * Labor Law Compliance Module
+ * Rest periods, consecutive work days, weekly rest and night work, checked against the
+ * rule pack of each engineer's jurisdiction
+ *
+ * Rule pack (plain object, one module per jurisdiction):
+ * { id, name, law,
+ *   maxDailyHours, minRestHours, maxConsecutiveWorkDays, minWeeklyRestHours,
+ *   night: { start, end, minHours, maxShiftHours, minRestAfterHours, maxConsecutiveNights,
+ *            seriesRest: { minNights, hours } | null },
+ *   averaging: { weeks, maxWeeklyHours },   - see rules/ArbZGCompliance.js
+ *   minFreeSundays: number | null,
+ *   substituteRest: { sundayWeeks, holidayWeeks } | null,
+ *   references: { dailyHours, averageHours, rest, nightWork, consecutiveDays, weeklyRest, sundays, substituteRest } }
+ *
+ * Engineers pick a pack with their jurisdiction field ('DE' when not set). Violation types
+ * keep their ARBZG_ prefix for every pack; `law` names the rule of the engineer's pack.
+ */
+
+import { SHIFTS } from '../config/defaults.js';
+import { getShiftTimes, getWorkShiftNames, getCatalogueVersion, timeToMinutes } from '../config/shiftCatalogue.js';
+import { toDateString } from '../utils/DateUtils.js';
+import { GermanRulePack } from './GermanLaborLaws.js';
+import { AustrianRulePack } from './AustrianLaborLaws.js';
+import { DutchRulePack } from './DutchLaborLaws.js';
+
+export const DEFAULT_JURISDICTION = 'DE';
+
+const RULE_PACKS = {
+  DE: GermanRulePack,
+  AT: AustrianRulePack,
+  NL: DutchRulePack
+};
+
+// Training has no catalogue times - treated as a regular office day
+const TRAINING_TIMES = { start: '08:00', end: '16:00' };
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Day of week of date strings, memoized - rest checks look at the same days many times
+const weekdayCache = new Map();
+
+/**
+ * Rule pack of a jurisdiction (the German pack if unknown or not set)
+ */
+export function getRulePack(jurisdiction = DEFAULT_JURISDICTION) {
+  return RULE_PACKS[jurisdiction] || RULE_PACKS[DEFAULT_JURISDICTION];
+}
+
+/**
+ * Rule pack of an engineer
+ */
+export function getRulePackFor(engineer) {
+  return getRulePack(engineer?.jurisdiction || DEFAULT_JURISDICTION);
+}
+
+/**
+ * Available jurisdictions with their main limits (for the user form)
+ */
+export function getJurisdictions() {
+  return Object.values(RULE_PACKS).map(pack => ({
+    id: pack.id,
+    name: pack.name,
+    law: pack.law,
+    minRestHours: pack.minRestHours,
+    maxConsecutiveWorkDays: pack.maxConsecutiveWorkDays,
+    minWeeklyRestHours: getWeeklyRestHours(pack),
+    maxDailyHours: pack.maxDailyHours
+  }));
+}
+
+/**
+ * Normalize a jurisdiction: a known code, or null for the default
+ */
+export function normalizeJurisdiction(jurisdiction) {
+  if (!jurisdiction) return null;
+  const code = String(jurisdiction).toUpperCase();
+  return RULE_PACKS[code] ? code : null;
+}
+
+/**
+ * Validate a jurisdiction before saving
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateJurisdiction(jurisdiction) {
+  if (jurisdiction === undefined || jurisdiction === null || jurisdiction === '') return [];
+  if (typeof jurisdiction !== 'string' || !RULE_PACKS[jurisdiction.toUpperCase()]) {
+    return [`Unknown jurisdiction "${jurisdiction}" (use ${Object.keys(RULE_PACKS).join(', ')})`];
+  }
+  return [];
+}
+
+/**
+ * Check if a cell is work (any shift, including Training)
+ */
+function isWorkShift(shift) {
+  return !!shift && shift !== SHIFTS.OFF && shift !== SHIFTS.UNAVAILABLE;
+}
+
+/**
+ * Day of week of a date (0 = Sunday); date strings are read as calendar days
+ */
+function getWeekday(date) {
+  if (date instanceof Date) return date.getDay();
+
+  let weekday = weekdayCache.get(date);
+  if (weekday === undefined) {
+    const [year, month, day] = date.split('-').map(Number);
+    weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    weekdayCache.set(date, weekday);
+  }
+  return weekday;
+}
+
+/**
+ * Check if a date is a Saturday or Sunday
+ */
+function isWeekendDay(date) {
+  const weekday = getWeekday(date);
+  return weekday === 0 || weekday === 6;
+}
+
+/**
+ * Catalogue times of a work shift on a day, or null if the cell is not work
+ */
+function getShiftTimesOn(shift, date) {
+  if (!isWorkShift(shift)) return null;
+  return shift === SHIFTS.TRAINING ? TRAINING_TIMES : getShiftTimes(shift, isWeekendDay(date));
+}
+
+/**
+ * Midnight of a calendar day as a timestamp. Shift times are wall-clock times, so days are
+ * counted in UTC and a DST change does not shorten or lengthen a rest period.
+ */
+function getDayStart(date) {
+  if (date instanceof Date) return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Weekly rest a rule pack requires in one piece, including the daily rest where the law
+ * adds it on top of the rest day (Germany: 24 + 11 hours)
+ */
+export function getWeeklyRestHours(pack = getRulePack()) {
+  return pack.minWeeklyRestHours + (pack.weeklyRestPlusDailyRest ? pack.minRestHours : 0);
+}
+
+/**
+ * Start and end timestamp of a shift on a day, from the weekday or weekend times of the
+ * shift catalogue. Shifts ending at or before their start (e.g. Night 23:00-07:30) end on
+ * the next day.
+ * @returns {Object|null} { start, end } in milliseconds, or null if the cell is not work
+ */
+export function getShiftInterval(shift, date) {
+  const times = getShiftTimesOn(shift, date);
+  if (!times) return null;
+
+  const dayStart = getDayStart(date);
+  const start = dayStart + timeToMinutes(times.start) * 60 * 1000;
+  let end = dayStart + timeToMinutes(times.end) * 60 * 1000;
+  if (end <= start) end += DAY_MS;
+
+  return { start, end };
+}
+
+/**
+ * Rest hours from the end of one shift to the start of another, from their actual
+ * timestamps. The days need not be adjacent; negative if the shifts overlap.
+ */
+export function getRestHoursBetween(previousShift, previousDate, nextShift, nextDate) {
+  const previous = getShiftInterval(previousShift, previousDate);
+  const next = getShiftInterval(nextShift, nextDate);
+  if (!previous || !next) return Infinity;
+
+  return (next.start - previous.end) / HOUR_MS;
+}
+
+/**
+ * Round hours to two decimals for reporting
+ */
+function roundHours(hours) {
+  return Number.isFinite(hours) ? Math.round(hours * 100) / 100 : hours;
+}
+
+/**
+ * Calculate rest hours between a shift on one day and a shift on the following day,
+ * using the start/end times from the shift catalogue. Shifts ending at or before their
+ * start (e.g. Night 23:00-07:30) finish on the next day. A negative result means the
+ * shifts overlap.
+ * @param {boolean} isWeekend - Day type of the previous shift
+ * @param {boolean} nextIsWeekend - Day type of the next shift (defaults to isWeekend)
+ */
+export function calculateRestHours(previousShift, nextShift, isWeekend = false, nextIsWeekend = isWeekend) {
+  if (!previousShift || !nextShift ||
+      previousShift === SHIFTS.OFF || previousShift === SHIFTS.UNAVAILABLE ||
+      nextShift === SHIFTS.OFF || nextShift === SHIFTS.UNAVAILABLE) {
+    return Infinity; // No constraint violation
+  }
+
+  const prevTimes = getShiftTimes(previousShift, isWeekend);
+  const nextTimes = getShiftTimes(nextShift, nextIsWeekend);
+
+  if (!prevTimes || !nextTimes) return Infinity;
+
+  // Minutes measured from midnight of the previous shift's day
+  const prevStart = timeToMinutes(prevTimes.start);
+  let prevEnd = timeToMinutes(prevTimes.end);
+  if (prevEnd <= prevStart) prevEnd += 24 * 60; // Crosses midnight
+  const nextStart = 24 * 60 + timeToMinutes(nextTimes.start);
+
+  return (nextStart - prevEnd) / 60;
+}
+
+/**
+ * Hours of a shift that fall into the night time of a rule pack
+ */
+export function getNightHours(shift, pack = getRulePack(), isWeekend = false) {
+  const times = getShiftTimes(shift, isWeekend);
+  if (!times) return 0;
+
+  const start = timeToMinutes(times.start);
+  let end = timeToMinutes(times.end);
+  if (end <= start) end += 24 * 60;
+
+  // Night windows of the previous, same and next day, relative to midnight of the shift's day
+  const nightStart = pack.night.start * 60;
+  const nightEnd = pack.night.end * 60 + (pack.night.end <= pack.night.start ? 24 * 60 : 0);
+  let minutes = 0;
+  for (const offset of [-24 * 60, 0, 24 * 60]) {
+    minutes += Math.max(0, Math.min(end, nightEnd + offset) - Math.max(start, nightStart + offset));
+  }
+  return minutes / 60;
+}
+
+/**
+ * Check if a shift is night work under a rule pack (more than night.minHours of night time)
+ */
+export function isNightWork(shift, pack = getRulePack(), isWeekend = false) {
+  return getNightHours(shift, pack, isWeekend) > pack.night.minHours;
+}
+
+/**
+ * Minimum rest after a shift (longer after night work in some jurisdictions)
+ */
+export function getMinRestHours(previousShift, pack = getRulePack(), isWeekend = false) {
+  if (pack.night.minRestAfterHours && isNightWork(previousShift, pack, isWeekend)) {
+    return Math.max(pack.minRestHours, pack.night.minRestAfterHours);
+  }
+  return pack.minRestHours;
+}
+
+/**
+ * Check if a shift transition violates rest requirements
+ */
+export function violatesRestRequirement(previousShift, nextShift, isWeekend = false, pack = getRulePack()) {
+  const restHours = calculateRestHours(previousShift, nextShift, isWeekend);
+  return restHours < getMinRestHours(previousShift, pack, isWeekend);
+}
+
+/**
+ * Get all valid transitions for a shift based on a rule pack
+ */
+export function getValidNextShifts(previousShift, isWeekend = false, pack = getRulePack()) {
+  const allShifts = [...getWorkShiftNames(), SHIFTS.OFF];
+
+  return allShifts.filter(nextShift =>
+    !violatesRestRequirement(previousShift, nextShift, isWeekend, pack)
+  );
+}
+
+/**
+ * Calculate total working hours in a day/week
+ */
+export function calculateWorkingHours(shifts, dates, isWeekend = []) {
+  let totalHours = 0;
+
+  shifts.forEach((shift, index) => {
+    if (shift && shift !== SHIFTS.OFF && shift !== SHIFTS.UNAVAILABLE) {
+      const shiftInfo = getShiftTimes(shift, isWeekend[index]);
+      if (shiftInfo) {
+        totalHours += shiftInfo.duration;
+      }
+    }
+  });
+
+  return totalHours;
+}
+
+/**
+ * Rest periods between the shifts of a sequence of days, from the actual start and end
+ * timestamps of the shifts. The rest before the first and after the last shift is open-ended.
+ * @param {Function} shiftOn - dateStr => shift
+ * @param {string[]} dateStrs - Consecutive days
+ * @returns {Object[]} [{ start, end, hours }] - timestamps in milliseconds
+ */
+export function getRestPeriods(shiftOn, dateStrs) {
+  const periods = [];
+  let restStart = -Infinity;
+
+  dateStrs.forEach(dateStr => {
+    const interval = getShiftInterval(shiftOn(dateStr), dateStr);
+    if (!interval) return;
+
+    if (interval.start > restStart) {
+      periods.push({ start: restStart, end: interval.start, hours: (interval.start - restStart) / HOUR_MS });
+    }
+    restStart = Math.max(restStart, interval.end);
+  });
+
+  periods.push({ start: restStart, end: Infinity, hours: Infinity });
+  return periods;
+}
+
+/**
+ * Weekly rest of each full Monday-Sunday week in a sequence of days: some uninterrupted rest
+ * period of at least getWeeklyRestHours(pack) must overlap the week
+ * @returns {Object[]} Violations
+ */
+export function validateWeeklyRest(shiftOn, dateStrs, pack = getRulePack()) {
+  const violations = [];
+  const periods = getRestPeriods(shiftOn, dateStrs);
+  const required = getWeeklyRestHours(pack);
+
+  for (let i = 0; i + 6 < dateStrs.length; i++) {
+    if (getWeekday(dateStrs[i]) !== 1) continue;
+
+    const weekStart = getDayStart(dateStrs[i]);
+    const weekEnd = weekStart + 7 * DAY_MS;
+    const overlapping = periods.filter(p => p.end > weekStart && p.start < weekEnd);
+    const longest = Math.max(0, ...overlapping.map(p => p.hours));
+    if (longest >= required) continue;
+
+    const restHours = roundHours(longest);
+    violations.push({
+      type: 'ARBZG_WEEKLY_REST',
+      severity: 'critical',
+      law: pack.references.weeklyRest,
+      message: `Longest rest in the week of ${dateStrs[i]} is ${restHours} hours (min ${required})`,
+      date: dateStrs[i],
+      restHours,
+      requiredHours: required
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Night shift series: maximum consecutive night shifts and the rest after a series,
+ * measured from the end of the last night to the start of the next shift
+ * @returns {Object[]} Violations
+ */
+export function validateNightSeries(shiftOn, dateStrs, pack = getRulePack()) {
+  const { maxConsecutiveNights, seriesRest } = pack.night;
+  const violations = [];
+  if (!maxConsecutiveNights && !seriesRest) return violations;
+
+  let run = 0;
+  let lastNight = null; // Last night of a series that still needs its rest
+
+  const checkSeriesRest = (shift, dateStr) => {
+    const restHours = roundHours(getRestHoursBetween(lastNight.shift, lastNight.dateStr, shift, dateStr));
+    if (restHours < seriesRest.hours) {
+      violations.push({
+        type: 'ARBZG_NIGHT_SERIES_REST',
+        severity: 'critical',
+        law: pack.references.nightWork,
+        message: `Only ${restHours} hours rest after a series of night shifts ending ${lastNight.dateStr} (min ${seriesRest.hours})`,
+        date: dateStr,
+        restHours,
+        requiredHours: seriesRest.hours
+      });
+    }
+    lastNight = null;
+  };
+
+  dateStrs.forEach((dateStr, index) => {
+    const shift = shiftOn(dateStr);
+
+    if (lastNight && isWorkShift(shift)) checkSeriesRest(shift, dateStr);
+
+    if (isWorkShift(shift) && isNightWork(shift, pack, isWeekendDay(dateStr))) {
+      run++;
+      if (maxConsecutiveNights && run === maxConsecutiveNights + 1) {
+        violations.push({
+          type: 'ARBZG_CONSECUTIVE_NIGHTS',
+          severity: 'critical',
+          law: pack.references.nightWork,
+          message: `More than ${maxConsecutiveNights} consecutive night shifts`,
+          date: dateStr
+        });
+      }
+      // The series continues - its rest is checked after the last night
+      lastNight = null;
+      return;
+    }
+
+    if (seriesRest && run >= seriesRest.minNights) {
+      const previousDate = dateStrs[index - 1];
+      lastNight = { dateStr: previousDate, shift: shiftOn(previousDate) };
+      // Worked straight after the series
+      if (isWorkShift(shift)) checkSeriesRest(shift, dateStr);
+    }
+    run = 0;
+  });
+
+  return violations;
+}
+
+/**
+ * Validate a schedule against the rule pack of an engineer
+ * @param {Object} pack - Rule pack (see getRulePackFor)
+ */
+export function validateScheduleCompliance(schedule, engineerId, days, pack = getRulePack()) {
+  const violations = [];
+  const dateStrs = days.map(toDateString);
+  const shiftOn = dateStr => schedule[engineerId]?.[dateStr];
+
+  // Check consecutive working days
+  let consecutiveWorkDays = 0;
+
+  for (let i = 0; i < dateStrs.length; i++) {
+    const dateStr = dateStrs[i];
+    const shift = shiftOn(dateStr);
+
+    if (isWorkShift(shift)) {
+      consecutiveWorkDays++;
+
+      if (consecutiveWorkDays > pack.maxConsecutiveWorkDays) {
+        violations.push({
+          type: 'ARBZG_CONSECUTIVE_DAYS',
+          severity: 'critical',
+          law: pack.references.consecutiveDays,
+          message: `Worker has ${consecutiveWorkDays} consecutive work days (max ${pack.maxConsecutiveWorkDays})`,
+          date: dateStr
+        });
+      }
+
+      // Maximum length of a working day (and of a night shift)
+      const weekend = isWeekendDay(dateStr);
+      const duration = getShiftTimes(shift, weekend)?.duration ?? 0;
+      if (duration > pack.maxDailyHours) {
+        violations.push({
+          type: 'ARBZG_DAILY_HOURS',
+          severity: 'critical',
+          law: pack.references.dailyHours,
+          message: `${shift} lasts ${duration} hours (max ${pack.maxDailyHours})`,
+          date: dateStr
+        });
+      } else if (duration > pack.night.maxShiftHours && isNightWork(shift, pack, weekend)) {
+        violations.push({
+          type: 'ARBZG_NIGHT_SHIFT_HOURS',
+          severity: 'critical',
+          law: pack.references.nightWork,
+          message: `Night shift ${shift} lasts ${duration} hours (max ${pack.night.maxShiftHours})`,
+          date: dateStr
+        });
+      }
+    } else {
+      consecutiveWorkDays = 0;
+    }
+
+    // Check rest period between shifts, from the actual end and start times on these days
+    if (i > 0) {
+      const prevDate = dateStrs[i - 1];
+      const prevShift = shiftOn(prevDate);
+      const restHours = roundHours(getRestHoursBetween(prevShift, prevDate, shift, dateStr));
+      const requiredHours = getMinRestHours(prevShift, pack, isWeekendDay(prevDate));
+
+      if (restHours < requiredHours) {
+        const prevEnd = getShiftTimesOn(prevShift, prevDate).end;
+        const start = getShiftTimesOn(shift, dateStr).start;
+        violations.push({
+          type: 'ARBZG_REST_PERIOD',
+          severity: 'critical',
+          law: pack.references.rest,
+          message: `Insufficient rest period: ${prevShift} (ends ${prevEnd}) to ${shift} (starts ${start}) leaves ${restHours} hours (min ${requiredHours})`,
+          date: dateStr,
+          restHours,
+          requiredHours
+        });
+      }
+    }
+  }
+
+  violations.push(...validateWeeklyRest(shiftOn, dateStrs, pack));
+  violations.push(...validateNightSeries(shiftOn, dateStrs, pack));
+
+  return violations;
+}
+
+// Forbidden transitions per rule pack, derived from the shift catalogue and rebuilt when it changes
+const transitionCache = new Map();
+
+/**
+ * Key of a transition on a day type combination
+ */
+function dayTypeKey(fromShift, toShift, prevWeekend, nextWeekend) {
+  return `${fromShift}>${toShift}|${prevWeekend ? 'W' : 'D'}${nextWeekend ? 'W' : 'D'}`;
+}
+
+/**
+ * Derive forbidden transitions from calculateRestHours and the minimum rest of a rule pack.
+ * Every weekday/weekend combination is checked separately (a weekend Late ends earlier than
+ * a weekday Late); the returned list keeps the worst case, so a transition is listed if it
+ * is too short on any day type.
+ */
+export function getForbiddenTransitions(pack = getRulePack()) {
+  const cached = transitionCache.get(pack.id);
+  if (cached?.version === getCatalogueVersion()) {
+    return cached.transitions;
+  }
+
+  const transitions = [];
+  const byDayType = new Map();
+  const shiftNames = getWorkShiftNames();
+
+  for (const from of shiftNames) {
+    for (const to of shiftNames) {
+      let worst = null;
+      for (const prevWeekend of [false, true]) {
+        for (const nextWeekend of [false, true]) {
+          const restHours = calculateRestHours(from, to, prevWeekend, nextWeekend);
+          const minRestHours = getMinRestHours(from, pack, prevWeekend);
+          if (restHours >= minRestHours) continue;
+
+          const fromEnd = getShiftTimes(from, prevWeekend).end;
+          const toStart = getShiftTimes(to, nextWeekend).start;
+          const transition = {
+            from,
+            to,
+            restHours,
+            law: pack.references.rest,
+            reason: restHours < 0
+              ? `${from} (ends ${fromEnd}) overlaps ${to} (starts ${toStart}), requires ${minRestHours} hours rest minimum`
+              : `${from} (ends ${fromEnd}) to ${to} (starts ${toStart}) provides only ${restHours} hours rest, requires ${minRestHours} hours minimum`
+          };
+          byDayType.set(dayTypeKey(from, to, prevWeekend, nextWeekend), transition);
+
+          if (!worst || restHours - minRestHours < worst.shortfall) {
+            worst = { transition, shortfall: restHours - minRestHours };
+          }
+        }
+      }
+
+      if (worst) transitions.push(worst.transition);
+    }
+  }
+
+  transitionCache.set(pack.id, {
+    version: getCatalogueVersion(),
+    transitions,
+    byKey: new Map(transitions.map(t => [`${t.from}>${t.to}`, t])),
+    byDayType
+  });
+  return transitions;
+}
+
+/**
+ * Forbidden transitions based on the rule pack of an engineer
+ * With the date of the second shift, the rest is measured with the actual shift times of
+ * that day and the day before; without it, the worst case over all day types applies.
+ * Returns the reason if forbidden, null if allowed
+ */
+export function getTransitionViolation(fromShift, toShift, pack = getRulePack(), date = null) {
+  if (!fromShift || !toShift) return null;
+
+  getForbiddenTransitions(pack);
+  const cached = transitionCache.get(pack.id);
+
+  let transition;
+  if (date) {
+    const weekday = getWeekday(date);
+    const prevWeekend = weekday === 0 || weekday === 1; // Day before is Saturday or Sunday
+    const nextWeekend = weekday === 0 || weekday === 6;
+    transition = cached.byDayType.get(dayTypeKey(fromShift, toShift, prevWeekend, nextWeekend));
+  } else {
+    transition = cached.byKey.get(`${fromShift}>${toShift}`);
+  }
+
+  return transition ? { law: transition.law, reason: transition.reason } : null;
+}
+
+/**
+ * Check if an engineer has had adequate weekly rest in a week
+ */
+export function hasAdequateWeeklyRest(schedule, engineerId, weekDays, pack = getRulePack()) {
+  const dateStrs = weekDays.map(toDateString);
+  const periods = getRestPeriods(dateStr => schedule[engineerId]?.[dateStr], dateStrs);
+  const required = getWeeklyRestHours(pack);
+
+  // Rest before the first and after the last shift counts up to the week boundary
+  const weekStart = getDayStart(dateStrs[0]);
+  const weekEnd = weekStart + dateStrs.length * DAY_MS;
+  const maxConsecutiveRestHours = Math.max(0, ...periods.map(p =>
+    Math.min(p.end, weekEnd) - Math.max(p.start, weekStart))) / HOUR_MS;
+
+  return {
+    compliant: maxConsecutiveRestHours >= required,
+    maxRestHours: roundHours(maxConsecutiveRestHours),
+    required
+  };
+}
+
+/**
+ * Night worker special provisions
+ */
+export function validateNightWorkerCompliance(schedule, engineerId, days, pack = getRulePack()) {
+  const violations = [];
+  let nightShiftCount = 0;
+  let consecutiveNightShifts = 0;
+
+  for (const day of days) {
+    const dateStr = toDateString(day);
+    const shift = schedule[engineerId]?.[dateStr];
+
+    if (isWorkShift(shift) && isNightWork(shift, pack, isWeekendDay(dateStr))) {
+      nightShiftCount++;
+      consecutiveNightShifts++;
+
+      // Night workers should have health checks (informational)
+      if (consecutiveNightShifts > 14) {
+        violations.push({
+          type: 'ARBZG_NIGHT_WORKER_HEALTH',
+          severity: 'warning',
+          law: pack.references.nightWork,
+          message: 'Night worker has worked 14+ consecutive night shifts - recommend health assessment',
+          date: dateStr
+        });
+      }
+    } else {
+      consecutiveNightShifts = 0;
+    }
+  }
+
+  return {
+    nightShiftCount,
+    violations
+  };
+}
+
+export default {
+  DEFAULT_JURISDICTION,
+  getRulePack,
+  getRulePackFor,
+  getJurisdictions,
+  normalizeJurisdiction,
+  validateJurisdiction,
+  calculateRestHours,
+  getNightHours,
+  isNightWork,
+  getMinRestHours,
+  violatesRestRequirement,
+  getValidNextShifts,
+  calculateWorkingHours,
+  getWeeklyRestHours,
+  getShiftInterval,
+  getRestHoursBetween,
+  getRestPeriods,
+  validateWeeklyRest,
+  validateNightSeries,
+  validateScheduleCompliance,
+  getForbiddenTransitions,
+  getTransitionViolation,
+  hasAdequateWeeklyRest,
+  validateNightWorkerCompliance
+};
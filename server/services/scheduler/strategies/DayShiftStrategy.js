@@ -5,19 +5,13 @@
 
 import { SHIFTS, DEFAULT_COVERAGE, SHIFT_GROUPS } from '../config/defaults.js';
 import { toDateString, isWeekend, getPreviousDay, findWeekIndex } from '../utils/DateUtils.js';
-import { getTransitionViolation, ArbZG } from '../rules/GermanLaborLaws.js';
-
-/**
- * Fisher-Yates shuffle for randomizing arrays
- */
-function shuffleArray(array) {
-  const arr = [...array];
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
-}
+import { normalizeCoverage, getCoverageForDate, getSkillRequirementsForDate } from '../utils/CoverageUtils.js';
+import { orderBySkillRequirements } from '../utils/SkillUtils.js';
+import { getTransitionViolation, getRulePackFor } from '../rules/LaborLaw.js';
+import { conflictsWithLockedNext } from '../utils/LockUtils.js';
+import { shuffleArray } from '../utils/Random.js';
+import { isShiftAllowedByPattern, exceedsContractHours } from '../utils/ContractUtils.js';
+import { getShiftCategories } from '../utils/FairnessLedger.js';
 
 /**
  * Day Shift Strategy
@@ -25,8 +19,18 @@ function shuffleArray(array) {
  */
 export class DayShiftStrategy {
   constructor(options = {}) {
-    this.coverage = options.coverage || DEFAULT_COVERAGE;
-    this.maxConsecutiveWork = options.maxConsecutiveWork || ArbZG.MAX_CONSECUTIVE_WORK_DAYS;
+    this.coverage = normalizeCoverage(options.coverage || DEFAULT_COVERAGE);
+    this.holidays = options.holidays || [];
+    // Overrides the consecutive work day limit of each engineer's rule pack
+    this.maxConsecutiveWork = options.maxConsecutiveWork || null;
+    // Cells kept from a previous generation: { engineerId: { date: shift } }
+    this.lockedCells = options.lockedCells || {};
+    // Seeded random function of the Scheduler (see utils/Random.js)
+    this.random = options.random || Math.random;
+    // Long-term fairness ledger of the Scheduler (see utils/FairnessLedger.js)
+    this.fairnessLedger = options.fairnessLedger || null;
+    // ArbZG limits across the work history of the Scheduler (see rules/ArbZGCompliance.js)
+    this.workingTimeLimits = options.workingTimeLimits || null;
   }
 
   /**
@@ -138,6 +142,9 @@ export class DayShiftStrategy {
       return shift === SHIFTS.TRAINING;
     }
 
+    // Recurring weekly availability (part-time patterns)
+    if (!isShiftAllowedByPattern(engineer, shift, date)) return false;
+
     // Check preferences
     if (engineer.preferences && engineer.preferences.length > 0) {
       const isWknd = isWeekend(date);
@@ -170,14 +177,18 @@ export class DayShiftStrategy {
   }
 
   /**
-   * Check valid transition from previous day
+   * Check valid transition from previous day (rule pack of the engineer)
    */
-  isValidTransition(schedule, engineerId, date, targetShift) {
+  isValidTransition(schedule, engineer, date, targetShift) {
     const prevDateStr = toDateString(getPreviousDay(date));
-    const prevShift = schedule[engineerId]?.[prevDateStr];
+    const prevShift = schedule[engineer.id]?.[prevDateStr];
+    const pack = getRulePackFor(engineer);
+
+    const violation = getTransitionViolation(prevShift, targetShift, pack, date);
+    if (violation !== null) return false;
 
-    const violation = getTransitionViolation(prevShift, targetShift);
-    return violation === null;
+    // A locked next day cannot be changed to make room for this shift
+    return !conflictsWithLockedNext(this.lockedCells, engineer.id, date, targetShift, pack);
   }
 
   /**
@@ -200,11 +211,15 @@ export class DayShiftStrategy {
       if (!this.canWorkShift(engineer, shift, date)) return false;
 
       // Must have valid transition
-      if (!this.isValidTransition(schedule, engineer.id, date, shift)) return false;
+      if (!this.isValidTransition(schedule, engineer, date, shift)) return false;
+
+      // Must stay within contract hours (part-time engineers) and the ArbZG limits
+      if (exceedsContractHours(schedule, engineer, weeks?.[findWeekIndex(weeks, date)], date, shift)) return false;
+      if (this.workingTimeLimits?.exceeds(schedule, engineer, date, shift)) return false;
 
-      // Check consecutive days limit - German law allows up to 6 consecutive work days
+      // Check consecutive days limit of the engineer's rule pack
       const consecutive = this.getConsecutiveWorkDays(schedule, engineer.id, getPreviousDay(date), days);
-      if (consecutive >= 6) return false;
+      if (consecutive >= (this.maxConsecutiveWork || getRulePackFor(engineer).maxConsecutiveWorkDays)) return false;
 
       return true;
     });
@@ -217,7 +232,7 @@ export class DayShiftStrategy {
     const currentWeekIndex = findWeekIndex(weeks, date);
 
     // Shuffle first to randomize tie-breaking
-    return shuffleArray(eligible).map(engineer => {
+    return shuffleArray(eligible, this.random).map(engineer => {
       let score = 0;
 
       // Consistency bonus: favor engineers whose previous week matches this shift type
@@ -244,8 +259,16 @@ export class DayShiftStrategy {
         score += 5;
       }
 
+      // Long-term fairness: engineers who carried more lates/weekends/holidays give way
+      if (this.fairnessLedger) {
+        const dateStr = toDateString(date);
+        const isHoliday = this.holidays.some(h => h.date === dateStr &&
+          (h.type === 'federal' || (!!engineer.state && h.states?.includes(engineer.state))));
+        score += this.fairnessLedger.getAdjustment(engineer.id, getShiftCategories(shift, dateStr, isHoliday));
+      }
+
       // Add small random factor for fine-grained tie-breaking
-      score += Math.random() * 2;
+      score += this.random() * 2;
 
       return { engineer, score };
     }).sort((a, b) => b.score - a.score);
@@ -263,16 +286,25 @@ export class DayShiftStrategy {
 
     for (const day of days) {
       const dateStr = toDateString(day);
-      const isWknd = isWeekend(day);
-      const dayCoverage = isWknd ? this.coverage.weekend : this.coverage.weekday;
+      const dayCoverage = getCoverageForDate(this.coverage, day, this.holidays);
 
       for (const shift of dayShifts) {
-        const minRequired = dayCoverage[shift]?.min || 2;
+        const minRequired = dayCoverage[shift]?.min ?? 2;
         const eligible = this.getEligibleEngineers(schedule, engineers, day, shift, days, weeks);
         const scored = this.scoreEngineers(eligible, schedule, day, shift, days, weeks);
 
-        let assigned = 0;
-        for (const { engineer } of scored) {
+        // Engineers needed for a skill requirement go first
+        const ordered = orderBySkillRequirements(
+          scored,
+          getSkillRequirementsForDate(this.coverage, day, this.holidays, shift),
+          engineers.filter(e => schedule[e.id]?.[dateStr] === shift)
+        );
+
+        // Locked cells already on this shift count toward the minimum
+        let assigned = engineers.filter(e =>
+          !e.isFloater && !e.inTraining && schedule[e.id]?.[dateStr] === shift
+        ).length;
+        for (const { engineer } of ordered) {
           if (assigned >= minRequired) break;
 
           schedule[engineer.id][dateStr] = shift;
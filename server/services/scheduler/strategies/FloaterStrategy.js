@@ -5,7 +5,10 @@
 
 import { SHIFTS, FLOATER_CONFIG, DEFAULT_COVERAGE } from '../config/defaults.js';
 import { toDateString, isWeekend, getPreviousDay } from '../utils/DateUtils.js';
-import { getTransitionViolation } from '../rules/GermanLaborLaws.js';
+import { normalizeCoverage, getCoverageForDate } from '../utils/CoverageUtils.js';
+import { getTransitionViolation, getRulePackFor } from '../rules/LaborLaw.js';
+import { conflictsWithLockedNext } from '../utils/LockUtils.js';
+import { isShiftAllowedByPattern, exceedsContractHours } from '../utils/ContractUtils.js';
 
 /**
  * Floater Strategy
@@ -14,7 +17,12 @@ import { getTransitionViolation } from '../rules/GermanLaborLaws.js';
 export class FloaterStrategy {
   constructor(options = {}) {
     this.maxShiftsPerWeek = options.maxShiftsPerWeek || FLOATER_CONFIG.maxShiftsPerWeek;
-    this.coverage = options.coverage || DEFAULT_COVERAGE;
+    this.coverage = normalizeCoverage(options.coverage || DEFAULT_COVERAGE);
+    this.holidays = options.holidays || [];
+    // Cells kept from a previous generation: { engineerId: { date: shift } }
+    this.lockedCells = options.lockedCells || {};
+    // ArbZG limits across the work history of the Scheduler (see rules/ArbZGCompliance.js)
+    this.workingTimeLimits = options.workingTimeLimits || null;
   }
 
   /**
@@ -37,8 +45,9 @@ export class FloaterStrategy {
 
   /**
    * Check if floater can work on a date
+   * @param {Date[]} week - Week of the date, for the contract hours of part-time floaters
    */
-  canWork(schedule, floater, date, shift, floaters) {
+  canWork(schedule, floater, date, shift, floaters, week = null) {
     const dateStr = toDateString(date);
 
     // Already assigned
@@ -68,13 +77,28 @@ export class FloaterStrategy {
       }
     }
 
+    // Check weekly availability pattern, contract hours and ArbZG limits
+    if (!isShiftAllowedByPattern(floater, shift, date)) {
+      return false;
+    }
+    if (exceedsContractHours(schedule, floater, week, date, shift)) {
+      return false;
+    }
+    if (this.workingTimeLimits?.exceeds(schedule, floater, date, shift)) {
+      return false;
+    }
+
     // Check transition from previous day
     const prevDateStr = toDateString(getPreviousDay(date));
     const prevShift = schedule[floater.id]?.[prevDateStr];
-    const violation = getTransitionViolation(prevShift, shift);
+    const pack = getRulePackFor(floater);
+    const violation = getTransitionViolation(prevShift, shift, pack, date);
     if (violation) {
       return false;
     }
+    if (conflictsWithLockedNext(this.lockedCells, floater.id, date, shift, pack)) {
+      return false;
+    }
 
     // Check no other floater on same shift
     const otherFloaterOnShift = floaters.some(f =>
@@ -116,12 +140,12 @@ export class FloaterStrategy {
 
     const activeFloaters = floaters.slice(0, 2);
 
-    // Track shifts per week per floater
+    // Track shifts per week per floater (locked shifts count toward the weekly limit)
     const weeklyShifts = new Map();
     activeFloaters.forEach(f => {
       weeklyShifts.set(f.id, new Map());
       weeks.forEach((week, i) => {
-        weeklyShifts.get(f.id).set(i, 0);
+        weeklyShifts.get(f.id).set(i, this.getWeekShiftCount(schedule, f.id, week));
       });
     });
 
@@ -131,13 +155,12 @@ export class FloaterStrategy {
 
       for (const day of week) {
         const dateStr = toDateString(day);
-        const isWknd = isWeekend(day);
-        const dayCoverage = isWknd ? this.coverage.weekend : this.coverage.weekday;
+        const dayCoverage = getCoverageForDate(this.coverage, day, this.holidays);
 
         // Only add floaters for Early, Late, Morning shifts (Morning deprioritized)
         for (const shift of [SHIFTS.EARLY, SHIFTS.LATE, SHIFTS.MORNING]) {
           const currentCoverage = this.getCurrentCoverage(schedule, engineers, dateStr, shift);
-          const preferredCoverage = dayCoverage[shift]?.preferred || dayCoverage[shift]?.min || 2;
+          const preferredCoverage = dayCoverage[shift]?.preferred ?? dayCoverage[shift]?.min ?? 2;
 
           // Only add floaters if below preferred (not minimum - core handles minimum)
           if (currentCoverage < preferredCoverage) {
@@ -149,7 +172,7 @@ export class FloaterStrategy {
               }
 
               // Check if can work
-              if (!this.canWork(schedule, floater, day, shift, activeFloaters)) {
+              if (!this.canWork(schedule, floater, day, shift, activeFloaters, week)) {
                 continue;
               }
 
@@ -5,19 +5,13 @@
 
 import { SHIFTS, NIGHT_SHIFT_CONFIG } from '../config/defaults.js';
 import { toDateString, isWeekend, getPreviousDay } from '../utils/DateUtils.js';
-import { getTransitionViolation } from '../rules/GermanLaborLaws.js';
-
-/**
- * Fisher-Yates shuffle for randomizing arrays
- */
-function shuffleArray(array) {
-  const arr = [...array];
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
-}
+import { getTransitionViolation, getRulePackFor } from '../rules/LaborLaw.js';
+import { conflictsWithLockedNext } from '../utils/LockUtils.js';
+import { shuffleArray } from '../utils/Random.js';
+import { roundScore, TRACE_RUNNERS_UP } from '../utils/DecisionTrace.js';
+import { getSkillRequirementsForDate, getCoverageForDate } from '../utils/CoverageUtils.js';
+import { orderBySkillRequirements, describeSkillRequirement } from '../utils/SkillUtils.js';
+import { isShiftAllowedByPattern, exceedsContractHours } from '../utils/ContractUtils.js';
 
 /**
  * Night Shift Strategy
@@ -30,6 +24,20 @@ export class NightShiftStrategy {
     this.preferredEngineers = options.preferredEngineers || 3;
     // Select extra cohort members to ensure min coverage when some are unavailable
     this.cohortSize = options.cohortSize || 4;
+    // Cells kept from a previous generation: { engineerId: { date: shift } }
+    this.lockedCells = options.lockedCells || {};
+    // Seeded random function of the Scheduler (see utils/Random.js)
+    this.random = options.random || Math.random;
+    // Decision trace of the Scheduler, if tracing is enabled
+    this.trace = options.trace || null;
+    // Long-term fairness ledger of the Scheduler (see utils/FairnessLedger.js)
+    this.fairnessLedger = options.fairnessLedger || null;
+    // ArbZG limits across the work history of the Scheduler (see rules/ArbZGCompliance.js)
+    this.workingTimeLimits = options.workingTimeLimits || null;
+    // Coverage model and holidays, for the Night skill requirements
+    this.coverage = options.coverage || null;
+    this.holidays = options.holidays || [];
+    this.cohortScores = null;
   }
 
   /**
@@ -51,6 +59,42 @@ export class NightShiftStrategy {
     });
   }
 
+  /**
+   * Night requirement of a day: holiday tier and per-date overrides apply; without a
+   * coverage model the configured minimum
+   * @returns {Object} { min, preferred, max }
+   */
+  getNightRequirement(day) {
+    if (!this.coverage) {
+      return { min: this.minEngineers, preferred: this.preferredEngineers, max: null };
+    }
+    return getCoverageForDate(this.coverage, day, this.holidays)[SHIFTS.NIGHT];
+  }
+
+  /**
+   * Night skill requirements of a day (see utils/SkillUtils.js)
+   */
+  getSkillRequirements(day) {
+    if (!this.coverage) return [];
+    return getSkillRequirementsForDate(this.coverage, day, this.holidays, SHIFTS.NIGHT);
+  }
+
+  /**
+   * Night skill requirements of any day in a block, each once
+   */
+  getBlockSkillRequirements(block) {
+    const requirements = new Map();
+    for (const day of block.days) {
+      for (const requirement of this.getSkillRequirements(day)) {
+        const key = `${requirement.tier}|${requirement.skill}`;
+        if (!requirements.has(key) || requirements.get(key).min < requirement.min) {
+          requirements.set(key, requirement);
+        }
+      }
+    }
+    return [...requirements.values()];
+  }
+
   /**
    * Group weeks into 2-week blocks for cohort rotation
    */
@@ -84,48 +128,97 @@ export class NightShiftStrategy {
     // 1. Availability during the block
     // 2. Not in previous cohort (for rotation)
     // 3. Night shift preference in their profile
+    // 4. Nights worked in past months (fairness ledger)
     // Shuffle first for randomized tie-breaking
-    const scored = shuffleArray(eligibleEngineers).map(engineer => {
-      let score = 0;
+    const scored = shuffleArray(eligibleEngineers, this.random).map(engineer => {
+      const factors = { availability: 0, rotation: 0, preference: 0, history: 0, tieBreak: 0 };
 
-      // Availability score
+      // Availability score (weekdays outside the availability pattern do not count)
       const availableDays = block.days.filter(day => {
         const dateStr = toDateString(day);
-        return schedule[engineer.id]?.[dateStr] !== SHIFTS.UNAVAILABLE;
+        return schedule[engineer.id]?.[dateStr] !== SHIFTS.UNAVAILABLE &&
+          isShiftAllowedByPattern(engineer, SHIFTS.NIGHT, day);
       }).length;
       const availabilityRatio = availableDays / block.days.length;
-      score += availabilityRatio * 50;
+      factors.availability = availabilityRatio * 50;
 
       // Rotation bonus (not in previous cohort)
       if (!previousCohort.includes(engineer.id)) {
-        score += 30;
+        factors.rotation = 30;
       }
 
       // Preference bonus
       if (engineer.preferences?.includes(SHIFTS.NIGHT)) {
-        score += 20;
+        factors.preference = 20;
+      }
+
+      // History: engineers with more nights than the team in past months give way
+      if (this.fairnessLedger) {
+        factors.history = this.fairnessLedger.getAdjustment(engineer.id, ['nights']);
       }
 
       // Small random factor for tie-breaking
-      score += Math.random() * 2;
+      factors.tieBreak = this.random() * 2;
 
-      return { engineer, score, availabilityRatio };
+      const score = Object.values(factors).reduce((sum, value) => sum + value, 0);
+      return { engineer, score, availabilityRatio, factors };
     });
 
     // Sort by score descending
     scored.sort((a, b) => b.score - a.score);
 
-    // Select top engineers with adequate availability
-    for (const { engineer, availabilityRatio } of scored) {
+    // Select top engineers with adequate availability (at least 50%). Skill requirements
+    // get one spare qualifying member so a single absence does not leave them unmet.
+    const available = scored.filter(c => c.availabilityRatio >= 0.5);
+    const requirements = this.getBlockSkillRequirements(block).map(r => ({ ...r, min: r.min + 1 }));
+    for (const { engineer } of orderBySkillRequirements(available, requirements)) {
       if (cohort.length >= cohortSize) break;
-      if (availabilityRatio >= 0.5) { // At least 50% availability
-        cohort.push(engineer);
-      }
+      cohort.push(engineer);
+    }
+
+    if (this.trace) {
+      this.cohortScores = { blockStart: toDateString(block.days[0]), scored, cohort };
     }
 
     return cohort;
   }
 
+  /**
+   * Record a night assignment of the current block in the decision trace,
+   * with the best-scored engineers left out of the cohort as runners-up
+   */
+  traceNightChoice(engineerId, dateStr, requirement = null) {
+    const { blockStart, scored, cohort } = this.cohortScores;
+    const chosen = scored.find(c => c.engineer.id === engineerId);
+    if (!chosen) return;
+
+    const factors = {};
+    for (const [name, value] of Object.entries(chosen.factors)) {
+      factors[name] = roundScore(value);
+    }
+
+    const runnersUp = scored
+      .filter(c => !cohort.includes(c.engineer))
+      .slice(0, TRACE_RUNNERS_UP)
+      .map(c => ({
+        engineerId: c.engineer.id,
+        score: roundScore(c.score),
+        reason: c.availabilityRatio < 0.5 ? 'Available for less than half of the block' : 'Lower score - cohort already full'
+      }));
+
+    this.trace.record(engineerId, dateStr, {
+      shift: SHIFTS.NIGHT,
+      step: 'night_shifts',
+      rule: requirement ? 'skill_requirement' : 'night_cohort',
+      reason: requirement
+        ? `Cohort member meeting the Night skill requirement (${describeSkillRequirement(requirement)}) in the block starting ${blockStart}`
+        : `In the night cohort for the block starting ${blockStart} (nights are planned in ${this.consistencyWeeks}-week blocks)`,
+      score: roundScore(chosen.score),
+      factors,
+      runnersUp
+    });
+  }
+
   /**
    * Get shift from previous month tail for cross-month boundary checks
    */
@@ -149,8 +242,9 @@ export class NightShiftStrategy {
 
   /**
    * Assign night shifts for a block
+   * Locked Night cells of any engineer count toward the day's coverage.
    */
-  assignNightShiftsForBlock(schedule, cohort, block, days, prevMonthTail = {}) {
+  assignNightShiftsForBlock(schedule, cohort, block, days, prevMonthTail = {}, engineers = cohort) {
     const errors = [];
     const assignments = [];
     const firstDayOfMonth = days[0] ? toDateString(days[0]) : null;
@@ -158,21 +252,25 @@ export class NightShiftStrategy {
     for (const day of block.days) {
       const dateStr = toDateString(day);
       const isWknd = isWeekend(day);
-      const minRequired = this.minEngineers;
-      let assigned = 0;
-
-      for (const engineer of cohort) {
-        if (assigned >= this.preferredEngineers) break;
-
+      const week = block.weeks.find(w => w.some(d => toDateString(d) === dateStr));
+      const nightRequirement = this.getNightRequirement(day);
+      const minRequired = nightRequirement.min;
+      // Staff up to the usual cohort size, but at least the day's minimum and never over its max
+      const target = Math.min(Math.max(minRequired, this.preferredEngineers), nightRequirement.max ?? Infinity);
+      const covering = engineers.filter(e => schedule[e.id]?.[dateStr] === SHIFTS.NIGHT);
+      let assigned = covering.length;
+
+      // Cohort members who can take this night
+      const candidates = cohort.filter(engineer => {
         // Check current state (skip if already assigned, including reserved OFF)
         const currentValue = schedule[engineer.id]?.[dateStr];
-        if (currentValue !== null && currentValue !== undefined) continue;
+        if (currentValue !== null && currentValue !== undefined) return false;
 
-        // Check availability
-        if (currentValue === SHIFTS.UNAVAILABLE) continue;
-
-        // Check preference
-        if (!this.canWorkNight(engineer, isWknd)) continue;
+        // Check preference, weekly availability, contract hours and ArbZG limits
+        if (!this.canWorkNight(engineer, isWknd)) return false;
+        if (!isShiftAllowedByPattern(engineer, SHIFTS.NIGHT, day)) return false;
+        if (exceedsContractHours(schedule, engineer, week, day, SHIFTS.NIGHT)) return false;
+        if (this.workingTimeLimits?.exceeds(schedule, engineer, day, SHIFTS.NIGHT)) return false;
 
         // Check transition from previous day (including cross-month boundary)
         const prevDateStr = toDateString(getPreviousDay(day));
@@ -183,13 +281,20 @@ export class NightShiftStrategy {
           prevShift = this.getLastPrevMonthShift(prevMonthTail, engineer.id);
         }
 
-        const violation = getTransitionViolation(prevShift, SHIFTS.NIGHT);
-        if (violation) continue;
+        const pack = getRulePackFor(engineer);
+        if (getTransitionViolation(prevShift, SHIFTS.NIGHT, pack, day)) return false;
+        return !conflictsWithLockedNext(this.lockedCells, engineer.id, day, SHIFTS.NIGHT, pack);
+      }).map(engineer => ({ engineer }));
+
+      // Members needed for a skill requirement go first
+      for (const { engineer, requirement } of orderBySkillRequirements(candidates, this.getSkillRequirements(day), covering)) {
+        if (assigned >= target) break;
 
         // Assign night shift
         schedule[engineer.id][dateStr] = SHIFTS.NIGHT;
         assigned++;
         assignments.push({ engineerId: engineer.id, date: dateStr, shift: SHIFTS.NIGHT });
+        if (this.trace) this.traceNightChoice(engineer.id, dateStr, requirement);
       }
 
       if (assigned < minRequired) {
@@ -258,7 +363,7 @@ export class NightShiftStrategy {
         });
       }
 
-      const result = this.assignNightShiftsForBlock(schedule, cohort, block, days, prevMonthTail);
+      const result = this.assignNightShiftsForBlock(schedule, cohort, block, days, prevMonthTail, engineers);
       errors.push(...result.errors);
 
       // Update previous cohort for rotation
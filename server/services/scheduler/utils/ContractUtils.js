@@ -0,0 +1,200 @@
+/**
+ * Contract Utilities for Schedule Generation
+ * Contract hours and recurring weekly availability patterns of engineers (part-time support)
+ *
+ * contractHours: weekly hours of the contract (null = full time, no hour limit)
+ * availabilityPattern: { mon: ['Early', 'Morning'], fri: [] } - a listed weekday is limited to
+ *   the listed shifts, an empty list means the engineer never works that weekday.
+ *   Weekdays that are not listed are unrestricted.
+ *
+ * Both are hard limits for the solver.
+ */
+
+import { SHIFTS } from '../config/defaults.js';
+import { getShiftTimes, getWorkShiftNames } from '../config/shiftCatalogue.js';
+import { toDateString, getDayOfWeek, isWeekend } from './DateUtils.js';
+import { getShiftInterval } from '../rules/LaborLaw.js';
+
+export const FULL_TIME_HOURS = 40;
+export const MAX_CONTRACT_HOURS = 48; // ArbZG average weekly maximum
+export const TRAINING_SHIFT_HOURS = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pattern keys by getDayOfWeek() index (0 = Sunday)
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Normalize contract hours: a positive number, or null for full time
+ */
+export function normalizeContractHours(hours) {
+  if (hours === undefined || hours === null || hours === '') return null;
+  const value = Number(hours);
+  return Number.isFinite(value) && value > 0 ? Math.round(value * 10) / 10 : null;
+}
+
+/**
+ * Validate contract hours before saving
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateContractHours(hours) {
+  if (hours === undefined || hours === null || hours === '') return [];
+  const value = Number(hours);
+  if (!Number.isFinite(value) || value <= 0 || value > MAX_CONTRACT_HOURS) {
+    return [`Contract hours must be a number between 1 and ${MAX_CONTRACT_HOURS}`];
+  }
+  return [];
+}
+
+/**
+ * Normalize an availability pattern: known weekdays only, shift lists without duplicates.
+ * Returns null if no weekday is restricted.
+ */
+export function normalizeAvailabilityPattern(pattern) {
+  if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) return null;
+
+  const result = {};
+  for (const weekday of WEEKDAYS) {
+    const shifts = pattern[weekday];
+    if (!Array.isArray(shifts)) continue;
+    result[weekday] = [...new Set(shifts.filter(s => typeof s === 'string'))];
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Validate an availability pattern before saving
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateAvailabilityPattern(pattern) {
+  if (pattern === undefined || pattern === null) return [];
+  if (typeof pattern !== 'object' || Array.isArray(pattern)) {
+    return ['Availability pattern must map weekdays to lists of shifts'];
+  }
+
+  const errors = [];
+  const shiftNames = getWorkShiftNames();
+  for (const [weekday, shifts] of Object.entries(pattern)) {
+    if (!WEEKDAYS.includes(weekday)) {
+      errors.push(`Unknown weekday "${weekday}" in availability pattern (use ${WEEKDAYS.join(', ')})`);
+      continue;
+    }
+    if (!Array.isArray(shifts)) {
+      errors.push(`Availability for ${weekday} must be a list of shifts`);
+      continue;
+    }
+    const unknown = shifts.filter(s => !shiftNames.includes(s));
+    if (unknown.length > 0) {
+      errors.push(`Unknown shift(s) for ${weekday}: ${unknown.join(', ')}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Shifts allowed by the pattern on a date (null = unrestricted)
+ */
+export function getPatternShifts(engineer, date) {
+  const shifts = engineer.availabilityPattern?.[WEEKDAYS[getDayOfWeek(date)]];
+  return Array.isArray(shifts) ? shifts : null;
+}
+
+/**
+ * Check if the pattern leaves the engineer any shift on a date
+ */
+export function isAvailableByPattern(engineer, date) {
+  const shifts = getPatternShifts(engineer, date);
+  return shifts === null || shifts.length > 0;
+}
+
+/**
+ * Check if the pattern allows a work shift on a date (Training is not restricted)
+ */
+export function isShiftAllowedByPattern(engineer, shift, date) {
+  if (shift === SHIFTS.TRAINING) return true;
+  const shifts = getPatternShifts(engineer, date);
+  return shifts === null || shifts.includes(shift);
+}
+
+/**
+ * Paid hours of a cell (0 for OFF and UNAVAILABLE)
+ */
+export function getShiftHours(shift, date) {
+  if (!shift || shift === SHIFTS.OFF || shift === SHIFTS.UNAVAILABLE) return 0;
+  if (shift === SHIFTS.TRAINING) return TRAINING_SHIFT_HOURS;
+  return getShiftTimes(shift, isWeekend(date))?.duration ?? 0;
+}
+
+/**
+ * Paid hours of a cell split over the calendar days the shift touches, in proportion to its
+ * time on each day (a Night shift from 23:00 counts mostly on the next day). Used for Sunday and holiday supplements.
+ * @returns {Object} { 'yyyy-MM-dd': hours }
+ */
+export function getShiftHoursByDay(shift, date) {
+  const hours = getShiftHours(shift, date);
+  const interval = getShiftInterval(shift, toDateString(date));
+  if (!hours || !interval) return {};
+
+  const length = interval.end - interval.start;
+  const byDay = {};
+  // Intervals are UTC wall-clock timestamps, so days start at multiples of DAY_MS
+  for (let dayStart = interval.start - (interval.start % DAY_MS); dayStart < interval.end; dayStart += DAY_MS) {
+    const overlap = Math.min(interval.end, dayStart + DAY_MS) - Math.max(interval.start, dayStart);
+    if (overlap > 0) {
+      byDay[new Date(dayStart).toISOString().slice(0, 10)] = Math.round(hours * overlap / length * 100) / 100;
+    }
+  }
+  return byDay;
+}
+
+/**
+ * Scheduled hours of an engineer in a week
+ * @param {Object} schedule - { engineerId: { date: shift } }
+ * @param {Date[]} week
+ */
+export function getWeeklyHours(schedule, engineerId, week) {
+  return week.reduce((sum, day) =>
+    sum + getShiftHours(schedule[engineerId]?.[toDateString(day)], day), 0);
+}
+
+/**
+ * Weekly shift target of an engineer: full-time target scaled by the contract
+ * (e.g. 5 shifts at 40h, 3 shifts at 24h)
+ */
+export function getWeeklyShiftTarget(engineer, fullTimeTarget = 5) {
+  if (!engineer.contractHours) return fullTimeTarget;
+  const target = Math.round(fullTimeTarget * engineer.contractHours / FULL_TIME_HOURS);
+  return Math.min(fullTimeTarget, Math.max(1, target));
+}
+
+/**
+ * Check if putting a shift on a day would take the engineer over their weekly contract hours.
+ * The current value of the day is replaced, not added to.
+ */
+export function exceedsContractHours(schedule, engineer, week, day, shift) {
+  if (!engineer.contractHours || !week) return false;
+  const dateStr = toDateString(day);
+  const hours = getWeeklyHours(schedule, engineer.id, week) -
+    getShiftHours(schedule[engineer.id]?.[dateStr], day) +
+    getShiftHours(shift, day);
+  return hours > engineer.contractHours;
+}
+
+export default {
+  FULL_TIME_HOURS,
+  MAX_CONTRACT_HOURS,
+  TRAINING_SHIFT_HOURS,
+  WEEKDAYS,
+  normalizeContractHours,
+  validateContractHours,
+  normalizeAvailabilityPattern,
+  validateAvailabilityPattern,
+  getPatternShifts,
+  isAvailableByPattern,
+  isShiftAllowedByPattern,
+  getShiftHours,
+  getShiftHoursByDay,
+  getWeeklyHours,
+  getWeeklyShiftTarget,
+  exceedsContractHours
+};
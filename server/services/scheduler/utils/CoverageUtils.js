@@ -0,0 +1,257 @@
+/**
+ * Coverage Utilities for Schedule Generation
+ * Resolves the admin-editable coverage matrix into per-day requirements
+ *
+ * Coverage model:
+ * {
+ *   weekday: { Early: { min, preferred, max }, ... },
+ *   weekend: { ... },
+ *   holiday: { ... },
+ *   overrides: [{ date: 'YYYY-MM-DD', shift, min, preferred, max, note }],
+ *   skillRequirements: [{ shift, dayTypes, tier, skill, min }]
+ * }
+ * max is optional (null/undefined = no upper limit).
+ * Skill requirements apply on the listed day types (all if empty), see SkillUtils.js.
+ */
+
+import { SHIFTS, DEFAULT_COVERAGE } from '../config/defaults.js';
+import { toDateString, isWeekend } from './DateUtils.js';
+import { SKILL_TIERS, MAX_SKILL_LENGTH } from './SkillUtils.js';
+
+export const COVERAGE_DAY_TYPES = ['weekday', 'weekend', 'holiday'];
+export const COVERAGE_SHIFTS = [SHIFTS.EARLY, SHIFTS.MORNING, SHIFTS.LATE, SHIFTS.NIGHT];
+
+/**
+ * Normalize a single { min, preferred, max } requirement
+ */
+function normalizeRequirement(req, fallback) {
+  const base = { ...fallback, ...(req || {}) };
+  const min = Number(base.min) || 0;
+  const preferred = Math.max(min, Number(base.preferred) || min);
+  const max = base.max === null || base.max === undefined || base.max === ''
+    ? null
+    : Number(base.max);
+  return { min, preferred, max };
+}
+
+/**
+ * Merge a stored coverage model onto DEFAULT_COVERAGE so missing tiers/shifts
+ * fall back to the built-in requirements. Holidays fall back to weekend rules.
+ */
+export function normalizeCoverage(model) {
+  const source = model || {};
+  const coverage = {};
+
+  for (const dayType of COVERAGE_DAY_TYPES) {
+    const defaults = DEFAULT_COVERAGE[dayType] || DEFAULT_COVERAGE.weekend;
+    coverage[dayType] = {};
+    for (const shift of COVERAGE_SHIFTS) {
+      coverage[dayType][shift] = normalizeRequirement(source[dayType]?.[shift], defaults[shift]);
+    }
+  }
+
+  coverage.overrides = (source.overrides || [])
+    .filter(o => o && o.date && COVERAGE_SHIFTS.includes(o.shift))
+    .map(o => ({
+      date: toDateString(o.date),
+      shift: o.shift,
+      ...normalizeRequirement(o, coverage.weekday[o.shift]),
+      note: o.note || ''
+    }));
+
+  coverage.skillRequirements = (source.skillRequirements || [])
+    .filter(r => r && COVERAGE_SHIFTS.includes(r.shift) && (r.tier || r.skill))
+    .map(r => ({
+      shift: r.shift,
+      dayTypes: (r.dayTypes || []).filter(t => COVERAGE_DAY_TYPES.includes(t)),
+      tier: SKILL_TIERS.includes(r.tier) ? r.tier : null,
+      skill: r.skill ? String(r.skill).trim() : null,
+      min: r.min === undefined || r.min === null || r.min === '' ? 1 : Math.max(0, Number(r.min) || 0)
+    }));
+
+  return coverage;
+}
+
+/**
+ * Validate a coverage model before saving
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateCoverage(model) {
+  const errors = [];
+  if (!model || typeof model !== 'object') {
+    return ['Coverage model is required'];
+  }
+
+  const checkRequirement = (label, req) => {
+    if (!req) return;
+    if (typeof req !== 'object') {
+      errors.push(`${label}: must be an object with min, preferred and max`);
+      return;
+    }
+    const { min, preferred, max } = req;
+    if (!Number.isInteger(Number(min)) || Number(min) < 0) {
+      errors.push(`${label}: min must be a non-negative whole number`);
+    }
+    if (preferred !== undefined && !(Number(preferred) >= Number(min))) {
+      errors.push(`${label}: preferred must be at least min`);
+    }
+    if (max !== undefined && max !== null && max !== '') {
+      if (!Number.isInteger(Number(max)) || Number(max) < 0) {
+        errors.push(`${label}: max must be a non-negative whole number or empty`);
+      } else if (Number(max) < Number(preferred ?? min)) {
+        errors.push(`${label}: max must be at least preferred`);
+      }
+    }
+  };
+
+  for (const dayType of COVERAGE_DAY_TYPES) {
+    for (const shift of COVERAGE_SHIFTS) {
+      checkRequirement(`${dayType} ${shift}`, model[dayType]?.[shift]);
+    }
+  }
+
+  if (model.overrides !== undefined && !Array.isArray(model.overrides)) {
+    errors.push('overrides must be a list');
+  } else {
+    (model.overrides || []).forEach((o, i) => {
+      if (!o || typeof o !== 'object') {
+        errors.push(`Override ${i + 1}: must be an object`);
+        return;
+      }
+      if (!o.date || !/^\d{4}-\d{2}-\d{2}$/.test(o.date)) {
+        errors.push(`Override ${i + 1}: date must be YYYY-MM-DD`);
+      }
+      if (!COVERAGE_SHIFTS.includes(o.shift)) {
+        errors.push(`Override ${i + 1}: shift must be one of ${COVERAGE_SHIFTS.join(', ')}`);
+      }
+      checkRequirement(`Override ${i + 1} (${o.date} ${o.shift})`, o);
+    });
+  }
+
+  if (model.skillRequirements !== undefined && !Array.isArray(model.skillRequirements)) {
+    errors.push('skillRequirements must be a list');
+  } else {
+    (model.skillRequirements || []).forEach((r, i) => {
+      const label = `Skill requirement ${i + 1}`;
+      if (!r || typeof r !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+      if (!COVERAGE_SHIFTS.includes(r.shift)) {
+        errors.push(`${label}: shift must be one of ${COVERAGE_SHIFTS.join(', ')}`);
+      }
+      if (!r.tier && !(typeof r.skill === 'string' && r.skill.trim())) {
+        errors.push(`${label}: a tier or a skill is required`);
+      }
+      if (r.tier && !SKILL_TIERS.includes(r.tier)) {
+        errors.push(`${label}: tier must be one of ${SKILL_TIERS.join(', ')}`);
+      }
+      if (typeof r.skill === 'string' && r.skill.trim().length > MAX_SKILL_LENGTH) {
+        errors.push(`${label}: skill is longer than ${MAX_SKILL_LENGTH} characters`);
+      }
+      if (!Number.isInteger(Number(r.min)) || Number(r.min) < 0) {
+        errors.push(`${label}: min must be a non-negative whole number`);
+      }
+      if (r.dayTypes !== undefined && (!Array.isArray(r.dayTypes) || r.dayTypes.some(t => !COVERAGE_DAY_TYPES.includes(t)))) {
+        errors.push(`${label}: dayTypes must be a list of ${COVERAGE_DAY_TYPES.join(', ')}`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Mark state holidays that every core engineer observes (e.g. Epiphany for a team based in
+ * Bavaria) as team-wide, so they use the holiday tier like federal holidays
+ * @param {Array} holidays - Holidays of the period
+ * @param {Array} engineers - Engineers being scheduled
+ * @returns {Array} Holidays, team-wide state holidays with teamWide: true
+ */
+export function markTeamHolidays(holidays = [], engineers = []) {
+  const core = engineers.filter(e => !e.isFloater);
+  if (core.length === 0) return holidays;
+
+  return holidays.map(h => (
+    h.type === 'state' && core.every(e => e.state && h.states?.includes(e.state))
+      ? { ...h, teamWide: true }
+      : h
+  ));
+}
+
+/**
+ * Determine the coverage day type for a date.
+ * Federal and team-wide holidays use the holiday tier (other state holidays only affect
+ * some engineers).
+ */
+export function getCoverageDayType(date, holidays = []) {
+  const dateStr = toDateString(date);
+  if (holidays.some(h => h.date === dateStr && (h.type === 'federal' || h.teamWide))) {
+    return 'holiday';
+  }
+  return isWeekend(date) ? 'weekend' : 'weekday';
+}
+
+/**
+ * Resolve coverage requirements for a specific date:
+ * per-date override > holiday > weekend > weekday
+ */
+export function getCoverageForDate(coverage, date, holidays = []) {
+  const dayType = getCoverageDayType(date, holidays);
+  const base = coverage[dayType] || (dayType === 'holiday' ? coverage.weekend : coverage.weekday);
+  const dateStr = toDateString(date);
+  const overrides = (coverage.overrides || []).filter(o => o.date === dateStr);
+
+  if (overrides.length === 0) return base;
+
+  const resolved = { ...base };
+  for (const o of overrides) {
+    resolved[o.shift] = { min: o.min, preferred: o.preferred, max: o.max };
+  }
+  return resolved;
+}
+
+/**
+ * Skill requirements of a shift on a specific date
+ * @returns {Object[]} Requirements (see SkillUtils.js)
+ */
+export function getSkillRequirementsForDate(coverage, date, holidays = [], shift) {
+  const dayType = getCoverageDayType(date, holidays);
+  return (coverage.skillRequirements || []).filter(r =>
+    r.shift === shift && (r.dayTypes.length === 0 || r.dayTypes.includes(dayType))
+  );
+}
+
+/**
+ * Build a relaxed copy of a coverage model for the "Relax Coverage" recovery option.
+ * Every shift minimum is lowered by 1 (never below 0); preferred and max are kept
+ * so the solver still aims for normal staffing where it can. Skill requirements are kept.
+ */
+export function relaxCoverage(coverage) {
+  const relax = req => ({ ...req, min: Math.max(0, req.min - 1) });
+  const relaxed = {};
+
+  for (const [dayType, shifts] of Object.entries(coverage)) {
+    if (dayType === 'overrides' || dayType === 'skillRequirements') continue;
+    relaxed[dayType] = {};
+    for (const [shift, req] of Object.entries(shifts)) {
+      relaxed[dayType][shift] = relax(req);
+    }
+  }
+  relaxed.overrides = (coverage.overrides || []).map(relax);
+  relaxed.skillRequirements = coverage.skillRequirements || [];
+
+  return relaxed;
+}
+
+export default {
+  COVERAGE_DAY_TYPES,
+  COVERAGE_SHIFTS,
+  normalizeCoverage,
+  validateCoverage,
+  markTeamHolidays,
+  getCoverageDayType,
+  getCoverageForDate,
+  getSkillRequirementsForDate,
+  relaxCoverage
+};
@@ -0,0 +1,81 @@
+/**
+ * Decision Trace for Schedule Generation
+ * Records why each cell got its value, so managers can explain a schedule
+ *
+ * Trace (stored on the schedule record as decisionTrace):
+ * { engineerId: { 'YYYY-MM-DD': {
+ *     shift, step, rule, reason,
+ *     score?, factors?, runnersUp?: [{ engineerId, score, reason }]
+ * } } }
+ *
+ * Scored choices (night cohort, day shifts) are recorded where they are made. Every other
+ * pipeline step is attributed by diffing the schedule before and after the step.
+ */
+
+// Runners-up kept per scored decision
+export const TRACE_RUNNERS_UP = 3;
+
+/**
+ * Round scores so the trace stays compact
+ */
+export function roundScore(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export class DecisionTrace {
+  constructor() {
+    this.cells = {};
+    // Cells recorded explicitly since the last attributeChanges()
+    this.recorded = new Set();
+    this.snapshot = {};
+  }
+
+  /**
+   * Record the decision for a cell (the latest decision wins)
+   */
+  record(engineerId, dateStr, entry) {
+    if (!this.cells[engineerId]) this.cells[engineerId] = {};
+    this.cells[engineerId][dateStr] = entry;
+    this.recorded.add(`${engineerId}|${dateStr}`);
+  }
+
+  /**
+   * Get the decision recorded for a cell
+   */
+  get(engineerId, dateStr) {
+    return this.cells[engineerId]?.[dateStr] || null;
+  }
+
+  /**
+   * Attribute every cell that changed since the previous call to a pipeline step,
+   * unless the step already recorded a decision for it
+   * @param {Object} schedule - Schedule after the step
+   * @param {Function} describe - (engineerId, dateStr, shift, previousShift) => entry
+   */
+  attributeChanges(schedule, describe) {
+    for (const [engineerId, dates] of Object.entries(schedule)) {
+      for (const [dateStr, shift] of Object.entries(dates || {})) {
+        const previous = this.snapshot[engineerId]?.[dateStr] ?? null;
+        if (shift === previous || shift === null || shift === undefined) continue;
+
+        const recorded = this.recorded.has(`${engineerId}|${dateStr}`) &&
+          this.get(engineerId, dateStr)?.shift === shift;
+        if (!recorded) {
+          this.record(engineerId, dateStr, describe(engineerId, dateStr, shift, previous));
+        }
+      }
+    }
+
+    this.recorded.clear();
+    this.snapshot = JSON.parse(JSON.stringify(schedule));
+  }
+
+  /**
+   * Plain object for storage
+   */
+  toJSON() {
+    return this.cells;
+  }
+}
+
+export default DecisionTrace;
@@ -0,0 +1,168 @@
+/**
+ * Fairness Ledger for Schedule Generation
+ * Cumulative counts of unpopular shifts per engineer across published schedules, so night,
+ * weekend and holiday duty rotates over the months instead of only within one month
+ *
+ * Ledger (plain object, built by buildFairnessLedger and passed as Scheduler option):
+ * { from: 'YYYY-MM', to: 'YYYY-MM', months: ['YYYY-MM', ...],
+ *   engineers: { engineerId: { months, nights, weekendDays, holidayShifts, lateShifts, sundays } } }
+ *
+ * months per engineer is the number of schedules they appear in, so new engineers are
+ * compared per month instead of by raw totals.
+ */
+
+import { SHIFTS, SHIFT_GROUPS, ALGORITHM_CONFIG } from '../config/defaults.js';
+import { isNightShift } from '../config/shiftCatalogue.js';
+import { isWeekend, isSunday } from './DateUtils.js';
+
+export const FAIRNESS_CATEGORIES = ['nights', 'weekendDays', 'holidayShifts', 'lateShifts', 'sundays'];
+
+const NON_WORK = [SHIFTS.OFF, SHIFTS.UNAVAILABLE, SHIFTS.TRAINING];
+
+/**
+ * Counts of all categories set to zero
+ */
+export function emptyFairnessCounts() {
+  return Object.fromEntries(FAIRNESS_CATEGORIES.map(category => [category, 0]));
+}
+
+/**
+ * Check if a date is a public holiday for an engineer (federal, or a state holiday of their state)
+ */
+export function isHolidayFor(holidays, dateStr, state) {
+  return holidays.some(h =>
+    h.date === dateStr && (h.type === 'federal' || (h.type === 'state' && !!state && h.states?.includes(state)))
+  );
+}
+
+/**
+ * Ledger categories of working on a date, whatever the shift (weekend, Sunday, holiday)
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {boolean} isHoliday - Public holiday for the engineer
+ * @returns {string[]}
+ */
+export function getDayCategories(dateStr, isHoliday = false) {
+  const categories = [];
+  if (isWeekend(dateStr)) categories.push('weekendDays');
+  if (isSunday(dateStr)) categories.push('sundays');
+  if (isHoliday) categories.push('holidayShifts');
+  return categories;
+}
+
+/**
+ * Ledger categories a shift on a date counts toward
+ * @param {string} shift
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {boolean} isHoliday - Public holiday for the engineer
+ * @returns {string[]}
+ */
+export function getShiftCategories(shift, dateStr, isHoliday = false) {
+  if (!shift || NON_WORK.includes(shift)) return [];
+
+  const categories = getDayCategories(dateStr, isHoliday);
+  if (isNightShift(shift)) categories.push('nights');
+  if (SHIFT_GROUPS.day_late.includes(shift)) categories.push('lateShifts');
+  return categories;
+}
+
+/**
+ * Count ledger categories per engineer in one month of schedule data
+ * @param {Object} data - { engineerId: { date: shift } }
+ * @param {Object[]} engineers - Engineers (for their state)
+ * @param {Object[]} holidays - Holidays of the month
+ * @returns {Object} { engineerId: counts }
+ */
+export function countFairnessShifts(data, engineers = [], holidays = []) {
+  const states = new Map(engineers.map(e => [e.id, e.state]));
+  const counts = {};
+
+  for (const [engineerId, dates] of Object.entries(data || {})) {
+    const engineerCounts = emptyFairnessCounts();
+    for (const [dateStr, shift] of Object.entries(dates || {})) {
+      const holiday = isHolidayFor(holidays, dateStr, states.get(engineerId));
+      for (const category of getShiftCategories(shift, dateStr, holiday)) {
+        engineerCounts[category]++;
+      }
+    }
+    counts[engineerId] = engineerCounts;
+  }
+
+  return counts;
+}
+
+/**
+ * Build a ledger from published months
+ * @param {Object[]} months - [{ month: 'YYYY-MM', data, holidays }] in any order
+ * @param {Object[]} engineers - Engineers (for their state)
+ * @returns {Object} Ledger
+ */
+export function buildFairnessLedger(months, engineers = []) {
+  const sorted = [...months].sort((a, b) => a.month.localeCompare(b.month));
+  const ledger = {
+    from: sorted[0]?.month || null,
+    to: sorted[sorted.length - 1]?.month || null,
+    months: sorted.map(m => m.month),
+    engineers: {}
+  };
+
+  for (const { data, holidays } of sorted) {
+    for (const [engineerId, counts] of Object.entries(countFairnessShifts(data, engineers, holidays))) {
+      const entry = ledger.engineers[engineerId] || { months: 0, ...emptyFairnessCounts() };
+      entry.months++;
+      for (const category of FAIRNESS_CATEGORIES) {
+        entry[category] += counts[category];
+      }
+      ledger.engineers[engineerId] = entry;
+    }
+  }
+
+  return ledger;
+}
+
+/**
+ * Scoring view of a ledger for the strategies
+ */
+export class FairnessLedger {
+  /**
+   * @param {Object} ledger - Ledger from buildFairnessLedger
+   * @param {Object} options - { weight, maxAdjustment } (defaults from ALGORITHM_CONFIG)
+   */
+  constructor(ledger, options = {}) {
+    const config = { ...ALGORITHM_CONFIG.fairnessLedger, ...options };
+    this.ledger = ledger;
+    this.weight = config.weight;
+    this.maxAdjustment = config.maxAdjustment;
+
+    // Team average per month of each category
+    const entries = Object.values(ledger.engineers || {}).filter(e => e.months > 0);
+    this.averages = Object.fromEntries(FAIRNESS_CATEGORIES.map(category => [
+      category,
+      entries.length > 0
+        ? entries.reduce((sum, e) => sum + e[category] / e.months, 0) / entries.length
+        : 0
+    ]));
+  }
+
+  /**
+   * Shifts per month an engineer is above (+) or below (-) the team average,
+   * summed over categories. Engineers without history are neutral.
+   */
+  getDeviation(engineerId, categories) {
+    const entry = this.ledger.engineers?.[engineerId];
+    if (!entry || entry.months === 0) return 0;
+    return categories.reduce((sum, category) =>
+      sum + entry[category] / entry.months - this.averages[category], 0);
+  }
+
+  /**
+   * Score adjustment for giving an engineer a shift in these categories:
+   * negative for engineers who carried more than their share, capped at maxAdjustment
+   */
+  getAdjustment(engineerId, categories) {
+    if (categories.length === 0) return 0;
+    const adjustment = -this.getDeviation(engineerId, categories) * this.weight;
+    return Math.max(-this.maxAdjustment, Math.min(this.maxAdjustment, adjustment));
+  }
+}
+
+export default FairnessLedger;
@@ -0,0 +1,67 @@
+/**
+ * Lock Utilities for Schedule Regeneration
+ * Locked cells are pinned by a manager and must survive regeneration unchanged
+ *
+ * Lock map (stored on the schedule record):
+ * { engineerId: { 'YYYY-MM-DD': true } }
+ *
+ * Locked cells (passed to the Scheduler):
+ * { engineerId: { 'YYYY-MM-DD': shift } }
+ */
+
+import { toDateString, getNextDay } from './DateUtils.js';
+import { getTransitionViolation } from '../rules/LaborLaw.js';
+
+/**
+ * Resolve a lock map against schedule data into locked cell values.
+ * Locks on empty cells are ignored (there is nothing to keep).
+ */
+export function getLockedCells(data, locks) {
+  const lockedCells = {};
+
+  for (const [engineerId, dates] of Object.entries(locks || {})) {
+    for (const [dateStr, locked] of Object.entries(dates || {})) {
+      const shift = data?.[engineerId]?.[dateStr];
+      if (!locked || shift === null || shift === undefined) continue;
+
+      if (!lockedCells[engineerId]) lockedCells[engineerId] = {};
+      lockedCells[engineerId][dateStr] = shift;
+    }
+  }
+
+  return lockedCells;
+}
+
+/**
+ * Check if a cell is locked
+ */
+export function isCellLocked(lockedCells, engineerId, date) {
+  const shifts = lockedCells?.[engineerId];
+  return !!shifts && Object.prototype.hasOwnProperty.call(shifts, toDateString(date));
+}
+
+/**
+ * Check if assigning a shift would break the transition into a locked next day.
+ * Unlocked next days are handled by the normal previous-day checks when they are filled.
+ * @param {Object} pack - Rule pack of the engineer (German pack if omitted)
+ */
+export function conflictsWithLockedNext(lockedCells, engineerId, date, shift, pack) {
+  const nextDateStr = toDateString(getNextDay(date));
+  if (!isCellLocked(lockedCells, engineerId, nextDateStr)) return false;
+  return getTransitionViolation(shift, lockedCells[engineerId][nextDateStr], pack, nextDateStr) !== null;
+}
+
+/**
+ * Count locked cells in a lock map (or in resolved locked cells)
+ */
+export function countLocks(locks) {
+  return Object.values(locks || {})
+    .reduce((total, dates) => total + Object.values(dates || {}).filter(Boolean).length, 0);
+}
+
+export default {
+  getLockedCells,
+  isCellLocked,
+  conflictsWithLockedNext,
+  countLocks
+};
@@ -0,0 +1,65 @@
+/**
+ * Seeded Random Utilities for Schedule Generation
+ * All randomness of the scheduler comes from a seeded generator, so a run can be replayed
+ * exactly by passing the same seed (with the same engineers, requests and settings).
+ */
+
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Create a new random seed (unsigned 32-bit integer)
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Check if a value can be used as a seed
+ */
+export function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Function} Drop-in replacement for Math.random, returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive an independent seed for a sub-run, e.g. one iteration of best-of-N generation
+ * @param {number} seed - Base seed
+ * @param {number} index - Sub-run index
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function deriveSeed(seed, index) {
+  let h = ((seed >>> 0) ^ Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ * @param {Array} array
+ * @param {Function} random - Random function (seeded generator or Math.random)
+ */
+export function shuffleArray(array, random = Math.random) {
+  const arr = [...array];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
@@ -0,0 +1,129 @@
+/**
+ * Skill Utilities for Schedule Generation
+ * Skills and tiers of engineers, matched against the skill requirements of the coverage
+ * model (see CoverageUtils.js), e.g. "each Night needs ≥1 T1" or
+ * "each Early needs ≥1 person with skill Network"
+ *
+ * Requirement: { shift, dayTypes: ['weekday', 'weekend', 'holiday'], tier, skill, min }
+ * tier and skill are both optional (at least one is set); tier is a minimum (T1 meets T2).
+ */
+
+export const SKILL_TIERS = ['T1', 'T2', 'T3'];
+export const MAX_SKILL_LENGTH = 50;
+
+/**
+ * Normalize a skill list: trimmed, without empties and duplicates (case-insensitive).
+ * Accepts an array or a comma-separated string.
+ */
+export function normalizeSkills(skills) {
+  const list = typeof skills === 'string' ? skills.split(',') : (skills || []);
+  const seen = new Set();
+  const result = [];
+  for (const raw of list) {
+    const skill = String(raw).trim();
+    if (!skill || seen.has(skill.toLowerCase())) continue;
+    seen.add(skill.toLowerCase());
+    result.push(skill);
+  }
+  return result;
+}
+
+/**
+ * Validate a skill list before saving
+ * @returns {string[]} List of error messages (empty if valid)
+ */
+export function validateSkills(skills) {
+  if (skills === undefined || skills === null) return [];
+  if (!Array.isArray(skills) && typeof skills !== 'string') {
+    return ['Skills must be a list of names'];
+  }
+  const list = Array.isArray(skills) ? skills : skills.split(',');
+  if (list.some(s => typeof s !== 'string')) {
+    return ['Skills must be a list of names'];
+  }
+  const tooLong = list.find(s => s.trim().length > MAX_SKILL_LENGTH);
+  return tooLong ? [`Skill "${tooLong.trim().slice(0, 20)}..." is longer than ${MAX_SKILL_LENGTH} characters`] : [];
+}
+
+/**
+ * Check if an engineer has a skill (case-insensitive)
+ */
+export function hasSkill(engineer, skill) {
+  const wanted = skill.toLowerCase();
+  return (engineer.skills || []).some(s => s.toLowerCase() === wanted);
+}
+
+/**
+ * Check if an engineer counts toward a skill requirement.
+ * Trainees never count - they are not on the shift on their own.
+ */
+export function meetsSkillRequirement(engineer, requirement) {
+  if (engineer.inTraining) return false;
+  if (requirement.tier) {
+    const rank = SKILL_TIERS.indexOf(engineer.tier || 'T2');
+    if (rank === -1 || rank > SKILL_TIERS.indexOf(requirement.tier)) return false;
+  }
+  if (requirement.skill && !hasSkill(engineer, requirement.skill)) return false;
+  return true;
+}
+
+/**
+ * Human-readable requirement, e.g. "≥1 T1 with skill Network"
+ */
+export function describeSkillRequirement(requirement) {
+  const who = requirement.tier || 'person';
+  const skill = requirement.skill ? ` with skill ${requirement.skill}` : '';
+  return `≥${requirement.min} ${who}${skill}`;
+}
+
+/**
+ * Count the engineers on a shift who meet a requirement
+ * @param {Object} schedule - { engineerId: { date: shift } }
+ * @param {Object[]} engineers
+ */
+export function countSkillCoverage(schedule, engineers, dateStr, shift, requirement) {
+  return engineers.filter(e =>
+    schedule[e.id]?.[dateStr] === shift && meetsSkillRequirement(e, requirement)
+  ).length;
+}
+
+/**
+ * Move the best candidates that satisfy unmet requirements to the front. Candidates keep
+ * their order otherwise; prioritized ones get the requirement they fill as `requirement`.
+ * @param {Object[]} candidates - [{ engineer, ... }] best first
+ * @param {Object[]} requirements - Active requirements of the shift on the day
+ * @param {Object[]} covering - Engineers already on the shift
+ * @returns {Object[]}
+ */
+export function orderBySkillRequirements(candidates, requirements, covering = []) {
+  if (requirements.length === 0) return candidates;
+
+  const prioritized = [];
+  const remaining = [...candidates];
+
+  for (const requirement of requirements) {
+    let have = covering.filter(e => meetsSkillRequirement(e, requirement)).length +
+      prioritized.filter(c => meetsSkillRequirement(c.engineer, requirement)).length;
+
+    while (have < requirement.min) {
+      const index = remaining.findIndex(c => meetsSkillRequirement(c.engineer, requirement));
+      if (index === -1) break;
+      prioritized.push({ ...remaining.splice(index, 1)[0], requirement });
+      have++;
+    }
+  }
+
+  return [...prioritized, ...remaining];
+}
+
+export default {
+  SKILL_TIERS,
+  MAX_SKILL_LENGTH,
+  normalizeSkills,
+  validateSkills,
+  hasSkill,
+  meetsSkillRequirement,
+  describeSkillRequirement,
+  countSkillCoverage,
+  orderBySkillRequirements
+};
@@ -0,0 +1,174 @@
+/**
+ * School Holiday Service
+ *
+ * School holidays (Schulferien) per German state, imported from ICS calendars as published by
+ * the state ministries or sites like schulferien.org. Stored as date ranges in
+ * settings.schoolHolidays; leave planning (services/leavePlanning.js) uses them to show who is
+ * off during the holidays and to apply leave caps.
+ */
+
+import { addDays, format, parseISO } from 'date-fns';
+import { GERMAN_STATES } from './germanHolidays.js';
+
+/**
+ * Unescape an ICS text value (RFC 5545 3.3.11)
+ */
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Date of an ICS DATE or DATE-TIME value as yyyy-MM-dd
+ * @returns {Object|null} { date, hasTime, midnight }
+ */
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{6}))?/.exec(value.trim());
+  if (!match) return null;
+
+  return {
+    date: `${match[1]}-${match[2]}-${match[3]}`,
+    hasTime: !!match[4],
+    midnight: !match[4] || match[4] === '000000'
+  };
+}
+
+/**
+ * Parse the events of an ICS calendar into holiday periods
+ * The end of an all-day event (DTEND) is exclusive; periods use inclusive end dates.
+ * @param {string} ics - Calendar text
+ * @returns {Object} { periods: [{ name, start, end }], errors: string[] }
+ */
+export function parseSchoolHolidayIcs(ics) {
+  if (typeof ics !== 'string' || !ics.includes('BEGIN:VCALENDAR')) {
+    return { periods: [], errors: ['Not an ICS calendar (BEGIN:VCALENDAR missing)'] };
+  }
+
+  // Unfold continuation lines
+  const lines = ics.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const periods = [];
+  const errors = [];
+  let event = null;
+
+  let eventCount = 0;
+
+  lines.forEach((line, index) => {
+    if (line === 'BEGIN:VEVENT') {
+      if (event) errors.push(`Event ${eventCount}: missing END:VEVENT`);
+      event = {};
+      eventCount++;
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (!event) {
+        errors.push(`Line ${index + 1}: END:VEVENT without BEGIN:VEVENT`);
+        return;
+      }
+
+      const label = `Event ${eventCount}`;
+      const start = event.start && parseIcsDate(event.start);
+      const end = event.end && parseIcsDate(event.end);
+
+      if (!start) {
+        errors.push(`${label}: missing or invalid DTSTART`);
+      } else if (event.end && !end) {
+        errors.push(`${label}: invalid DTEND`);
+      } else if (end && end.date < start.date) {
+        errors.push(`${label}: DTEND is before DTSTART`);
+      } else {
+        // All-day (or midnight) ends are exclusive
+        let endDate = end ? end.date : start.date;
+        if (end && end.midnight && end.date > start.date) {
+          endDate = format(addDays(parseISO(end.date), -1), 'yyyy-MM-dd');
+        }
+        periods.push({ name: event.summary || 'School holidays', start: start.date, end: endDate });
+      }
+      event = null;
+      return;
+    }
+
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === 'SUMMARY') event.summary = unescapeText(value);
+    if (name === 'DTSTART') event.start = value;
+    if (name === 'DTEND') event.end = value;
+  });
+
+  if (event) errors.push(`Event ${eventCount}: missing END:VEVENT`);
+
+  periods.sort((a, b) => a.start.localeCompare(b.start));
+  return { periods, errors };
+}
+
+/**
+ * Merge imported periods of a state into the stored school holidays. Periods of that state
+ * overlapping the date range of the import (first start to last end) are replaced, so
+ * importing a corrected calendar does not duplicate; periods outside it are kept, e.g. the
+ * first half of a year when a school-year calendar starting in autumn is imported.
+ * @param {Array} existing - [{ state, name, start, end }]
+ * @param {string} state - State code
+ * @param {Array} periods - [{ name, start, end }]
+ * @returns {Array} The new list
+ */
+export function mergeSchoolHolidays(existing, state, periods) {
+  if (periods.length === 0) return [...(existing || [])];
+  const from = periods.reduce((min, p) => (p.start < min ? p.start : min), periods[0].start);
+  const to = periods.reduce((max, p) => (p.end > max ? p.end : max), periods[0].end);
+
+  return [
+    ...(existing || []).filter(p => p.state !== state || p.end < from || p.start > to),
+    ...periods.map(p => ({ state, name: p.name, start: p.start, end: p.end }))
+  ].sort((a, b) => a.state.localeCompare(b.state) || a.start.localeCompare(b.start));
+}
+
+/**
+ * School holiday of a state on a date
+ * @param {Array} schoolHolidays - [{ state, name, start, end }]
+ * @returns {Object|null} The period, or null
+ */
+export function getSchoolHolidayOn(schoolHolidays, dateStr, state) {
+  if (!state) return null;
+  return (schoolHolidays || []).find(p =>
+    p.state === state && p.start <= dateStr && dateStr <= p.end
+  ) || null;
+}
+
+/**
+ * School holidays overlapping a date range
+ * @param {Array} schoolHolidays - [{ state, name, start, end }]
+ * @param {string} from - yyyy-MM-dd
+ * @param {string} to - yyyy-MM-dd
+ * @param {string[]} states - Optional state codes
+ */
+export function getSchoolHolidaysInRange(schoolHolidays, from, to, states = null) {
+  return (schoolHolidays || []).filter(p =>
+    p.start <= to && p.end >= from && (!states || states.includes(p.state))
+  );
+}
+
+/**
+ * Validate a state code for an import
+ * @returns {string[]} Validation errors
+ */
+export function validateSchoolHolidayState(state) {
+  if (!state || !GERMAN_STATES[state]) {
+    return [`Unknown state "${state}" (use ${Object.keys(GERMAN_STATES).join(', ')})`];
+  }
+  return [];
+}
+
+export default {
+  parseSchoolHolidayIcs,
+  mergeSchoolHolidays,
+  getSchoolHolidayOn,
+  getSchoolHolidaysInRange,
+  validateSchoolHolidayState
+};
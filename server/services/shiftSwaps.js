@@ -0,0 +1,120 @@
+/**
+ * Shift Swap Service
+ *
+ * Marketplace for published shifts: an engineer offers one of their shifts, a colleague
+ * accepts it. Accepting exchanges the two engineers' cells on the offered date, so the
+ * colleague takes the shift and the offerer gets the colleague's cell (OFF or their own
+ * shift). The colleague may name a return date on which the offerer takes one of their
+ * shifts in exchange.
+ *
+ * Swaps are stored in the "swaps" collection:
+ *   open → pending_approval (manager approval required) → completed | rejected
+ *   open → completed (no approval required); open | pending_approval → cancelled
+ */
+
+import { getSettings, getById } from '../data/store.js';
+import { SHIFTS } from './scheduler/index.js';
+
+// Managers approve accepted swaps before the schedule changes
+export const DEFAULT_SWAP_SETTINGS = { requireApproval: true };
+
+export const SWAP_STATUSES = ['open', 'pending_approval', 'completed', 'rejected', 'cancelled'];
+
+// Cells that are not shifts and can never change hands
+const FIXED_CELLS = [SHIFTS.UNAVAILABLE, SHIFTS.TRAINING];
+
+/**
+ * Get the swap settings
+ */
+export function getSwapSettings() {
+  return { ...DEFAULT_SWAP_SETTINGS, ...(getSettings().shiftSwaps || {}) };
+}
+
+/**
+ * Validate swap settings
+ * @returns {string[]} Validation errors
+ */
+export function validateSwapSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    return ['Swap settings are required'];
+  }
+  if (typeof settings.requireApproval !== 'boolean') {
+    return ['requireApproval must be true or false'];
+  }
+  return [];
+}
+
+/**
+ * Check if a cell holds a shift that can be offered (a work shift, not OFF or training)
+ */
+export function isSwappableShift(shift) {
+  return !!shift && shift !== SHIFTS.OFF && !FIXED_CELLS.includes(shift);
+}
+
+/**
+ * Cell changes of accepting a swap: the offerer and the colleague exchange their cells on
+ * the offered date and, if given, on the return date
+ * @param {Object} schedule - The published schedule of the offer
+ * @param {Object} swap - The offer
+ * @param {string} acceptorId - The colleague taking the shift
+ * @param {string|null} returnDate - Date on which the offerer takes the colleague's shift
+ * @returns {Object} { changes: [{ engineerId, date, oldShift, newShift }], errors: string[] }
+ */
+export function buildSwapChanges(schedule, swap, acceptorId, returnDate = null) {
+  const errors = [];
+  const offererCells = schedule.data[swap.offeredBy] || {};
+  const acceptorCells = schedule.data[acceptorId];
+
+  if (acceptorId === swap.offeredBy) {
+    errors.push('You cannot accept your own offer');
+  }
+  if (!acceptorCells || !getById('users', acceptorId)?.isActive) {
+    errors.push('Only engineers in the schedule can accept an offer');
+  }
+  if (offererCells[swap.date] !== swap.shift) {
+    errors.push(`The offered ${swap.shift} on ${swap.date} is no longer in the schedule`);
+  }
+  if (errors.length > 0) return { changes: [], errors };
+
+  const acceptorShift = acceptorCells[swap.date] ?? null;
+  if (FIXED_CELLS.includes(acceptorShift)) {
+    errors.push(`You are ${acceptorShift === SHIFTS.TRAINING ? 'in training' : 'unavailable'} on ${swap.date}`);
+  } else if (acceptorShift === swap.shift) {
+    errors.push(`You already work ${swap.shift} on ${swap.date}`);
+  }
+
+  const dates = [swap.date];
+  if (returnDate && returnDate !== swap.date) {
+    if (typeof returnDate !== 'string' || !returnDate.startsWith(schedule.month)) {
+      errors.push(`The return date must be in ${schedule.month}`);
+    } else if (!isSwappableShift(acceptorCells[returnDate])) {
+      errors.push(`You have no shift to give on ${returnDate}`);
+    } else if (FIXED_CELLS.includes(offererCells[returnDate])) {
+      errors.push(`${swap.offeredByName} is not available on ${returnDate}`);
+    } else if (offererCells[returnDate] === acceptorCells[returnDate]) {
+      errors.push(`${swap.offeredByName} already works ${offererCells[returnDate]} on ${returnDate}`);
+    }
+    dates.push(returnDate);
+  }
+  if (errors.length > 0) return { changes: [], errors };
+
+  const changes = dates.flatMap(date => {
+    const offererShift = offererCells[date] ?? null;
+    const otherShift = acceptorCells[date] ?? null;
+    return [
+      { engineerId: swap.offeredBy, date, oldShift: offererShift, newShift: otherShift },
+      { engineerId: acceptorId, date, oldShift: otherShift, newShift: offererShift }
+    ];
+  });
+
+  return { changes, errors };
+}
+
+export default {
+  DEFAULT_SWAP_SETTINGS,
+  SWAP_STATUSES,
+  getSwapSettings,
+  validateSwapSettings,
+  isSwappableShift,
+  buildSwapChanges
+};
@@ -0,0 +1,127 @@
+/**
+ * Working Time Compliance Service for Shifter for ICES
+ *
+ * Checks the published schedule history against the ArbZG rules that span more than one
+ * month: the 6-month average of weekly hours, 15 free Sundays per year and the substitute
+ * rest days owed for Sunday and holiday work. Generation passes the recent history to the
+ * Scheduler as hard limits; the compliance report shows where each engineer stands.
+ * Engineers in other jurisdictions are checked against their own rule pack.
+ */
+
+import { find, getAll, getPublishedScheduleForMonth } from '../data/store.js';
+import { getHolidaysForMonth } from './germanHolidays.js';
+import {
+  ALGORITHM_CONFIG,
+  getRulePack,
+  getRulePackFor,
+  MIN_AVERAGING_DAYS,
+  buildWorkHistory,
+  analyzeCompliance
+} from './scheduler/index.js';
+import { format, endOfMonth } from 'date-fns';
+
+/**
+ * Long-term limits of a rule pack as shown in the report
+ */
+function getPackLimits(pack) {
+  return {
+    jurisdiction: pack.id,
+    law: pack.law,
+    maxAverageWeeklyHours: pack.averaging.maxWeeklyHours,
+    averagingWeeks: pack.averaging.weeks,
+    minFreeSundays: pack.minFreeSundays,
+    sundaySubstituteRestWeeks: pack.substituteRest?.sundayWeeks ?? null,
+    holidaySubstituteRestWeeks: pack.substituteRest?.holidayWeeks ?? null
+  };
+}
+
+/**
+ * Published month with the holidays of all states (each engineer's own state is checked later)
+ */
+function toHistoryMonth(schedule) {
+  const [year, month] = schedule.month.split('-').map(Number);
+  return { data: schedule.data, holidays: getHolidaysForMonth(year, month) };
+}
+
+/**
+ * Work history for generating a schedule: the published months before the (first) generated month
+ * @param {Date} monthDate - First month being generated
+ * @param {number} historyMonths
+ * @returns {Object} Work history (see scheduler/rules/ArbZGCompliance.js)
+ */
+export function getWorkHistoryBefore(monthDate, historyMonths = ALGORITHM_CONFIG.compliance.historyMonths) {
+  const months = [];
+
+  for (let i = historyMonths; i >= 1; i--) {
+    const date = new Date(monthDate.getFullYear(), monthDate.getMonth() - i, 1);
+    const schedule = getPublishedScheduleForMonth(date.getFullYear(), date.getMonth() + 1);
+    if (schedule) months.push(toHistoryMonth(schedule));
+  }
+
+  return buildWorkHistory(months);
+}
+
+/**
+ * Compliance of every engineer over all published schedules up to and including lastMonth:
+ * current and peak rolling average, Sundays of the current year, substitute rest days still
+ * owed or pending, and all violations found in the history
+ * @param {Date} lastMonth - Any date in the last month to include
+ */
+export function getComplianceReport(lastMonth) {
+  const lastMonthStr = format(lastMonth, 'yyyy-MM');
+  const schedules = find('schedules', s => s.status === 'published' && s.month <= lastMonthStr)
+    .sort((a, b) => a.month.localeCompare(b.month));
+  const history = buildWorkHistory(schedules.map(toHistoryMonth));
+  const asOf = format(endOfMonth(lastMonth), 'yyyy-MM-dd');
+  const users = new Map(getAll('users').map(u => [u.id, u]));
+
+  const engineers = Object.entries(history.cells).map(([engineerId, cells]) => {
+    const user = users.get(engineerId);
+    const state = user?.state || null;
+    const pack = getRulePackFor(user);
+    const holidayDates = new Set(history.holidays
+      .filter(h => h.type === 'federal' || (h.type === 'state' && !!state && h.states?.includes(state)))
+      .map(h => h.date));
+
+    const analysis = analyzeCompliance(dateStr => cells[dateStr], {
+      from: history.from,
+      to: asOf,
+      holidayDates,
+      pack
+    });
+    const judged = analysis.averages.filter(a => a.countedDays >= MIN_AVERAGING_DAYS);
+    const current = analysis.averages[analysis.averages.length - 1];
+
+    return {
+      engineerId,
+      name: user?.name || 'Unknown',
+      tier: user?.tier || null,
+      isActive: !!user?.isActive,
+      jurisdiction: pack.id,
+      limits: getPackLimits(pack),
+      averageWeeklyHours: current.averageWeeklyHours,
+      countedDays: current.countedDays,
+      peakAverageWeeklyHours: judged.length > 0 ? Math.max(...judged.map(a => a.averageWeeklyHours)) : null,
+      sundays: analysis.sundays[analysis.sundays.length - 1],
+      substituteRest: {
+        owed: analysis.substituteRest.filter(item => item.status === 'owed'),
+        pending: analysis.substituteRest.filter(item => item.status === 'pending')
+      },
+      violations: analysis.violations
+    };
+  }).sort((a, b) => b.violations.length - a.violations.length || a.name.localeCompare(b.name));
+
+  return {
+    asOf,
+    from: history.from,
+    publishedMonths: schedules.map(s => s.month),
+    // Limits of the default (German) pack; engineers carry the limits of their own pack
+    limits: getPackLimits(getRulePack()),
+    engineers
+  };
+}
+
+export default {
+  getWorkHistoryBefore,
+  getComplianceReport
+};
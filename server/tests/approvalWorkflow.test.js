@@ -0,0 +1,187 @@
+/**
+ * Approval chains: chain selection, stage progression, delegation and escalation
+ */
+
+import './setup.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStore, create, update, getById, updateSettings } from '../data/store.js';
+import {
+  buildApprovalChain,
+  isInsidePlanningWindow,
+  hasApproverRole,
+  canReviewRequest,
+  startApproval,
+  approveStage,
+  rejectStage,
+  escalateOverdueRequests
+} from '../services/approvalWorkflow.js';
+
+const NOW = new Date('2026-10-19T08:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const WORKFLOW = {
+  escalateAfterHours: 48,
+  chains: [{ name: 'Long leave', type: 'time_off', minDays: 5, stages: ['team_lead', 'manager'] }]
+};
+
+const LONG_LEAVE = ['2027-02-01', '2027-02-02', '2027-02-03', '2027-02-04', '2027-02-05'];
+
+let requester;
+let teamLead;
+let manager;
+let deputy;
+
+/**
+ * Store a pending time-off request and start its approval
+ */
+function submit(dates, now = NOW) {
+  const request = create('requests', {
+    userId: requester.id,
+    userName: requester.name,
+    type: 'time_off',
+    dates,
+    reason: 'Holiday',
+    status: 'pending'
+  });
+  return startApproval(request, requester, now);
+}
+
+before(() => {
+  initStore();
+  updateSettings({ approvalWorkflow: WORKFLOW });
+  requester = create('users', { name: 'Requester', isActive: true });
+  teamLead = create('users', { name: 'Team Lead', isTeamLead: true, isActive: true });
+  manager = create('users', { name: 'Manager', isManager: true, isActive: true });
+  deputy = create('users', { name: 'Deputy', isActive: true });
+});
+
+test('buildApprovalChain selects the first matching chain, else a single manager stage', () => {
+  const long = buildApprovalChain({ type: 'time_off', dates: LONG_LEAVE }, NOW, WORKFLOW);
+  assert.equal(long.name, 'Long leave');
+  assert.deepEqual(long.stages.map(s => [s.role, s.status]), [['team_lead', 'pending'], ['manager', 'waiting']]);
+  assert.equal(long.stages[0].dueAt, new Date(NOW.getTime() + 48 * HOUR_MS).toISOString());
+
+  const short = buildApprovalChain({ type: 'time_off', dates: LONG_LEAVE.slice(0, 2) }, NOW, WORKFLOW);
+  assert.equal(short.name, 'Default');
+  assert.deepEqual(short.stages.map(s => s.role), ['manager']);
+
+  const shiftChange = buildApprovalChain({ type: 'shift_change', dates: LONG_LEAVE }, NOW, WORKFLOW);
+  assert.equal(shiftChange.name, 'Default');
+});
+
+test('stage deadlines never fall inside the planning window', () => {
+  const chain = buildApprovalChain({ type: 'time_off', dates: ['2026-11-10'] }, NOW, { escalateAfterHours: 240, chains: [] });
+  // 15 days before the first requested date
+  assert.equal(chain.stages[0].dueAt, new Date(2026, 9, 26).toISOString());
+
+  assert.ok(isInsidePlanningWindow({ dates: ['2026-11-02'] }, NOW));
+  assert.ok(!isInsidePlanningWindow({ dates: ['2026-11-03'] }, NOW));
+  assert.ok(!isInsidePlanningWindow({ dates: [] }, NOW));
+});
+
+test('approver roles: admins hold every role, inactive users none', () => {
+  assert.ok(hasApproverRole({ isAdmin: true }, 'team_lead'));
+  assert.ok(hasApproverRole({ isManager: true }, 'manager'));
+  assert.ok(!hasApproverRole({ isManager: true }, 'team_lead'));
+  assert.ok(hasApproverRole({ isTeamLead: true }, 'team_lead'));
+  assert.ok(!hasApproverRole({ isManager: true }, 'admin'));
+  assert.ok(!hasApproverRole({ isManager: true, isActive: false }, 'manager'));
+});
+
+test('each stage is approved in turn until the request is fully approved', () => {
+  let request = submit(LONG_LEAVE);
+  assert.equal(request.approvalTrail[0].action, 'submitted');
+  assert.equal(getById('users', teamLead.id).notifications.length, 1);
+
+  assert.equal(canReviewRequest(manager, request, NOW).allowed, false);
+  assert.equal(canReviewRequest(teamLead, request, NOW).allowed, true);
+
+  const first = approveStage(request, teamLead, null, 'Fine by me', NOW);
+  request = first.request;
+  assert.equal(first.final, false);
+  assert.equal(request.approvalChain.currentStage, 1);
+  assert.deepEqual(request.approvalChain.stages.map(s => s.status), ['approved', 'pending']);
+  assert.equal(request.approvalChain.stages[0].decidedBy, teamLead.id);
+  assert.equal(getById('users', manager.id).notifications.length, 1);
+
+  assert.equal(canReviewRequest(teamLead, request, NOW).allowed, false);
+  assert.equal(canReviewRequest(manager, request, NOW).allowed, true);
+
+  const second = approveStage(request, manager, null, '', NOW);
+  assert.equal(second.final, true);
+  assert.deepEqual(second.request.approvalChain.stages.map(s => s.status), ['approved', 'approved']);
+  assert.deepEqual(second.request.approvalTrail.map(e => e.action), ['submitted', 'approved', 'approved']);
+  update('requests', request.id, { status: 'approved' });
+});
+
+test('a rejection is recorded at the current stage', () => {
+  const request = rejectStage(submit(LONG_LEAVE), teamLead, null, 'Team is short', NOW);
+  update('requests', request.id, { status: 'rejected' });
+
+  assert.deepEqual(request.approvalChain.stages.map(s => s.status), ['rejected', 'waiting']);
+  assert.deepEqual(request.approvalTrail.map(e => [e.action, e.notes]), [
+    ['submitted', 'Holiday'],
+    ['rejected', 'Team is short']
+  ]);
+});
+
+test('delegates decide stages for the role holder while the delegation runs', () => {
+  const request = submit(LONG_LEAVE);
+  assert.equal(canReviewRequest(deputy, request, NOW).allowed, false);
+
+  update('users', teamLead.id, { delegation: { delegateId: deputy.id, from: '2026-10-19', until: '2026-10-23' } });
+  const review = canReviewRequest(deputy, request, NOW);
+  assert.equal(review.allowed, true);
+  assert.equal(review.onBehalfOf.id, teamLead.id);
+  assert.equal(canReviewRequest(deputy, request, new Date('2026-10-24T08:00:00Z')).allowed, false);
+
+  const { request: approved } = approveStage(request, deputy, review.onBehalfOf, '', NOW);
+  assert.equal(approved.approvalChain.stages[0].onBehalfOf, teamLead.id);
+  update('users', teamLead.id, { delegation: null });
+});
+
+test('overdue stages escalate once to the next role up', () => {
+  const request = submit(LONG_LEAVE);
+  const notified = getById('users', manager.id).notifications.length;
+
+  assert.ok(!escalateOverdueRequests(new Date(NOW.getTime() + 47 * HOUR_MS)).some(r => r.id === request.id));
+
+  const later = new Date(NOW.getTime() + 49 * HOUR_MS);
+  const escalated = escalateOverdueRequests(later).find(r => r.id === request.id);
+  assert.ok(escalated);
+  assert.equal(escalated.approvalChain.stages[0].escalatedTo, 'manager');
+  assert.equal(escalated.approvalTrail.at(-1).action, 'escalated');
+  assert.equal(getById('users', manager.id).notifications.length, notified + 1);
+  assert.equal(canReviewRequest(manager, escalated, later).allowed, true);
+
+  assert.ok(!escalateOverdueRequests(new Date(later.getTime() + HOUR_MS)).some(r => r.id === request.id));
+});
+
+test('nobody reviews their own request, directly or as a delegate', () => {
+  const ownRequest = user => startApproval(create('requests', {
+    userId: user.id,
+    userName: user.name,
+    type: 'time_off',
+    dates: LONG_LEAVE,
+    reason: 'Holiday',
+    status: 'pending'
+  }), user, NOW);
+
+  // The team lead asks for leave: their own stage is not theirs to approve
+  const leadRequest = ownRequest(teamLead);
+  assert.equal(canReviewRequest(teamLead, leadRequest, NOW).allowed, false);
+
+  // Nor can a delegate approve it on the requester's behalf
+  update('users', teamLead.id, { delegation: { delegateId: deputy.id, from: '2026-10-19', until: '2026-10-23' } });
+  assert.equal(canReviewRequest(deputy, leadRequest, NOW).allowed, false);
+
+  // The deputy asks for leave while holding the team lead's delegation
+  const deputyRequest = ownRequest(deputy);
+  assert.equal(canReviewRequest(deputy, deputyRequest, NOW).allowed, false);
+  assert.equal(canReviewRequest(teamLead, deputyRequest, NOW).allowed, true);
+
+  update('users', teamLead.id, { delegation: null });
+  update('requests', leadRequest.id, { status: 'cancelled' });
+  update('requests', deputyRequest.id, { status: 'cancelled' });
+});
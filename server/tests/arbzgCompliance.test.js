@@ -0,0 +1,109 @@
+/**
+ * Working time rules over the schedule history: the averaging window and substitute rest days
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateRollingAverages,
+  matchSubstituteRestDays,
+  addDaysToDateString
+} from '../services/scheduler/rules/ArbZGCompliance.js';
+import { getRulePack } from '../services/scheduler/rules/LaborLaw.js';
+
+const AVERAGING_DAYS = getRulePack('DE').averaging.weeks * 7;
+
+/**
+ * shiftOn of a history: the given cells, Off on the other days from `from` on, no record before
+ */
+function history(cells, from = '2000-01-01') {
+  return dateStr => cells[dateStr] ?? (dateStr >= from ? 'Off' : undefined);
+}
+
+test('the averaging window ends on the end date and spans the averaging period', () => {
+  const end = '2026-06-30';
+  const first = addDaysToDateString(end, -(AVERAGING_DAYS - 1));
+  const before = addDaysToDateString(first, -1);
+  const shiftOn = history({ [before]: 'Training', [first]: 'Training', [end]: 'Training' });
+
+  const [average] = calculateRollingAverages(shiftOn, [end]);
+
+  assert.equal(average.from, first);
+  assert.equal(average.hours, 16, 'the day before the window is left out');
+  assert.equal(average.countedDays, AVERAGING_DAYS);
+  assert.equal(average.averageWeeklyHours, Math.round(16 / AVERAGING_DAYS * 7 * 10) / 10);
+});
+
+test('a day leaves the window as the end date moves past the averaging period', () => {
+  const end = '2026-06-30';
+  const first = addDaysToDateString(end, -(AVERAGING_DAYS - 1));
+  const next = addDaysToDateString(end, 1);
+  const shiftOn = history({ [first]: 'Training' });
+
+  const averages = calculateRollingAverages(shiftOn, [end, next]);
+
+  assert.deepEqual(averages.map(a => [a.date, a.from, a.hours]), [
+    [end, first, 8],
+    [next, addDaysToDateString(first, 1), 0]
+  ]);
+});
+
+test('days without a record and unavailable days are left out of the average', () => {
+  const end = '2026-06-30';
+  const cells = {};
+  for (let i = 0; i < 14; i++) {
+    cells[addDaysToDateString(end, -i)] = i < 7 ? 'Training' : 'Unavailable';
+  }
+  // Records start 28 days before the end date
+  const [average] = calculateRollingAverages(history(cells, addDaysToDateString(end, -27)), [end]);
+
+  assert.equal(average.hours, 56);
+  assert.equal(average.countedDays, 28 - 7);
+  assert.equal(average.averageWeeklyHours, Math.round(56 / 21 * 7 * 10) / 10);
+  assert.deepEqual(calculateRollingAverages(history(cells), []), []);
+});
+
+test('Sunday work at the end of a month is compensated in the next month', () => {
+  // Sunday 2026-05-31: substitute rest in its week or the week after (until Sunday 2026-06-07)
+  const shiftOn = history({ '2026-05-29': 'Early', '2026-05-30': 'Early', '2026-05-31': 'Early', '2026-06-01': 'Early' });
+
+  assert.deepEqual(matchSubstituteRestDays(shiftOn, { from: '2026-05-25', to: '2026-06-07' }), [
+    { date: '2026-05-31', kind: 'sunday', dueBy: '2026-06-07', compensatedOn: '2026-05-25', status: 'compensated' }
+  ]);
+
+  // Working the whole week before: the first free day is in June
+  const busy = history(Object.fromEntries(
+    ['2026-05-25', '2026-05-26', '2026-05-27', '2026-05-28', '2026-05-29', '2026-05-30', '2026-05-31', '2026-06-01']
+      .map(d => [d, 'Early'])
+  ));
+  const [item] = matchSubstituteRestDays(busy, { from: '2026-05-25', to: '2026-06-30' });
+  assert.equal(item.compensatedOn, '2026-06-02');
+});
+
+test('substitute rest still due in the next month is pending at the end of the month', () => {
+  const working = {};
+  for (let d = '2026-05-25'; d <= '2026-06-06'; d = addDaysToDateString(d, 1)) working[d] = 'Late';
+
+  const asMonthEnds = matchSubstituteRestDays(history(working), { from: '2026-05-01', to: '2026-05-31' });
+  assert.deepEqual(asMonthEnds.map(i => [i.date, i.status]), [['2026-05-31', 'pending']]);
+
+  const afterDue = matchSubstituteRestDays(history(working), { from: '2026-05-01', to: '2026-06-30' });
+  assert.deepEqual(afterDue.map(i => [i.date, i.status]), [['2026-05-31', 'owed']]);
+});
+
+test('holiday work is compensated within eight weeks across the year boundary', () => {
+  const holidayDates = new Set(['2026-12-25', '2026-12-26']);
+  const working = {};
+  for (let d = '2026-12-21'; d <= '2027-01-03'; d = addDaysToDateString(d, 1)) working[d] = 'Early';
+
+  const items = matchSubstituteRestDays(history(working), { from: '2026-12-21', to: '2027-02-28', holidayDates });
+
+  // Sunday work is due first, so the first free day goes to the Sunday of 3 January
+  assert.deepEqual(items.map(i => [i.date, i.kind, i.dueBy, i.compensatedOn]), [
+    ['2026-12-25', 'holiday', '2027-02-14', '2027-01-05'],
+    ['2026-12-26', 'holiday', '2027-02-14', '2027-01-06'],
+    ['2026-12-27', 'sunday', '2027-01-03', null],
+    ['2027-01-03', 'sunday', '2027-01-10', '2027-01-04']
+  ]);
+  assert.deepEqual(items.map(i => i.status), ['compensated', 'compensated', 'owed', 'compensated']);
+});
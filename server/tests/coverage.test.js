@@ -0,0 +1,138 @@
+/**
+ * Coverage requirement resolution, validation and the "Relax Coverage" recovery option
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_COVERAGE } from '../services/scheduler/config/defaults.js';
+import {
+  normalizeCoverage,
+  validateCoverage,
+  markTeamHolidays,
+  getCoverageForDate,
+  getSkillRequirementsForDate,
+  relaxCoverage
+} from '../services/scheduler/utils/CoverageUtils.js';
+
+const MONDAY = new Date(2026, 10, 2);
+const SATURDAY = new Date(2026, 10, 7);
+
+test('normalizeCoverage fills missing tiers and shifts from the defaults', () => {
+  const coverage = normalizeCoverage({ weekday: { Early: { min: 4, preferred: 5 } } });
+
+  assert.deepEqual(coverage.weekday.Early, { min: 4, preferred: 5, max: null });
+  assert.deepEqual(coverage.weekday.Night, { min: 2, preferred: 3, max: 3 });
+  assert.deepEqual(coverage.weekend.Late, { min: 2, preferred: 2, max: null });
+  assert.deepEqual(coverage.overrides, []);
+  assert.deepEqual(coverage.skillRequirements, []);
+});
+
+test('normalizeCoverage keeps zero minimums of skill requirements', () => {
+  const coverage = normalizeCoverage({
+    skillRequirements: [
+      { shift: 'Late', tier: 'T1', min: 0 },
+      { shift: 'Early', skill: ' Network ' }
+    ]
+  });
+
+  assert.equal(coverage.skillRequirements[0].min, 0);
+  assert.equal(coverage.skillRequirements[1].min, 1);
+  assert.equal(coverage.skillRequirements[1].skill, 'Network');
+});
+
+test('getCoverageForDate resolves override > holiday > weekend > weekday', () => {
+  const coverage = normalizeCoverage({
+    ...DEFAULT_COVERAGE,
+    holiday: { ...DEFAULT_COVERAGE.holiday, Early: { min: 1, preferred: 1 } },
+    overrides: [{ date: '2026-11-02', shift: 'Night', min: 4, preferred: 4, max: 4 }]
+  });
+  const holidays = [{ date: '2026-11-03', name: 'Company day', type: 'federal' }];
+
+  const monday = getCoverageForDate(coverage, MONDAY, holidays);
+  assert.deepEqual(monday.Night, { min: 4, preferred: 4, max: 4 });
+  assert.equal(monday.Early.min, 3);
+
+  assert.equal(getCoverageForDate(coverage, new Date(2026, 10, 3), holidays).Early.min, 1);
+  assert.equal(getCoverageForDate(coverage, SATURDAY, holidays).Early.min, 2);
+  assert.equal(getCoverageForDate(coverage, new Date(2026, 10, 4), holidays).Early.min, 3);
+});
+
+test('state holidays use the holiday tier only when every core engineer observes them', () => {
+  const coverage = normalizeCoverage({
+    ...DEFAULT_COVERAGE,
+    holiday: { ...DEFAULT_COVERAGE.holiday, Early: { min: 1, preferred: 1 } }
+  });
+  const stateHoliday = [{ date: '2026-11-18', name: 'Buß- und Bettag', type: 'state', states: ['SN'] }];
+  const allSaxon = [{ id: '1', state: 'SN' }, { id: '2', state: 'SN' }, { id: '3', state: 'BE', isFloater: true }];
+  const mixed = [{ id: '1', state: 'SN' }, { id: '2', state: 'BE' }];
+  const day = new Date(2026, 10, 18);
+
+  assert.equal(getCoverageForDate(coverage, day, markTeamHolidays(stateHoliday, allSaxon)).Early.min, 1);
+  assert.equal(getCoverageForDate(coverage, day, markTeamHolidays(stateHoliday, mixed)).Early.min, 3);
+});
+
+test('getSkillRequirementsForDate filters by shift and day type', () => {
+  const coverage = normalizeCoverage({
+    skillRequirements: [
+      { shift: 'Late', tier: 'T1', min: 1, dayTypes: ['weekday'] },
+      { shift: 'Late', skill: 'Network', min: 1 },
+      { shift: 'Early', tier: 'T1', min: 1 }
+    ]
+  });
+
+  assert.equal(getSkillRequirementsForDate(coverage, MONDAY, [], 'Late').length, 2);
+  assert.deepEqual(getSkillRequirementsForDate(coverage, SATURDAY, [], 'Late').map(r => r.skill), ['Network']);
+});
+
+test('relaxCoverage lowers every minimum by one, never below zero', () => {
+  const coverage = normalizeCoverage({
+    ...DEFAULT_COVERAGE,
+    weekend: { ...DEFAULT_COVERAGE.weekend, Morning: { min: 0, preferred: 1 } },
+    overrides: [{ date: '2026-11-02', shift: 'Night', min: 0, preferred: 2, max: 3 }],
+    skillRequirements: [{ shift: 'Late', tier: 'T1', min: 1 }]
+  });
+  const relaxed = relaxCoverage(coverage);
+
+  assert.deepEqual(relaxed.weekday.Early, { min: 2, preferred: 3, max: null });
+  assert.deepEqual(relaxed.weekday.Night, { min: 1, preferred: 3, max: 3 });
+  assert.equal(relaxed.weekend.Morning.min, 0);
+  assert.equal(relaxed.overrides[0].min, 0);
+  assert.equal(relaxed.overrides[0].preferred, 2);
+  assert.deepEqual(relaxed.skillRequirements, coverage.skillRequirements);
+  assert.equal(coverage.weekday.Early.min, 3, 'the original model is not modified');
+});
+
+test('validateCoverage accepts the defaults and zero minimums', () => {
+  assert.deepEqual(validateCoverage(DEFAULT_COVERAGE), []);
+  assert.deepEqual(validateCoverage({
+    weekday: { Morning: { min: 0, preferred: 0, max: 0 } },
+    skillRequirements: [{ shift: 'Late', tier: 'T1', min: 0 }]
+  }), []);
+});
+
+test('validateCoverage rejects malformed requirements and overrides', () => {
+  assert.deepEqual(validateCoverage(null), ['Coverage model is required']);
+
+  const errors = validateCoverage({
+    weekday: {
+      Early: { min: 3, preferred: 2 },
+      Late: { min: 1, preferred: 2, max: 'many' },
+      Night: 2
+    },
+    overrides: [null, { date: '02.11.2026', shift: 'Noon', min: -1 }],
+    skillRequirements: [null, { shift: 'Late', min: 1 }, { shift: 'Late', tier: 'T1', min: -1 }]
+  });
+
+  assert.deepEqual(errors, [
+    'weekday Early: preferred must be at least min',
+    'weekday Late: max must be a non-negative whole number or empty',
+    'weekday Night: must be an object with min, preferred and max',
+    'Override 1: must be an object',
+    'Override 2: date must be YYYY-MM-DD',
+    'Override 2: shift must be one of Early, Morning, Late, Night',
+    'Override 2 (02.11.2026 Noon): min must be a non-negative whole number',
+    'Skill requirement 1: must be an object',
+    'Skill requirement 2: a tier or a skill is required',
+    'Skill requirement 3: min must be a non-negative whole number'
+  ]);
+});
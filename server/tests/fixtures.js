@@ -0,0 +1,37 @@
+/**
+ * Shared test data
+ */
+
+const TIERS = ['T1', 'T2', 'T2', 'T3'];
+const PREFERENCES = [
+  ['Early', 'Morning', 'Late', 'Night'],
+  ['Early', 'Late'],
+  ['Night', 'Late'],
+  ['Morning', 'Late']
+];
+
+/**
+ * A team of engineers: two floaters and core engineers of mixed tiers and preferences,
+ * every fifth with the Network skill
+ * @param {number} count - Team size
+ */
+export function createEngineers(count = 22) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: String(i + 1),
+    name: `Engineer ${i + 1}`,
+    tier: TIERS[i % TIERS.length],
+    isFloater: i < 2,
+    inTraining: false,
+    state: 'BE',
+    preferences: PREFERENCES[i % PREFERENCES.length],
+    skills: i % 5 === 0 ? ['Network'] : [],
+    isActive: true
+  }));
+}
+
+/**
+ * Error count of a schedule by validation error type
+ */
+export function countErrors(scheduler, data, type) {
+  return scheduler.validateSchedule(data).errors.filter(e => e.type === type).length;
+}
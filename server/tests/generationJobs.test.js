@@ -0,0 +1,143 @@
+/**
+ * Generation jobs in worker threads: same result as the sequential loop, status and failures
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import {
+  solveBestOf,
+  startGenerationJob,
+  getGenerationJob,
+  findRunningJob,
+  canStartGenerationJob,
+  cancelGenerationJob
+} from '../services/generationJobs.js';
+import { createEngineers } from './fixtures.js';
+
+// Lighter coverage than the defaults, so the best-of-N loop stops after a few iterations
+const DAY_COVERAGE = {
+  Early: { min: 2, preferred: 2 },
+  Morning: { min: 1, preferred: 1 },
+  Late: { min: 2, preferred: 2 },
+  Night: { min: 2, preferred: 2, max: 3 }
+};
+const SCHEDULER_OPTIONS = {
+  month: new Date(2026, 10, 1),
+  coverage: { weekday: DAY_COVERAGE, weekend: DAY_COVERAGE, holiday: DAY_COVERAGE, overrides: [] }
+};
+
+/**
+ * Start a job for November 2026
+ */
+function startJob(fields = {}) {
+  return startGenerationJob({
+    type: 'generate',
+    month: '2026-11',
+    createdBy: 'manager',
+    engineers: createEngineers(),
+    schedulerOptions: SCHEDULER_OPTIONS,
+    seed: 1,
+    onComplete: result => ({ schedule: result.schedule }),
+    ...fields
+  });
+}
+
+/**
+ * Poll a job until it is no longer running
+ */
+async function waitForJob(id) {
+  for (let i = 0; i < 1200; i++) {
+    const job = getGenerationJob(id);
+    if (job.status !== 'running') return job;
+    await delay(50);
+  }
+  throw new Error(`Job ${id} is still running`);
+}
+
+test('a job returns what solveBestOf returns for the same seed', async () => {
+  for (const [seed, optimize] of [[1, true], [2, false]]) {
+    let completed = null;
+    const job = startJob({
+      seed,
+      optimize,
+      onComplete: (result, summary) => {
+        completed = { result, summary };
+        return { schedule: result.schedule };
+      }
+    });
+    const finished = await waitForJob(job.id);
+    const sequential = solveBestOf(createEngineers(), SCHEDULER_OPTIONS, { seed, optimize });
+
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.seed, seed);
+    assert.deepEqual(finished.result, { schedule: sequential.result.schedule });
+    assert.deepEqual(completed.result.objective, sequential.result.objective);
+    assert.equal(completed.result.iterations, sequential.iterations);
+    assert.deepEqual(completed.summary, { iterations: sequential.iterations, bestErrorCount: sequential.bestErrorCount, seed });
+    assert.equal(finished.bestErrorCount, sequential.bestErrorCount);
+  }
+});
+
+test('running jobs are found and can be cancelled', async () => {
+  let saved = false;
+  const job = startJob({
+    onComplete: () => {
+      saved = true;
+      return {};
+    }
+  });
+
+  assert.equal(job.status, 'running');
+  assert.equal(job.finishedAt, null);
+  assert.equal(findRunningJob(j => j.id === job.id).id, job.id);
+  assert.equal(findRunningJob(j => j.month === '2026-12'), null);
+
+  const cancelled = cancelGenerationJob(job.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.ok(cancelled.finishedAt);
+  assert.equal(findRunningJob(j => j.id === job.id), null);
+  assert.equal(canStartGenerationJob(), true);
+
+  await delay(200);
+  assert.equal(getGenerationJob(job.id).status, 'cancelled');
+  assert.equal(saved, false);
+});
+
+test('at most two jobs run at once', () => {
+  const first = startJob();
+  assert.equal(canStartGenerationJob(), true);
+  const second = startJob();
+  assert.equal(canStartGenerationJob(), false);
+
+  cancelGenerationJob(first.id);
+  assert.equal(canStartGenerationJob(), true);
+  cancelGenerationJob(second.id);
+});
+
+test('a job fails when saving its result fails', async () => {
+  const job = startJob({
+    onComplete: () => {
+      throw new Error('Disk full');
+    }
+  });
+  const finished = await waitForJob(job.id);
+
+  assert.equal(finished.status, 'failed');
+  assert.equal(finished.error, 'Disk full');
+  assert.equal(finished.result, null);
+});
+
+test('a job fails when a worker fails', async () => {
+  const job = startJob({ engineers: null });
+  const finished = await waitForJob(job.id);
+
+  assert.equal(finished.status, 'failed');
+  assert.ok(finished.error);
+  assert.equal(canStartGenerationJob(), true);
+});
+
+test('unknown jobs are not found', () => {
+  assert.equal(getGenerationJob('missing'), null);
+  assert.equal(cancelGenerationJob('missing'), null);
+});
@@ -0,0 +1,126 @@
+/**
+ * Holiday overrides on top of the statutory German holidays: add, suppress, rename
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GERMAN_STATES,
+  setHolidayOverrides,
+  validateHolidayOverrides,
+  normalizeHolidayOverrides,
+  getHolidaysForYear,
+  getHolidaysForEngineer,
+  isHoliday
+} from '../services/germanHolidays.js';
+
+const STATE_COUNT = Object.keys(GERMAN_STATES).length;
+
+/**
+ * Holidays of a year on one date
+ */
+function holidaysOn(dateStr) {
+  return getHolidaysForYear(Number(dateStr.slice(0, 4))).filter(h => h.date === dateStr);
+}
+
+afterEach(() => {
+  setHolidayOverrides(null);
+});
+
+test('added company days apply company-wide or to their states', () => {
+  setHolidayOverrides([
+    { action: 'add', date: '2026-12-24', name: 'Heiligabend', halfDay: true },
+    { action: 'add', date: '2026-06-12', name: 'Stadtfest', states: ['by'] }
+  ]);
+
+  assert.deepEqual(isHoliday('2026-12-24'), {
+    date: '2026-12-24', name: 'Heiligabend', nameEn: 'Heiligabend', custom: true, type: 'federal', halfDay: true
+  });
+  assert.equal(getHolidaysForEngineer(2026, 'BE').some(h => h.date === '2026-12-24'), true);
+
+  assert.deepEqual(holidaysOn('2026-06-12').map(h => [h.type, h.states]), [['state', ['BY']]]);
+  assert.equal(getHolidaysForEngineer(2026, 'BY').some(h => h.date === '2026-06-12'), true);
+  assert.equal(getHolidaysForEngineer(2026, 'BE').some(h => h.date === '2026-06-12'), false);
+});
+
+test('recurring overrides apply every year, the others only in their year', () => {
+  setHolidayOverrides([
+    { action: 'add', date: '2026-12-31', name: 'Silvester', recurring: true },
+    { action: 'add', date: '2026-12-24', name: 'Heiligabend' }
+  ]);
+
+  assert.equal(isHoliday('2027-12-31')?.name, 'Silvester');
+  assert.equal(isHoliday('2026-12-24')?.name, 'Heiligabend');
+  assert.equal(isHoliday('2027-12-24'), null);
+});
+
+test('suppressing a holiday removes it company-wide or for its states', () => {
+  setHolidayOverrides([
+    { action: 'suppress', date: '2026-05-01' },
+    { action: 'suppress', date: '2026-11-01', states: ['BY', 'NW'] }
+  ]);
+
+  assert.deepEqual(holidaysOn('2026-05-01'), []);
+  assert.deepEqual(holidaysOn('2026-11-01').map(h => h.states), [['BW', 'RP', 'SL']]);
+  assert.equal(getHolidaysForEngineer(2026, 'BY').some(h => h.date === '2026-11-01'), false);
+  assert.equal(getHolidaysForEngineer(2026, 'BW').some(h => h.date === '2026-11-01'), true);
+  assert.equal(isHoliday('2027-05-01')?.name, 'Tag der Arbeit', 'not recurring');
+});
+
+test('renaming a holiday keeps its date and states', () => {
+  setHolidayOverrides([{ action: 'rename', date: '2026-10-03', name: 'Einheitstag', nameEn: 'Unity Day', note: 'Intranet name' }]);
+
+  assert.deepEqual(holidaysOn('2026-10-03'), [
+    { date: '2026-10-03', name: 'Einheitstag', nameEn: 'Unity Day', type: 'federal', custom: true, note: 'Intranet name' }
+  ]);
+});
+
+test('an override for some states splits a multi-state holiday', () => {
+  setHolidayOverrides([{ action: 'rename', date: '2026-10-31', name: 'Reformationsfest', states: ['SN', 'TH'] }]);
+
+  const parts = holidaysOn('2026-10-31');
+  assert.deepEqual(parts.map(h => [h.name, h.states, !!h.custom]), [
+    ['Reformationstag', ['BB', 'HB', 'HH', 'MV', 'NI', 'ST', 'SH'], false],
+    ['Reformationsfest', ['SN', 'TH'], true]
+  ]);
+  assert.equal(getHolidaysForEngineer(2026, 'SN').find(h => h.date === '2026-10-31').name, 'Reformationsfest');
+  assert.equal(getHolidaysForEngineer(2026, 'NI').find(h => h.date === '2026-10-31').name, 'Reformationstag');
+});
+
+test('an override for some states turns a federal holiday into a state holiday', () => {
+  setHolidayOverrides([{ action: 'suppress', date: '2026-10-03', states: ['BE'] }]);
+
+  const [unity] = holidaysOn('2026-10-03');
+  assert.equal(unity.type, 'state');
+  assert.equal(unity.states.length, STATE_COUNT - 1);
+  assert.ok(!unity.states.includes('BE'));
+  assert.equal(getHolidaysForEngineer(2026, 'BE').some(h => h.date === '2026-10-03'), false);
+
+  // An override for every state leaves the holiday federal
+  setHolidayOverrides([{ action: 'rename', date: '2026-10-03', name: 'Einheitstag', states: Object.keys(GERMAN_STATES) }]);
+  assert.deepEqual(holidaysOn('2026-10-03').map(h => [h.name, h.type]), [['Einheitstag', 'federal']]);
+});
+
+test('overrides are validated and normalized', () => {
+  assert.deepEqual(validateHolidayOverrides({}), ['overrides must be a list']);
+  assert.deepEqual(validateHolidayOverrides([
+    { action: 'move', date: '2026-01-01' },
+    { action: 'add', date: '01.01.2026', name: ' ' },
+    { action: 'suppress', date: '2026-01-01', states: ['XX'] },
+    { action: 'rename', date: '2026-01-01', name: 'Neujahr', states: 'BE' }
+  ]), [
+    'Override 1: action must be one of add, suppress, rename',
+    'Override 2: date must be YYYY-MM-DD',
+    'Override 2: name is required to add a holiday',
+    'Override 3: unknown state XX',
+    'Override 4: states must be a list of state codes (empty for company-wide)'
+  ]);
+
+  assert.deepEqual(normalizeHolidayOverrides([
+    { action: 'suppress', date: '2026-11-01', name: 'Ignored', states: ['by', 'BY'], halfDay: true },
+    { action: 'add', date: '2026-06-12', name: ' Stadtfest ', states: [], halfDay: 1 }
+  ]), [
+    { action: 'add', date: '2026-06-12', name: 'Stadtfest', nameEn: 'Stadtfest', states: null, recurring: false, halfDay: true, note: '' },
+    { action: 'suppress', date: '2026-11-01', name: null, nameEn: null, states: ['BY'], recurring: false, halfDay: false, note: '' }
+  ]);
+});
@@ -0,0 +1,114 @@
+/**
+ * Leave entitlement: pro-rating, balances, carry-over and overdraft checks
+ */
+
+import './setup.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStore, create } from '../data/store.js';
+import {
+  DEFAULT_LEAVE_ENTITLEMENT,
+  getAnnualEntitlement,
+  getLeaveBalance,
+  checkLeaveBalance
+} from '../services/leaveEntitlement.js';
+
+/**
+ * Consecutive weekdays from a date (YYYY-MM-DD)
+ */
+function weekdays(start, count) {
+  const dates = [];
+  const day = new Date(`${start}T12:00:00Z`);
+  while (dates.length < count) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) dates.push(day.toISOString().slice(0, 10));
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * A Berlin engineer employed since 2025 with vacation days taken
+ */
+function engineerWithVacation(dates) {
+  return {
+    id: `user-${dates.length}-${dates[0]}`,
+    state: 'BE',
+    employmentStart: '2025-01-01',
+    unavailableDates: dates.map(date => ({ date, type: 'vacation' }))
+  };
+}
+
+before(() => {
+  initStore();
+});
+
+test('joiners get a twelfth per full month, half days rounded up', () => {
+  const settings = DEFAULT_LEAVE_ENTITLEMENT;
+
+  assert.deepEqual(getAnnualEntitlement({}, 2026, settings), { annualDays: 30, entitlement: 30, proRated: false });
+  assert.deepEqual(getAnnualEntitlement({ employmentStart: '2026-01-01' }, 2026, settings),
+    { annualDays: 30, entitlement: 30, proRated: false });
+  // April to December: 9 × 2.5 = 22.5 days
+  assert.equal(getAnnualEntitlement({ employmentStart: '2026-04-01' }, 2026, settings).entitlement, 23);
+  // Starting mid-April: May to December
+  assert.equal(getAnnualEntitlement({ employmentStart: '2026-04-15' }, 2026, settings).entitlement, 20);
+  assert.equal(getAnnualEntitlement({ employmentStart: '2026-06-01', annualLeaveDays: 28 }, 2026, settings).entitlement, 16.33);
+  assert.deepEqual(getAnnualEntitlement({ employmentStart: '2027-02-01' }, 2026, settings),
+    { annualDays: 30, entitlement: 0, proRated: true });
+  assert.equal(getAnnualEntitlement({ employmentStart: '2025-07-01' }, 2026, settings).proRated, false);
+});
+
+test('unused days carry over and lapse after the deadline', () => {
+  // 27 of 30 days taken in 2025: 3 carried over; 2 of them used by 31 March 2026
+  const user = engineerWithVacation([
+    ...weekdays('2025-08-04', 27),
+    '2026-01-01', // Public holiday, not deducted
+    '2026-02-02',
+    '2026-02-03',
+    ...weekdays('2026-07-06', 5)
+  ]);
+
+  const early = getLeaveBalance(user, 2026, '2026-01-15');
+  assert.equal(early.carriedOver, 3);
+  assert.equal(early.taken, 7);
+  assert.equal(early.carryOverLapsed, 0);
+  assert.equal(early.remaining, 30 + 3 - 7);
+  assert.equal(early.byType.vacation, 8);
+
+  const late = getLeaveBalance(user, 2026, '2026-10-19');
+  assert.equal(late.carryOverLapsed, 1);
+  assert.equal(late.remaining, 30 + 2 - 7);
+});
+
+test('carry-over is capped at carryOverMaxDays', () => {
+  const user = engineerWithVacation(weekdays('2025-08-04', 20));
+  const balance = getLeaveBalance(user, 2026, '2026-01-15');
+
+  assert.equal(balance.carriedOver, 5);
+  assert.equal(balance.remaining, 35);
+});
+
+test('pending requests count against the balance', () => {
+  const user = engineerWithVacation(weekdays('2025-08-04', 30));
+  create('requests', { userId: user.id, type: 'time_off', status: 'pending', dates: weekdays('2026-08-03', 25) });
+
+  const balance = getLeaveBalance(user, 2026, '2026-01-15');
+  assert.equal(balance.carriedOver, 0);
+  assert.equal(balance.pending, 25);
+
+  assert.deepEqual(checkLeaveBalance(user, weekdays('2026-09-07', 5)), []);
+  assert.deepEqual(checkLeaveBalance(user, weekdays('2026-09-07', 6)), [
+    '2026: 31 vacation days requested or taken, 30 entitled'
+  ]);
+});
+
+test('bookings over a weekend deduct only the working days', () => {
+  // Monday 2026-08-10 to Sunday 2026-08-16
+  const week = ['2026-08-10', '2026-08-11', '2026-08-12', '2026-08-13', '2026-08-14', '2026-08-15', '2026-08-16'];
+  const user = { ...engineerWithVacation(week), id: 'user-week' };
+  const balance = getLeaveBalance(user, 2026, '2026-01-15');
+
+  assert.equal(balance.taken, 5);
+  assert.equal(balance.byType.vacation, 7);
+  assert.deepEqual(checkLeaveBalance(user, weekdays('2026-09-07', 25)), []);
+});
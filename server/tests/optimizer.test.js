@@ -0,0 +1,83 @@
+/**
+ * Local search optimizer invariants: locked cells, coverage and skill requirements
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler, DEFAULT_COVERAGE } from '../services/scheduler/index.js';
+import { toDateString } from '../services/scheduler/utils/DateUtils.js';
+import { createEngineers, countErrors } from './fixtures.js';
+
+const MONTH = new Date(2026, 10, 1);
+const ITERATIONS = 1500;
+
+const coverage = {
+  ...DEFAULT_COVERAGE,
+  skillRequirements: [
+    { shift: 'Early', tier: 'T1', min: 1, dayTypes: [] },
+    { shift: 'Late', tier: 'T1', min: 1, dayTypes: [] },
+    { shift: 'Late', skill: 'Network', min: 1, dayTypes: [] }
+  ]
+};
+
+let scheduler;
+let solved;
+let optimized;
+
+before(() => {
+  scheduler = new Scheduler({ engineers: createEngineers(), month: MONTH, coverage, seed: 1 });
+  solved = scheduler.solve();
+  optimized = scheduler.optimize(solved.schedule, { iterations: ITERATIONS });
+});
+
+test('optimize never adds validation errors', () => {
+  const before = scheduler.validateSchedule(solved.schedule).errors.length;
+  const after = scheduler.validateSchedule(optimized.schedule).errors.length;
+
+  assert.ok(optimized.optimization.acceptedMoves > 0);
+  assert.ok(after <= before, `${before} errors before, ${after} after`);
+  assert.deepEqual(optimized.optimization.hardViolations, { before, after });
+});
+
+test('optimize keeps shift coverage', () => {
+  assert.ok(
+    countErrors(scheduler, optimized.schedule, 'coverage_violation') <=
+      countErrors(scheduler, solved.schedule, 'coverage_violation')
+  );
+
+  for (const day of scheduler.getDays()) {
+    const dateStr = toDateString(day);
+    const count = (data, shift) => Object.values(data).filter(cells => cells[dateStr] === shift).length;
+    for (const shift of ['Early', 'Morning', 'Late', 'Night']) {
+      assert.equal(count(optimized.schedule, shift), count(solved.schedule, shift), `${shift} on ${dateStr}`);
+    }
+  }
+});
+
+test('optimize keeps skill requirements', () => {
+  assert.ok(
+    countErrors(scheduler, optimized.schedule, 'skill_coverage') <=
+      countErrors(scheduler, solved.schedule, 'skill_coverage')
+  );
+});
+
+test('locked cells survive solving and optimizing', () => {
+  const lockedCells = {};
+  for (const engineerId of ['3', '8', '14']) {
+    lockedCells[engineerId] = {};
+    for (const dateStr of Object.keys(solved.schedule[engineerId]).slice(5, 15)) {
+      lockedCells[engineerId][dateStr] = solved.schedule[engineerId][dateStr];
+    }
+  }
+
+  const locked = new Scheduler({ engineers: createEngineers(), month: MONTH, coverage, seed: 2, lockedCells });
+  const result = locked.solve();
+  const afterOptimize = locked.optimize(result.schedule, { iterations: ITERATIONS });
+
+  for (const [engineerId, cells] of Object.entries(lockedCells)) {
+    for (const [dateStr, shift] of Object.entries(cells)) {
+      assert.equal(result.schedule[engineerId][dateStr], shift, `solve: ${engineerId} on ${dateStr}`);
+      assert.equal(afterOptimize.schedule[engineerId][dateStr], shift, `optimize: ${engineerId} on ${dateStr}`);
+    }
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * Repair of a published schedule after a sick call: repair window, diff, locks and stale proposals
+ */
+
+import './setup.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { differenceInCalendarDays, parseISO } from 'date-fns';
+import { initStore, create, update, getById } from '../data/store.js';
+import {
+  createSchedulerFor,
+  applyChangesToData,
+  applyScheduleChanges,
+  getStaleChanges
+} from '../services/scheduleChanges.js';
+import { toDateString } from '../services/scheduler/utils/DateUtils.js';
+import { createEngineers } from './fixtures.js';
+
+const WORK_SHIFTS = ['Early', 'Morning', 'Late', 'Night'];
+
+let engineers;
+let schedule;
+
+/**
+ * A core engineer working on a date in the middle of the month, and that date
+ */
+function findWorkingCell(data, shifts = WORK_SHIFTS) {
+  const dates = createSchedulerFor(schedule).getDays().map(toDateString).slice(7, -7);
+  for (const date of dates) {
+    const engineer = engineers.find(e => !e.isFloater && shifts.includes(data[e.id][date]));
+    if (engineer) return { engineerId: engineer.id, date };
+  }
+  return null;
+}
+
+before(() => {
+  initStore();
+  engineers = createEngineers().map(({ id, ...engineer }) => create('users', engineer));
+
+  const scheduler = createSchedulerFor({ month: '2026-11' });
+  schedule = create('schedules', { month: '2026-11', status: 'published', data: scheduler.solve().schedule });
+});
+
+test('the repair changes only cells within the repair window', () => {
+  const cell = findWorkingCell(schedule.data);
+  const result = createSchedulerFor(schedule).repairSchedule(schedule.data, [cell]);
+
+  assert.equal(differenceInCalendarDays(parseISO(result.window.end), parseISO(cell.date)), 3);
+  assert.equal(differenceInCalendarDays(parseISO(cell.date), parseISO(result.window.start)), 3);
+  for (const c of result.changes) {
+    assert.ok(c.date >= result.window.start && c.date <= result.window.end, `${c.date} is outside the window`);
+  }
+});
+
+test('the repair returns a minimal diff of the changed cells', () => {
+  const cell = findWorkingCell(schedule.data);
+  const result = createSchedulerFor(schedule).repairSchedule(schedule.data, [cell]);
+
+  assert.ok(result.changes.some(c =>
+    c.engineerId === cell.engineerId && c.date === cell.date && c.newShift === 'Unavailable'));
+  for (const c of result.changes) {
+    assert.notEqual(c.oldShift, c.newShift);
+    assert.equal(c.oldShift, schedule.data[c.engineerId][c.date]);
+  }
+
+  const repaired = applyChangesToData(schedule.data, result.changes);
+  for (const engineer of engineers) {
+    assert.deepEqual(repaired[engineer.id], result.schedule[engineer.id]);
+  }
+
+  // A sick call on a day off leaves no gap to fill
+  const user = engineers.find(e => !e.isFloater);
+  const offDate = Object.keys(schedule.data[user.id]).find(d => schedule.data[user.id][d] === 'Off');
+  const offResult = createSchedulerFor(schedule).repairSchedule(schedule.data, [{ engineerId: user.id, date: offDate }]);
+  assert.deepEqual(offResult.changes.map(c => [c.engineerId, c.date, c.newShift]), [[user.id, offDate, 'Unavailable']]);
+});
+
+test('the repair leaves locked cells alone', () => {
+  // A sick call on a shift at its minimum, which the repair fills by moving colleagues
+  const scheduler = createSchedulerFor(schedule);
+  let cell = null;
+  let moved = [];
+  for (const date of scheduler.getDays().map(toDateString).slice(7, -7)) {
+    const early = engineers.filter(e => !e.isFloater && schedule.data[e.id][date] === 'Early');
+    if (early.length !== scheduler.getDayCoverage(date).Early.min) continue;
+
+    cell = { engineerId: early[0].id, date };
+    moved = scheduler.repairSchedule(schedule.data, [cell]).changes.filter(c => c.engineerId !== cell.engineerId);
+    if (moved.length > 0) break;
+  }
+  assert.ok(moved.length > 0, 'a repair that moves colleagues');
+
+  // Lock the moved cells and the sick engineer's own cell
+  const locks = {};
+  for (const c of [...moved, cell]) {
+    locks[c.engineerId] = { ...(locks[c.engineerId] || {}), [c.date]: true };
+  }
+  const locked = { ...schedule, locks };
+  const result = createSchedulerFor(locked).repairSchedule(schedule.data, [cell]);
+
+  for (const c of result.changes) {
+    assert.ok(!locks[c.engineerId]?.[c.date] || (c.engineerId === cell.engineerId && c.date === cell.date),
+      `locked cell ${c.engineerId} ${c.date} changed`);
+  }
+  assert.ok(result.changes.some(c => c.engineerId === cell.engineerId && c.date === cell.date),
+    'the sick engineer becomes unavailable despite the lock');
+});
+
+test('a repair is stale once the schedule changed', () => {
+  const cell = findWorkingCell(schedule.data);
+  const { changes } = createSchedulerFor(schedule).repairSchedule(schedule.data, [cell]);
+  assert.deepEqual(getStaleChanges(schedule, changes), []);
+
+  const { schedule: updated } = applyScheduleChanges(schedule, changes, { type: 'repair', reason: 'Sick', editedBy: 'manager' });
+  assert.equal(updated.data[cell.engineerId][cell.date], 'Unavailable');
+  assert.equal(updated.editHistory.length, changes.length);
+
+  // Proposing against the old data and applying again is refused
+  assert.deepEqual(getStaleChanges(getById('schedules', schedule.id), changes), changes);
+
+  // So is a proposal whose cells were edited in the meantime
+  const current = getById('schedules', schedule.id);
+  const other = findWorkingCell(current.data);
+  const proposal = createSchedulerFor(current).repairSchedule(current.data, [other]).changes;
+  const edited = update('schedules', schedule.id, {
+    data: applyChangesToData(current.data, [{ engineerId: other.engineerId, date: other.date, newShift: 'Training' }])
+  });
+  assert.deepEqual(getStaleChanges(edited, proposal).map(c => [c.engineerId, c.date]), [[other.engineerId, other.date]]);
+});
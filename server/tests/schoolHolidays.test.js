@@ -0,0 +1,132 @@
+/**
+ * School holiday ICS import: parsing and merging into the stored periods
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchoolHolidayIcs, mergeSchoolHolidays } from '../services/schoolHolidays.js';
+
+/**
+ * An ICS calendar of all-day events
+ * @param {Array} events - [{ summary, start, end }] with dates as yyyyMMdd
+ */
+function calendar(events) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(e => [
+      'BEGIN:VEVENT',
+      `SUMMARY:${e.summary}`,
+      `DTSTART;VALUE=DATE:${e.start}`,
+      `DTEND;VALUE=DATE:${e.end}`,
+      'END:VEVENT'
+    ]),
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+const CALENDAR_2025 = calendar([
+  { summary: 'Osterferien Berlin 2025', start: '20250414', end: '20250426' },
+  { summary: 'Sommerferien Berlin 2025', start: '20250709', end: '20250823' },
+  { summary: 'Herbstferien Berlin 2025', start: '20251020', end: '20251101' }
+]);
+
+const SCHOOL_YEAR_2025_26 = calendar([
+  { summary: 'Herbstferien Berlin 2025', start: '20251020', end: '20251102' },
+  { summary: 'Weihnachtsferien Berlin 2025', start: '20251222', end: '20260103' },
+  { summary: 'Osterferien Berlin 2026', start: '20260330', end: '20260411' }
+]);
+
+test('all-day events become periods with inclusive end dates', () => {
+  const { periods, errors } = parseSchoolHolidayIcs(CALENDAR_2025);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(periods[0], { name: 'Osterferien Berlin 2025', start: '2025-04-14', end: '2025-04-25' });
+  assert.equal(periods.length, 3);
+});
+
+test('folded lines and escaped text are read', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'SUMMARY:Winterferien\\, Berlin',
+    '  2026',
+    'DTSTART:20260202T000000',
+    'DTEND:20260208T000000',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n');
+
+  assert.deepEqual(parseSchoolHolidayIcs(ics).periods, [
+    { name: 'Winterferien, Berlin 2026', start: '2026-02-02', end: '2026-02-07' }
+  ]);
+});
+
+test('input that is not a calendar is rejected', () => {
+  assert.deepEqual(parseSchoolHolidayIcs(undefined).errors, ['Not an ICS calendar (BEGIN:VCALENDAR missing)']);
+  assert.deepEqual(parseSchoolHolidayIcs('SUMMARY:Ferien').errors, ['Not an ICS calendar (BEGIN:VCALENDAR missing)']);
+});
+
+test('malformed events are reported and the valid ones kept', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:No start',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Backwards',
+    'DTSTART;VALUE=DATE:20260410',
+    'DTEND;VALUE=DATE:20260401',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Bad end',
+    'DTSTART;VALUE=DATE:20260410',
+    'DTEND;VALUE=DATE:soon',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Unclosed',
+    'DTSTART;VALUE=DATE:20260501',
+    'BEGIN:VEVENT',
+    'SUMMARY:Pfingstferien',
+    'DTSTART;VALUE=DATE:20260526',
+    'DTEND;VALUE=DATE:20260527',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20260601',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const { periods, errors } = parseSchoolHolidayIcs(ics);
+  assert.deepEqual(periods, [{ name: 'Pfingstferien', start: '2026-05-26', end: '2026-05-26' }]);
+  assert.deepEqual(errors, [
+    'Line 2: END:VEVENT without BEGIN:VEVENT',
+    'Event 1: missing or invalid DTSTART',
+    'Event 2: DTEND is before DTSTART',
+    'Event 3: invalid DTEND',
+    'Event 4: missing END:VEVENT',
+    'Event 6: missing END:VEVENT'
+  ]);
+});
+
+test('importing an overlapping calendar replaces only the periods in its date range', () => {
+  const other = { state: 'BY', name: 'Herbstferien Bayern 2025', start: '2025-11-03', end: '2025-11-07' };
+  let stored = mergeSchoolHolidays([other], 'BE', parseSchoolHolidayIcs(CALENDAR_2025).periods);
+  stored = mergeSchoolHolidays(stored, 'BE', parseSchoolHolidayIcs(SCHOOL_YEAR_2025_26).periods);
+
+  assert.deepEqual(stored.map(p => [p.state, p.name, p.end]), [
+    ['BE', 'Osterferien Berlin 2025', '2025-04-25'],
+    ['BE', 'Sommerferien Berlin 2025', '2025-08-22'],
+    ['BE', 'Herbstferien Berlin 2025', '2025-11-01'],
+    ['BE', 'Weihnachtsferien Berlin 2025', '2026-01-02'],
+    ['BE', 'Osterferien Berlin 2026', '2026-04-10'],
+    ['BY', 'Herbstferien Bayern 2025', '2025-11-07']
+  ]);
+});
+
+test('importing the same calendar again does not duplicate periods', () => {
+  const periods = parseSchoolHolidayIcs(SCHOOL_YEAR_2025_26).periods;
+  const once = mergeSchoolHolidays([], 'BE', periods);
+
+  assert.deepEqual(mergeSchoolHolidays(once, 'BE', periods), once);
+});
@@ -0,0 +1,51 @@
+/**
+ * Seeded generation: the same seed replays a run exactly
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler, DEFAULT_COVERAGE } from '../services/scheduler/index.js';
+import { createRandom, deriveSeed, isValidSeed } from '../services/scheduler/utils/Random.js';
+import { createEngineers } from './fixtures.js';
+
+/**
+ * Solve and optimize November 2026 with a seed
+ */
+function generate(seed) {
+  const scheduler = new Scheduler({
+    engineers: createEngineers(),
+    month: new Date(2026, 10, 1),
+    coverage: DEFAULT_COVERAGE,
+    seed
+  });
+  const solved = scheduler.solve();
+  return { scheduler, solved, optimized: scheduler.optimize(solved.schedule, { iterations: 1000 }) };
+}
+
+test('createRandom and deriveSeed are deterministic', () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  const sequence = Array.from({ length: 5 }, () => a());
+
+  assert.deepEqual(Array.from({ length: 5 }, () => b()), sequence);
+  assert.ok(sequence.every(n => n >= 0 && n < 1));
+  assert.equal(deriveSeed(42, 3), deriveSeed(42, 3));
+  assert.notEqual(deriveSeed(42, 3), deriveSeed(42, 4));
+  assert.ok(isValidSeed(deriveSeed(42, 3)));
+  assert.ok(!isValidSeed(-1));
+  assert.ok(!isValidSeed(1.5));
+});
+
+test('the same seed replays solving and optimizing exactly', () => {
+  const first = generate(7);
+  const second = generate(7);
+
+  assert.equal(first.scheduler.seed, 7);
+  assert.deepEqual(second.solved.schedule, first.solved.schedule);
+  assert.deepEqual(second.optimized.schedule, first.optimized.schedule);
+  assert.deepEqual(second.optimized.optimization, first.optimized.optimization);
+});
+
+test('different seeds give different schedules', () => {
+  assert.notDeepEqual(generate(8).solved.schedule, generate(9).solved.schedule);
+});
@@ -0,0 +1,15 @@
+/**
+ * Point the store at an empty temporary data directory. Import before any module that
+ * imports the store, then call initStore().
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dataDir = mkdtempSync(join(tmpdir(), 'shifter-test-'));
+process.env.DATA_DIR = dataDir;
+
+process.on('exit', () => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
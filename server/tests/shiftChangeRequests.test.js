@@ -0,0 +1,101 @@
+/**
+ * Planning the schedule changes of shift change requests
+ */
+
+import './setup.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStore, create } from '../data/store.js';
+import { createSchedulerFor, planShiftChangeRequest, describeShiftChangePlan } from '../services/scheduleChanges.js';
+import { toDateString } from '../services/scheduler/utils/DateUtils.js';
+import { createEngineers } from './fixtures.js';
+
+let engineers;
+let schedule;
+let scheduler;
+
+/**
+ * A shift change request of an engineer
+ */
+function shiftChange(user, dates, details) {
+  return { id: `request-${user.id}`, userId: user.id, userName: user.name, type: 'shift_change', dates, details, status: 'pending' };
+}
+
+/**
+ * Dates of the month, in order
+ */
+function monthDates() {
+  return scheduler.getDays().map(toDateString);
+}
+
+before(() => {
+  initStore();
+  engineers = createEngineers().map(({ id, ...engineer }) => create('users', engineer));
+
+  scheduler = createSchedulerFor({ month: '2026-11' });
+  schedule = create('schedules', { month: '2026-11', status: 'published', data: scheduler.solve().schedule });
+});
+
+test('a change that keeps the rules is planned without errors', () => {
+  let found = null;
+
+  for (const date of monthDates()) {
+    const early = engineers.filter(e => !e.isFloater && schedule.data[e.id][date] === 'Early');
+    if (early.length > scheduler.getDayCoverage(date).Early.min) {
+      found = { date, user: early[0] };
+      break;
+    }
+  }
+  assert.ok(found, 'a day with Early staffed above its minimum');
+
+  const plan = planShiftChangeRequest(shiftChange(found.user, [found.date], { currentShift: 'Early', requestedShift: 'OFF' }));
+
+  assert.deepEqual(plan.skipped, []);
+  assert.equal(plan.schedules.length, 1);
+  assert.equal(plan.schedules[0].schedule.id, schedule.id);
+  assert.deepEqual(plan.schedules[0].changes, [
+    { engineerId: found.user.id, date: found.date, oldShift: 'Early', newShift: 'Off' }
+  ]);
+  assert.deepEqual(plan.schedules[0].newErrors, []);
+  assert.equal(describeShiftChangePlan(plan).valid, true);
+});
+
+test('a change that breaks a rule reports the new errors', () => {
+  const dates = monthDates();
+  let found = null;
+
+  for (let i = 0; i < dates.length - 1 && !found; i++) {
+    const user = engineers.find(e => !e.isFloater &&
+      schedule.data[e.id][dates[i + 1]] === 'Early' &&
+      !['Night', 'Unavailable'].includes(schedule.data[e.id][dates[i]]));
+    if (user) found = { date: dates[i], user };
+  }
+  assert.ok(found, 'an engineer on Early the day after a shift that is not Night');
+
+  const plan = planShiftChangeRequest(shiftChange(found.user, [found.date], { currentShift: 'Early', requestedShift: 'Night' }));
+  const [planned] = plan.schedules;
+
+  assert.equal(planned.changes[0].newShift, 'Night');
+  assert.ok(planned.newErrors.some(e => e.type === 'transition_violation'));
+
+  const described = describeShiftChangePlan(plan);
+  assert.equal(described.valid, false);
+  assert.ok(described.schedules[0].errors.length > 0);
+});
+
+test('a request without details.currentShift is planned from the stored cells', () => {
+  const user = engineers.find(e => !e.isFloater);
+  const cells = schedule.data[user.id];
+  const workDate = monthDates().find(d => !['Off', 'Unavailable'].includes(cells[d]));
+  const offDate = monthDates().find(d => cells[d] === 'Off');
+
+  const plan = planShiftChangeRequest(shiftChange(user, [workDate, offDate, '2026-12-01'], { requestedShift: 'OFF' }));
+
+  assert.deepEqual(plan.schedules[0].changes, [
+    { engineerId: user.id, date: workDate, oldShift: cells[workDate], newShift: 'Off' }
+  ]);
+  assert.deepEqual(plan.skipped, [
+    { date: offDate, reason: 'Already Off' },
+    { date: '2026-12-01', reason: 'No schedule for 2026-12 yet' }
+  ]);
+});
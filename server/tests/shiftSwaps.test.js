@@ -0,0 +1,96 @@
+/**
+ * Shift swap cell changes and stale swap detection
+ */
+
+import './setup.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStore, create } from '../data/store.js';
+import { buildSwapChanges, isSwappableShift } from '../services/shiftSwaps.js';
+import { getStaleChanges } from '../services/scheduleChanges.js';
+
+let offerer;
+let acceptor;
+let schedule;
+let swap;
+
+before(() => {
+  initStore();
+  offerer = create('users', { name: 'Offerer', isActive: true });
+  acceptor = create('users', { name: 'Acceptor', isActive: true });
+
+  schedule = {
+    id: 'schedule-1',
+    month: '2026-11',
+    status: 'published',
+    data: {
+      [offerer.id]: { '2026-11-10': 'Early', '2026-11-12': 'Off', '2026-11-13': 'Unavailable', '2026-11-14': 'Late' },
+      [acceptor.id]: { '2026-11-10': 'Off', '2026-11-12': 'Late', '2026-11-13': 'Late', '2026-11-14': 'Late' }
+    }
+  };
+  swap = { date: '2026-11-10', shift: 'Early', offeredBy: offerer.id, offeredByName: 'Offerer' };
+});
+
+test('accepting exchanges the cells on the offered date', () => {
+  const { changes, errors } = buildSwapChanges(schedule, swap, acceptor.id);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(changes, [
+    { engineerId: offerer.id, date: '2026-11-10', oldShift: 'Early', newShift: 'Off' },
+    { engineerId: acceptor.id, date: '2026-11-10', oldShift: 'Off', newShift: 'Early' }
+  ]);
+});
+
+test('a return date exchanges the cells on that date as well', () => {
+  const { changes, errors } = buildSwapChanges(schedule, swap, acceptor.id, '2026-11-12');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(changes.slice(2), [
+    { engineerId: offerer.id, date: '2026-11-12', oldShift: 'Off', newShift: 'Late' },
+    { engineerId: acceptor.id, date: '2026-11-12', oldShift: 'Late', newShift: 'Off' }
+  ]);
+});
+
+test('swaps that cannot be built are refused with the reason', () => {
+  const errorsOf = (...args) => buildSwapChanges(...args).errors;
+
+  assert.deepEqual(errorsOf(schedule, swap, offerer.id), ['You cannot accept your own offer']);
+  assert.deepEqual(errorsOf(schedule, swap, 'unknown'), ['Only engineers in the schedule can accept an offer']);
+  assert.deepEqual(errorsOf(schedule, { ...swap, shift: 'Late' }, acceptor.id), [
+    'The offered Late on 2026-11-10 is no longer in the schedule'
+  ]);
+  assert.deepEqual(errorsOf(schedule, { ...swap, date: '2026-11-14', shift: 'Late' }, acceptor.id), [
+    'You already work Late on 2026-11-14'
+  ]);
+});
+
+test('return dates must be in the month and hold a shift the offerer can take', () => {
+  const errorsOf = returnDate => buildSwapChanges(schedule, swap, acceptor.id, returnDate).errors;
+
+  assert.deepEqual(errorsOf('2026-12-01'), ['The return date must be in 2026-11']);
+  assert.deepEqual(errorsOf(20261112), ['The return date must be in 2026-11']);
+  assert.deepEqual(errorsOf('2026-11-11'), ['You have no shift to give on 2026-11-11']);
+  assert.deepEqual(errorsOf('2026-11-13'), ['Offerer is not available on 2026-11-13']);
+  assert.deepEqual(errorsOf('2026-11-14'), ['Offerer already works Late on 2026-11-14']);
+});
+
+test('getStaleChanges reports cells that moved since the swap was accepted', () => {
+  const { changes } = buildSwapChanges(schedule, swap, acceptor.id, '2026-11-12');
+  assert.deepEqual(getStaleChanges(schedule, changes), []);
+
+  const edited = {
+    ...schedule,
+    data: { ...schedule.data, [acceptor.id]: { ...schedule.data[acceptor.id], '2026-11-12': 'Early' } }
+  };
+  assert.deepEqual(getStaleChanges(edited, changes), [
+    { engineerId: acceptor.id, date: '2026-11-12', oldShift: 'Late', newShift: 'Off' }
+  ]);
+});
+
+test('only work shifts can be offered', () => {
+  assert.ok(isSwappableShift('Night'));
+  assert.ok(!isSwappableShift('Off'));
+  assert.ok(!isSwappableShift('Training'));
+  assert.ok(!isSwappableShift('Unavailable'));
+  assert.ok(!isSwappableShift(null));
+});
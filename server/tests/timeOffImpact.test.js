@@ -0,0 +1,81 @@
+/**
+ * Coverage impact of time-off requests, with and without a schedule for the month
+ */
+
+import './setup.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initStore, create, update } from '../data/store.js';
+import { createSchedulerFor, getTimeOffImpact } from '../services/scheduleChanges.js';
+import { toDateString } from '../services/scheduler/utils/DateUtils.js';
+import { createEngineers } from './fixtures.js';
+
+let engineers;
+let schedule;
+let scheduler;
+
+/**
+ * A time-off request of an engineer
+ */
+function timeOff(user, dates) {
+  return { id: `request-${user.id}`, userId: user.id, userName: user.name, type: 'time_off', dates, status: 'pending' };
+}
+
+before(() => {
+  initStore();
+  engineers = createEngineers().map(({ id, ...engineer }) => create('users', engineer));
+
+  scheduler = createSchedulerFor({ month: '2026-11' });
+  schedule = create('schedules', { month: '2026-11', status: 'published', data: scheduler.solve().schedule });
+});
+
+test('taking out an engineer on a shift at its minimum fails the minimums', () => {
+  let found = null;
+
+  for (const day of scheduler.getDays()) {
+    const date = toDateString(day);
+    const early = engineers.filter(e => schedule.data[e.id][date] === 'Early');
+    const min = scheduler.getDayCoverage(date).Early.min;
+    if (early.length === min && early.every(e => !e.isFloater)) {
+      found = { date, user: early[0] };
+      break;
+    }
+  }
+  assert.ok(found, 'a day with Early staffed at its minimum by core engineers');
+
+  const impact = getTimeOffImpact(timeOff(found.user, [found.date]));
+  const [day] = impact.dates;
+  const early = day.coverage.find(c => c.shift === 'Early');
+
+  assert.equal(impact.canMeetMinimums, false);
+  assert.equal(day.scheduleId, schedule.id);
+  assert.equal(day.shift, 'Early');
+  assert.equal(early.after, early.before - 1);
+  assert.ok(early.after < early.min);
+  assert.ok(day.errors.length > 0);
+});
+
+test('days the engineer is off anyway do not change coverage', () => {
+  const user = engineers.find(e => !e.isFloater);
+  const date = Object.keys(schedule.data[user.id]).find(d => schedule.data[user.id][d] === 'Off');
+
+  const [day] = getTimeOffImpact(timeOff(user, [date])).dates;
+  assert.equal(day.shift, 'Off');
+  assert.deepEqual(day.coverage.map(c => c.after), day.coverage.map(c => c.before));
+  assert.deepEqual(day.errors, []);
+});
+
+test('months without a schedule compare available engineers with the minimums', () => {
+  const [requester, colleague] = engineers.filter(e => !e.isFloater);
+  update('users', colleague.id, { unavailableDates: [{ date: '2026-12-02', type: 'vacation' }] });
+
+  const impact = getTimeOffImpact(timeOff(requester, ['2026-12-02']));
+  const [day] = impact.dates;
+  const coreCount = engineers.filter(e => !e.isFloater).length;
+
+  assert.equal(day.scheduleId, null);
+  assert.deepEqual(day.colleaguesOff, [colleague.name]);
+  assert.equal(day.available, coreCount - 2);
+  assert.equal(day.required, 3 + 2 + 3 + 2);
+  assert.equal(impact.canMeetMinimums, true);
+});
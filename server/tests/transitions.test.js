@@ -0,0 +1,92 @@
+/**
+ * Forbidden shift transitions derived from shift times and the rest hours of the rule packs
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SHIFT_CATALOGUE, setShiftCatalogue } from '../services/scheduler/config/shiftCatalogue.js';
+import {
+  getRulePack,
+  getRulePackFor,
+  getForbiddenTransitions,
+  getTransitionViolation,
+  getRestHoursBetween,
+  calculateRestHours
+} from '../services/scheduler/rules/LaborLaw.js';
+
+const transitionsOf = pack => getForbiddenTransitions(pack).map(t => `${t.from}>${t.to}`).sort();
+
+afterEach(() => {
+  setShiftCatalogue(null);
+});
+
+test('the built-in shifts forbid the transitions with less than 11 hours rest', () => {
+  assert.deepEqual(transitionsOf(getRulePack('DE')), [
+    'Late>Early',
+    'Late>Morning',
+    'Night>Early',
+    'Night>Late',
+    'Night>Morning'
+  ]);
+
+  const lateToEarly = getForbiddenTransitions(getRulePack('DE')).find(t => t.from === 'Late' && t.to === 'Early');
+  assert.equal(lateToEarly.restHours, 7.5);
+  assert.equal(lateToEarly.law, '§5 ArbZG');
+});
+
+test('rest hours come from the actual shift timestamps', () => {
+  assert.equal(calculateRestHours('Late', 'Early'), 7.5);
+  assert.equal(calculateRestHours('Night', 'Early'), -0.5, 'overlapping shifts have negative rest');
+  assert.equal(calculateRestHours('Late', 'Early', true), 8.5, 'weekend Late ends at 22:30');
+  assert.equal(calculateRestHours('OFF', 'Early'), Infinity);
+
+  assert.equal(getRestHoursBetween('Late', '2026-11-02', 'Early', '2026-11-03'), 7.5);
+  assert.equal(getRestHoursBetween('Night', '2026-11-02', 'Early', '2026-11-04'), 23.5);
+});
+
+test('getTransitionViolation uses the times of the day type when a date is given', () => {
+  const pack = getRulePack('DE');
+
+  // Weekday Late ends 23:30: 10.5 hours until Morning
+  assert.ok(getTransitionViolation('Late', 'Morning', pack, '2026-11-04'));
+  // Saturday Late ends 22:30: 11.5 hours until Sunday Morning
+  assert.equal(getTransitionViolation('Late', 'Morning', pack, '2026-11-08'), null);
+  // Without a date the worst case applies
+  assert.ok(getTransitionViolation('Late', 'Morning', pack));
+
+  assert.equal(getTransitionViolation('Early', 'Late', pack), null);
+  assert.equal(getTransitionViolation(null, 'Early', pack), null);
+});
+
+test('transitions follow changes of the shift catalogue', () => {
+  setShiftCatalogue([
+    ...DEFAULT_SHIFT_CATALOGUE.filter(s => s.name !== 'Late'),
+    { name: 'Late', times: { weekday: { start: '14:00', end: '20:00' } } },
+    { name: 'Evening', times: { weekday: { start: '19:00', end: '23:00' } } }
+  ]);
+  const pack = getRulePack('DE');
+
+  assert.equal(getTransitionViolation('Late', 'Early', pack), null, 'Late ending 20:00 leaves 11 hours');
+  assert.ok(getTransitionViolation('Evening', 'Early', pack));
+  assert.equal(getTransitionViolation('Night', 'Evening', pack), null, '11.5 hours after Night');
+});
+
+test('rule packs with longer rest after night work forbid more transitions', () => {
+  setShiftCatalogue([
+    ...DEFAULT_SHIFT_CATALOGUE,
+    { name: 'Evening', times: { weekday: { start: '19:00', end: '23:00' } } }
+  ]);
+
+  // 11.5 hours after Night: enough in Germany, less than the 14 hours of the Dutch ATW
+  assert.equal(getTransitionViolation('Night', 'Evening', getRulePack('DE')), null);
+  const violation = getTransitionViolation('Night', 'Evening', getRulePack('NL'));
+  assert.equal(violation.law, 'Art. 5:3 ATW');
+  assert.match(violation.reason, /requires 14 hours/);
+});
+
+test('engineers get the rule pack of their jurisdiction, Germany by default', () => {
+  assert.equal(getRulePackFor({ jurisdiction: 'AT' }).id, 'AT');
+  assert.equal(getRulePackFor({ jurisdiction: 'NL' }).id, 'NL');
+  assert.equal(getRulePackFor({}).id, 'DE');
+  assert.equal(getRulePack('XX').id, 'DE');
+});